@@ -1,6 +1,22 @@
 import { config, AuthMethod } from './config.js';
 import { ErrorCode, McpError } from './types/core.js';
-import { NetworkErrorFactory, createErrorFromHttpResponse } from './utils/errorFactory.js';
+import {
+  AuthenticationErrorFactory,
+  NetworkErrorFactory,
+  createErrorFromHttpResponse,
+} from './utils/errorFactory.js';
+import { MemoryCacheBackend, cacheScope, createCacheBackend } from './cache/backend.js';
+import { CachedResource, CachedResourceStats, CachedResponse } from './cache/cachedResource.js';
+import {
+  REJECTED_STATUS_CODES,
+  RETRYABLE_STATUS_CODES,
+  computeBackoffDelay,
+  isIdempotentMethod,
+  parseRetryAfter,
+  sleep,
+} from './utils/retry.js';
+import { CircuitBreaker, describeCircuit, getCircuitBreaker } from './utils/circuitBreaker.js';
+import { SessionStore, sessionStorePath } from './utils/sessionStore.js';
 
 // Logger level enum
 enum LogLevel {
@@ -11,11 +27,47 @@ enum LogLevel {
   FATAL = 'fatal',
 }
 
-// Interface for tracking data source in API responses
-export interface CachedResponse<T> {
-  data: T;
-  source: 'cache' | 'api';
-  fetchTime: number;
+// Responses that count as the server being down for the circuit breaker
+const SERVER_UNAVAILABLE_STATUS_CODES = new Set([502, 503, 504]);
+
+const SESSION_PATH = '/api/session';
+
+// Key of the single entry held by each list cache
+const LIST_CACHE_KEY = 'all';
+
+export type { CachedResponse };
+
+// Cache names, matching the clear_cache cache types
+export const CACHE_NAMES = [
+  'cards',
+  'dashboards',
+  'tables',
+  'databases',
+  'collections',
+  'fields',
+  'parameter-values',
+  'cards-list',
+  'dashboards-list',
+  'tables-list',
+  'databases-list',
+  'collections-list',
+] as const;
+
+export type CacheName = (typeof CACHE_NAMES)[number];
+
+// Caches of execute results keyed by query fingerprint, matching the clear_cache cache types
+export const RESULT_CACHE_NAMES = ['query-results', 'card-results'] as const;
+
+export type ResultCacheName = (typeof RESULT_CACHE_NAMES)[number];
+
+function isFailedResult(result: any): boolean {
+  return result?.status === 'failed' || result?.error_type !== undefined;
+}
+
+// Credentials for acting as a specific Metabase identity instead of the configured one
+export interface ApiClientCredentials {
+  apiKey?: string;
+  sessionToken?: string;
 }
 
 export class MetabaseApiClient {
@@ -23,38 +75,105 @@ export class MetabaseApiClient {
   public sessionToken: string | null = null;
   private apiKey: string | null = null;
   private authMethod: AuthMethod;
+  // Only the configured service identity can log in with username/password
+  private canLogin: boolean;
+  private pendingLogin: Promise<string> | null = null;
+  // Keeps the configured identity's session across restarts
+  private sessionStore: SessionStore | null = null;
   private headers: Record<string, string> = {
     'Content-Type': 'application/json',
   };
-  // Individual item cache system
-  private cardCache: Map<number, { data: any; timestamp: number }> = new Map();
-  private dashboardCache: Map<number, { data: any; timestamp: number }> = new Map();
-  private tableCache: Map<number, { data: any; timestamp: number }> = new Map();
-  private databaseCache: Map<number, { data: any; timestamp: number }> = new Map();
-  private collectionCache: Map<number, { data: any; timestamp: number }> = new Map();
-  private fieldCache: Map<number, { data: any; timestamp: number }> = new Map();
-
-  // List cache system - separate from individual item cache for different optimizations
-  private listCardsCache: { data: any[]; timestamp: number } | null = null;
-  private listDashboardsCache: { data: any[]; timestamp: number } | null = null;
-  private listTablesCache: { data: any[]; timestamp: number } | null = null;
-  private listDatabasesCache: { data: any[]; timestamp: number } | null = null;
-  private listCollectionsCache: { data: any[]; timestamp: number } | null = null;
-  private readonly CACHE_TTL_MS: number;
+  // Individual item caches are keyed by ID; list caches hold a single LIST_CACHE_KEY entry
+  private caches: Record<CacheName, CachedResource>;
+  private resultCaches: Record<ResultCacheName, CachedResource>;
   private readonly REQUEST_TIMEOUT_MS: number;
 
-  constructor() {
+  constructor(credentials?: ApiClientCredentials) {
     this.baseUrl = config.METABASE_URL;
-    this.authMethod = config.METABASE_API_KEY ? AuthMethod.API_KEY : AuthMethod.SESSION;
-    this.apiKey = config.METABASE_API_KEY || null;
-    this.CACHE_TTL_MS = config.CACHE_TTL_MS;
     this.REQUEST_TIMEOUT_MS = config.REQUEST_TIMEOUT_MS;
 
+    if (credentials) {
+      // Explicit per-client credentials: never fall back to the configured identity
+      this.apiKey = credentials.apiKey || null;
+      this.sessionToken = credentials.apiKey ? null : credentials.sessionToken || null;
+      this.authMethod = credentials.apiKey ? AuthMethod.API_KEY : AuthMethod.SESSION;
+      this.canLogin = false;
+    } else {
+      this.apiKey = config.METABASE_API_KEY || null;
+      this.authMethod = config.METABASE_API_KEY ? AuthMethod.API_KEY : AuthMethod.SESSION;
+      this.canLogin = this.authMethod === AuthMethod.SESSION;
+      if (this.canLogin && config.SESSION_PERSIST && config.METABASE_USER_EMAIL) {
+        this.sessionStore = new SessionStore(
+          sessionStorePath(config.SESSION_DIRECTORY, this.baseUrl, config.METABASE_USER_EMAIL),
+          { metabaseUrl: this.baseUrl, username: config.METABASE_USER_EMAIL },
+          (message, data, error) => this.logWarn(message, data, error)
+        );
+        this.sessionToken = this.sessionStore.load();
+      }
+    }
+
     if (this.apiKey) {
       this.logInfo('Using API Key authentication method');
     } else {
       this.logInfo('Using Session Token authentication method');
     }
+
+    // Forwarded sessions are short-lived, so only stable identities get a persistent cache
+    const identity = this.apiKey
+      ? `api-key:${this.apiKey}`
+      : credentials
+        ? null
+        : `user:${config.METABASE_USER_EMAIL}`;
+    const scope = identity ? cacheScope(this.baseUrl, identity) : null;
+    const cacheOptions = {
+      backend: config.CACHE_BACKEND,
+      directory: config.CACHE_DIRECTORY,
+      maxEntries: config.CACHE_MAX_ENTRIES,
+    };
+    const logger = {
+      logDebug: (message: string, data?: unknown) => this.logDebug(message, data),
+      logInfo: (message: string, data?: unknown) => this.logInfo(message, data),
+      logWarn: (message: string, data?: unknown, error?: Error) =>
+        this.logWarn(message, data, error),
+      logError: (message: string, error: unknown) => this.logError(message, error),
+    };
+    const createCache = (name: CacheName) => {
+      const [resource, list] = name.split('-');
+      return new CachedResource(
+        name,
+        createCacheBackend(name, cacheOptions, scope, logger.logWarn),
+        config.CACHE_TTL_MS,
+        // "card 42" for individual items, "cards list" for lists,
+        // "parameter value card:42:p-region" for parameter values
+        key =>
+          list === 'list'
+            ? `${resource} ${list}`
+            : `${name.replace(/s$/, '').replace('-', ' ')} ${key}`,
+        logger
+      );
+    };
+    this.caches = Object.fromEntries(CACHE_NAMES.map(name => [name, createCache(name)])) as Record<
+      CacheName,
+      CachedResource
+    >;
+
+    // Results hold warehouse rows rather than metadata, so they stay in memory with their own
+    // TTL, and an expired result is never served in place of a failed query
+    this.resultCaches = Object.fromEntries(
+      RESULT_CACHE_NAMES.map(name => [
+        name,
+        new CachedResource(
+          name,
+          new MemoryCacheBackend(config.RESULT_CACHE_MAX_ENTRIES),
+          config.RESULT_CACHE_TTL_MS,
+          // "query result 3f9a1c2b0d4e"
+          key => `${name.replace(/-results$/, '')} result ${String(key).slice(0, 12)}`,
+          logger,
+          // Metabase reports failed queries inside a successful response
+          { staleFallback: false, cacheable: result => !isFailedResult(result) }
+        ),
+      ])
+    ) as Record<ResultCacheName, CachedResource>;
   }
 
   /**
@@ -143,10 +262,9 @@ export class MetabaseApiClient {
   }
 
   /**
-   * HTTP request utility method with timeout support
+   * Build request headers including the authentication header for this client's identity
    */
-  async request<T>(path: string, options: RequestInit = {}): Promise<T> {
-    const url = new URL(path, this.baseUrl);
+  getAuthHeaders(): Record<string, string> {
     const headers = { ...this.headers };
 
     // Add appropriate authentication headers based on the method
@@ -157,198 +275,340 @@ export class MetabaseApiClient {
       headers['X-Metabase-Session'] = this.sessionToken;
     }
 
-    this.logDebug(`Making request to ${url.toString()}`);
-    this.logDebug(`Using headers: ${JSON.stringify(headers)}`);
+    return headers;
+  }
 
-    // Create abort controller for timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT_MS);
+  /**
+   * HTTP request utility method with timeout, retry, circuit breaker and session
+   * re-authentication support; non-ok responses are thrown as McpErrors
+   */
+  async request<T>(path: string, options: RequestInit = {}): Promise<T> {
+    const { response, attempts, breaker } = await this.send(path, options);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const errorMessage = `API request failed with status ${response.status}: ${response.statusText}`;
+      this.logWarn(errorMessage, errorData);
+
+      // Use enhanced error factory for HTTP errors with resource context
+      const { resourceType, resourceId } = this.extractResourceFromPath(path);
+      const httpError = createErrorFromHttpResponse(
+        response.status,
+        errorData,
+        `API request to ${path}`,
+        resourceType,
+        resourceId
+      );
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfterMs !== null) {
+        httpError.details.retryAfterMs = retryAfterMs;
+      }
+      throw SERVER_UNAVAILABLE_STATUS_CODES.has(response.status)
+        ? this.withCircuitContext(httpError, breaker, attempts)
+        : httpError;
+    }
 
-    try {
-      const response = await fetch(url.toString(), {
-        ...options,
-        headers,
-        signal: controller.signal,
-      });
+    this.logDebug(`Received successful response from ${path}`);
+    return response.json() as Promise<T>;
+  }
 
-      clearTimeout(timeoutId);
+  /**
+   * Request returning the raw response, for endpoints that return files rather than JSON.
+   * Retries and session re-authentication work as in request(), but non-ok responses are
+   * returned for the caller to handle.
+   */
+  async requestRaw(path: string, options: RequestInit = {}): Promise<Response> {
+    const { response } = await this.send(path, options);
+    return response;
+  }
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = `API request failed with status ${response.status}: ${response.statusText}`;
-        this.logWarn(errorMessage, errorData);
-
-        // Use enhanced error factory for HTTP errors with resource context
-        const { resourceType, resourceId } = this.extractResourceFromPath(path);
-        throw createErrorFromHttpResponse(
-          response.status,
-          errorData,
-          `API request to ${path}`,
-          resourceType,
-          resourceId
-        );
+  /**
+   * Send a request until it succeeds or can no longer be retried.
+   *
+   * Connection failures, timeouts and 502/503/504 responses are retried with exponential
+   * backoff for idempotent methods; 429 and 503 responses are retried for every method,
+   * honouring Retry-After. All attempts share REQUEST_TIMEOUT_MS. When a username/password
+   * session has expired, the client logs in again and replays the request once.
+   */
+  private async send(
+    path: string,
+    options: RequestInit
+  ): Promise<{ response: Response; attempts: number; breaker: CircuitBreaker }> {
+    const url = new URL(path, this.baseUrl);
+    const method = (options.method || 'GET').toUpperCase();
+    const idempotent = isIdempotentMethod(method);
+    const retry = {
+      maxRetries: config.REQUEST_MAX_RETRIES,
+      baseDelayMs: config.REQUEST_RETRY_BASE_DELAY_MS,
+      maxDelayMs: config.REQUEST_RETRY_MAX_DELAY_MS,
+    };
+    const breaker = getCircuitBreaker(url.host, {
+      failureThreshold: config.CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+      resetTimeoutMs: config.CIRCUIT_BREAKER_RESET_MS,
+    });
+    const deadline = Date.now() + this.REQUEST_TIMEOUT_MS;
+    let reauthenticated = false;
+
+    this.logDebug(`Making request to ${url.toString()}`);
+    this.logDebug(`Using headers: ${Object.keys(this.getAuthHeaders()).join(', ')}`);
+
+    for (let attempt = 0; ; attempt++) {
+      if (!breaker.tryAcquire()) {
+        this.logWarn(`Circuit breaker for ${url.host} is open, not sending request to ${path}`);
+        throw NetworkErrorFactory.circuitOpen(breaker.snapshot(), breaker.retryAfterMs());
       }
 
-      this.logDebug(`Received successful response from ${path}`);
-      return response.json() as Promise<T>;
-    } catch (error) {
+      const canRetry = (delayMs: number) =>
+        attempt < retry.maxRetries && Date.now() + delayMs < deadline;
+
+      // Read per attempt, so replays after re-authentication carry the new session
+      const headers = this.getAuthHeaders();
+
+      // Create abort controller for the time left in the request budget
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), Math.max(0, deadline - Date.now()));
+
+      let response: Response;
+      try {
+        response = await fetch(url.toString(), {
+          ...options,
+          headers,
+          signal: controller.signal,
+        });
+      } catch (error) {
+        clearTimeout(timeoutId);
+        breaker.recordFailure();
+
+        // Handle timeout errors specifically
+        if (error instanceof Error && error.name === 'AbortError') {
+          this.logError(`Request to ${path} timed out after ${this.REQUEST_TIMEOUT_MS}ms`, error);
+          throw this.withCircuitContext(
+            NetworkErrorFactory.timeout(`API request to ${path}`, this.REQUEST_TIMEOUT_MS),
+            breaker,
+            attempt + 1
+          );
+        }
+
+        // Handle network connection errors
+        if (
+          error instanceof Error &&
+          (error.message.includes('fetch') ||
+            error.message.includes('network') ||
+            error.message.includes('ENOTFOUND') ||
+            error.message.includes('ECONNREFUSED'))
+        ) {
+          const delayMs = computeBackoffDelay(attempt, retry);
+          if (idempotent && canRetry(delayMs)) {
+            this.logWarn(
+              `Network error for ${method} ${path}, retrying in ${delayMs}ms (attempt ${attempt + 1} of ${retry.maxRetries + 1})`,
+              undefined,
+              error
+            );
+            await sleep(delayMs);
+            continue;
+          }
+          this.logError(`Network error for request to ${path}`, error);
+          throw this.withCircuitContext(
+            NetworkErrorFactory.connectionError(this.baseUrl),
+            breaker,
+            attempt + 1
+          );
+        }
+
+        // For other errors, wrap in generic network error
+        this.logError(`Unexpected error for request to ${path}`, error);
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Unexpected error during API request: ${error instanceof Error ? error.message : String(error)}`
+        );
+      }
       clearTimeout(timeoutId);
 
-      // Handle timeout errors specifically
-      if (error instanceof Error && error.name === 'AbortError') {
-        this.logError(`Request to ${path} timed out after ${this.REQUEST_TIMEOUT_MS}ms`, error);
-        throw NetworkErrorFactory.timeout(`API request to ${path}`, this.REQUEST_TIMEOUT_MS);
+      if (response.ok) {
+        breaker.recordSuccess();
+        return { response, attempts: attempt + 1, breaker };
+      }
+
+      if (SERVER_UNAVAILABLE_STATUS_CODES.has(response.status)) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
       }
 
-      // Handle network connection errors
       if (
-        error instanceof Error &&
-        (error.message.includes('fetch') ||
-          error.message.includes('network') ||
-          error.message.includes('ENOTFOUND') ||
-          error.message.includes('ECONNREFUSED'))
+        response.status === 401 &&
+        this.canLogin &&
+        !reauthenticated &&
+        url.pathname !== SESSION_PATH
       ) {
-        this.logError(`Network error for request to ${path}`, error);
-        throw NetworkErrorFactory.connectionError(this.baseUrl);
+        reauthenticated = true;
+        await response.body?.cancel().catch(() => undefined);
+        this.logInfo(`Metabase session expired, logging in again to replay ${method} ${path}`);
+        await this.reauthenticate(headers['X-Metabase-Session']);
+        // The replay does not use up a retry
+        attempt--;
+        continue;
       }
 
-      // If it's already an enhanced McpError, re-throw it
-      if (error instanceof McpError) {
-        throw error;
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      const retryable = (idempotent ? RETRYABLE_STATUS_CODES : REJECTED_STATUS_CODES).has(
+        response.status
+      );
+      const delayMs = Math.max(computeBackoffDelay(attempt, retry), retryAfterMs ?? 0);
+      if (
+        retryable &&
+        (retryAfterMs === null || retryAfterMs <= retry.maxDelayMs) &&
+        canRetry(delayMs)
+      ) {
+        // Drain the body so the connection can be reused
+        await response.body?.cancel().catch(() => undefined);
+        this.logWarn(
+          `${method} ${path} returned ${response.status}, retrying in ${delayMs}ms (attempt ${attempt + 1} of ${retry.maxRetries + 1})`
+        );
+        await sleep(delayMs);
+        continue;
       }
 
-      // For other errors, wrap in generic network error
-      this.logError(`Unexpected error for request to ${path}`, error);
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Unexpected error during API request: ${error instanceof Error ? error.message : String(error)}`
+      return { response, attempts: attempt + 1, breaker };
+    }
+  }
+
+  /**
+   * Add the circuit breaker state to a connection-level error so agents can tell
+   * whether to wait before calling Metabase again
+   */
+  private withCircuitContext(error: McpError, breaker: CircuitBreaker, attempts: number): McpError {
+    const circuit = breaker.snapshot();
+    error.details.agentGuidance = `${error.details.agentGuidance} Failed after ${attempts} attempt(s). ${describeCircuit(circuit)}`;
+    error.details.additionalContext = {
+      ...error.details.additionalContext,
+      attempts,
+      circuitBreaker: circuit,
+    };
+    if (circuit.state === 'open') {
+      error.details.retryAfterMs = Math.max(
+        error.details.retryAfterMs ?? 0,
+        breaker.retryAfterMs()
       );
     }
+    return error;
   }
 
   /**
    * Get a single dashboard with caching - checks cache first, then API if needed
    */
   async getDashboard(dashboardId: number): Promise<CachedResponse<any>> {
-    const now = Date.now();
+    return this.caches.dashboards.get(dashboardId, () =>
+      this.request<any>(`/api/dashboard/${dashboardId}`)
+    );
+  }
 
-    // Check if we have a cached version that's still valid
-    const cached = this.dashboardCache.get(dashboardId);
-    if (cached && now - cached.timestamp < this.CACHE_TTL_MS) {
-      this.logDebug(`Using cached data for dashboard ${dashboardId}`);
-      return {
-        data: cached.data,
-        source: 'cache',
-        fetchTime: 0,
-      };
-    }
+  /**
+   * Get a single card with caching - checks cache first, then API if needed
+   */
+  async getCard(cardId: number): Promise<CachedResponse<any>> {
+    return this.caches.cards.get(cardId, () => this.request<any>(`/api/card/${cardId}`));
+  }
 
-    // Cache miss or stale, fetch from API
-    this.logDebug(`Fetching dashboard ${dashboardId} from Metabase API (cache miss or stale)`);
-    const startTime = Date.now();
+  /**
+   * Clear the cards cache (useful for debugging or when data changes)
+   */
+  clearCardsCache(): void {
+    this.caches.cards.clear();
+    this.logDebug('Cards cache cleared');
+  }
 
-    try {
-      const dashboard = await this.request<any>(`/api/dashboard/${dashboardId}`);
-      const fetchTime = Date.now() - startTime;
+  /**
+   * Create a saved question (card), then invalidate cached card data
+   */
+  async createCard(card: Record<string, unknown>): Promise<any> {
+    const created = await this.request<any>('/api/card', {
+      method: 'POST',
+      body: JSON.stringify(card),
+    });
+    this.invalidateCard(created?.id);
+    this.logInfo(`Created card ${created?.id}`);
+    return created;
+  }
 
-      // Cache the result
-      this.dashboardCache.set(dashboardId, {
-        data: dashboard,
-        timestamp: now,
+  /**
+   * Update a saved question (card), then invalidate cached card data
+   */
+  async updateCard(cardId: number, changes: Record<string, unknown>): Promise<any> {
+    try {
+      const updated = await this.request<any>(`/api/card/${cardId}`, {
+        method: 'PUT',
+        body: JSON.stringify(changes),
       });
-
-      this.logInfo(`Successfully fetched dashboard ${dashboardId} in ${fetchTime}ms`);
-      return {
-        data: dashboard,
-        source: 'api',
-        fetchTime,
-      };
-    } catch (error) {
-      this.logError(`Failed to fetch dashboard ${dashboardId} from Metabase API`, error);
-
-      // If we have any cached version (even stale), return it as fallback
-      if (cached) {
-        this.logWarn(
-          `Using stale cached data for dashboard ${dashboardId} as fallback due to API error`
-        );
-        return {
-          data: cached.data,
-          source: 'cache',
-          fetchTime: 0,
-        };
-      }
-
-      throw error;
+      this.logInfo(`Updated card ${cardId}`);
+      return updated;
+    } finally {
+      // A failed update may still have been applied, so never keep the old copy around
+      this.invalidateCard(cardId);
     }
   }
 
   /**
-   * Get a single card with caching - checks cache first, then API if needed
+   * Drop a card from the card cache along with the cards list that may contain it and
+   * cached card results, which are keyed by fingerprint rather than card ID
    */
-  async getCard(cardId: number): Promise<CachedResponse<any>> {
-    const now = Date.now();
-    const cached = this.cardCache.get(cardId);
-
-    // Check if we have cached data that's still valid
-    if (cached && now - cached.timestamp < this.CACHE_TTL_MS) {
-      this.logDebug(`Using cached data for card ${cardId}`);
-      return {
-        data: cached.data,
-        source: 'cache',
-        fetchTime: 0,
-      };
+  invalidateCard(cardId?: number): void {
+    if (cardId !== undefined) {
+      this.caches.cards.delete(cardId);
     }
+    this.caches['cards-list'].clear();
+    this.resultCaches['card-results'].clear();
+    this.logDebug(`Card cache invalidated${cardId !== undefined ? ` for card ${cardId}` : ''}`);
+  }
 
-    // Cache miss or stale, fetch from API
-    this.logDebug(`Fetching fresh data for card ${cardId} from Metabase API`);
-    const startTime = Date.now();
+  /**
+   * Create a dashboard, then invalidate cached dashboard data
+   */
+  async createDashboard(dashboard: Record<string, unknown>): Promise<any> {
+    const created = await this.request<any>('/api/dashboard', {
+      method: 'POST',
+      body: JSON.stringify(dashboard),
+    });
+    this.invalidateDashboard(created?.id);
+    this.logInfo(`Created dashboard ${created?.id}`);
+    return created;
+  }
 
+  /**
+   * Update a dashboard (including its dashcards and parameters), then invalidate cached dashboard data
+   */
+  async updateDashboard(dashboardId: number, changes: Record<string, unknown>): Promise<any> {
     try {
-      const card = await this.request<any>(`/api/card/${cardId}`);
-      const fetchTime = Date.now() - startTime;
-
-      // Update cache with full card data
-      this.cardCache.set(cardId, {
-        data: card,
-        timestamp: now,
+      const updated = await this.request<any>(`/api/dashboard/${dashboardId}`, {
+        method: 'PUT',
+        body: JSON.stringify(changes),
       });
-
-      this.logInfo(`Successfully fetched card ${cardId} in ${fetchTime}ms`);
-      return {
-        data: card,
-        source: 'api',
-        fetchTime,
-      };
-    } catch (error) {
-      this.logError(`Failed to fetch card ${cardId} from Metabase API`, error);
-
-      // If we have stale cached data, return it as fallback
-      if (cached) {
-        this.logWarn(`Using stale cached data for card ${cardId} as fallback due to API error`);
-        return {
-          data: cached.data,
-          source: 'cache',
-          fetchTime: 0,
-        };
-      }
-
-      throw error;
+      this.logInfo(`Updated dashboard ${dashboardId}`);
+      return updated;
+    } finally {
+      // A failed update may still have been applied, so never keep the old copy around
+      this.invalidateDashboard(dashboardId);
     }
   }
 
   /**
-   * Clear the cards cache (useful for debugging or when data changes)
+   * Drop a dashboard from the dashboard cache along with the dashboards list that may contain it
    */
-  clearCardsCache(): void {
-    this.cardCache.clear();
-    this.logDebug('Cards cache cleared');
+  invalidateDashboard(dashboardId?: number): void {
+    if (dashboardId !== undefined) {
+      this.caches.dashboards.delete(dashboardId);
+    }
+    this.caches['dashboards-list'].clear();
+    this.logDebug(
+      `Dashboard cache invalidated${dashboardId !== undefined ? ` for dashboard ${dashboardId}` : ''}`
+    );
   }
 
   /**
    * Clear the dashboards cache (useful for debugging or when data changes)
    */
   clearDashboardsCache(): void {
-    this.dashboardCache.clear();
+    this.caches.dashboards.clear();
     this.logDebug('Dashboards cache cleared');
   }
 
@@ -356,284 +616,54 @@ export class MetabaseApiClient {
    * Get list of cards with caching
    */
   async getCardsList(): Promise<CachedResponse<any[]>> {
-    const now = Date.now();
-
-    // Check if we have cached data that's still valid
-    if (this.listCardsCache && now - this.listCardsCache.timestamp < this.CACHE_TTL_MS) {
-      this.logDebug('Using cached data for cards list');
-      return {
-        data: this.listCardsCache.data,
-        source: 'cache',
-        fetchTime: 0,
-      };
-    }
-
-    // Cache miss or stale, fetch from API
-    this.logDebug('Fetching cards list from Metabase API (cache miss or stale)');
-    const startTime = Date.now();
-
-    try {
-      const cards = await this.request<any[]>('/api/card');
-      const fetchTime = Date.now() - startTime;
-
-      // Cache the result
-      this.listCardsCache = {
-        data: cards,
-        timestamp: now,
-      };
-
-      this.logInfo(`Successfully fetched cards list in ${fetchTime}ms`);
-      return {
-        data: cards,
-        source: 'api',
-        fetchTime,
-      };
-    } catch (error) {
-      this.logError('Failed to fetch cards list from Metabase API', error);
-
-      // If we have stale cached data, return it as fallback
-      if (this.listCardsCache) {
-        this.logWarn('Using stale cached data for cards list as fallback due to API error');
-        return {
-          data: this.listCardsCache.data,
-          source: 'cache',
-          fetchTime: 0,
-        };
-      }
-
-      throw error;
-    }
+    return this.caches['cards-list'].get(LIST_CACHE_KEY, () => this.request<any[]>('/api/card'));
   }
 
   /**
    * Get list of dashboards with caching
    */
   async getDashboardsList(): Promise<CachedResponse<any[]>> {
-    const now = Date.now();
-
-    // Check if we have cached data that's still valid
-    if (this.listDashboardsCache && now - this.listDashboardsCache.timestamp < this.CACHE_TTL_MS) {
-      this.logDebug('Using cached data for dashboards list');
-      return {
-        data: this.listDashboardsCache.data,
-        source: 'cache',
-        fetchTime: 0,
-      };
-    }
-
-    // Cache miss or stale, fetch from API
-    this.logDebug('Fetching dashboards list from Metabase API (cache miss or stale)');
-    const startTime = Date.now();
-
-    try {
-      const dashboards = await this.request<any[]>('/api/dashboard');
-      const fetchTime = Date.now() - startTime;
-
-      // Cache the result
-      this.listDashboardsCache = {
-        data: dashboards,
-        timestamp: now,
-      };
-
-      this.logInfo(`Successfully fetched dashboards list in ${fetchTime}ms`);
-      return {
-        data: dashboards,
-        source: 'api',
-        fetchTime,
-      };
-    } catch (error) {
-      this.logError('Failed to fetch dashboards list from Metabase API', error);
-
-      // If we have stale cached data, return it as fallback
-      if (this.listDashboardsCache) {
-        this.logWarn('Using stale cached data for dashboards list as fallback due to API error');
-        return {
-          data: this.listDashboardsCache.data,
-          source: 'cache',
-          fetchTime: 0,
-        };
-      }
-
-      throw error;
-    }
+    return this.caches['dashboards-list'].get(LIST_CACHE_KEY, () =>
+      this.request<any[]>('/api/dashboard')
+    );
   }
 
   /**
    * Get list of tables with caching
    */
   async getTablesList(): Promise<CachedResponse<any[]>> {
-    const now = Date.now();
-
-    // Check if we have cached data that's still valid
-    if (this.listTablesCache && now - this.listTablesCache.timestamp < this.CACHE_TTL_MS) {
-      this.logDebug('Using cached data for tables list');
-      return {
-        data: this.listTablesCache.data,
-        source: 'cache',
-        fetchTime: 0,
-      };
-    }
-
-    // Cache miss or stale, fetch from API
-    this.logDebug('Fetching tables list from Metabase API (cache miss or stale)');
-    const startTime = Date.now();
-
-    try {
-      const tables = await this.request<any[]>('/api/table');
-      const fetchTime = Date.now() - startTime;
-
-      // Cache the result
-      this.listTablesCache = {
-        data: tables,
-        timestamp: now,
-      };
-
-      this.logInfo(`Successfully fetched tables list in ${fetchTime}ms`);
-      return {
-        data: tables,
-        source: 'api',
-        fetchTime,
-      };
-    } catch (error) {
-      this.logError('Failed to fetch tables list from Metabase API', error);
-
-      // If we have stale cached data, return it as fallback
-      if (this.listTablesCache) {
-        this.logWarn('Using stale cached data for tables list as fallback due to API error');
-        return {
-          data: this.listTablesCache.data,
-          source: 'cache',
-          fetchTime: 0,
-        };
-      }
-
-      throw error;
-    }
+    return this.caches['tables-list'].get(LIST_CACHE_KEY, () => this.request<any[]>('/api/table'));
   }
 
   /**
    * Get list of databases with caching
    */
   async getDatabasesList(): Promise<CachedResponse<any[]>> {
-    const now = Date.now();
-
-    // Check if we have cached data that's still valid
-    if (this.listDatabasesCache && now - this.listDatabasesCache.timestamp < this.CACHE_TTL_MS) {
-      this.logDebug('Using cached data for databases list');
-      return {
-        data: this.listDatabasesCache.data,
-        source: 'cache',
-        fetchTime: 0,
-      };
-    }
-
-    // Cache miss or stale, fetch from API
-    this.logDebug('Fetching databases list from Metabase API (cache miss or stale)');
-    const startTime = Date.now();
-
-    try {
-      const response = await this.request<any>('/api/database');
-      const fetchTime = Date.now() - startTime;
-
+    return this.caches['databases-list'].get(LIST_CACHE_KEY, async () => {
       // Database endpoint returns { data: [...], total: number } structure
-      const databasesArray = response.data || [];
-
-      // Cache the result
-      this.listDatabasesCache = {
-        data: databasesArray,
-        timestamp: now,
-      };
-
-      this.logInfo(
-        `Successfully fetched databases list in ${fetchTime}ms (${databasesArray.length} databases)`
-      );
-      return {
-        data: databasesArray,
-        source: 'api',
-        fetchTime,
-      };
-    } catch (error) {
-      this.logError('Failed to fetch databases list from Metabase API', error);
-
-      // If we have stale cached data, return it as fallback
-      if (this.listDatabasesCache) {
-        this.logWarn('Using stale cached data for databases list as fallback due to API error');
-        return {
-          data: this.listDatabasesCache.data,
-          source: 'cache',
-          fetchTime: 0,
-        };
-      }
-
-      throw error;
-    }
+      const response = await this.request<any>('/api/database');
+      return response.data || [];
+    });
   }
 
   /**
    * Get list of collections with caching
    */
   async getCollectionsList(): Promise<CachedResponse<any[]>> {
-    const now = Date.now();
-
-    // Check if we have cached data that's still valid
-    if (
-      this.listCollectionsCache &&
-      now - this.listCollectionsCache.timestamp < this.CACHE_TTL_MS
-    ) {
-      this.logDebug('Using cached data for collections list');
-      return {
-        data: this.listCollectionsCache.data,
-        source: 'cache',
-        fetchTime: 0,
-      };
-    }
-
-    // Cache miss or stale, fetch from API
-    this.logDebug('Fetching collections list from Metabase API (cache miss or stale)');
-    const startTime = Date.now();
-
-    try {
-      const collections = await this.request<any[]>('/api/collection');
-      const fetchTime = Date.now() - startTime;
-
-      // Cache the result
-      this.listCollectionsCache = {
-        data: collections,
-        timestamp: now,
-      };
-
-      this.logInfo(`Successfully fetched collections list in ${fetchTime}ms`);
-      return {
-        data: collections,
-        source: 'api',
-        fetchTime,
-      };
-    } catch (error) {
-      this.logError('Failed to fetch collections list from Metabase API', error);
-
-      // If we have stale cached data, return it as fallback
-      if (this.listCollectionsCache) {
-        this.logWarn('Using stale cached data for collections list as fallback due to API error');
-        return {
-          data: this.listCollectionsCache.data,
-          source: 'cache',
-          fetchTime: 0,
-        };
-      }
-
-      throw error;
-    }
+    return this.caches['collections-list'].get(LIST_CACHE_KEY, () =>
+      this.request<any[]>('/api/collection')
+    );
   }
 
   /**
    * Clear list caches
    */
   clearListCaches(): void {
-    this.listCardsCache = null;
-    this.listDashboardsCache = null;
-    this.listTablesCache = null;
-    this.listDatabasesCache = null;
-    this.listCollectionsCache = null;
+    this.caches['cards-list'].clear();
+    this.caches['dashboards-list'].clear();
+    this.caches['tables-list'].clear();
+    this.caches['databases-list'].clear();
+    this.caches['collections-list'].clear();
     this.logInfo('All list caches cleared');
   }
 
@@ -641,30 +671,105 @@ export class MetabaseApiClient {
    * Clear individual list cache methods
    */
   clearCardsListCache(): void {
-    this.listCardsCache = null;
+    this.caches['cards-list'].clear();
     this.logDebug('Cards list cache cleared');
   }
 
   clearDashboardsListCache(): void {
-    this.listDashboardsCache = null;
+    this.caches['dashboards-list'].clear();
     this.logDebug('Dashboards list cache cleared');
   }
 
   clearTablesListCache(): void {
-    this.listTablesCache = null;
+    this.caches['tables-list'].clear();
     this.logDebug('Tables list cache cleared');
   }
 
   clearDatabasesListCache(): void {
-    this.listDatabasesCache = null;
+    this.caches['databases-list'].clear();
     this.logDebug('Databases list cache cleared');
   }
 
   clearCollectionsListCache(): void {
-    this.listCollectionsCache = null;
+    this.caches['collections-list'].clear();
     this.logDebug('Collections list cache cleared');
   }
 
+  /**
+   * Run an execute query through the query results cache. `fingerprint` identifies the
+   * query and `fetcher` runs it; failed results are returned without being cached.
+   */
+  async getQueryResult(
+    fingerprint: string,
+    fetcher: () => Promise<any>
+  ): Promise<CachedResponse<any>> {
+    return this.getResult('query-results', fingerprint, fetcher);
+  }
+
+  /**
+   * Run a saved card through the card results cache, as for getQueryResult
+   */
+  async getCardResult(
+    fingerprint: string,
+    fetcher: () => Promise<any>
+  ): Promise<CachedResponse<any>> {
+    return this.getResult('card-results', fingerprint, fetcher);
+  }
+
+  private async getResult(
+    name: ResultCacheName,
+    fingerprint: string,
+    fetcher: () => Promise<any>
+  ): Promise<CachedResponse<any>> {
+    if (config.RESULT_CACHE_TTL_MS === 0) {
+      const startTime = Date.now();
+      const data = await fetcher();
+      return { data, source: 'api', fetchTime: Date.now() - startTime };
+    }
+    return this.resultCaches[name].get(fingerprint, fetcher);
+  }
+
+  clearQueryResultsCache(): void {
+    this.resultCaches['query-results'].clear();
+    this.logDebug('Query results cache cleared');
+  }
+
+  clearCardResultsCache(): void {
+    this.resultCaches['card-results'].clear();
+    this.logDebug('Card results cache cleared');
+  }
+
+  /**
+   * Clear cached execute results of both SQL and query builder queries and saved cards
+   */
+  clearResultCaches(): void {
+    this.clearQueryResultsCache();
+    this.clearCardResultsCache();
+    this.logInfo('All result caches cleared');
+  }
+
+  /**
+   * Hit, miss and fallback counters for every cache, keyed by cache name
+   */
+  getCacheStats(): Record<CacheName | ResultCacheName, CachedResourceStats> {
+    return Object.fromEntries([
+      ...CACHE_NAMES.map(name => [name, this.caches[name].stats()]),
+      ...RESULT_CACHE_NAMES.map(name => [name, this.resultCaches[name].stats()]),
+    ]) as Record<CacheName | ResultCacheName, CachedResourceStats>;
+  }
+
+  /**
+   * Reset the cache counters without touching cached data
+   */
+  resetCacheStats(): void {
+    for (const name of CACHE_NAMES) {
+      this.caches[name].resetStats();
+    }
+    for (const name of RESULT_CACHE_NAMES) {
+      this.resultCaches[name].resetStats();
+    }
+  }
+
   /**
    * Clear all caches (individual items and lists)
    */
@@ -675,8 +780,10 @@ export class MetabaseApiClient {
     this.clearDatabasesCache();
     this.clearCollectionsCache();
     this.clearFieldsCache();
+    this.clearParameterValuesCache();
     this.clearListCaches();
-    this.logInfo('All caches cleared (individual items and lists)');
+    this.clearResultCaches();
+    this.logInfo('All caches cleared (individual items, lists and results)');
   }
 
   /**
@@ -697,9 +804,31 @@ export class MetabaseApiClient {
       return this.sessionToken;
     }
 
+    // Forwarded identities carry their own session and cannot log in on their own
+    if (!this.canLogin) {
+      this.logWarn('No Metabase session available for forwarded client identity');
+      throw AuthenticationErrorFactory.sessionExpired();
+    }
+
+    return this.login();
+  }
+
+  /**
+   * Log in with the configured username/password. Concurrent callers share one login.
+   */
+  private login(): Promise<string> {
+    if (!this.pendingLogin) {
+      this.pendingLogin = this.createSession().finally(() => {
+        this.pendingLogin = null;
+      });
+    }
+    return this.pendingLogin;
+  }
+
+  private async createSession(): Promise<string> {
     this.logInfo('Initiating authentication with Metabase');
     try {
-      const response = await this.request<{ id: string }>('/api/session', {
+      const response = await this.request<{ id: string }>(SESSION_PATH, {
         method: 'POST',
         body: JSON.stringify({
           username: config.METABASE_USER_EMAIL,
@@ -708,8 +837,9 @@ export class MetabaseApiClient {
       });
 
       this.sessionToken = response.id;
+      this.sessionStore?.save(response.id);
       this.logInfo('Successfully authenticated with Metabase');
-      return this.sessionToken;
+      return response.id;
     } catch (error) {
       this.logError('Authentication with Metabase failed', error);
       throw new McpError(ErrorCode.InternalError, 'Failed to authenticate with Metabase');
@@ -717,230 +847,110 @@ export class MetabaseApiClient {
   }
 
   /**
-   * Get a single table with caching - fetches query metadata
+   * Replace a session Metabase rejected, unless a concurrent request already has
    */
-  async getTable(tableId: number): Promise<CachedResponse<any>> {
-    const now = Date.now();
-    const cached = this.tableCache.get(tableId);
-
-    // Check if we have cached data that's still valid
-    if (cached && now - cached.timestamp < this.CACHE_TTL_MS) {
-      this.logDebug(`Using cached data for table ${tableId}`);
-      return {
-        data: cached.data,
-        source: 'cache',
-        fetchTime: 0,
-      };
+  private async reauthenticate(rejectedToken: string | undefined): Promise<void> {
+    if (this.sessionToken && this.sessionToken !== rejectedToken) {
+      return;
     }
+    this.sessionToken = null;
+    this.sessionStore?.clear();
+    await this.login();
+  }
 
-    // Cache miss or stale, fetch from API
-    this.logDebug(`Fetching fresh data for table ${tableId} from Metabase API`);
-    const startTime = Date.now();
-
-    try {
-      const table = await this.request<any>(`/api/table/${tableId}/query_metadata`);
-      const fetchTime = Date.now() - startTime;
-
-      // Update cache with full table data
-      this.tableCache.set(tableId, {
-        data: table,
-        timestamp: now,
-      });
-
-      this.logInfo(`Successfully fetched table ${tableId} in ${fetchTime}ms`);
-      return {
-        data: table,
-        source: 'api',
-        fetchTime,
-      };
-    } catch (error) {
-      this.logError(`Failed to fetch table ${tableId} from Metabase API`, error);
-
-      // If we have stale cached data, return it as fallback
-      if (cached) {
-        this.logWarn(`Using stale cached data for table ${tableId} as fallback due to API error`);
-        return {
-          data: cached.data,
-          source: 'cache',
-          fetchTime: 0,
-        };
-      }
-
-      throw error;
-    }
+  /**
+   * Get a single table with caching - fetches query metadata
+   */
+  async getTable(tableId: number): Promise<CachedResponse<any>> {
+    return this.caches.tables.get(tableId, () =>
+      this.request<any>(`/api/table/${tableId}/query_metadata`)
+    );
   }
 
   /**
    * Get a single database with caching - includes tables
    */
   async getDatabase(databaseId: number): Promise<CachedResponse<any>> {
-    const now = Date.now();
-    const cached = this.databaseCache.get(databaseId);
-
-    // Check if we have cached data that's still valid
-    if (cached && now - cached.timestamp < this.CACHE_TTL_MS) {
-      this.logDebug(`Using cached data for database ${databaseId}`);
-      return {
-        data: cached.data,
-        source: 'cache',
-        fetchTime: 0,
-      };
-    }
-
-    // Cache miss or stale, fetch from API
-    this.logDebug(`Fetching fresh data for database ${databaseId} from Metabase API`);
-    const startTime = Date.now();
-
-    try {
-      const database = await this.request<any>(`/api/database/${databaseId}?include=tables`);
-      const fetchTime = Date.now() - startTime;
-
-      // Update cache with full database data
-      this.databaseCache.set(databaseId, {
-        data: database,
-        timestamp: now,
-      });
-
-      this.logInfo(`Successfully fetched database ${databaseId} in ${fetchTime}ms`);
-      return {
-        data: database,
-        source: 'api',
-        fetchTime,
-      };
-    } catch (error) {
-      this.logError(`Failed to fetch database ${databaseId} from Metabase API`, error);
-
-      // If we have stale cached data, return it as fallback
-      if (cached) {
-        this.logWarn(
-          `Using stale cached data for database ${databaseId} as fallback due to API error`
-        );
-        return {
-          data: cached.data,
-          source: 'cache',
-          fetchTime: 0,
-        };
-      }
-
-      throw error;
-    }
+    return this.caches.databases.get(databaseId, () =>
+      this.request<any>(`/api/database/${databaseId}?include=tables`)
+    );
   }
 
   /**
    * Get a single collection with caching
    */
   async getCollection(collectionId: number): Promise<CachedResponse<any>> {
-    const now = Date.now();
-    const cached = this.collectionCache.get(collectionId);
-
-    // Check if we have cached data that's still valid
-    if (cached && now - cached.timestamp < this.CACHE_TTL_MS) {
-      this.logDebug(`Using cached data for collection ${collectionId}`);
-      return {
-        data: cached.data,
-        source: 'cache',
-        fetchTime: 0,
-      };
-    }
-
-    // Cache miss or stale, fetch from API
-    this.logDebug(`Fetching fresh data for collection ${collectionId} from Metabase API`);
-    const startTime = Date.now();
-
-    try {
-      const collection = await this.request<any>(`/api/collection/${collectionId}`);
-      const fetchTime = Date.now() - startTime;
-
-      // Update cache with full collection data
-      this.collectionCache.set(collectionId, {
-        data: collection,
-        timestamp: now,
-      });
-
-      this.logInfo(`Successfully fetched collection ${collectionId} in ${fetchTime}ms`);
-      return {
-        data: collection,
-        source: 'api',
-        fetchTime,
-      };
-    } catch (error) {
-      this.logError(`Failed to fetch collection ${collectionId} from Metabase API`, error);
-
-      // If we have stale cached data, return it as fallback
-      if (cached) {
-        this.logWarn(
-          `Using stale cached data for collection ${collectionId} as fallback due to API error`
-        );
-        return {
-          data: cached.data,
-          source: 'cache',
-          fetchTime: 0,
-        };
-      }
-
-      throw error;
-    }
+    return this.caches.collections.get(collectionId, () =>
+      this.request<any>(`/api/collection/${collectionId}`)
+    );
   }
 
   /**
    * Get a single field with caching
    */
   async getField(fieldId: number): Promise<CachedResponse<any>> {
-    const now = Date.now();
-    const cached = this.fieldCache.get(fieldId);
-
-    // Check if we have cached data that's still valid
-    if (cached && now - cached.timestamp < this.CACHE_TTL_MS) {
-      this.logDebug(`Using cached data for field ${fieldId}`);
-      return {
-        data: cached.data,
-        source: 'cache',
-        fetchTime: 0,
-      };
-    }
-
-    // Cache miss or stale, fetch from API
-    this.logDebug(`Fetching fresh data for field ${fieldId} from Metabase API`);
-    const startTime = Date.now();
+    return this.caches.fields.get(fieldId, () => this.request<any>(`/api/field/${fieldId}`));
+  }
 
-    try {
-      const field = await this.request<any>(`/api/field/${fieldId}`);
-      const fetchTime = Date.now() - startTime;
+  /**
+   * Get the values of a card parameter, optionally narrowed by a search query, with caching
+   */
+  async getCardParameterValues(
+    cardId: number,
+    parameterId: string,
+    query?: string
+  ): Promise<CachedResponse<any>> {
+    return this.getParameterValues('card', cardId, parameterId, query);
+  }
 
-      // Update cache with full field data
-      this.fieldCache.set(fieldId, {
-        data: field,
-        timestamp: now,
-      });
+  /**
+   * Get the values of a dashboard filter, optionally narrowed by a search query, with caching
+   */
+  async getDashboardParameterValues(
+    dashboardId: number,
+    parameterId: string,
+    query?: string
+  ): Promise<CachedResponse<any>> {
+    return this.getParameterValues('dashboard', dashboardId, parameterId, query);
+  }
 
-      this.logInfo(`Successfully fetched field ${fieldId} in ${fetchTime}ms`);
-      return {
-        data: field,
-        source: 'api',
-        fetchTime,
-      };
-    } catch (error) {
-      this.logError(`Failed to fetch field ${fieldId} from Metabase API`, error);
+  private async getParameterValues(
+    resource: 'card' | 'dashboard',
+    id: number,
+    parameterId: string,
+    query?: string
+  ): Promise<CachedResponse<any>> {
+    const base = `/api/${resource}/${id}/params/${encodeURIComponent(parameterId)}`;
+    const key = `${resource}:${id}:${parameterId}${query === undefined ? '' : `:search:${query}`}`;
+    return this.caches['parameter-values'].get(key, () =>
+      this.request<any>(
+        query === undefined ? `${base}/values` : `${base}/search/${encodeURIComponent(query)}`
+      )
+    );
+  }
 
-      // If we have stale cached data, return it as fallback
-      if (cached) {
-        this.logWarn(`Using stale cached data for field ${fieldId} as fallback due to API error`);
-        return {
-          data: cached.data,
-          source: 'cache',
-          fetchTime: 0,
-        };
-      }
+  /**
+   * Get the distinct values Metabase has scanned for a field, cached with parameter values
+   */
+  async getFieldValues(fieldId: number): Promise<CachedResponse<any>> {
+    return this.caches['parameter-values'].get(`field:${fieldId}`, () =>
+      this.request<any>(`/api/field/${fieldId}/values`)
+    );
+  }
 
-      throw error;
-    }
+  /**
+   * Clear the parameter values cache
+   */
+  clearParameterValuesCache(): void {
+    this.caches['parameter-values'].clear();
+    this.logDebug('Parameter values cache cleared');
   }
 
   /**
    * Clear the tables cache
    */
   clearTablesCache(): void {
-    this.tableCache.clear();
+    this.caches.tables.clear();
     this.logDebug('Tables cache cleared');
   }
 
@@ -948,7 +958,7 @@ export class MetabaseApiClient {
    * Clear the databases cache
    */
   clearDatabasesCache(): void {
-    this.databaseCache.clear();
+    this.caches.databases.clear();
     this.logDebug('Databases cache cleared');
   }
 
@@ -956,7 +966,7 @@ export class MetabaseApiClient {
    * Clear the collections cache
    */
   clearCollectionsCache(): void {
-    this.collectionCache.clear();
+    this.caches.collections.clear();
     this.logDebug('Collections cache cleared');
   }
 
@@ -964,7 +974,7 @@ export class MetabaseApiClient {
    * Clear the fields cache
    */
   clearFieldsCache(): void {
-    this.fieldCache.clear();
+    this.caches.fields.clear();
     this.logDebug('Fields cache cleared');
   }
 
@@ -0,0 +1,103 @@
+/**
+ * Pluggable storage for the API client caches.
+ *
+ * Backends only store entries; TTL checks and stale-on-error fallback stay with the
+ * caller, so every backend serves stale entries the same way until they are evicted.
+ */
+
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { DiskCacheBackend } from './diskBackend.js';
+
+export interface CacheEntry<T = any> {
+  data: T;
+  timestamp: number;
+}
+
+export type CacheKey = string | number;
+
+export interface CacheBackend<T = any> {
+  get(key: CacheKey): CacheEntry<T> | undefined;
+  set(key: CacheKey, entry: CacheEntry<T>): void;
+  delete(key: CacheKey): void;
+  clear(): void;
+  readonly size: number;
+}
+
+export type CacheBackendType = 'memory' | 'disk';
+
+export interface CacheBackendOptions {
+  backend: CacheBackendType;
+  directory: string;
+  // Upper bound per cache; the least recently used entry is evicted beyond this
+  maxEntries: number;
+}
+
+/**
+ * In-memory backend with LRU eviction, relying on Map insertion order
+ */
+export class MemoryCacheBackend<T = any> implements CacheBackend<T> {
+  private entries = new Map<string, CacheEntry<T>>();
+
+  constructor(private readonly maxEntries: number) {}
+
+  get(key: CacheKey): CacheEntry<T> | undefined {
+    const id = String(key);
+    const entry = this.entries.get(id);
+    if (entry) {
+      this.entries.delete(id);
+      this.entries.set(id, entry);
+    }
+    return entry;
+  }
+
+  set(key: CacheKey, entry: CacheEntry<T>): void {
+    const id = String(key);
+    this.entries.delete(id);
+    this.entries.set(id, entry);
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+    }
+  }
+
+  delete(key: CacheKey): void {
+    this.entries.delete(String(key));
+  }
+
+  clear(): void {
+    this.entries.clear();
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Stable directory name for a Metabase instance and identity, so cached data is never
+ * shared between API keys or users with different permissions
+ */
+export function cacheScope(metabaseUrl: string, identity: string): string {
+  return createHash('sha256').update(`${metabaseUrl}\n${identity}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Create the backend for one named cache (e.g. "cards", "tables-list").
+ * Without a scope the cache is kept in memory, whatever the configured backend.
+ */
+export function createCacheBackend<T = any>(
+  name: string,
+  options: CacheBackendOptions,
+  scope: string | null,
+  logWarn: (message: string, data?: unknown, error?: Error) => void
+): CacheBackend<T> {
+  if (options.backend === 'disk' && scope) {
+    return new DiskCacheBackend<T>(
+      join(options.directory, scope, name),
+      options.maxEntries,
+      logWarn
+    );
+  }
+  return new MemoryCacheBackend<T>(options.maxEntries);
+}
@@ -0,0 +1,174 @@
+/**
+ * Generic TTL cache for one kind of Metabase resource.
+ *
+ * Serves fresh entries from the backend, fetches on a miss or stale entry, falls back to
+ * the stale entry when the fetch fails (unless disabled), and joins concurrent fetches for
+ * the same key.
+ * Every outcome is counted so cache behaviour can be inspected through `cache_stats`.
+ */
+
+import { CacheBackend, CacheEntry, CacheKey } from './backend.js';
+
+// Interface for tracking data source in API responses
+export interface CachedResponse<T> {
+  data: T;
+  source: 'cache' | 'api';
+  fetchTime: number;
+}
+
+export interface CachedResourceStats {
+  entries: number;
+  hits: number;
+  misses: number;
+  // Requests that joined a fetch already in flight for the same key
+  deduplicated: number;
+  stale_fallbacks: number;
+  fetch_errors: number;
+  hit_rate: number | null;
+  average_fetch_ms: number | null;
+}
+
+export interface CachedResourceLogger {
+  logDebug: (message: string, data?: unknown) => void;
+  logInfo: (message: string, data?: unknown) => void;
+  logWarn: (message: string, data?: unknown, error?: Error) => void;
+  logError: (message: string, error: unknown) => void;
+}
+
+export interface CachedResourceOptions<T> {
+  // Serve an expired entry when the fetch fails (default true)
+  staleFallback?: boolean;
+  // Fetched values failing this check are returned but not stored
+  cacheable?: (data: T) => boolean;
+}
+
+export class CachedResource<T = any> {
+  private inFlight = new Map<string, Promise<CachedResponse<T>>>();
+  // Bumped on every invalidation so fetches started earlier never repopulate the cache
+  private generation = 0;
+  private counters = {
+    hits: 0,
+    misses: 0,
+    deduplicated: 0,
+    stale_fallbacks: 0,
+    fetch_errors: 0,
+    fetches: 0,
+    fetch_ms: 0,
+  };
+
+  constructor(
+    readonly name: string,
+    private readonly backend: CacheBackend<T>,
+    private readonly ttlMs: number,
+    // Human readable subject for log messages, e.g. "card 42" or "cards list"
+    private readonly describe: (key: CacheKey) => string,
+    private readonly logger: CachedResourceLogger,
+    private readonly options: CachedResourceOptions<T> = {}
+  ) {}
+
+  /**
+   * Return the cached value for a key, fetching it when missing or expired
+   */
+  async get(key: CacheKey, fetcher: () => Promise<T>): Promise<CachedResponse<T>> {
+    const now = Date.now();
+    const cached = this.backend.get(key);
+    const subject = this.describe(key);
+
+    if (cached && now - cached.timestamp < this.ttlMs) {
+      this.counters.hits++;
+      this.logger.logDebug(`Using cached data for ${subject}`);
+      return { data: cached.data, source: 'cache', fetchTime: 0 };
+    }
+
+    const id = String(key);
+    const pending = this.inFlight.get(id);
+    if (pending) {
+      this.counters.deduplicated++;
+      this.logger.logDebug(`Joining in-flight fetch for ${subject}`);
+      return pending;
+    }
+
+    this.counters.misses++;
+    this.logger.logDebug(`Fetching ${subject} from Metabase API (cache miss or stale)`);
+
+    const request = this.fetch(key, subject, cached, now, fetcher);
+    this.inFlight.set(id, request);
+    const settle = () => {
+      if (this.inFlight.get(id) === request) {
+        this.inFlight.delete(id);
+      }
+    };
+    request.then(settle, settle);
+    return request;
+  }
+
+  private async fetch(
+    key: CacheKey,
+    subject: string,
+    cached: CacheEntry<T> | undefined,
+    now: number,
+    fetcher: () => Promise<T>
+  ): Promise<CachedResponse<T>> {
+    const generation = this.generation;
+    const startTime = Date.now();
+    try {
+      const data = await fetcher();
+      const fetchTime = Date.now() - startTime;
+      this.counters.fetches++;
+      this.counters.fetch_ms += fetchTime;
+
+      if (generation === this.generation && (this.options.cacheable?.(data) ?? true)) {
+        this.backend.set(key, { data, timestamp: now });
+      }
+
+      this.logger.logInfo(`Successfully fetched ${subject} in ${fetchTime}ms`);
+      return { data, source: 'api', fetchTime };
+    } catch (error) {
+      this.counters.fetch_errors++;
+      this.logger.logError(`Failed to fetch ${subject} from Metabase API`, error);
+
+      // If we have any cached version (even stale), return it as fallback
+      if (cached && this.options.staleFallback !== false) {
+        this.counters.stale_fallbacks++;
+        this.logger.logWarn(`Using stale cached data for ${subject} as fallback due to API error`);
+        return { data: cached.data, source: 'cache', fetchTime: 0 };
+      }
+
+      throw error;
+    }
+  }
+
+  delete(key: CacheKey): void {
+    this.generation++;
+    this.inFlight.delete(String(key));
+    this.backend.delete(key);
+  }
+
+  clear(): void {
+    this.generation++;
+    this.inFlight.clear();
+    this.backend.clear();
+  }
+
+  stats(): CachedResourceStats {
+    const { hits, misses, deduplicated, stale_fallbacks, fetch_errors, fetches, fetch_ms } =
+      this.counters;
+    const lookups = hits + misses + deduplicated;
+    return {
+      entries: this.backend.size,
+      hits,
+      misses,
+      deduplicated,
+      stale_fallbacks,
+      fetch_errors,
+      hit_rate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null,
+      average_fetch_ms: fetches > 0 ? Math.round(fetch_ms / fetches) : null,
+    };
+  }
+
+  resetStats(): void {
+    for (const counter of Object.keys(this.counters) as Array<keyof typeof this.counters>) {
+      this.counters[counter] = 0;
+    }
+  }
+}
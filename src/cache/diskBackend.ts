@@ -0,0 +1,159 @@
+/**
+ * On-disk cache backend: one JSON file per entry, so caches survive server restarts.
+ *
+ * Entry files are named by a hash of the key, which keeps names within file system limits
+ * however long the key, e.g. parameter value searches; the key itself is stored in the file.
+ * Recency is tracked in memory and persisted through file modification times, which
+ * restores the LRU order on startup. Disk errors are logged and treated as cache misses
+ * so a broken cache directory never fails a request.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { CacheBackend, CacheEntry, CacheKey } from './backend.js';
+
+const ENTRY_SUFFIX = '.json';
+const ENTRY_FILE = /^[0-9a-f]{64}\.json$/;
+
+function entryName(id: string): string {
+  return createHash('sha256').update(id).digest('hex');
+}
+
+export class DiskCacheBackend<T = any> implements CacheBackend<T> {
+  // Entry names (key hashes) in least to most recently used order
+  private entries = new Set<string>();
+
+  constructor(
+    private readonly directory: string,
+    private readonly maxEntries: number,
+    private readonly logWarn: (message: string, data?: unknown, error?: Error) => void
+  ) {
+    this.loadIndex();
+  }
+
+  get(key: CacheKey): CacheEntry<T> | undefined {
+    const id = String(key);
+    const name = entryName(id);
+    if (!this.entries.has(name)) {
+      return undefined;
+    }
+
+    const file = this.entryPath(name);
+    try {
+      const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (typeof stored?.timestamp !== 'number' || !('data' in stored) || stored.key !== id) {
+        throw new Error('Malformed cache entry');
+      }
+      this.touch(name);
+      const now = new Date();
+      fs.utimesSync(file, now, now);
+      return { data: stored.data, timestamp: stored.timestamp };
+    } catch (error) {
+      this.logWarn(`Dropping unreadable cache entry ${file}`, undefined, error as Error);
+      this.remove(name);
+      return undefined;
+    }
+  }
+
+  set(key: CacheKey, entry: CacheEntry<T>): void {
+    const id = String(key);
+    const name = entryName(id);
+    const file = this.entryPath(name);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+      // Write then rename so readers never see a partial entry
+      fs.writeFileSync(
+        tempFile,
+        JSON.stringify({ key: id, timestamp: entry.timestamp, data: entry.data }),
+        { encoding: 'utf8', mode: 0o600 }
+      );
+      fs.renameSync(tempFile, file);
+      this.touch(name);
+    } catch (error) {
+      this.logWarn(`Failed to write cache entry ${file}`, undefined, error as Error);
+      fs.rmSync(tempFile, { force: true });
+      return;
+    }
+    this.evictOverflow();
+  }
+
+  delete(key: CacheKey): void {
+    this.remove(entryName(String(key)));
+  }
+
+  clear(): void {
+    for (const name of [...this.entries]) {
+      this.remove(name);
+    }
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  private remove(name: string): void {
+    this.entries.delete(name);
+    try {
+      fs.rmSync(this.entryPath(name), { force: true });
+    } catch (error) {
+      this.logWarn(`Failed to remove cache entry ${name}`, undefined, error as Error);
+    }
+  }
+
+  private entryPath(name: string): string {
+    return path.join(this.directory, `${name}${ENTRY_SUFFIX}`);
+  }
+
+  private touch(name: string): void {
+    this.entries.delete(name);
+    this.entries.add(name);
+  }
+
+  private loadIndex(): void {
+    let files: string[];
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith(ENTRY_SUFFIX));
+    } catch (error: any) {
+      if (error?.code !== 'ENOENT') {
+        this.logWarn(`Failed to read cache directory ${this.directory}`, undefined, error);
+      }
+      return;
+    }
+
+    const entries = files
+      .map(file => {
+        try {
+          if (!ENTRY_FILE.test(file)) {
+            // Written before entries were named by hash
+            fs.rmSync(path.join(this.directory, file), { force: true });
+            return null;
+          }
+          return {
+            name: file.slice(0, -ENTRY_SUFFIX.length),
+            mtime: fs.statSync(path.join(this.directory, file)).mtimeMs,
+          };
+        } catch {
+          return null;
+        }
+      })
+      .filter((entry): entry is { name: string; mtime: number } => entry !== null)
+      .sort((a, b) => a.mtime - b.mtime);
+
+    for (const entry of entries) {
+      this.entries.add(entry.name);
+    }
+    // The limit may have been lowered since the entries were written
+    this.evictOverflow();
+  }
+
+  private evictOverflow(): void {
+    for (const oldest of this.entries) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.remove(oldest);
+    }
+  }
+}
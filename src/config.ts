@@ -28,6 +28,15 @@ function expandSystemVariables(path: string | undefined): string {
     .replace(/^~/, homeDir);
 }
 
+// Per-database overrides for the read-only SQL guard, keyed by Metabase database ID
+const sqlGuardDatabaseSchema = z.object({
+  enabled: z.boolean().optional(),
+  allow: z.array(z.string().min(1)).optional(),
+  allow_multiple_statements: z.boolean().optional(),
+});
+
+export type SqlGuardDatabasePolicy = z.infer<typeof sqlGuardDatabaseSchema>;
+
 // Environment variable schema
 const envSchema = z
   .object({
@@ -42,18 +51,155 @@ const envSchema = z
       .default('600000')
       .transform(val => parseInt(val, 10))
       .pipe(z.number().positive()), // 10 minutes
+    // Where cached Metabase metadata lives: 'memory' (lost on restart) or 'disk'
+    CACHE_BACKEND: z.enum(['memory', 'disk']).default('memory'),
+    CACHE_DIRECTORY: z
+      .string()
+      .default('${HOME}/.cache/metabase-mcp')
+      .transform(expandSystemVariables),
+    CACHE_MAX_ENTRIES: z
+      .string()
+      .default('1000')
+      .transform(val => parseInt(val, 10))
+      .pipe(z.number().int().positive()), // per cache
+    // Results of execute calls, cached separately from metadata; 0 disables the cache
+    RESULT_CACHE_TTL_MS: z
+      .string()
+      .default('300000')
+      .transform(val => parseInt(val, 10))
+      .pipe(z.number().int().min(0)), // 5 minutes
+    RESULT_CACHE_MAX_ENTRIES: z
+      .string()
+      .default('100')
+      .transform(val => parseInt(val, 10))
+      .pipe(z.number().int().positive()), // per result cache
+    // How often subscribed resources are checked for changes, through the metadata cache
+    RESOURCE_POLL_INTERVAL_MS: z
+      .string()
+      .default('60000')
+      .transform(val => parseInt(val, 10))
+      .pipe(z.number().int().min(1000)), // 1 minute
     REQUEST_TIMEOUT_MS: z
       .string()
       .default('600000')
       .transform(val => parseInt(val, 10))
       .pipe(z.number().positive()), // 10 minutes
+    // Retries for failed Metabase API requests; all attempts share REQUEST_TIMEOUT_MS
+    REQUEST_MAX_RETRIES: z
+      .string()
+      .default('3')
+      .transform(val => parseInt(val, 10))
+      .pipe(z.number().int().min(0).max(10)),
+    REQUEST_RETRY_BASE_DELAY_MS: z
+      .string()
+      .default('500')
+      .transform(val => parseInt(val, 10))
+      .pipe(z.number().int().min(0)),
+    REQUEST_RETRY_MAX_DELAY_MS: z
+      .string()
+      .default('10000')
+      .transform(val => parseInt(val, 10))
+      .pipe(z.number().int().min(0)),
+    // Consecutive connection failures before requests to Metabase fail fast
+    CIRCUIT_BREAKER_FAILURE_THRESHOLD: z
+      .string()
+      .default('5')
+      .transform(val => parseInt(val, 10))
+      .pipe(z.number().int().positive()),
+    CIRCUIT_BREAKER_RESET_MS: z
+      .string()
+      .default('30000')
+      .transform(val => parseInt(val, 10))
+      .pipe(z.number().int().positive()),
+    // Keep the username/password session across restarts, in a file only this user can read
+    SESSION_PERSIST: z
+      .enum(['true', 'false'])
+      .default('true')
+      .transform(val => val === 'true'),
+    SESSION_DIRECTORY: z
+      .string()
+      .default('${HOME}/.config/metabase-mcp')
+      .transform(expandSystemVariables),
     EXPORT_DIRECTORY: z.string().default('${DOWNLOADS}/Metabase').transform(expandSystemVariables),
+    // Recurring exports run inside the server process, with jobs kept in EXPORT_SCHEDULE_DIRECTORY;
+    // off unless explicitly enabled, as it starts a background scheduler and writes a job store
+    EXPORT_SCHEDULER_ENABLED: z
+      .enum(['true', 'false'])
+      .default('false')
+      .transform(val => val === 'true'),
+    EXPORT_SCHEDULE_DIRECTORY: z
+      .string()
+      .default('${HOME}/.config/metabase-mcp')
+      .transform(expandSystemVariables),
+    // Default age in days after which scheduled export files are removed (0 keeps them)
+    EXPORT_RETENTION_DAYS: z
+      .string()
+      .default('30')
+      .transform(val => parseInt(val, 10))
+      .pipe(z.number().int().min(0)),
+    // Transport used to serve MCP clients: 'stdio' (single local client) or 'http' (shared SSE server)
+    MCP_TRANSPORT: z.enum(['stdio', 'http']).default('stdio'),
+    MCP_SERVER_HOST: z.string().default('127.0.0.1'),
+    MCP_SERVER_PORT: z
+      .string()
+      .default('3000')
+      .transform(val => parseInt(val, 10))
+      .pipe(z.number().int().positive().max(65535)),
+    // Per-client authentication for the shared HTTP transport
+    MCP_AUTH_TOKENS_FILE: z.string().optional(),
+    MCP_SESSION_PASSTHROUGH: z
+      .enum(['true', 'false'])
+      .default('false')
+      .transform(val => val === 'true'),
+    // Unset: required on the HTTP transport, where anonymous clients would share the server's account
+    MCP_REQUIRE_CLIENT_AUTH: z
+      .enum(['true', 'false'])
+      .optional()
+      .transform(val => (val === undefined ? undefined : val === 'true')),
+    // Read-only SQL guard for execute and export tools
+    SQL_GUARD_ENABLED: z
+      .enum(['true', 'false'])
+      .default('true')
+      .transform(val => val === 'true'),
+    SQL_GUARD_DATABASES: z
+      .string()
+      .default('{}')
+      .transform((val, ctx) => {
+        try {
+          return JSON.parse(val);
+        } catch {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'must be valid JSON' });
+          return z.NEVER;
+        }
+      })
+      .pipe(
+        z.record(z.string().regex(/^\d+$/, 'keys must be database IDs'), sqlGuardDatabaseSchema)
+      ),
+    // Check SQL tables and columns against Metabase metadata before execute runs a query
+    SQL_SCHEMA_CHECK_ENABLED: z
+      .enum(['true', 'false'])
+      .default('true')
+      .transform(val => val === 'true'),
+    // Reject queries with unknown identifiers instead of returning them as warnings
+    SQL_SCHEMA_CHECK_BLOCKING: z
+      .enum(['true', 'false'])
+      .default('false')
+      .transform(val => val === 'true'),
+    // Tools that create or modify Metabase content (cards); off unless explicitly enabled
+    WRITE_TOOLS_ENABLED: z
+      .enum(['true', 'false'])
+      .default('false')
+      .transform(val => val === 'true'),
   })
   .refine(data => data.METABASE_API_KEY || (data.METABASE_USER_EMAIL && data.METABASE_PASSWORD), {
     message:
       'Either METABASE_API_KEY or both METABASE_USER_EMAIL and METABASE_PASSWORD must be provided',
     path: ['METABASE_API_KEY'],
-  });
+  })
+  .transform(data => ({
+    ...data,
+    MCP_REQUIRE_CLIENT_AUTH: data.MCP_REQUIRE_CLIENT_AUTH ?? data.MCP_TRANSPORT === 'http',
+  }));
 
 // Parse and validate environment variables
 function validateEnvironment() {
@@ -78,8 +224,37 @@ function createTestConfig() {
     NODE_ENV: 'test' as const,
     LOG_LEVEL: 'info' as const,
     CACHE_TTL_MS: 600000,
+    CACHE_BACKEND: 'memory' as 'memory' | 'disk',
+    CACHE_DIRECTORY: join(homedir(), '.cache', 'metabase-mcp'),
+    CACHE_MAX_ENTRIES: 1000,
+    RESULT_CACHE_TTL_MS: 300000,
+    RESULT_CACHE_MAX_ENTRIES: 100,
+    RESOURCE_POLL_INTERVAL_MS: 60000,
     REQUEST_TIMEOUT_MS: 600000,
+    REQUEST_MAX_RETRIES: 3,
+    REQUEST_RETRY_BASE_DELAY_MS: 500,
+    REQUEST_RETRY_MAX_DELAY_MS: 10000,
+    CIRCUIT_BREAKER_FAILURE_THRESHOLD: 5,
+    CIRCUIT_BREAKER_RESET_MS: 30000,
+    // Tests never write sessions to the real home directory
+    SESSION_PERSIST: false,
+    SESSION_DIRECTORY: join(homedir(), '.config', 'metabase-mcp'),
     EXPORT_DIRECTORY: join(homedir(), 'Downloads', 'Metabase'),
+    // Tests never run exports in the background
+    EXPORT_SCHEDULER_ENABLED: false,
+    EXPORT_SCHEDULE_DIRECTORY: join(homedir(), '.config', 'metabase-mcp'),
+    EXPORT_RETENTION_DAYS: 30,
+    MCP_TRANSPORT: 'stdio' as const,
+    MCP_SERVER_HOST: '127.0.0.1',
+    MCP_SERVER_PORT: 3000,
+    MCP_AUTH_TOKENS_FILE: undefined,
+    MCP_SESSION_PASSTHROUGH: false,
+    MCP_REQUIRE_CLIENT_AUTH: false,
+    SQL_GUARD_ENABLED: true,
+    SQL_GUARD_DATABASES: {} as Record<string, SqlGuardDatabasePolicy>,
+    SQL_SCHEMA_CHECK_ENABLED: true,
+    SQL_SCHEMA_CHECK_BLOCKING: false,
+    WRITE_TOOLS_ENABLED: false,
   };
 }
 
@@ -95,6 +270,12 @@ export enum AuthMethod {
   API_KEY = 'api_key',
 }
 
+// Transport type enum
+export enum TransportType {
+  STDIO = 'stdio',
+  HTTP = 'http',
+}
+
 // Logger level enum
 export enum LogLevel {
   DEBUG = 'debug',
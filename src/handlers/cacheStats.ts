@@ -0,0 +1,68 @@
+import { z } from 'zod';
+import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { MetabaseApiClient } from '../api.js';
+import { config } from '../config.js';
+import { ErrorCode, McpError } from '../types/core.js';
+
+export function handleCacheStats(
+  request: z.infer<typeof CallToolRequestSchema>,
+  apiClient: MetabaseApiClient,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void
+) {
+  const requestId = 'cacheStats';
+  const reset = request.params?.arguments?.reset ?? false;
+
+  if (typeof reset !== 'boolean') {
+    logWarn('Invalid reset parameter - must be a boolean', { requestId });
+    throw new McpError(ErrorCode.InvalidParams, 'reset parameter must be a boolean');
+  }
+
+  const caches = apiClient.getCacheStats();
+  const totals = { hits: 0, misses: 0, deduplicated: 0, stale_fallbacks: 0, fetch_errors: 0 };
+  for (const stats of Object.values(caches)) {
+    totals.hits += stats.hits;
+    totals.misses += stats.misses;
+    totals.deduplicated += stats.deduplicated;
+    totals.stale_fallbacks += stats.stale_fallbacks;
+    totals.fetch_errors += stats.fetch_errors;
+  }
+  const lookups = totals.hits + totals.misses + totals.deduplicated;
+
+  if (reset) {
+    apiClient.resetCacheStats();
+  }
+  logInfo(`Reported cache statistics${reset ? ' and reset counters' : ''}`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            cache_ttl_ms: config.CACHE_TTL_MS,
+            result_cache_ttl_ms: config.RESULT_CACHE_TTL_MS,
+            cache_backend: config.CACHE_BACKEND,
+            totals: {
+              ...totals,
+              hit_rate: lookups > 0 ? Math.round((totals.hits / lookups) * 1000) / 1000 : null,
+            },
+            caches,
+            counters_reset: reset,
+            cache_info: {
+              hits: 'Served from cache within CACHE_TTL_MS, or RESULT_CACHE_TTL_MS for query-results and card-results',
+              misses: 'Fetched from Metabase because the entry was missing or expired',
+              deduplicated: 'Joined a fetch already in flight for the same item',
+              stale_fallbacks:
+                'Expired entries served because Metabase could not be reached (never for results)',
+              tuning:
+                'Frequent misses on entries that rarely change suggest raising CACHE_TTL_MS; stale fallbacks point at an unreliable Metabase connection',
+            },
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -0,0 +1,231 @@
+import { z } from 'zod';
+import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { MetabaseApiClient } from '../../api.js';
+import { config } from '../../config.js';
+import { ValidationErrorFactory } from '../../utils/errorFactory.js';
+import {
+  handleApiError,
+  enforceReadOnlySql,
+  ensureWriteToolsEnabled,
+  parseToolArguments,
+} from '../../utils/index.js';
+import { createCardSchema, updateCardSchema } from './schemas.js';
+import { buildTemplateTags, buildCardParameters } from './templateTags.js';
+import { CardWriteResponse } from './types.js';
+
+function nativeDatasetQuery(databaseId: number, query: string, templateTags: Record<string, any>) {
+  return {
+    type: 'native',
+    native: {
+      query,
+      'template-tags': templateTags,
+    },
+    database: databaseId,
+  };
+}
+
+function formatCardWriteResponse(action: 'created' | 'updated', card: any): CardWriteResponse {
+  const templateTags = Object.values(card?.dataset_query?.native?.['template-tags'] || {}).map(
+    (tag: any) => ({
+      name: tag.name,
+      type: tag.type,
+      required: tag.required === true,
+    })
+  );
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            success: true,
+            action,
+            card_id: card?.id,
+            name: card?.name,
+            description: card?.description ?? undefined,
+            display: card?.display,
+            collection_id: card?.collection_id ?? null,
+            database_id: card?.dataset_query?.database ?? card?.database_id,
+            template_tags: templateTags.length > 0 ? templateTags : undefined,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+export async function handleCreateCard(
+  request: z.infer<typeof CallToolRequestSchema>,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<CardWriteResponse> {
+  ensureWriteToolsEnabled(config.WRITE_TOOLS_ENABLED, 'create_card', requestId, logWarn);
+  const args = parseToolArguments(
+    createCardSchema,
+    request.params?.arguments,
+    'create_card',
+    requestId,
+    logWarn
+  );
+
+  enforceReadOnlySql(
+    args.query,
+    args.database_id,
+    { enabled: config.SQL_GUARD_ENABLED, databases: config.SQL_GUARD_DATABASES },
+    requestId,
+    logWarn
+  );
+
+  const templateTags = buildTemplateTags(args.query, args.template_tags);
+  const card = {
+    name: args.name,
+    description: args.description ?? null,
+    display: args.display,
+    collection_id: args.collection_id ?? null,
+    type: 'question',
+    visualization_settings: {},
+    dataset_query: nativeDatasetQuery(args.database_id, args.query, templateTags),
+    parameters: buildCardParameters(templateTags),
+  };
+
+  logDebug(
+    `Creating card '${args.name}' in collection ${args.collection_id ?? 'root'} with ${Object.keys(templateTags).length} template tag(s)`
+  );
+
+  let created: any;
+  try {
+    created = await apiClient.createCard(card);
+  } catch (error: any) {
+    throw handleApiError(
+      error,
+      {
+        operation: 'Card creation',
+        resourceType: 'card',
+        customMessages: {
+          '400': 'Metabase rejected the card. Check the query, display type and template tags.',
+          '403':
+            'You do not have permission to save questions in this collection or query this database.',
+        },
+      },
+      logError
+    );
+  }
+
+  logInfo(`Created card ${created?.id} '${args.name}'`);
+  return formatCardWriteResponse('created', created);
+}
+
+export async function handleUpdateCard(
+  request: z.infer<typeof CallToolRequestSchema>,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<CardWriteResponse> {
+  ensureWriteToolsEnabled(config.WRITE_TOOLS_ENABLED, 'update_card', requestId, logWarn);
+  const args = parseToolArguments(
+    updateCardSchema,
+    request.params?.arguments,
+    'update_card',
+    requestId,
+    logWarn
+  );
+  const cardId = args.card_id;
+
+  const changes: Record<string, unknown> = {};
+  if (args.name !== undefined) {
+    changes.name = args.name;
+  }
+  if (args.description !== undefined) {
+    changes.description = args.description;
+  }
+  if (args.display !== undefined) {
+    changes.display = args.display;
+  }
+  if (args.collection_id !== undefined) {
+    changes.collection_id = args.collection_id;
+  }
+
+  // Query changes rebuild dataset_query from the current card, so fetch it uncached
+  if (
+    args.query !== undefined ||
+    args.database_id !== undefined ||
+    args.template_tags !== undefined
+  ) {
+    let existing: any;
+    try {
+      existing = await apiClient.request<any>(`/api/card/${cardId}`);
+    } catch (error: any) {
+      throw handleApiError(
+        error,
+        { operation: 'Card retrieval', resourceType: 'card', resourceId: cardId },
+        logError
+      );
+    }
+
+    const existingNative =
+      existing?.dataset_query?.type === 'native' ? existing.dataset_query.native : null;
+    const query = args.query ?? existingNative?.query;
+    if (!query) {
+      logWarn(`Card ${cardId} has no native SQL query to update`, { requestId });
+      throw ValidationErrorFactory.invalidParameter(
+        'query',
+        undefined,
+        'a SQL query - this card was built with the query builder, so provide query to replace it'
+      );
+    }
+    const databaseId = args.database_id ?? existing?.dataset_query?.database;
+
+    enforceReadOnlySql(
+      query,
+      databaseId,
+      { enabled: config.SQL_GUARD_ENABLED, databases: config.SQL_GUARD_DATABASES },
+      requestId,
+      logWarn
+    );
+
+    const templateTags = buildTemplateTags(
+      query,
+      args.template_tags,
+      existingNative?.['template-tags'] || {}
+    );
+    changes.dataset_query = nativeDatasetQuery(databaseId, query, templateTags);
+    changes.parameters = buildCardParameters(
+      templateTags,
+      Array.isArray(existing?.parameters) ? existing.parameters : []
+    );
+  }
+
+  logDebug(`Updating card ${cardId} fields: ${Object.keys(changes).join(', ')}`);
+
+  let updated: any;
+  try {
+    updated = await apiClient.updateCard(cardId, changes);
+  } catch (error: any) {
+    throw handleApiError(
+      error,
+      {
+        operation: 'Card update',
+        resourceType: 'card',
+        resourceId: cardId,
+        customMessages: {
+          '400': 'Metabase rejected the update. Check the query, display type and template tags.',
+          '403': 'You do not have permission to edit this card or move it to that collection.',
+        },
+      },
+      logError
+    );
+  }
+
+  logInfo(`Updated card ${cardId}: ${Object.keys(changes).join(', ')}`);
+  return formatCardWriteResponse('updated', updated);
+}
@@ -0,0 +1,95 @@
+/**
+ * Argument schemas for the card write tools, validated with zod like the environment in config.ts
+ */
+
+import { z } from 'zod';
+
+// Visualization types accepted by Metabase for saved questions
+export const CARD_DISPLAY_TYPES = [
+  'table',
+  'scalar',
+  'smartscalar',
+  'line',
+  'bar',
+  'row',
+  'area',
+  'combo',
+  'pie',
+  'scatter',
+  'funnel',
+  'progress',
+  'gauge',
+  'waterfall',
+  'pivot',
+  'map',
+  'object',
+] as const;
+
+// Variable types that can be set on {{variable}} template tags
+export const TEMPLATE_TAG_TYPES = ['text', 'number', 'date', 'dimension'] as const;
+
+const templateTagOverrideSchema = z
+  .object({
+    type: z.enum(TEMPLATE_TAG_TYPES).optional(),
+    display_name: z.string().trim().min(1).optional(),
+    required: z.boolean().optional(),
+    default: z
+      .union([z.string(), z.number(), z.array(z.union([z.string(), z.number()]))])
+      .optional(),
+    // Field filters (type 'dimension') only
+    field_id: z.number().int().positive().optional(),
+    widget_type: z.string().min(1).optional(),
+  })
+  .strict()
+  .refine(tag => tag.type !== 'dimension' || tag.field_id !== undefined, {
+    message: 'dimension tags require field_id',
+    path: ['field_id'],
+  })
+  .refine(tag => tag.type === 'dimension' || tag.widget_type === undefined, {
+    message: 'widget_type is only valid for dimension tags',
+    path: ['widget_type'],
+  });
+
+export type TemplateTagOverride = z.infer<typeof templateTagOverrideSchema>;
+
+const cardFieldsSchema = {
+  name: z.string().trim().min(1).max(254),
+  description: z.string().nullable(),
+  display: z.enum(CARD_DISPLAY_TYPES),
+  // null saves to the root collection
+  collection_id: z.number().int().positive().nullable(),
+  database_id: z.number().int().positive(),
+  query: z.string().trim().min(1),
+  template_tags: z.record(templateTagOverrideSchema),
+};
+
+export const createCardSchema = z
+  .object({
+    name: cardFieldsSchema.name,
+    database_id: cardFieldsSchema.database_id,
+    query: cardFieldsSchema.query,
+    collection_id: cardFieldsSchema.collection_id.optional(),
+    description: cardFieldsSchema.description.optional(),
+    display: cardFieldsSchema.display.default('table'),
+    template_tags: cardFieldsSchema.template_tags.optional(),
+  })
+  .strict();
+
+export const updateCardSchema = z
+  .object({
+    card_id: z.number().int().positive(),
+    name: cardFieldsSchema.name.optional(),
+    database_id: cardFieldsSchema.database_id.optional(),
+    query: cardFieldsSchema.query.optional(),
+    collection_id: cardFieldsSchema.collection_id.optional(),
+    description: cardFieldsSchema.description.optional(),
+    display: cardFieldsSchema.display.optional(),
+    template_tags: cardFieldsSchema.template_tags.optional(),
+  })
+  .strict()
+  .refine(args => Object.keys(args).some(key => key !== 'card_id'), {
+    message: 'at least one field to update is required',
+  });
+
+export type CreateCardArgs = z.infer<typeof createCardSchema>;
+export type UpdateCardArgs = z.infer<typeof updateCardSchema>;
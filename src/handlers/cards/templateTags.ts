@@ -0,0 +1,173 @@
+/**
+ * Derive Metabase template tags and card parameters from {{variable}} usage in native SQL
+ */
+
+import { randomUUID } from 'crypto';
+import { ValidationErrorFactory } from '../../utils/errorFactory.js';
+import { TemplateTagOverride } from './schemas.js';
+
+// Metabase matches tags anywhere in the query text, including inside strings and comments
+const TEMPLATE_TAG_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const CARD_REFERENCE_PATTERN = /^#(\d+)(?:-[a-z0-9-]*)?$/i;
+const SNIPPET_PATTERN = /^snippet:/i;
+
+// Parameter widget used for each variable type
+const PARAMETER_TYPES: Record<string, string> = {
+  text: 'category',
+  number: 'number/=',
+  date: 'date/single',
+};
+
+/**
+ * Tag names in order of first use in the query
+ */
+export function extractTemplateTagNames(query: string): string[] {
+  const names: string[] = [];
+  for (const match of query.matchAll(TEMPLATE_TAG_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+function displayNameFor(name: string): string {
+  return name
+    .split('_')
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function applyOverride(tag: any, override: TemplateTagOverride): any {
+  const updated = { ...tag };
+
+  if (override.type !== undefined) {
+    updated.type = override.type;
+  }
+  if (override.display_name !== undefined) {
+    updated['display-name'] = override.display_name;
+  }
+  if (override.required !== undefined) {
+    updated.required = override.required;
+  }
+  if (override.default !== undefined) {
+    updated.default = override.default;
+  }
+
+  if (updated.type === 'dimension') {
+    if (override.field_id !== undefined) {
+      updated.dimension = ['field', override.field_id, null];
+    }
+    updated['widget-type'] = override.widget_type ?? updated['widget-type'] ?? 'category';
+  } else {
+    delete updated.dimension;
+    delete updated['widget-type'];
+  }
+
+  return updated;
+}
+
+/**
+ * Build the template-tags map for a native query.
+ *
+ * Existing tags with the same name keep their IDs and settings, so dashboard filters
+ * wired to them keep working; overrides then change type, display name and defaults.
+ */
+export function buildTemplateTags(
+  query: string,
+  overrides: Record<string, TemplateTagOverride> = {},
+  existingTags: Record<string, any> = {}
+): Record<string, any> {
+  const names = extractTemplateTagNames(query);
+  const tags: Record<string, any> = {};
+
+  for (const name of Object.keys(overrides)) {
+    if (!names.includes(name)) {
+      throw ValidationErrorFactory.invalidParameter(
+        `template_tags.${name}`,
+        name,
+        `a {{variable}} used in the query (${names.join(', ') || 'none found'})`
+      );
+    }
+  }
+
+  for (const name of names) {
+    if (SNIPPET_PATTERN.test(name)) {
+      throw ValidationErrorFactory.invalidParameter(
+        'query',
+        `{{${name}}}`,
+        'SQL without snippet references - inline the snippet SQL instead'
+      );
+    }
+
+    const cardReference = CARD_REFERENCE_PATTERN.exec(name);
+    if (cardReference) {
+      const cardId = parseInt(cardReference[1], 10);
+      tags[name] = {
+        id: existingTags[name]?.id ?? randomUUID(),
+        name,
+        'display-name': name,
+        type: 'card',
+        'card-id': cardId,
+      };
+      continue;
+    }
+
+    if (!VARIABLE_NAME_PATTERN.test(name)) {
+      throw ValidationErrorFactory.invalidParameter(
+        'query',
+        `{{${name}}}`,
+        '{{variable_name}} using letters, digits and underscores, or {{#card_id}}'
+      );
+    }
+
+    const base = existingTags[name] ?? {
+      id: randomUUID(),
+      name,
+      'display-name': displayNameFor(name),
+      type: 'text',
+    };
+    tags[name] = overrides[name] ? applyOverride(base, overrides[name]) : base;
+  }
+
+  return tags;
+}
+
+/**
+ * Build card parameters for the variable and field filter tags.
+ * Settings already stored on matching parameters (e.g. value sources) are preserved.
+ */
+export function buildCardParameters(
+  tags: Record<string, any>,
+  existingParameters: any[] = []
+): any[] {
+  return Object.values(tags)
+    .filter(tag => tag.type !== 'card' && tag.type !== 'snippet')
+    .map(tag => {
+      const existing = existingParameters.find(param => param?.id === tag.id) ?? {};
+      const parameter: any = {
+        ...existing,
+        id: tag.id,
+        type:
+          tag.type === 'dimension'
+            ? tag['widget-type'] || 'category'
+            : PARAMETER_TYPES[tag.type] || 'category',
+        target: [tag.type === 'dimension' ? 'dimension' : 'variable', ['template-tag', tag.name]],
+        name: tag['display-name'],
+        slug: tag.name,
+      };
+
+      if (tag.default !== undefined) {
+        parameter.default = tag.default;
+      }
+      if (tag.required) {
+        parameter.required = true;
+      } else {
+        delete parameter.required;
+      }
+
+      return parameter;
+    });
+}
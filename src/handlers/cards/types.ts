@@ -0,0 +1,6 @@
+export interface CardWriteResponse {
+  content: Array<{
+    type: 'text';
+    text: string;
+  }>;
+}
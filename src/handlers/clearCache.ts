@@ -21,13 +21,17 @@ export function handleClearCache(
     'databases',
     'collections',
     'fields',
+    'parameter-values',
     'cards-list',
     'dashboards-list',
     'tables-list',
     'databases-list',
     'collections-list',
+    'query-results',
+    'card-results',
     'all-lists',
     'all-individual',
+    'all-results',
   ] as const;
 
   const cacheType = validateEnumValue(
@@ -79,6 +83,12 @@ export function handleClearCache(
         cacheStatus = 'fields_cache_empty';
         break;
 
+      case 'parameter-values':
+        apiClient.clearParameterValuesCache();
+        message = 'Parameter values cache cleared successfully (card, dashboard and field values)';
+        cacheStatus = 'parameter_values_cache_empty';
+        break;
+
       case 'cards-list':
         apiClient.clearCardsListCache();
         message = 'Cards list cache cleared successfully';
@@ -109,6 +119,18 @@ export function handleClearCache(
         cacheStatus = 'collections_list_cache_empty';
         break;
 
+      case 'query-results':
+        apiClient.clearQueryResultsCache();
+        message = 'Query results cache cleared successfully (SQL and query builder queries)';
+        cacheStatus = 'query_results_cache_empty';
+        break;
+
+      case 'card-results':
+        apiClient.clearCardResultsCache();
+        message = 'Card results cache cleared successfully';
+        cacheStatus = 'card_results_cache_empty';
+        break;
+
       case 'all-lists':
         apiClient.clearListCaches();
         message =
@@ -128,11 +150,17 @@ export function handleClearCache(
         cacheStatus = 'all_individual_caches_empty';
         break;
 
+      case 'all-results':
+        apiClient.clearResultCaches();
+        message = 'All result caches cleared successfully (queries and cards)';
+        cacheStatus = 'all_result_caches_empty';
+        break;
+
       case 'all':
       default:
         apiClient.clearAllCache();
         message =
-          'All caches cleared successfully (individual items and lists for cards, dashboards, tables, databases, collections, and fields)';
+          'All caches cleared successfully (individual items and lists for cards, dashboards, tables, databases, collections, and fields, parameter values, and execute results)';
         cacheStatus = 'all_caches_empty';
         break;
     }
@@ -155,8 +183,12 @@ export function handleClearCache(
                 cache_types: {
                   individual:
                     'Cache for specific items accessed by ID (cards, dashboards, tables, databases, collections, fields)',
+                  parameter_values:
+                    'Cache for card, dashboard and field filter values (parameter-values)',
                   lists:
                     'Cache for bulk list operations (cards-list, dashboards-list, tables-list, databases-list, collections-list)',
+                  results:
+                    'Cache for execute results keyed by query fingerprint, kept for RESULT_CACHE_TTL_MS (query-results, card-results)',
                 },
               },
             },
@@ -0,0 +1,131 @@
+import { generateRequestId } from '../../utils/index.js';
+import { ErrorCode, McpError } from '../../types/core.js';
+import { CachedResponse, MetabaseApiClient } from '../../api.js';
+import { promptDefinitions } from '../prompts/promptDefinitions.js';
+import { PromptArgumentModel } from '../prompts/types.js';
+import { CompleteRequest, CompleteResponse, LogFunction } from './types.js';
+
+// The MCP specification caps a completion result at 100 values
+const MAX_COMPLETION_VALUES = 100;
+
+// Resource templates whose {id} completes to the IDs of a Metabase object type
+const RESOURCE_ID_TEMPLATE = /^metabase:\/\/(card|dashboard|table|database|collection)\/\{id\}$/;
+
+// Cached list behind each object type
+const LIST_LOADERS: Record<
+  PromptArgumentModel,
+  (apiClient: MetabaseApiClient) => Promise<CachedResponse<any[]>>
+> = {
+  card: apiClient => apiClient.getCardsList(),
+  dashboard: apiClient => apiClient.getDashboardsList(),
+  table: apiClient => apiClient.getTablesList(),
+  database: apiClient => apiClient.getDatabasesList(),
+  collection: apiClient => apiClient.getCollectionsList(),
+};
+
+/**
+ * Object type whose IDs complete the referenced prompt argument or resource template
+ * variable, or null when the argument takes free text
+ */
+function completionModel(request: CompleteRequest): PromptArgumentModel | null {
+  const { ref, argument } = request.params;
+
+  if (ref.type === 'ref/prompt') {
+    const prompt = promptDefinitions.find(definition => definition.name === ref.name);
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${ref.name}`);
+    }
+    const promptArgument = prompt.arguments.find(arg => arg.name === argument.name);
+    return promptArgument?.completion ?? null;
+  }
+
+  const match = argument.name === 'id' ? RESOURCE_ID_TEMPLATE.exec(String(ref.uri)) : null;
+  return match ? (match[1] as PromptArgumentModel) : null;
+}
+
+/**
+ * Items whose ID or name starts with the typed value, followed by those with a later word in
+ * the name starting with it, each ordered by name. Archived items and the root collection,
+ * which has no numeric ID, are left out.
+ */
+export function matchCompletionItems(items: any[], value: string): any[] {
+  const typed = value.trim().toLowerCase();
+  const ranked: Array<{ item: any; rank: number; label: string }> = [];
+
+  for (const item of items) {
+    if (typeof item?.id !== 'number' || item.archived) {
+      continue;
+    }
+    const labels = [item.name, item.display_name]
+      .filter(Boolean)
+      .map(label => String(label).toLowerCase());
+    let rank: number | null = null;
+    if (String(item.id).startsWith(typed) || labels.some(label => label.startsWith(typed))) {
+      rank = 0;
+    } else if (
+      labels.some(label =>
+        label
+          .split(/[^a-z0-9]+/)
+          .slice(1)
+          .some(word => word.length > 0 && word.startsWith(typed))
+      )
+    ) {
+      rank = 1;
+    }
+    if (rank !== null) {
+      ranked.push({ item, rank, label: labels[0] ?? '' });
+    }
+  }
+
+  return ranked
+    .sort((a, b) => a.rank - b.rank || a.label.localeCompare(b.label) || a.item.id - b.item.id)
+    .map(entry => entry.item);
+}
+
+/**
+ * Handle completion of prompt arguments and resource template variables
+ */
+export async function handleComplete(
+  request: CompleteRequest,
+  apiClient: MetabaseApiClient,
+  logInfo: LogFunction,
+  logWarn: LogFunction
+): Promise<CompleteResponse> {
+  const requestId = generateRequestId();
+  const model = completionModel(request);
+  const empty: CompleteResponse = { completion: { values: [], total: 0, hasMore: false } };
+
+  if (!model) {
+    return empty;
+  }
+
+  logInfo(`Processing completion request for ${model} IDs`, {
+    requestId,
+    ref: request.params.ref,
+    argument: request.params.argument.name,
+  });
+
+  let items: any[];
+  try {
+    await apiClient.getSessionToken();
+    const response = await LIST_LOADERS[model](apiClient);
+    items = Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    // A failed completion should leave the client with free text entry, not an error
+    logWarn(
+      `Failed to load ${model} list for completion`,
+      { requestId },
+      error instanceof Error ? error : undefined
+    );
+    return empty;
+  }
+
+  const matches = matchCompletionItems(items, request.params.argument.value);
+  return {
+    completion: {
+      values: matches.slice(0, MAX_COMPLETION_VALUES).map(item => String(item.id)),
+      total: matches.length,
+      hasMore: matches.length > MAX_COMPLETION_VALUES,
+    },
+  };
+}
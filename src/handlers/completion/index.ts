@@ -0,0 +1,2 @@
+export * from './completionHandlers.js';
+export * from './types.js';
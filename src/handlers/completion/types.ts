@@ -0,0 +1,9 @@
+import { z } from 'zod';
+import { CompleteRequestSchema, CompleteResultSchema } from '@modelcontextprotocol/sdk/types.js';
+
+// Type definitions for completion handlers
+export type CompleteRequest = z.infer<typeof CompleteRequestSchema>;
+export type CompleteResponse = z.infer<typeof CompleteResultSchema>;
+
+// Logging function type
+export type LogFunction = (message: string, data?: unknown, error?: Error) => void;
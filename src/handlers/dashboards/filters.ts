@@ -0,0 +1,139 @@
+/**
+ * Wire dashboard filters to the template tags of SQL cards
+ */
+
+import { randomBytes } from 'crypto';
+import { ValidationErrorFactory } from '../../utils/errorFactory.js';
+import { DashboardFilterArgs } from './schemas.js';
+
+export interface DashboardParameterMapping {
+  parameter_id: string;
+  card_id: number;
+  target: unknown[];
+}
+
+export interface ResolvedDashboardFilters {
+  parameters: any[];
+  // Parameter mappings for every dashcard showing the card, keyed by card ID
+  mappingsByCard: Map<number, DashboardParameterMapping[]>;
+}
+
+// Dashboard filter type used when a filter's type is derived from a template tag
+const FILTER_TYPES_BY_TAG_TYPE: Record<string, string> = {
+  text: 'string/=',
+  number: 'number/=',
+  date: 'date/single',
+};
+
+function slugify(name: string): string {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function filterableTags(card: any): Record<string, any> {
+  const tags = card?.dataset_query?.native?.['template-tags'] || {};
+  return Object.fromEntries(
+    Object.entries<any>(tags).filter(([, tag]) => tag?.type !== 'card' && tag?.type !== 'snippet')
+  );
+}
+
+function filterTypeForTag(tag: any): string {
+  if (tag.type === 'dimension') {
+    return tag['widget-type'] || 'category';
+  }
+  return FILTER_TYPES_BY_TAG_TYPE[tag.type] || 'category';
+}
+
+/**
+ * Build dashboard parameters and dashcard parameter mappings.
+ *
+ * Filters without explicit targets are wired to every card with a template tag named like
+ * the filter slug. Every filter must end up mapped to at least one card.
+ */
+export function resolveDashboardFilterMappings(
+  filters: DashboardFilterArgs[],
+  cards: Map<number, any>
+): ResolvedDashboardFilters {
+  const parameters: any[] = [];
+  const mappingsByCard = new Map<number, DashboardParameterMapping[]>();
+  const slugs = new Set<string>();
+
+  for (const filter of filters) {
+    const slug = filter.slug ?? slugify(filter.name);
+    if (!slug || slugs.has(slug)) {
+      throw ValidationErrorFactory.invalidParameter(
+        'filters.slug',
+        slug,
+        'a unique slug for each filter (set slug explicitly when names collide)'
+      );
+    }
+    slugs.add(slug);
+
+    const targets =
+      filter.targets ??
+      [...cards.entries()]
+        .filter(([, card]) => filterableTags(card)[slug])
+        .map(([cardId]) => ({ card_id: cardId, tag: slug }));
+
+    if (targets.length === 0) {
+      throw ValidationErrorFactory.invalidParameter(
+        `filters.${slug}`,
+        filter.name,
+        `targets, or a {{${slug}}} template tag in at least one of the dashboard's SQL cards`
+      );
+    }
+
+    const parameterId = randomBytes(4).toString('hex');
+    let firstTag: any;
+
+    for (const target of targets) {
+      const card = cards.get(target.card_id);
+      if (!card) {
+        throw ValidationErrorFactory.invalidParameter(
+          `filters.${slug}.targets.card_id`,
+          target.card_id,
+          'a card_id that is also listed in cards'
+        );
+      }
+
+      const tags = filterableTags(card);
+      const tag = tags[target.tag];
+      if (!tag) {
+        const available = Object.keys(tags);
+        throw ValidationErrorFactory.invalidParameter(
+          `filters.${slug}.targets.tag`,
+          target.tag,
+          available.length > 0
+            ? `a template tag of card ${target.card_id} (${available.join(', ')})`
+            : `a template tag, but card ${target.card_id} has none - only SQL cards with {{variables}} can be filtered`
+        );
+      }
+      firstTag = firstTag ?? tag;
+
+      const mappings = mappingsByCard.get(target.card_id) ?? [];
+      mappings.push({
+        parameter_id: parameterId,
+        card_id: target.card_id,
+        target: [tag.type === 'dimension' ? 'dimension' : 'variable', ['template-tag', target.tag]],
+      });
+      mappingsByCard.set(target.card_id, mappings);
+    }
+
+    const type = filter.type ?? filterTypeForTag(firstTag);
+    const parameter: any = {
+      id: parameterId,
+      name: filter.name,
+      slug,
+      type,
+      sectionId: type === 'category' ? 'string' : type.split('/')[0],
+    };
+    if (filter.default !== undefined) {
+      parameter.default = filter.default;
+    }
+    parameters.push(parameter);
+  }
+
+  return { parameters, mappingsByCard };
+}
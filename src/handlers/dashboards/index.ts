@@ -0,0 +1,192 @@
+import { z } from 'zod';
+import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { MetabaseApiClient } from '../../api.js';
+import { config } from '../../config.js';
+import { handleApiError, ensureWriteToolsEnabled, parseToolArguments } from '../../utils/index.js';
+import { optimizeDashboardResponse, OptimizationLevel } from '../retrieve/optimizers.js';
+import { createDashboardSchema } from './schemas.js';
+import { defaultDashcardSize, layoutDashcards } from './layout.js';
+import { resolveDashboardFilterMappings } from './filters.js';
+import { DashboardWriteResponse } from './types.js';
+
+async function fetchCards(
+  cardIds: number[],
+  apiClient: MetabaseApiClient,
+  logError: (message: string, error: unknown) => void
+): Promise<Map<number, any>> {
+  const cards = await Promise.all(
+    cardIds.map(async cardId => {
+      try {
+        const response = await apiClient.getCard(cardId);
+        return response.data;
+      } catch (error: any) {
+        throw handleApiError(
+          error,
+          { operation: 'Card retrieval', resourceType: 'card', resourceId: cardId },
+          logError
+        );
+      }
+    })
+  );
+  return new Map(cardIds.map((cardId, index) => [cardId, cards[index]]));
+}
+
+export async function handleCreateDashboard(
+  request: z.infer<typeof CallToolRequestSchema>,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<DashboardWriteResponse> {
+  ensureWriteToolsEnabled(config.WRITE_TOOLS_ENABLED, 'create_dashboard', requestId, logWarn);
+  const args = parseToolArguments(
+    createDashboardSchema,
+    request.params?.arguments,
+    'create_dashboard',
+    requestId,
+    logWarn
+  );
+
+  // Resolve cards, layout and filter wiring before creating anything, so invalid
+  // input never leaves a half-built dashboard behind
+  const cardIds = [...new Set(args.cards.map(card => card.card_id))];
+  const cards = await fetchCards(cardIds, apiClient, logError);
+  const { parameters, mappingsByCard } = resolveDashboardFilterMappings(args.filters, cards);
+
+  const placements = layoutDashcards(
+    args.cards.map(item => {
+      const size = defaultDashcardSize(cards.get(item.card_id)?.display);
+      return {
+        size_x: item.size_x ?? size.size_x,
+        size_y: item.size_y ?? size.size_y,
+      };
+    })
+  );
+  const dashcards = args.cards.map((item, index) => ({
+    // Negative IDs tell Metabase these dashcards are new
+    id: -(index + 1),
+    card_id: item.card_id,
+    ...placements[index],
+    parameter_mappings: mappingsByCard.get(item.card_id) ?? [],
+    visualization_settings: {},
+    series: [],
+  }));
+
+  logDebug(
+    `Creating dashboard '${args.name}' with ${dashcards.length} dashcard(s) and ${parameters.length} filter(s)`
+  );
+
+  let dashboard: any;
+  try {
+    dashboard = await apiClient.createDashboard({
+      name: args.name,
+      description: args.description ?? null,
+      collection_id: args.collection_id ?? null,
+      parameters: [],
+    });
+  } catch (error: any) {
+    throw handleApiError(
+      error,
+      {
+        operation: 'Dashboard creation',
+        resourceType: 'dashboard',
+        customMessages: {
+          '403': 'You do not have permission to create dashboards in this collection.',
+        },
+      },
+      logError
+    );
+  }
+  const dashboardId = dashboard?.id;
+
+  if (dashcards.length > 0 || parameters.length > 0) {
+    try {
+      const updated = await apiClient.updateDashboard(dashboardId, { dashcards, parameters });
+      dashboard = {
+        ...dashboard,
+        ...updated,
+        // Older Metabase versions do not echo dashcards back from the update
+        dashcards: Array.isArray(updated?.dashcards)
+          ? updated.dashcards
+          : dashcards.map(dashcard => ({ ...dashcard, card: cards.get(dashcard.card_id) })),
+        parameters: updated?.parameters ?? parameters,
+      };
+    } catch (error: any) {
+      logWarn(`Dashboard ${dashboardId} was created but its cards and filters were not saved`, {
+        requestId,
+      });
+      // Archive the empty dashboard so that creating it again does not leave a duplicate
+      let outcome: string;
+      try {
+        await apiClient.updateDashboard(dashboardId, { archived: true });
+        outcome = 'it was archived, so create_dashboard can safely be called again';
+      } catch (archiveError) {
+        logWarn(
+          `Failed to archive empty dashboard ${dashboardId}`,
+          { requestId },
+          archiveError instanceof Error ? archiveError : undefined
+        );
+        outcome =
+          'it was left empty and could not be archived; remove or repair it before creating it again';
+      }
+      throw handleApiError(
+        error,
+        {
+          operation: `Adding cards and filters to new dashboard ${dashboardId} (${outcome})`,
+          resourceType: 'dashboard',
+          resourceId: dashboardId,
+        },
+        logError
+      );
+    }
+  }
+
+  const optimized = optimizeDashboardResponse(dashboard, OptimizationLevel.AGGRESSIVE);
+  const slugsById = new Map<string, string>(
+    (optimized.parameters || []).map((param: any) => [param.id, param.slug])
+  );
+
+  logInfo(
+    `Created dashboard ${dashboardId} '${args.name}' with ${dashcards.length} dashcard(s) and ${parameters.length} filter(s)`
+  );
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            success: true,
+            action: 'created',
+            dashboard_id: dashboardId,
+            name: optimized.name,
+            collection_id: optimized.collection_id ?? null,
+            resource_uri: `metabase://dashboard/${dashboardId}`,
+            dashcards: (optimized.dashcards || []).map(dashcard => ({
+              id: dashcard.id,
+              card_id: dashcard.card_id,
+              card_name: dashcard.card?.name,
+              row: dashcard.row,
+              col: dashcard.col,
+              size_x: dashcard.size_x,
+              size_y: dashcard.size_y,
+              filters: dashcard.parameter_mappings?.map(mapping =>
+                slugsById.get(mapping.parameter_id)
+              ),
+            })),
+            filters: (optimized.parameters || []).map((param: any) => ({
+              id: param.id,
+              name: param.name,
+              slug: param.slug,
+              type: param.type,
+            })),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
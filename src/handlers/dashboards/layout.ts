@@ -0,0 +1,60 @@
+/**
+ * Automatic grid layout for new dashcards
+ */
+
+// Metabase dashboards use a 24 column grid
+export const DASHBOARD_GRID_WIDTH = 24;
+
+export interface DashcardSize {
+  size_x: number;
+  size_y: number;
+}
+
+export interface DashcardPlacement extends DashcardSize {
+  row: number;
+  col: number;
+}
+
+// Single-number visualizations only need a small tile
+const COMPACT_DISPLAYS = new Set(['scalar', 'smartscalar', 'gauge', 'progress']);
+// Tabular visualizations get extra height for their rows
+const TABULAR_DISPLAYS = new Set(['table', 'pivot', 'object']);
+
+/**
+ * Default dashcard size for a card's display type
+ */
+export function defaultDashcardSize(display?: string): DashcardSize {
+  if (display && COMPACT_DISPLAYS.has(display)) {
+    return { size_x: 6, size_y: 3 };
+  }
+  if (display && TABULAR_DISPLAYS.has(display)) {
+    return { size_x: 12, size_y: 8 };
+  }
+  return { size_x: 12, size_y: 6 };
+}
+
+/**
+ * Place dashcards left to right in rows, wrapping when the grid width is reached.
+ * Each row is as tall as its tallest dashcard.
+ */
+export function layoutDashcards(sizes: DashcardSize[]): DashcardPlacement[] {
+  const placements: DashcardPlacement[] = [];
+  let row = 0;
+  let col = 0;
+  let rowHeight = 0;
+
+  for (const size of sizes) {
+    const sizeX = Math.min(size.size_x, DASHBOARD_GRID_WIDTH);
+    if (col > 0 && col + sizeX > DASHBOARD_GRID_WIDTH) {
+      row += rowHeight;
+      col = 0;
+      rowHeight = 0;
+    }
+
+    placements.push({ row, col, size_x: sizeX, size_y: size.size_y });
+    col += sizeX;
+    rowHeight = Math.max(rowHeight, size.size_y);
+  }
+
+  return placements;
+}
@@ -0,0 +1,78 @@
+/**
+ * Argument schema for the dashboard authoring tool
+ */
+
+import { z } from 'zod';
+import { DASHBOARD_GRID_WIDTH } from './layout.js';
+
+// Upper bounds that keep a single create_dashboard call reviewable
+export const MAX_DASHBOARD_CARDS = 50;
+export const MAX_DASHBOARD_FILTERS = 20;
+
+// Dashboard filter (parameter) types accepted by Metabase
+export const DASHBOARD_FILTER_TYPES = [
+  'category',
+  'id',
+  'string/=',
+  'string/!=',
+  'string/contains',
+  'string/does-not-contain',
+  'string/starts-with',
+  'string/ends-with',
+  'number/=',
+  'number/!=',
+  'number/between',
+  'number/>=',
+  'number/<=',
+  'date/single',
+  'date/range',
+  'date/relative',
+  'date/month-year',
+  'date/quarter-year',
+  'date/all-options',
+] as const;
+
+const dashcardSchema = z
+  .object({
+    card_id: z.number().int().positive(),
+    size_x: z.number().int().min(1).max(DASHBOARD_GRID_WIDTH).optional(),
+    size_y: z.number().int().min(1).max(48).optional(),
+  })
+  .strict();
+
+const filterTargetSchema = z
+  .object({
+    card_id: z.number().int().positive(),
+    // Template tag of the card's SQL query
+    tag: z.string().min(1),
+  })
+  .strict();
+
+const dashboardFilterSchema = z
+  .object({
+    name: z.string().trim().min(1),
+    slug: z
+      .string()
+      .regex(/^[a-z0-9_]+$/, 'slug must use lowercase letters, digits and underscores')
+      .optional(),
+    type: z.enum(DASHBOARD_FILTER_TYPES).optional(),
+    default: z
+      .union([z.string(), z.number(), z.array(z.union([z.string(), z.number()]))])
+      .optional(),
+    targets: z.array(filterTargetSchema).min(1).optional(),
+  })
+  .strict();
+
+export const createDashboardSchema = z
+  .object({
+    name: z.string().trim().min(1).max(254),
+    description: z.string().optional(),
+    // null saves to the root collection
+    collection_id: z.number().int().positive().nullable().optional(),
+    cards: z.array(dashcardSchema).max(MAX_DASHBOARD_CARDS).default([]),
+    filters: z.array(dashboardFilterSchema).max(MAX_DASHBOARD_FILTERS).default([]),
+  })
+  .strict();
+
+export type CreateDashboardArgs = z.infer<typeof createDashboardSchema>;
+export type DashboardFilterArgs = CreateDashboardArgs['filters'][number];
@@ -0,0 +1,6 @@
+export interface DashboardWriteResponse {
+  content: Array<{
+    type: 'text';
+    text: string;
+  }>;
+}
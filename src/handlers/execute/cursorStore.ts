@@ -0,0 +1,127 @@
+/**
+ * Server-side state for paginated execute results.
+ *
+ * Agents only ever see an opaque random token; the query, parameters and position
+ * live here. Stores are kept per API client so a cursor can only be resumed by the
+ * Metabase identity that created it, and entries expire after CACHE_TTL_MS.
+ */
+
+import { randomBytes } from 'crypto';
+import { MetabaseApiClient } from '../../api.js';
+import { config } from '../../config.js';
+
+// Upper bound on open cursors per API client; the oldest one is evicted beyond this
+export const MAX_OPEN_CURSORS = 50;
+
+export interface SqlCursorState {
+  mode: 'sql';
+  // Set when the query is a card's query compiled to SQL
+  cardId?: number;
+  databaseId: number;
+  query: string;
+  nativeParameters: any[];
+  engine: string | undefined;
+  pageSize: number;
+  // Offset pagination: rows already returned
+  offset: number;
+  // Keyset pagination: unique column and the last value already returned
+  keysetColumn?: string;
+  lastKey?: string | number;
+}
+
+export interface CardCursorState {
+  mode: 'card';
+  cardId: number;
+  // Full card response, sliced page by page
+  response: any;
+  totalRows: number;
+  pageSize: number;
+  offset: number;
+}
+
+export type CursorState = SqlCursorState | CardCursorState;
+
+export interface IssuedCursor {
+  cursor: string;
+  expiresAt: string;
+}
+
+interface CursorEntry {
+  state: CursorState;
+  expiresAt: number;
+}
+
+export class ExecuteCursorStore {
+  private cursors: Map<string, CursorEntry> = new Map();
+
+  constructor(
+    private readonly ttlMs: number = config.CACHE_TTL_MS,
+    private readonly maxCursors: number = MAX_OPEN_CURSORS
+  ) {}
+
+  get size(): number {
+    return this.cursors.size;
+  }
+
+  /**
+   * Store cursor state and return the opaque token that refers to it
+   */
+  create(state: CursorState): IssuedCursor {
+    const now = Date.now();
+    this.removeExpired(now);
+
+    const cursor = randomBytes(18).toString('base64url');
+    const expiresAt = now + this.ttlMs;
+    this.cursors.set(cursor, { state, expiresAt });
+
+    if (this.cursors.size > this.maxCursors) {
+      const oldest = this.cursors.keys().next().value;
+      if (oldest !== undefined) {
+        this.cursors.delete(oldest);
+      }
+    }
+
+    return { cursor, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Look up cursor state, or null if the cursor is unknown or expired
+   */
+  get(cursor: string): CursorState | null {
+    const entry = this.cursors.get(cursor);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.cursors.delete(cursor);
+      return null;
+    }
+    return entry.state;
+  }
+
+  clear(): void {
+    this.cursors.clear();
+  }
+
+  private removeExpired(now: number): void {
+    for (const [cursor, entry] of this.cursors) {
+      if (entry.expiresAt <= now) {
+        this.cursors.delete(cursor);
+      }
+    }
+  }
+}
+
+const stores = new WeakMap<MetabaseApiClient, ExecuteCursorStore>();
+
+/**
+ * Cursor store bound to an API client (and therefore to its Metabase identity)
+ */
+export function getCursorStore(apiClient: MetabaseApiClient): ExecuteCursorStore {
+  let store = stores.get(apiClient);
+  if (!store) {
+    store = new ExecuteCursorStore();
+    stores.set(apiClient, store);
+  }
+  return store;
+}
@@ -3,8 +3,153 @@ import {
   handleApiError,
   validatePositiveInteger,
   validateMetabaseResponse,
+  queryFingerprint,
+  resolveCardFilters,
+  applyRowPage,
+  CardFilters,
 } from '../../utils/index.js';
+import { ValidationErrorFactory } from '../../utils/errorFactory.js';
 import { CardExecutionParams, ExecutionResponse } from './types.js';
+import { IssuedCursor, getCursorStore } from './cursorStore.js';
+
+/**
+ * Take `limit` rows starting at `offset` from a card response, in either the numbered-key
+ * format ({"0": {...}, "1": {...}, "data": {...}}) or the standard {"data": {"rows": [...]}} format
+ */
+export function sliceCardResult(
+  response: any,
+  offset: number,
+  limit: number
+): { data: any; totalRows: number } {
+  // Check if response has numbered keys (actual card response format)
+  const numberedKeys = Object.keys(response || {}).filter(
+    key => /^\d+$/.test(key) && key !== 'data'
+  );
+
+  if (numberedKeys.length > 0) {
+    // Keep only the numbered entries inside the requested window
+    const keptKeys = new Set(numberedKeys.slice(offset, offset + limit));
+    const data = { ...response };
+    numberedKeys.forEach(key => {
+      if (!keptKeys.has(key)) {
+        delete data[key];
+      }
+    });
+    return { data, totalRows: numberedKeys.length };
+  }
+
+  if (response?.data?.rows) {
+    return {
+      data: {
+        ...response,
+        data: {
+          ...response.data,
+          rows: response.data.rows.slice(offset, offset + limit),
+        },
+      },
+      totalRows: response.data.rows.length,
+    };
+  }
+
+  return { data: response, totalRows: 0 };
+}
+
+/**
+ * Resolve card_filters against the card's parameters and template tags, and add them to
+ * the explicit card_parameters
+ */
+export async function loadCardParameters(
+  cardId: number,
+  cardParameters: any[],
+  cardFilters: CardFilters | undefined,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<any[]> {
+  if (!cardFilters || Object.keys(cardFilters).length === 0) {
+    return cardParameters;
+  }
+
+  let card: any;
+  try {
+    const response = await apiClient.getCard(cardId);
+    card = response.data;
+  } catch (error: any) {
+    throw handleApiError(
+      error,
+      { operation: 'Card retrieval', resourceType: 'card', resourceId: cardId },
+      logError
+    );
+  }
+
+  const resolved = resolveCardFilters(card, cardFilters);
+  for (const parameter of resolved) {
+    if (cardParameters.some(param => param.id === parameter.id || param.slug === parameter.slug)) {
+      throw ValidationErrorFactory.invalidParameter(
+        `card_filters.${parameter.slug}`,
+        parameter.value,
+        'a parameter not also given in card_parameters'
+      );
+    }
+  }
+  logDebug(`Resolved ${resolved.length} card filters for card ${cardId}`, { parameters: resolved });
+
+  return [...cardParameters, ...resolved];
+}
+
+/**
+ * Issue a cursor for the rows after the first page of a card. Later pages run the card's
+ * query compiled to SQL with OFFSET paging, like SQL cursors, so they are not bound to the
+ * rows the card endpoint returned. Cards whose query cannot be compiled to plain SQL or
+ * paged fall back to slicing the result already fetched.
+ */
+async function issueCardCursor(
+  cardId: number,
+  cardParameters: any[],
+  response: any,
+  totalRows: number,
+  pageSize: number,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void
+): Promise<IssuedCursor> {
+  const store = getCursorStore(apiClient);
+  try {
+    const card = (await apiClient.getCard(cardId)).data;
+    const databaseId = card?.database_id ?? card?.dataset_query?.database;
+    const compiled = await apiClient.request<any>('/api/dataset/native', {
+      method: 'POST',
+      body: JSON.stringify({ ...card?.dataset_query, parameters: cardParameters }),
+    });
+    // Placeholder values cannot be passed along with a native query, so only inlined SQL pages
+    const query = typeof compiled?.query === 'string' ? compiled.query.trim() : '';
+    if (query && databaseId && !(compiled.params?.length > 0)) {
+      const engine = (await apiClient.getDatabase(databaseId))?.data?.engine;
+      if (applyRowPage(query, { pageSize, offset: pageSize }, engine).strategy !== 'none') {
+        return store.create({
+          mode: 'sql',
+          cardId,
+          databaseId,
+          query,
+          nativeParameters: [],
+          engine,
+          pageSize,
+          offset: pageSize,
+        });
+      }
+    }
+    logDebug(`Card ${cardId} query cannot be paged as SQL, paging the fetched result`, {
+      requestId,
+    });
+  } catch (error) {
+    logDebug(`Could not compile card ${cardId} to SQL, paging the fetched result`, {
+      requestId,
+      error: error instanceof Error ? error.message : String(error),
+    });
+  }
+
+  return store.create({ mode: 'card', cardId, response, totalRows, pageSize, offset: pageSize });
+}
 
 export async function executeCard(
   params: CardExecutionParams,
@@ -15,12 +160,21 @@ export async function executeCard(
   logWarn: (message: string, data?: unknown, error?: Error) => void,
   logError: (message: string, error: unknown) => void
 ): Promise<ExecutionResponse> {
-  const { cardId, cardParameters, rowLimit } = params;
+  const { cardId, cardFilters, rowLimit } = params;
 
   // Validate positive integer parameters
   validatePositiveInteger(cardId, 'card_id', requestId, logWarn);
   validatePositiveInteger(rowLimit, 'row_limit', requestId, logWarn);
 
+  const cardParameters = await loadCardParameters(
+    cardId,
+    params.cardParameters,
+    cardFilters,
+    apiClient,
+    logDebug,
+    logError
+  );
+
   logDebug(`Executing card ID: ${cardId} with row limit: ${rowLimit}`);
 
   // Build card execution request body
@@ -30,11 +184,20 @@ export async function executeCard(
     format_rows: false,
   };
 
+  // The full result is cached and sliced per call, so the row limit is not part of the key
+  const fingerprint = queryFingerprint({
+    mode: 'card',
+    card_id: cardId,
+    parameters: cardParameters,
+  });
+
   try {
-    const response = await apiClient.request<any>(`/api/card/${cardId}/query/json`, {
-      method: 'POST',
-      body: JSON.stringify(cardRequestBody),
-    });
+    const { data: response, source } = await apiClient.getCardResult(fingerprint, () =>
+      apiClient.request<any>(`/api/card/${cardId}/query/json`, {
+        method: 'POST',
+        body: JSON.stringify(cardRequestBody),
+      })
+    );
 
     // Check for embedded errors in the response (Metabase returns 200 with embedded errors)
     validateMetabaseResponse(
@@ -43,44 +206,12 @@ export async function executeCard(
       logError
     );
 
-    // Handle different response formats from Metabase cards
-    let originalRowCount = 0;
-    let limitedData = response;
-
-    // Check if response has numbered keys (actual card response format)
-    const numberedKeys = Object.keys(response || {}).filter(
-      key => /^\d+$/.test(key) && key !== 'data'
+    const { data: limitedData, totalRows: originalRowCount } = sliceCardResult(
+      response,
+      0,
+      rowLimit
     );
 
-    if (numberedKeys.length > 0) {
-      // Response format: {"0": {...}, "1": {...}, "2": {...}, "data": {...}}
-      originalRowCount = numberedKeys.length;
-
-      // Apply row limit by keeping only the first N numbered entries
-      const limitedKeys = numberedKeys.slice(0, rowLimit);
-      limitedData = {
-        ...response,
-      };
-
-      // Remove entries beyond the limit
-      numberedKeys.forEach(key => {
-        if (!limitedKeys.includes(key)) {
-          delete limitedData[key];
-        }
-      });
-    } else if (response?.data?.rows) {
-      // Standard format: {"data": {"rows": [...]}}
-      originalRowCount = response.data.rows.length;
-      const limitedRows = response.data.rows.slice(0, rowLimit);
-      limitedData = {
-        ...response,
-        data: {
-          ...response.data,
-          rows: limitedRows,
-        },
-      };
-    }
-
     const finalRowCount = Math.min(originalRowCount, rowLimit);
     logInfo(
       `Successfully executed card: ${cardId}, returned ${finalRowCount} rows (original: ${originalRowCount})`
@@ -92,6 +223,20 @@ export async function executeCard(
       );
     }
 
+    const nextCursor =
+      originalRowCount > rowLimit
+        ? await issueCardCursor(
+            cardId,
+            cardParameters,
+            response,
+            originalRowCount,
+            rowLimit,
+            requestId,
+            apiClient,
+            logDebug
+          )
+        : null;
+
     return {
       content: [
         {
@@ -100,9 +245,12 @@ export async function executeCard(
             {
               success: true,
               card_id: cardId,
+              source,
               row_count: finalRowCount,
               original_row_count: originalRowCount,
               applied_limit: rowLimit,
+              next_cursor: nextCursor?.cursor,
+              cursor_expires_at: nextCursor?.expiresAt,
               data: limitedData,
             },
             null,
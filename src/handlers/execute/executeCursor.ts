@@ -0,0 +1,231 @@
+import { MetabaseApiClient } from '../../api.js';
+import { handleApiError, applyRowPage, ROW_PAGE_NUMBER_COLUMN } from '../../utils/index.js';
+import { ValidationErrorFactory } from '../../utils/errorFactory.js';
+import { CursorExecutionParams, ExecutionResponse } from './types.js';
+import { optimizeExecuteData } from './optimizers.js';
+import { sliceCardResult } from './executeCard.js';
+import { CardCursorState, IssuedCursor, SqlCursorState, getCursorStore } from './cursorStore.js';
+
+/**
+ * Issue a cursor for the page following a full page of SQL results.
+ * `state` describes the page that was just returned; `data` is its Metabase result data.
+ */
+export function issueSqlCursor(
+  apiClient: MetabaseApiClient,
+  state: SqlCursorState,
+  data: any,
+  requestId: string,
+  logWarn: (message: string, data?: unknown, error?: Error) => void
+): IssuedCursor | null {
+  const rows: any[][] = data?.rows || [];
+  const next: SqlCursorState = { ...state, offset: state.offset + rows.length };
+
+  if (state.keysetColumn) {
+    const column = state.keysetColumn.toLowerCase();
+    const columnIndex = (data?.cols || []).findIndex(
+      (col: any) => typeof col?.name === 'string' && col.name.toLowerCase() === column
+    );
+    if (columnIndex === -1) {
+      logWarn('Keyset column is not part of the query results', {
+        requestId,
+        keysetColumn: state.keysetColumn,
+      });
+      throw ValidationErrorFactory.invalidParameter(
+        'keyset_column',
+        state.keysetColumn,
+        'a column returned by the query'
+      );
+    }
+
+    const lastKey = rows[rows.length - 1]?.[columnIndex];
+    if (typeof lastKey !== 'string' && typeof lastKey !== 'number') {
+      logWarn('Cannot continue keyset pagination from a null or non-scalar key', {
+        requestId,
+        keysetColumn: state.keysetColumn,
+      });
+      return null;
+    }
+    next.lastKey = lastKey;
+  }
+
+  return getCursorStore(apiClient).create(next);
+}
+
+/**
+ * Drop the row number column that Oracle offset pages add to the result
+ */
+function removeRowNumberColumn(data: any): any {
+  const index = (data?.cols || []).findIndex(
+    (col: any) => typeof col?.name === 'string' && col.name.toUpperCase() === ROW_PAGE_NUMBER_COLUMN
+  );
+  if (index === -1) {
+    return data;
+  }
+  return {
+    ...data,
+    cols: data.cols.filter((_col: any, colIndex: number) => colIndex !== index),
+    rows: (data.rows || []).map((row: any[]) => row.filter((_value, i) => i !== index)),
+  };
+}
+
+async function executeSqlCursorPage(
+  state: SqlCursorState,
+  pageSize: number,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<ExecutionResponse> {
+  const page = applyRowPage(
+    state.query,
+    state.keysetColumn
+      ? { pageSize, keyset: { column: state.keysetColumn, after: state.lastKey } }
+      : { pageSize, offset: state.offset },
+    state.engine
+  );
+
+  const queryData = {
+    type: 'native',
+    native: {
+      query: page.query,
+      template_tags: {},
+    },
+    parameters: state.nativeParameters,
+    database: state.databaseId,
+  };
+
+  let response: any;
+  try {
+    response = await apiClient.request<any>('/api/dataset', {
+      method: 'POST',
+      body: JSON.stringify(queryData),
+    });
+  } catch (error: any) {
+    throw handleApiError(
+      error,
+      {
+        operation: 'SQL cursor page execution',
+        resourceType: 'database',
+        resourceId: state.databaseId,
+        customMessages: {
+          '400':
+            'The paginated query could not be executed. Re-run the original execute call without a cursor.',
+          '500': 'Database server error. The query may have caused a timeout or database issue.',
+        },
+      },
+      logError
+    );
+  }
+
+  const data = removeRowNumberColumn(response?.data);
+  const rowCount = data?.rows?.length || 0;
+  logInfo(
+    `Fetched cursor page for database: ${state.databaseId}, returned ${rowCount} rows (${page.detail})`
+  );
+
+  const nextCursor =
+    rowCount > 0 && rowCount === pageSize
+      ? issueSqlCursor(apiClient, { ...state, pageSize }, data, requestId, logWarn)
+      : null;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            success: true,
+            ...(state.cardId !== undefined && { card_id: state.cardId }),
+            query: page.query,
+            database_id: state.databaseId,
+            row_count: rowCount,
+            pagination: {
+              strategy: page.strategy,
+              engine: state.engine || 'unknown',
+              detail: page.detail,
+              offset: state.offset,
+              page_size: pageSize,
+            },
+            next_cursor: nextCursor?.cursor,
+            cursor_expires_at: nextCursor?.expiresAt,
+            data: optimizeExecuteData(data),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+function executeCardCursorPage(
+  state: CardCursorState,
+  pageSize: number,
+  apiClient: MetabaseApiClient,
+  logInfo: (message: string, data?: unknown) => void
+): ExecutionResponse {
+  const { data, totalRows } = sliceCardResult(state.response, state.offset, pageSize);
+  const rowCount = Math.max(0, Math.min(pageSize, totalRows - state.offset));
+  const nextOffset = state.offset + rowCount;
+
+  logInfo(
+    `Served cursor page for card: ${state.cardId}, rows ${state.offset + 1}-${nextOffset} of ${totalRows}`
+  );
+
+  const nextCursor =
+    nextOffset < totalRows
+      ? getCursorStore(apiClient).create({ ...state, pageSize, offset: nextOffset })
+      : null;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            success: true,
+            card_id: state.cardId,
+            row_count: rowCount,
+            original_row_count: totalRows,
+            pagination: {
+              strategy: 'cached_result',
+              offset: state.offset,
+              page_size: pageSize,
+            },
+            next_cursor: nextCursor?.cursor,
+            cursor_expires_at: nextCursor?.expiresAt,
+            data,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+export async function executeCursorPage(
+  params: CursorExecutionParams,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<ExecutionResponse> {
+  const state = getCursorStore(apiClient).get(params.cursor);
+  if (!state) {
+    logWarn('Unknown or expired execute cursor', { requestId });
+    throw ValidationErrorFactory.invalidCursor();
+  }
+
+  const pageSize = params.pageSize ?? state.pageSize;
+  logDebug(`Resuming ${state.mode} cursor at offset ${state.offset} with page size ${pageSize}`);
+
+  if (state.mode === 'card') {
+    return executeCardCursorPage(state, pageSize, apiClient, logInfo);
+  }
+
+  return executeSqlCursorPage(state, pageSize, requestId, apiClient, logInfo, logWarn, logError);
+}
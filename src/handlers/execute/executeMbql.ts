@@ -0,0 +1,126 @@
+import { MetabaseApiClient } from '../../api.js';
+import {
+  handleApiError,
+  validateMetabaseResponse,
+  compileMbqlQuery,
+  CompiledMbqlQuery,
+  MbqlSpec,
+  queryFingerprint,
+} from '../../utils/index.js';
+import { MbqlExecutionParams, ExecutionResponse } from './types.js';
+import { optimizeExecuteData } from './optimizers.js';
+
+/**
+ * Fetch the source table's field metadata and compile the spec against it
+ */
+export async function loadMbqlQuery(
+  spec: MbqlSpec,
+  maxRows: number | undefined,
+  apiClient: MetabaseApiClient,
+  logError: (message: string, error: unknown) => void
+): Promise<CompiledMbqlQuery> {
+  let table: any;
+  try {
+    const response = await apiClient.getTable(spec.source_table);
+    table = response.data;
+  } catch (error: any) {
+    throw handleApiError(
+      error,
+      {
+        operation: 'Table metadata retrieval',
+        resourceType: 'table',
+        resourceId: spec.source_table,
+      },
+      logError
+    );
+  }
+
+  return compileMbqlQuery(spec, table, maxRows);
+}
+
+export async function executeMbqlQuery(
+  params: MbqlExecutionParams,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logInfo: (message: string, data?: unknown) => void,
+  _logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<ExecutionResponse> {
+  const { spec, rowLimit } = params;
+
+  const queryData = await loadMbqlQuery(spec, rowLimit, apiClient, logError);
+  const databaseId = queryData.database;
+
+  logDebug(
+    `Executing MBQL query on table ${spec.source_table} in database ${databaseId} with row limit: ${queryData.query.limit}`,
+    { requestId }
+  );
+
+  // Keyed by the compiled query, which resolves field names to the table's current field IDs
+  const fingerprint = queryFingerprint({
+    mode: 'mbql',
+    database_id: databaseId,
+    query: queryData.query,
+    row_limit: rowLimit,
+  });
+
+  let response: any;
+  let source: 'cache' | 'api';
+  try {
+    ({ data: response, source } = await apiClient.getQueryResult(fingerprint, () =>
+      apiClient.request<any>('/api/dataset', {
+        method: 'POST',
+        body: JSON.stringify(queryData),
+      })
+    ));
+  } catch (error: any) {
+    throw handleApiError(
+      error,
+      {
+        operation: 'MBQL query execution',
+        resourceType: 'table',
+        resourceId: spec.source_table,
+        customMessages: {
+          '400':
+            'Invalid query. Check that the fields, filters and aggregations fit the table schema.',
+          '500': 'Database server error. The query may have caused a timeout or database issue.',
+        },
+      },
+      logError
+    );
+  }
+
+  validateMetabaseResponse(
+    response,
+    { operation: 'MBQL query execution', resourceId: spec.source_table },
+    logError
+  );
+
+  const rowCount = response?.data?.rows?.length || 0;
+  logInfo(
+    `Successfully executed MBQL query on table ${spec.source_table}, returned ${rowCount} rows (limit: ${queryData.query.limit})`
+  );
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            success: true,
+            database_id: databaseId,
+            source_table: spec.source_table,
+            source,
+            mbql: queryData.query,
+            row_count: rowCount,
+            applied_limit: queryData.query.limit,
+            data: optimizeExecuteData(response?.data),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -1,7 +1,69 @@
 import { MetabaseApiClient } from '../../api.js';
-import { handleApiError, validatePositiveInteger } from '../../utils/index.js';
+import { config } from '../../config.js';
+import {
+  handleApiError,
+  validatePositiveInteger,
+  enforceReadOnlySql,
+  applyRowLimit,
+  applyRowPage,
+  normalizeSql,
+  queryFingerprint,
+  checkSqlTables,
+  findUnknownColumns,
+  SqlSchemaTable,
+  UnknownSqlIdentifier,
+} from '../../utils/index.js';
+import { ValidationErrorFactory } from '../../utils/errorFactory.js';
 import { SqlExecutionParams, ExecutionResponse } from './types.js';
 import { optimizeExecuteData } from './optimizers.js';
+import { issueSqlCursor } from './executeCursor.js';
+
+/**
+ * Find the unknown tables and columns a query reads, rejecting the query before it reaches
+ * the warehouse when SQL_SCHEMA_CHECK_BLOCKING is set. Field metadata is only loaded for
+ * tables with qualified column references, and tables whose fields cannot be loaded are
+ * not checked.
+ */
+async function checkSqlSchema(
+  query: string,
+  databaseId: number,
+  engine: string | undefined,
+  tables: SqlSchemaTable[],
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void
+): Promise<UnknownSqlIdentifier[]> {
+  const { unknown, columns } = checkSqlTables(query, engine, tables);
+
+  const fields = new Map<number, string[]>();
+  for (const { table } of columns) {
+    try {
+      const tableResponse = await apiClient.getTable(table.id);
+      fields.set(
+        table.id,
+        (tableResponse?.data?.fields ?? []).map((field: { name: string }) => field.name)
+      );
+    } catch (error) {
+      logDebug(`Could not load fields of table ${table.id}, skipping its column check`, {
+        requestId,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+  unknown.push(...findUnknownColumns(columns, fields));
+
+  if (unknown.length > 0) {
+    logWarn(`SQL query references unknown identifiers in database ${databaseId}`, {
+      requestId,
+      unknown: unknown.map(identifier => identifier.name),
+    });
+    if (config.SQL_SCHEMA_CHECK_BLOCKING) {
+      throw ValidationErrorFactory.unknownSqlIdentifiers(databaseId, unknown);
+    }
+  }
+  return unknown;
+}
 
 export async function executeSqlQuery(
   params: SqlExecutionParams,
@@ -12,55 +74,79 @@ export async function executeSqlQuery(
   logWarn: (message: string, data?: unknown, error?: Error) => void,
   logError: (message: string, error: unknown) => void
 ): Promise<ExecutionResponse> {
-  const { databaseId, query, nativeParameters, rowLimit } = params;
+  const { databaseId, query, nativeParameters, rowLimit, keysetColumn, skipSchemaCheck } = params;
 
   // Validate positive integer parameters
   validatePositiveInteger(databaseId, 'database_id', requestId, logWarn);
   validatePositiveInteger(rowLimit, 'row_limit', requestId, logWarn);
 
+  enforceReadOnlySql(
+    query,
+    databaseId,
+    { enabled: config.SQL_GUARD_ENABLED, databases: config.SQL_GUARD_DATABASES },
+    requestId,
+    logWarn
+  );
+
   logDebug(`Executing SQL query against database ID: ${databaseId} with row limit: ${rowLimit}`);
 
-  // Handle LIMIT clause: only override if our limit is more restrictive than existing limit
-  let limitedQuery = query.trim();
-  let finalLimit = rowLimit;
-  let shouldAddLimit = false;
+  // Look up the engine so the row cap uses syntax the database understands
+  let engine: string | undefined;
+  let tables: SqlSchemaTable[] | undefined;
+  try {
+    const databaseResponse = await apiClient.getDatabase(databaseId);
+    engine = databaseResponse?.data?.engine;
+    tables = databaseResponse?.data?.tables;
+  } catch (error) {
+    logWarn(
+      `Could not determine engine for database ${databaseId}, using standard LIMIT syntax`,
+      { requestId },
+      error as Error
+    );
+  }
 
-  // Look for existing LIMIT clause at the end of the query (most common case)
-  // This regex properly handles LIMIT with optional OFFSET and accounts for trailing semicolons/whitespace
-  const limitRegex = /\bLIMIT\s+(\d+)(?:\s+OFFSET\s+\d+)?\s*;?\s*$/i;
-  const limitMatch = limitedQuery.match(limitRegex);
+  // Identifiers the schema check could not find; the query still runs unless blocking
+  let schemaWarnings: UnknownSqlIdentifier[] = [];
+  if (config.SQL_SCHEMA_CHECK_ENABLED && !skipSchemaCheck && tables?.length) {
+    schemaWarnings = await checkSqlSchema(
+      query,
+      databaseId,
+      engine,
+      tables,
+      requestId,
+      apiClient,
+      logDebug,
+      logWarn
+    );
+  }
 
-  if (limitMatch) {
-    const existingLimit = parseInt(limitMatch[1], 10);
-    logDebug(`Found existing LIMIT clause: ${existingLimit}, requested limit: ${rowLimit}`);
+  const baseQuery = query.trim();
+  let limit: { query: string; strategy: string; appliedLimit: number | null; detail: string };
 
-    if (existingLimit <= rowLimit) {
-      // Existing limit is more restrictive or equal, keep it
-      logDebug(
-        `Keeping existing LIMIT ${existingLimit} as it's more restrictive than or equal to requested ${rowLimit}`
+  if (keysetColumn) {
+    const page = applyRowPage(
+      baseQuery,
+      { pageSize: rowLimit, keyset: { column: keysetColumn } },
+      engine
+    );
+    if (page.strategy === 'none') {
+      logWarn('Keyset pagination is not possible for this query', {
+        requestId,
+        reason: page.detail,
+      });
+      throw ValidationErrorFactory.invalidParameter(
+        'keyset_column',
+        keysetColumn,
+        'only supported for a single SELECT or WITH query'
       );
-      finalLimit = existingLimit;
-      // Don't modify the query
-    } else {
-      // Our limit is more restrictive, replace the existing LIMIT clause
-      logDebug(`Replacing existing LIMIT ${existingLimit} with more restrictive limit ${rowLimit}`);
-      limitedQuery = limitedQuery.replace(limitRegex, '').trim();
-      shouldAddLimit = true;
     }
+    limit = { ...page, appliedLimit: rowLimit };
   } else {
-    // No LIMIT clause found at the end, add ours
-    logDebug(`No existing LIMIT clause found, adding limit ${rowLimit}`);
-    shouldAddLimit = true;
+    limit = applyRowLimit(baseQuery, rowLimit, engine);
   }
 
-  // Add LIMIT clause if needed
-  if (shouldAddLimit) {
-    if (limitedQuery.endsWith(';')) {
-      limitedQuery = limitedQuery.slice(0, -1) + ` LIMIT ${rowLimit};`;
-    } else {
-      limitedQuery = limitedQuery + ` LIMIT ${rowLimit}`;
-    }
-  }
+  const limitedQuery = limit.query;
+  logDebug(`Row limit strategy: ${limit.strategy} (${limit.detail})`, { engine });
 
   // Build query request body
   const queryData = {
@@ -73,39 +159,24 @@ export async function executeSqlQuery(
     database: databaseId,
   };
 
-  try {
-    const response = await apiClient.request<any>('/api/dataset', {
-      method: 'POST',
-      body: JSON.stringify(queryData),
-    });
-
-    const rowCount = response?.data?.rows?.length || 0;
-    logInfo(
-      `Successfully executed SQL query against database: ${databaseId}, returned ${rowCount} rows (limit: ${finalLimit})`
-    );
+  const fingerprint = queryFingerprint({
+    mode: 'sql',
+    database_id: databaseId,
+    query: normalizeSql(baseQuery, engine),
+    parameters: nativeParameters,
+    row_limit: rowLimit,
+    keyset_column: keysetColumn,
+  });
 
-    // Create optimized response with only essential data
-    const optimizedData = optimizeExecuteData(response?.data);
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(
-            {
-              success: true,
-              query: limitedQuery, // Use the actual executed query
-              database_id: databaseId,
-              row_count: rowCount,
-              applied_limit: finalLimit,
-              data: optimizedData,
-            },
-            null,
-            2
-          ),
-        },
-      ],
-    };
+  let response: any;
+  let source: 'cache' | 'api';
+  try {
+    ({ data: response, source } = await apiClient.getQueryResult(fingerprint, () =>
+      apiClient.request<any>('/api/dataset', {
+        method: 'POST',
+        body: JSON.stringify(queryData),
+      })
+    ));
   } catch (error: any) {
     throw handleApiError(
       error,
@@ -122,4 +193,63 @@ export async function executeSqlQuery(
       logError
     );
   }
+
+  const rowCount = response?.data?.rows?.length || 0;
+  logInfo(
+    `Successfully executed SQL query against database: ${databaseId}, returned ${rowCount} rows (limit: ${limit.appliedLimit ?? 'none'})`
+  );
+
+  // Offer a cursor when the page is full and the query could have more rows
+  const canPage = keysetColumn || !['none', 'existing_limit'].includes(limit.strategy);
+  const nextCursor =
+    canPage && rowCount > 0 && rowCount === limit.appliedLimit
+      ? issueSqlCursor(
+          apiClient,
+          {
+            mode: 'sql',
+            databaseId,
+            query: baseQuery,
+            nativeParameters,
+            engine,
+            pageSize: rowLimit,
+            offset: 0,
+            keysetColumn,
+          },
+          response.data,
+          requestId,
+          logWarn
+        )
+      : null;
+
+  // Create optimized response with only essential data
+  const optimizedData = optimizeExecuteData(response?.data);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            success: true,
+            query: limitedQuery, // Use the actual executed query
+            database_id: databaseId,
+            source,
+            row_count: rowCount,
+            applied_limit: limit.appliedLimit,
+            limit_strategy: {
+              strategy: limit.strategy,
+              engine: engine || 'unknown',
+              detail: limit.detail,
+            },
+            next_cursor: nextCursor?.cursor,
+            cursor_expires_at: nextCursor?.expiresAt,
+            ...(schemaWarnings.length > 0 && { schema_warnings: schemaWarnings }),
+            data: optimizedData,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
 }
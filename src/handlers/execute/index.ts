@@ -6,13 +6,21 @@ import {
   validateCardParameters,
   validatePositiveInteger,
   validateRowLimit,
+  isValidKeysetColumn,
+  parseToolArguments,
+  mbqlSpecSchema,
+  cardFiltersSchema,
 } from '../../utils/index.js';
 import { executeSqlQuery } from './executeQuery.js';
 import { executeCard } from './executeCard.js';
+import { executeCursorPage } from './executeCursor.js';
+import { executeMbqlQuery } from './executeMbql.js';
 import {
   ExecuteRequest,
   SqlExecutionParams,
   CardExecutionParams,
+  CursorExecutionParams,
+  MbqlExecutionParams,
   ExecutionResponse,
 } from './types.js';
 
@@ -32,8 +40,99 @@ export async function handleExecute(
   const cardId = args?.card_id;
   const nativeParameters = Array.isArray(args?.native_parameters) ? args.native_parameters : [];
   const cardParameters = Array.isArray(args?.card_parameters) ? args.card_parameters : [];
+  const cardFilters = args?.card_filters;
   const rowLimitArg = args?.row_limit;
   const rowLimit = typeof rowLimitArg === 'number' ? rowLimitArg : 500;
+  const cursor = args?.cursor;
+  const keysetColumn = args?.keyset_column;
+  const skipSchemaCheck = args?.skip_schema_check;
+  const mbql = args?.mbql;
+
+  // Cursor mode: continue a previous result; only row_limit may change the page size
+  if (cursor !== undefined) {
+    if (typeof cursor !== 'string' || !cursor.trim()) {
+      logWarn('Invalid cursor parameter - must be a non-empty string', { requestId });
+      throw new McpError(ErrorCode.InvalidParams, 'cursor parameter must be a non-empty string');
+    }
+    if (
+      cardId !== undefined ||
+      databaseId !== undefined ||
+      query !== undefined ||
+      keysetColumn !== undefined ||
+      skipSchemaCheck !== undefined ||
+      mbql !== undefined ||
+      cardFilters !== undefined ||
+      nativeParameters.length > 0 ||
+      cardParameters.length > 0
+    ) {
+      logWarn('Invalid parameters for cursor mode', { requestId });
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'Cursor mode only allows cursor and row_limit parameters'
+      );
+    }
+    if (rowLimitArg !== undefined) {
+      validateRowLimit(rowLimitArg, 'row_limit', requestId, logWarn);
+    }
+
+    const cursorParams: CursorExecutionParams = {
+      cursor,
+      pageSize: rowLimitArg,
+    };
+
+    return await executeCursorPage(
+      cursorParams,
+      requestId,
+      apiClient,
+      logDebug,
+      logInfo,
+      logWarn,
+      logError
+    );
+  }
+
+  // MBQL mode: a query-builder spec compiled against the source table's field metadata
+  if (mbql !== undefined) {
+    if (
+      cardId !== undefined ||
+      databaseId !== undefined ||
+      query !== undefined ||
+      keysetColumn !== undefined ||
+      skipSchemaCheck !== undefined ||
+      cardFilters !== undefined ||
+      nativeParameters.length > 0 ||
+      cardParameters.length > 0
+    ) {
+      logWarn('Invalid parameters for MBQL execution mode', { requestId });
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'MBQL execution mode only allows mbql and row_limit parameters'
+      );
+    }
+    validateRowLimit(rowLimit, 'row_limit', requestId, logWarn);
+    const { mbql: spec } = parseToolArguments(
+      z.object({ mbql: mbqlSpecSchema }),
+      { mbql },
+      'execute',
+      requestId,
+      logWarn
+    );
+
+    const mbqlParams: MbqlExecutionParams = {
+      spec,
+      rowLimit,
+    };
+
+    return await executeMbqlQuery(
+      mbqlParams,
+      requestId,
+      apiClient,
+      logDebug,
+      logInfo,
+      logWarn,
+      logError
+    );
+  }
 
   // First validate that parameter types are correct
   if (cardId !== undefined && typeof cardId !== 'number') {
@@ -52,7 +151,7 @@ export async function handleExecute(
     });
     throw new McpError(
       ErrorCode.InvalidParams,
-      'Either card_id or database_id parameter is required'
+      'Either card_id, database_id or mbql parameter is required'
     );
   }
 
@@ -76,18 +175,26 @@ export async function handleExecute(
   // Strict parameter validation for card execution mode
   if (cardId) {
     // For card execution, only card_id, card_parameters, and row_limit are allowed
-    if (query || databaseId || (nativeParameters && nativeParameters.length > 0)) {
+    if (
+      query ||
+      databaseId ||
+      keysetColumn !== undefined ||
+      skipSchemaCheck !== undefined ||
+      (nativeParameters && nativeParameters.length > 0)
+    ) {
       logWarn('Invalid parameters for card execution mode', {
         requestId,
         invalidParams: {
           query: query ? 'provided' : 'not provided',
           database_id: databaseId ? 'provided' : 'not provided',
           native_parameters: nativeParameters?.length > 0 ? 'provided' : 'not provided',
+          keyset_column: keysetColumn !== undefined ? 'provided' : 'not provided',
+          skip_schema_check: skipSchemaCheck !== undefined ? 'provided' : 'not provided',
         },
       });
       throw new McpError(
         ErrorCode.InvalidParams,
-        'Card execution mode only allows card_id, card_parameters, and row_limit parameters'
+        'Card execution mode only allows card_id, card_parameters, card_filters, and row_limit parameters'
       );
     }
   }
@@ -95,12 +202,13 @@ export async function handleExecute(
   // Strict parameter validation for SQL execution mode
   if (databaseId) {
     // For SQL execution, only database_id, query, native_parameters, and row_limit are allowed
-    if (cardId || (cardParameters && cardParameters.length > 0)) {
+    if (cardId || (cardParameters && cardParameters.length > 0) || cardFilters !== undefined) {
       logWarn('Invalid parameters for SQL execution mode', {
         requestId,
         invalidParams: {
           card_id: cardId ? 'provided' : 'not provided',
           card_parameters: cardParameters?.length > 0 ? 'provided' : 'not provided',
+          card_filters: cardFilters !== undefined ? 'provided' : 'not provided',
         },
       });
       throw new McpError(
@@ -138,9 +246,18 @@ export async function handleExecute(
       }
     }
 
+    const { card_filters: parsedFilters } = parseToolArguments(
+      z.object({ card_filters: cardFiltersSchema.optional() }),
+      { card_filters: cardFilters },
+      'execute',
+      requestId,
+      logWarn
+    );
+
     const cardParams: CardExecutionParams = {
       cardId,
       cardParameters,
+      cardFilters: parsedFilters,
       rowLimit,
     };
 
@@ -173,11 +290,29 @@ export async function handleExecute(
     );
   }
 
+  if (
+    keysetColumn !== undefined &&
+    (typeof keysetColumn !== 'string' || !isValidKeysetColumn(keysetColumn))
+  ) {
+    logWarn('Invalid keyset_column parameter', { requestId, keysetColumn });
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      'keyset_column must be a plain column name (letters, digits and underscores)'
+    );
+  }
+
+  if (skipSchemaCheck !== undefined && typeof skipSchemaCheck !== 'boolean') {
+    logWarn('Invalid skip_schema_check parameter - must be a boolean', { requestId });
+    throw new McpError(ErrorCode.InvalidParams, 'skip_schema_check parameter must be a boolean');
+  }
+
   const sqlParams: SqlExecutionParams = {
     databaseId: databaseId as number,
     query,
     nativeParameters,
     rowLimit,
+    keysetColumn,
+    skipSchemaCheck,
   };
 
   return await executeSqlQuery(
@@ -1,10 +1,17 @@
+import { CardFilters, MbqlSpec } from '../../utils/index.js';
+
 export interface ExecuteRequest {
   database_id?: number;
   query?: string;
   card_id?: number;
   native_parameters?: any[];
   card_parameters?: any[];
+  card_filters?: unknown;
   row_limit?: number;
+  cursor?: string;
+  keyset_column?: string;
+  skip_schema_check?: boolean;
+  mbql?: unknown;
 }
 
 export interface SqlExecutionParams {
@@ -12,14 +19,28 @@ export interface SqlExecutionParams {
   query: string;
   nativeParameters: any[];
   rowLimit: number;
+  keysetColumn?: string;
+  skipSchemaCheck?: boolean;
+}
+
+export interface MbqlExecutionParams {
+  spec: MbqlSpec;
+  rowLimit: number;
 }
 
 export interface CardExecutionParams {
   cardId: number;
   cardParameters: any[];
+  cardFilters?: CardFilters;
   rowLimit: number;
 }
 
+export interface CursorExecutionParams {
+  cursor: string;
+  // Page size override; defaults to the page size the cursor was created with
+  pageSize?: number;
+}
+
 export interface ExecutionResponse {
   content: Array<{
     type: 'text';
@@ -0,0 +1,206 @@
+import { z } from 'zod';
+import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { MetabaseApiClient } from '../../api.js';
+import { ErrorCode, McpError } from '../../types/core.js';
+import {
+  handleApiError,
+  validatePositiveInteger,
+  validateRowLimit,
+  validateMetabaseResponse,
+} from '../../utils/index.js';
+import { optimizeExecuteData } from '../execute/optimizers.js';
+import { buildDashcardParameters, resolveDashboardFilters } from './parameterMapping.js';
+import {
+  ExecuteDashboardRequest,
+  ExecuteDashboardResponse,
+  DashcardExecutionResult,
+  ResolvedDashboardFilter,
+  DEFAULT_DASHCARD_ROW_LIMIT,
+  DASHCARD_CONCURRENCY_LIMIT,
+} from './types.js';
+
+async function executeDashcard(
+  dashboardId: number,
+  dashcard: any,
+  filters: ResolvedDashboardFilter[],
+  rowLimit: number,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<DashcardExecutionResult> {
+  const { parameters, appliedFilters } = buildDashcardParameters(dashcard, filters);
+  const result: DashcardExecutionResult = {
+    card_id: dashcard.card_id,
+    card_name: dashcard.card?.name,
+    display: dashcard.card?.display,
+  };
+  if (appliedFilters.length > 0) {
+    result.applied_filters = appliedFilters;
+  }
+
+  logDebug(
+    `Executing dashcard ${dashcard.id} (card ${dashcard.card_id}) with ${parameters.length} parameter(s)`
+  );
+
+  try {
+    const response = await apiClient.request<any>(
+      `/api/dashboard/${dashboardId}/dashcard/${dashcard.id}/card/${dashcard.card_id}/query`,
+      {
+        method: 'POST',
+        body: JSON.stringify({ parameters }),
+      }
+    );
+
+    // Metabase returns 200 with embedded errors for failed dashcard queries
+    validateMetabaseResponse(
+      response,
+      { operation: 'Dashcard execution', resourceId: dashcard.id },
+      logError
+    );
+
+    const rows: any[] = response?.data?.rows || [];
+    result.row_count = Math.min(rows.length, rowLimit);
+    result.original_row_count = rows.length;
+    result.data = optimizeExecuteData({ ...response?.data, rows: rows.slice(0, rowLimit) });
+  } catch (error: any) {
+    const mcpError =
+      error instanceof McpError
+        ? error
+        : handleApiError(
+            error,
+            {
+              operation: 'Dashcard execution',
+              resourceType: 'card',
+              resourceId: dashcard.card_id,
+            },
+            logError
+          );
+    logWarn(`Failed to execute dashcard ${dashcard.id}: ${mcpError.message}`, { requestId });
+
+    result.error = mcpError.message;
+    result.category = mcpError.details.category;
+    result.retryable = mcpError.details.retryable;
+  }
+
+  return result;
+}
+
+export async function handleExecuteDashboard(
+  request: z.infer<typeof CallToolRequestSchema>,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<ExecuteDashboardResponse> {
+  const args = request.params?.arguments as ExecuteDashboardRequest;
+
+  const dashboardId = args?.dashboard_id;
+  const filters = args?.filters ?? {};
+  const rowLimit = args?.row_limit ?? DEFAULT_DASHCARD_ROW_LIMIT;
+
+  if (dashboardId === undefined) {
+    logWarn('Missing dashboard_id parameter in execute_dashboard request', { requestId });
+    throw new McpError(ErrorCode.InvalidParams, 'dashboard_id parameter is required');
+  }
+  validatePositiveInteger(dashboardId, 'dashboard_id', requestId, logWarn);
+  validateRowLimit(rowLimit, 'row_limit', requestId, logWarn);
+
+  if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+    logWarn('Invalid filters parameter - must be an object', { requestId });
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      'filters parameter must be an object mapping filter slugs or IDs to values'
+    );
+  }
+
+  let dashboard: any;
+  try {
+    const response = await apiClient.getDashboard(dashboardId);
+    dashboard = response.data;
+  } catch (error: any) {
+    throw handleApiError(
+      error,
+      {
+        operation: 'Dashboard retrieval',
+        resourceType: 'dashboard',
+        resourceId: dashboardId,
+      },
+      logError
+    );
+  }
+
+  const resolvedFilters = resolveDashboardFilters(dashboard, filters, requestId, logWarn);
+
+  // Text, heading and link cards have no card to query
+  const dashcards: any[] = (Array.isArray(dashboard?.dashcards) ? dashboard.dashcards : []).filter(
+    (dashcard: any) => typeof dashcard?.card_id === 'number'
+  );
+
+  logDebug(
+    `Executing ${dashcards.length} dashcard(s) of dashboard ${dashboardId} with concurrency limit: ${DASHCARD_CONCURRENCY_LIMIT}`
+  );
+
+  const startTime = Date.now();
+  const results: Record<string, DashcardExecutionResult> = {};
+
+  // Process dashcards in batches: sequential batches, concurrent dashcards within a batch
+  for (let i = 0; i < dashcards.length; i += DASHCARD_CONCURRENCY_LIMIT) {
+    const batch = dashcards.slice(i, i + DASHCARD_CONCURRENCY_LIMIT);
+    const batchResults = await Promise.all(
+      batch.map(dashcard =>
+        executeDashcard(
+          dashboardId,
+          dashcard,
+          resolvedFilters,
+          rowLimit,
+          requestId,
+          apiClient,
+          logDebug,
+          logWarn,
+          logError
+        )
+      )
+    );
+    batch.forEach((dashcard, index) => {
+      results[String(dashcard.id)] = batchResults[index];
+    });
+  }
+
+  const failedCount = Object.values(results).filter(result => result.error).length;
+  const successCount = dashcards.length - failedCount;
+
+  logInfo(
+    `Executed dashboard ${dashboardId}: ${successCount}/${dashcards.length} dashcard(s) succeeded in ${Date.now() - startTime}ms`
+  );
+
+  const response: any = {
+    success: failedCount === 0,
+    dashboard_id: dashboardId,
+    dashboard_name: dashboard?.name,
+    applied_filters: Object.fromEntries(
+      resolvedFilters.map(filter => [filter.slug, { value: filter.value, source: filter.source }])
+    ),
+    row_limit_per_dashcard: rowLimit,
+    total_dashcards: dashcards.length,
+    successful_dashcards: successCount,
+    failed_dashcards: failedCount,
+    dashcards: results,
+  };
+
+  if (failedCount > 0) {
+    response.message = `Executed ${successCount}/${dashcards.length} dashcards successfully. ${failedCount} failed; see the error field of each failed dashcard.`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(response, null, 2),
+      },
+    ],
+  };
+}
@@ -0,0 +1,89 @@
+import { ValidationErrorFactory } from '../../utils/errorFactory.js';
+import { DashcardParameter, ResolvedDashboardFilter } from './types.js';
+
+/**
+ * Match filter values to the dashboard's parameters by slug or parameter ID.
+ * Parameters without a supplied value fall back to their dashboard default;
+ * an explicit null clears the filter, default included.
+ */
+export function resolveDashboardFilters(
+  dashboard: any,
+  filters: Record<string, unknown>,
+  requestId: string,
+  logWarn: (message: string, data?: unknown, error?: Error) => void
+): ResolvedDashboardFilter[] {
+  const parameters: any[] = Array.isArray(dashboard?.parameters) ? dashboard.parameters : [];
+  const supplied = new Map<string, unknown>();
+
+  for (const [key, value] of Object.entries(filters)) {
+    const parameter = parameters.find(param => param?.slug === key || param?.id === key);
+    if (!parameter) {
+      const available = parameters.map(param => param?.slug).filter(Boolean);
+      logWarn(`Unknown filter '${key}' for dashboard ${dashboard?.id}`, {
+        requestId,
+        available,
+      });
+      throw ValidationErrorFactory.invalidParameter(
+        `filters.${key}`,
+        value,
+        available.length > 0
+          ? `a filter slug or parameter ID of this dashboard (${available.join(', ')})`
+          : 'no filters - this dashboard has no parameters'
+      );
+    }
+    supplied.set(parameter.id, value);
+  }
+
+  const resolved: ResolvedDashboardFilter[] = [];
+  for (const parameter of parameters) {
+    const base = { id: parameter.id, slug: parameter.slug, type: parameter.type };
+
+    if (supplied.has(parameter.id)) {
+      const value = supplied.get(parameter.id);
+      if (value !== null && value !== undefined) {
+        resolved.push({ ...base, value, source: 'argument' });
+      }
+    } else if (parameter.default !== null && parameter.default !== undefined) {
+      resolved.push({ ...base, value: parameter.default, source: 'default' });
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Build the query parameters for one dashcard from its parameter_mappings.
+ * Mappings that target series cards or filters without a value are skipped.
+ */
+export function buildDashcardParameters(
+  dashcard: any,
+  filters: ResolvedDashboardFilter[]
+): { parameters: DashcardParameter[]; appliedFilters: string[] } {
+  const mappings: any[] = Array.isArray(dashcard?.parameter_mappings)
+    ? dashcard.parameter_mappings
+    : [];
+  const parameters: DashcardParameter[] = [];
+  const appliedFilters: string[] = [];
+
+  for (const mapping of mappings) {
+    if (mapping?.card_id !== undefined && mapping.card_id !== dashcard.card_id) {
+      continue;
+    }
+    const filter = filters.find(item => item.id === mapping?.parameter_id);
+    if (!filter) {
+      continue;
+    }
+
+    parameters.push({
+      id: filter.id,
+      type: filter.type,
+      value: filter.value,
+      target: mapping.target,
+    });
+    if (!appliedFilters.includes(filter.slug)) {
+      appliedFilters.push(filter.slug);
+    }
+  }
+
+  return { parameters, appliedFilters };
+}
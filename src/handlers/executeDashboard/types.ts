@@ -0,0 +1,47 @@
+export interface ExecuteDashboardRequest {
+  dashboard_id?: number;
+  // Dashboard filter values keyed by filter slug or parameter ID
+  filters?: Record<string, unknown>;
+  row_limit?: number;
+}
+
+// Default rows kept per dashcard; dashboards often have many cards so this is lower than execute
+export const DEFAULT_DASHCARD_ROW_LIMIT = 100;
+
+// Dashcard queries run in batches of this size to avoid overloading the Metabase server
+export const DASHCARD_CONCURRENCY_LIMIT = 5;
+
+export interface ResolvedDashboardFilter {
+  id: string;
+  slug: string;
+  type: string;
+  value: unknown;
+  source: 'argument' | 'default';
+}
+
+export interface DashcardParameter {
+  id: string;
+  type: string;
+  value: unknown;
+  target: unknown;
+}
+
+export interface DashcardExecutionResult {
+  card_id: number;
+  card_name?: string;
+  display?: string;
+  applied_filters?: string[];
+  row_count?: number;
+  original_row_count?: number;
+  data?: any;
+  error?: string;
+  category?: string;
+  retryable?: boolean;
+}
+
+export interface ExecuteDashboardResponse {
+  content: Array<{
+    type: 'text';
+    text: string;
+  }>;
+}
@@ -0,0 +1,239 @@
+/**
+ * Convert Metabase JSON exports to Parquet and newline-delimited JSON.
+ *
+ * Metabase only exports CSV, JSON and XLSX, so these formats are produced locally from the
+ * JSON export. Column types come from the result `cols` metadata rather than from the
+ * values, so an integer column stays INT64 and a date column stays a date even when the
+ * first rows are null.
+ */
+
+import { ByteWriter, parquetWriteRows, SchemaElement } from 'hyparquet-writer';
+import { ConvertedExportFormat, ExportColumnType, ExportSchemaColumn } from './types.js';
+
+/**
+ * A result column as returned in `data.cols` or a card's `result_metadata`
+ */
+export interface ResultColumn {
+  name: string;
+  display_name?: string;
+  base_type?: string;
+  effective_type?: string;
+}
+
+const DOUBLE_TYPES = new Set(['type/Float', 'type/Decimal', 'type/Number']);
+const JSON_TYPES = new Set([
+  'type/JSON',
+  'type/SerializedJSON',
+  'type/Structured',
+  'type/Dictionary',
+  'type/Array',
+]);
+
+export function isConvertedFormat(format: string): format is ConvertedExportFormat {
+  return format === 'parquet' || format === 'ndjson';
+}
+
+/**
+ * Map a Metabase base type onto the type its values are converted to
+ */
+export function columnType(baseType: string | undefined): ExportColumnType {
+  if (!baseType) {
+    return 'STRING';
+  }
+  if (baseType === 'type/Boolean') {
+    return 'BOOLEAN';
+  }
+  if (baseType === 'type/Integer' || baseType === 'type/BigInteger') {
+    return 'INT64';
+  }
+  if (DOUBLE_TYPES.has(baseType)) {
+    return 'DOUBLE';
+  }
+  if (baseType === 'type/Date') {
+    return 'DATE';
+  }
+  if (baseType.startsWith('type/DateTime') || baseType === 'type/Instant') {
+    return 'TIMESTAMP';
+  }
+  if (JSON_TYPES.has(baseType)) {
+    return 'JSON';
+  }
+  return 'STRING';
+}
+
+/**
+ * Describe the exported columns. Metabase names export columns by display name, so names
+ * are matched on display name, then name, then position. Columns without result metadata
+ * have a null base type.
+ */
+export function exportSchema(names: string[], columns: ResultColumn[]): ExportSchemaColumn[] {
+  return names.map((key, index) => {
+    const column =
+      columns.find(col => col.display_name === key) ??
+      columns.find(col => col.name === key) ??
+      (names.length === columns.length ? columns[index] : undefined);
+    const baseType = column?.effective_type ?? column?.base_type;
+    return { name: key, base_type: baseType ?? null, type: columnType(baseType) };
+  });
+}
+
+function toNumber(value: unknown): number | null {
+  const number = typeof value === 'number' ? value : Number(value);
+  return value === '' || !Number.isFinite(number) ? null : number;
+}
+
+// Date and time without a zone or offset, e.g. 2024-01-01T10:00:00 or 2024-01-01 10:00
+const LOCAL_DATE_TIME = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)$/;
+
+/**
+ * Parse a date or timestamp. Timestamps without an offset are read as UTC rather than in
+ * the time zone of the server, so the written values do not depend on where it runs.
+ */
+function toDate(value: unknown): Date | null {
+  const local = typeof value === 'string' ? LOCAL_DATE_TIME.exec(value.trim()) : null;
+  const date = new Date(local ? `${local[1]}T${local[2]}Z` : (value as string | number));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Convert an exported value to its column type; values that do not fit become null
+ */
+function convertValue(value: unknown, type: ExportColumnType): unknown {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  switch (type) {
+    case 'BOOLEAN':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      return value === 'true' ? true : value === 'false' ? false : null;
+    case 'INT64': {
+      if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+        return BigInt(value.trim());
+      }
+      const number = toNumber(value);
+      return number === null ? null : BigInt(Math.trunc(number));
+    }
+    case 'DOUBLE':
+      return toNumber(value);
+    case 'DATE':
+    case 'TIMESTAMP':
+      return toDate(value);
+    case 'JSON':
+      if (typeof value === 'string') {
+        try {
+          return JSON.parse(value);
+        } catch {
+          return value;
+        }
+      }
+      return value;
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+/**
+ * The JSON form of a converted value: integers as numbers while they are exact, dates as
+ * ISO strings
+ */
+function toJsonValue(value: unknown, type: ExportColumnType): unknown {
+  if (typeof value === 'bigint') {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+  }
+  if (value instanceof Date) {
+    return type === 'DATE' ? value.toISOString().slice(0, 10) : value.toISOString();
+  }
+  return value;
+}
+
+/**
+ * Convert a row of values, in schema order, to an object of typed values - in their JSON
+ * form when `json` is set
+ */
+export function convertRow(
+  values: unknown[],
+  schema: ExportSchemaColumn[],
+  json: boolean
+): Record<string, unknown> {
+  const converted: Record<string, unknown> = {};
+  schema.forEach((column, index) => {
+    const value = convertValue(values[index], column.type);
+    converted[column.name] = json ? toJsonValue(value, column.type) : value;
+  });
+  return converted;
+}
+
+function parquetSchema(schema: ExportSchemaColumn[]): SchemaElement[] {
+  const elements: Record<ExportColumnType, Omit<SchemaElement, 'name'>> = {
+    BOOLEAN: { type: 'BOOLEAN' },
+    INT64: { type: 'INT64' },
+    DOUBLE: { type: 'DOUBLE' },
+    STRING: { type: 'BYTE_ARRAY', converted_type: 'UTF8' },
+    JSON: { type: 'BYTE_ARRAY', converted_type: 'JSON' },
+    DATE: { type: 'INT32', converted_type: 'DATE' },
+    TIMESTAMP: { type: 'INT64', converted_type: 'TIMESTAMP_MILLIS' },
+  };
+  return [
+    { name: 'root', num_children: schema.length },
+    ...schema.map(column => ({
+      name: column.name,
+      ...elements[column.type],
+      repetition_type: 'OPTIONAL' as const,
+    })),
+  ];
+}
+
+/**
+ * Parquet writer that hands each finished row group to `write` instead of keeping the
+ * whole file in memory
+ */
+class StreamingParquetWriter extends ByteWriter {
+  constructor(private readonly write: (chunk: Uint8Array) => Promise<void>) {
+    super();
+  }
+
+  async flush(): Promise<void> {
+    const chunk = new Uint8Array(this.buffer.slice(0, this.index));
+    this.index = 0;
+    await this.write(chunk);
+  }
+
+  async finish(): Promise<void> {
+    await this.flush();
+  }
+}
+
+/**
+ * Convert rows of values, in schema order, and pass the encoded file to `write`.
+ * Parquet output is produced one row group of `rowGroupSize` rows at a time.
+ */
+export async function encodeConvertedRows(
+  rows: AsyncIterable<unknown[]>,
+  format: ConvertedExportFormat,
+  schema: ExportSchemaColumn[],
+  write: (chunk: Uint8Array | string) => Promise<void>,
+  rowGroupSize?: number
+): Promise<void> {
+  if (format === 'ndjson') {
+    for await (const values of rows) {
+      await write(`${JSON.stringify(convertRow(values, schema, true))}\n`);
+    }
+    return;
+  }
+
+  async function* convertedRows() {
+    for await (const values of rows) {
+      yield convertRow(values, schema, false);
+    }
+  }
+
+  await parquetWriteRows({
+    writer: new StreamingParquetWriter(write),
+    rows: convertedRows(),
+    columns: schema.map(column => ({ name: column.name })),
+    schema: parquetSchema(schema),
+    rowGroupSize,
+  });
+}
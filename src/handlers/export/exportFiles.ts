@@ -0,0 +1,166 @@
+/**
+ * Files written by an export: the (optionally compressed) data files, one per part when
+ * the export is split, and the sidecar manifest describing them.
+ *
+ * Each part is written to a temp file while its SHA-256 is computed over the bytes as
+ * stored, and is renamed into place only once every part is complete. The manifest records
+ * where the data came from and the checksum of every part, so downstream jobs can verify
+ * the files and re-run the export.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { once } from 'events';
+import { createGzip } from 'zlib';
+import { PassThrough, Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { ZipFile } from 'yazl';
+import { ExportCompression, ExportFormat, ExportSchemaColumn, ExportSplit } from './types.js';
+
+export const MANIFEST_VERSION = 1;
+
+export interface ExportFileTarget {
+  directory: string;
+  // File name without extension, e.g. "orders_2024-03-01T10-15-00"
+  baseName: string;
+  format: ExportFormat;
+  compression: ExportCompression;
+  // Split exports number their parts even when everything fits in one
+  split: boolean;
+}
+
+export interface ExportPart {
+  file: string;
+  path: string;
+  rows: number;
+  size_bytes: number;
+  sha256: string;
+}
+
+/**
+ * What was exported, with everything needed to run the export again
+ */
+export type ExportSource =
+  | { type: 'sql'; database_id: number; query: string; parameters: any[] }
+  | { type: 'mbql'; database_id: number; source_table: number; mbql: unknown }
+  | { type: 'card'; card_id: number; card_name: string; parameters: any[] };
+
+export interface ExportManifest {
+  manifest_version: number;
+  created_at: string;
+  source: ExportSource;
+  format: ExportFormat;
+  compression: ExportCompression;
+  split: ExportSplit | null;
+  row_count: number;
+  schema: ExportSchemaColumn[];
+  parts: Array<Omit<ExportPart, 'path'>>;
+}
+
+/**
+ * Name of a data file, e.g. "orders.csv", "orders.part-002.csv.gz" or "orders.json.zip"
+ */
+export function partFileName(target: ExportFileTarget, index: number): string {
+  const part = target.split ? `.part-${String(index + 1).padStart(3, '0')}` : '';
+  const suffix = { none: '', gzip: '.gz', zip: '.zip' }[target.compression];
+  return `${target.baseName}${part}.${target.format}${suffix}`;
+}
+
+/**
+ * One data file being written. Content passed to `write` is compressed, hashed and
+ * streamed to a temp file; `commit` moves the finished file into place.
+ */
+export class ExportPartFile {
+  readonly file: string;
+  readonly path: string;
+  // Rows and bytes written before compression
+  rows = 0;
+  contentBytes = 0;
+  // Set when writing the file itself fails, as opposed to producing its content
+  writeError: Error | null = null;
+  private readonly tempPath: string;
+  private readonly input = new PassThrough();
+  private readonly hash = createHash('sha256');
+  private sizeBytes = 0;
+  private readonly done: Promise<void>;
+
+  constructor(target: ExportFileTarget, index: number) {
+    this.file = partFileName(target, index);
+    this.path = path.join(target.directory, this.file);
+    this.tempPath = `${this.path}.${process.pid}.tmp`;
+
+    const output = fs.createWriteStream(this.tempPath);
+    output.on('error', error => {
+      this.writeError = error;
+    });
+    const measure = new Transform({
+      transform: (chunk: Buffer, _encoding, callback) => {
+        this.sizeBytes += chunk.length;
+        this.hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+
+    if (target.compression === 'zip') {
+      // One entry per archive, named like the uncompressed part
+      const zip = new ZipFile();
+      zip.addReadStream(this.input, this.file.slice(0, -'.zip'.length));
+      zip.end();
+      this.done = pipeline(zip.outputStream as Readable, measure, output);
+    } else if (target.compression === 'gzip') {
+      this.done = pipeline(this.input, createGzip(), measure, output);
+    } else {
+      this.done = pipeline(this.input, measure, output);
+    }
+    // Failures surface through write() and close()
+    this.done.catch(() => {});
+  }
+
+  async write(chunk: Uint8Array | string): Promise<void> {
+    if (this.input.destroyed) {
+      throw this.writeError ?? new Error(`Export file ${this.file} is closed`);
+    }
+    this.contentBytes += typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length;
+    if (!this.input.write(chunk)) {
+      await Promise.race([once(this.input, 'drain'), this.done]);
+    }
+  }
+
+  async close(): Promise<void> {
+    this.input.end();
+    await this.done;
+  }
+
+  commit(): ExportPart {
+    fs.renameSync(this.tempPath, this.path);
+    return {
+      file: this.file,
+      path: this.path,
+      rows: this.rows,
+      size_bytes: this.sizeBytes,
+      sha256: this.hash.digest('hex'),
+    };
+  }
+
+  discard(): void {
+    this.input.destroy();
+    fs.rmSync(this.tempPath, { force: true });
+  }
+}
+
+/**
+ * Write the manifest next to the data files, e.g. "orders.manifest.json"
+ */
+export function writeExportManifest(target: ExportFileTarget, manifest: ExportManifest): string {
+  const manifestPath = path.join(target.directory, `${target.baseName}.manifest.json`);
+  const tempPath = `${manifestPath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2), 'utf8');
+    fs.renameSync(tempPath, manifestPath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+  return manifestPath;
+}
@@ -0,0 +1,48 @@
+import { MetabaseApiClient } from '../../api.js';
+import { loadMbqlQuery } from '../execute/executeMbql.js';
+import { exportDatasetQuery } from './exportQuery.js';
+import { MbqlExportParams, ExportResponse } from './types.js';
+
+export async function exportMbqlQuery(
+  params: MbqlExportParams,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<ExportResponse> {
+  const { spec, format, filename, compression, split } = params;
+
+  // Exports are not capped beyond the spec's own limit; the export endpoint allows up to 1M rows
+  const queryData = await loadMbqlQuery(spec, undefined, apiClient, logError);
+
+  logDebug(
+    `Exporting MBQL query on table ${spec.source_table} in ${format} format from database ID: ${queryData.database}`
+  );
+
+  return await exportDatasetQuery(
+    { ...queryData },
+    { mbql: queryData.query, source_table: spec.source_table, database_id: queryData.database },
+    {
+      databaseId: queryData.database,
+      format,
+      filename,
+      compression,
+      split,
+      // The spec rather than the compiled query, so the export can be re-run through this tool
+      source: {
+        type: 'mbql',
+        database_id: queryData.database,
+        source_table: spec.source_table,
+        mbql: spec,
+      },
+    },
+    requestId,
+    apiClient,
+    logDebug,
+    logInfo,
+    logWarn,
+    logError
+  );
+}
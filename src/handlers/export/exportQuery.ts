@@ -1,82 +1,16 @@
 import { MetabaseApiClient } from '../../api.js';
-import { handleApiError, sanitizeFilename, analyzeXlsxContent } from '../../utils/index.js';
-import { config, authMethod, AuthMethod } from '../../config.js';
-import * as XLSX from 'xlsx';
-import { SqlExportParams, ExportResponse } from './types.js';
-import * as fs from 'fs';
-import * as path from 'path';
-
-/**
- * Extract first 5 rows preview in standardized JSON format from export data
- */
-function extractPreviewData(responseData: any, format: string): any[] {
-  try {
-    if (format === 'json') {
-      // Handle different JSON response structures
-      let rows: any[] = [];
-
-      if (responseData?.data?.rows) {
-        rows = responseData.data.rows;
-      } else if (responseData?.rows) {
-        rows = responseData.rows;
-      } else if (Array.isArray(responseData)) {
-        rows = responseData;
-      }
-
-      // Take first 5 rows
-      return rows.slice(0, 5);
-    } else if (format === 'csv') {
-      // Parse CSV to get first 5 data rows
-      const lines = responseData.split('\n').filter((line: string) => line.trim());
-      if (lines.length <= 1) {
-        return []; // No data rows (just header or empty)
-      }
-
-      const header = lines[0].split(',').map((col: string) => col.trim().replace(/^"|"$/g, ''));
-      const dataRows = lines.slice(1, 6); // Take first 5 data rows
-
-      return dataRows.map((row: string) => {
-        const values = row.split(',').map((val: string) => val.trim().replace(/^"|"$/g, ''));
-        const rowObj: any = {};
-        header.forEach((col: string, index: number) => {
-          rowObj[col] = values[index] || null;
-        });
-        return rowObj;
-      });
-    } else if (format === 'xlsx') {
-      // Parse XLSX ArrayBuffer to extract preview data
-      const workbook = XLSX.read(responseData);
-      const sheetName = workbook.SheetNames[0];
-      if (!sheetName) {
-        return [];
-      }
-
-      const worksheet = workbook.Sheets[sheetName];
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-
-      // Skip header row and take first 5 data rows
-      const dataRows = jsonData.slice(1, 6);
-      if (jsonData.length === 0 || dataRows.length === 0) {
-        return [];
-      }
-
-      // Convert to objects using header row
-      const headers = jsonData[0] as string[];
-      return dataRows.map((row: any) => {
-        const rowObj: any = {};
-        headers.forEach((header: string, index: number) => {
-          rowObj[header] = row[index] || null;
-        });
-        return rowObj;
-      });
-    }
-
-    return [];
-  } catch (error) {
-    // If preview extraction fails, return empty array
-    return [];
-  }
-}
+import { handleApiError, sanitizeFilename, enforceReadOnlySql } from '../../utils/index.js';
+import { config } from '../../config.js';
+import {
+  SqlExportParams,
+  ExportResponse,
+  ExportFormat,
+  ExportCompression,
+  ExportSplit,
+} from './types.js';
+import { exportFilesSummary, saveExportResponse } from './streamExport.js';
+import { isConvertedFormat, ResultColumn } from './convertExport.js';
+import { ExportSource } from './exportFiles.js';
 
 export async function exportSqlQuery(
   params: SqlExportParams,
@@ -87,24 +21,103 @@ export async function exportSqlQuery(
   logWarn: (message: string, data?: unknown, error?: Error) => void,
   logError: (message: string, error: unknown) => void
 ): Promise<ExportResponse> {
-  const { databaseId, query, nativeParameters, format, filename } = params;
+  const { databaseId, query, nativeParameters, format, filename, compression, split } = params;
 
   logDebug(`Exporting SQL query in ${format} format from database ID: ${databaseId}`);
 
-  try {
-    // Build query request body according to Metabase export API requirements
-    const queryData = {
-      type: 'native',
-      native: {
-        query: query,
-        template_tags: {},
-      },
-      parameters: nativeParameters,
-      database: databaseId,
-    };
+  enforceReadOnlySql(
+    query,
+    databaseId,
+    { enabled: config.SQL_GUARD_ENABLED, databases: config.SQL_GUARD_DATABASES },
+    requestId,
+    logWarn
+  );
+
+  // Build query request body according to Metabase export API requirements
+  const queryData = {
+    type: 'native',
+    native: {
+      query: query,
+      template_tags: {},
+    },
+    parameters: nativeParameters,
+    database: databaseId,
+  };
+
+  return await exportDatasetQuery(
+    queryData,
+    { query, database_id: databaseId },
+    {
+      databaseId,
+      format,
+      filename,
+      compression,
+      split,
+      source: { type: 'sql', database_id: databaseId, query, parameters: nativeParameters },
+    },
+    requestId,
+    apiClient,
+    logDebug,
+    logInfo,
+    logWarn,
+    logError
+  );
+}
+
+/**
+ * Run a dataset query (native or MBQL) through the export endpoint and save the result.
+ * `querySummary` describes the query in every response, e.g. the SQL text or compiled MBQL,
+ * and `target.source` how to run it again in the manifest.
+ */
+export async function exportDatasetQuery(
+  queryData: Record<string, unknown>,
+  querySummary: Record<string, unknown>,
+  target: {
+    databaseId: number;
+    format: ExportFormat;
+    filename?: string;
+    compression: ExportCompression;
+    split: ExportSplit | null;
+    source: ExportSource;
+  },
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<ExportResponse> {
+  const { databaseId, format, filename, compression, split, source } = target;
 
+  try {
     // Use the export endpoint which supports larger result sets (up to 1M rows)
-    const exportEndpoint = `/api/dataset/${format}`;
+    // Parquet and NDJSON are converted from the JSON export
+    const convert = isConvertedFormat(format);
+    const exportEndpoint = `/api/dataset/${convert ? 'json' : format}`;
+
+    // Converted formats take their column types from the result metadata, which a one-row
+    // run of the same query returns. Other formats are not probed, as that runs the query
+    // twice; their schema lists the exported column names without types.
+    let columns: ResultColumn[] = [];
+    if (convert) {
+      try {
+        const probe = await apiClient.request<any>('/api/dataset', {
+          method: 'POST',
+          body: JSON.stringify({
+            ...queryData,
+            constraints: { 'max-results': 1, 'max-results-bare-rows': 1 },
+          }),
+        });
+        columns = probe?.data?.cols ?? [];
+      } catch (error) {
+        // The export itself reports query errors; without metadata every column is a string
+        logWarn(
+          'Failed to read result metadata for export, column types are unavailable',
+          { requestId },
+          error instanceof Error ? error : undefined
+        );
+      }
+    }
 
     // Build the request body with required parameters as per API documentation
     const requestBody = {
@@ -114,22 +127,10 @@ export async function exportSqlQuery(
       visualization_settings: {},
     };
 
-    // For export endpoints, we need to handle different response types
-    const url = new URL(exportEndpoint, config.METABASE_URL);
-    const headers: Record<string, string> = {
-      'Content-Type': 'application/json',
-    };
-
-    // Add appropriate authentication headers
-    if (authMethod === AuthMethod.API_KEY && config.METABASE_API_KEY) {
-      headers['X-API-KEY'] = config.METABASE_API_KEY;
-    } else if (authMethod === AuthMethod.SESSION && apiClient.sessionToken) {
-      headers['X-Metabase-Session'] = apiClient.sessionToken;
-    }
-
-    const response = await fetch(url.toString(), {
+    // Export endpoints return files rather than JSON, so take the raw response; the client
+    // still authenticates as its own identity and re-authenticates expired sessions
+    const response = await apiClient.requestRaw(exportEndpoint, {
       method: 'POST',
-      headers,
       body: JSON.stringify(requestBody),
     });
 
@@ -144,50 +145,22 @@ export async function exportSqlQuery(
       };
     }
 
-    // Handle different response types based on format
-    let responseData;
-    let rowCount: number | undefined = 0;
-    let fileSize = 0;
-
-    try {
-      if (format === 'json') {
-        responseData = await response.json();
-        // JSON export format might have different structures, let's be more flexible
-        if (responseData && typeof responseData === 'object') {
-          // Try different possible structures for row counting
-          rowCount =
-            responseData?.data?.rows?.length ??
-            responseData?.rows?.length ??
-            (Array.isArray(responseData) ? responseData.length : 0);
-        }
-        logDebug(`JSON export row count: ${rowCount}`);
-      } else if (format === 'csv') {
-        responseData = await response.text();
-        // Count rows for CSV (subtract header row)
-        const rows = responseData.split('\n').filter((row: string) => row.trim());
-        rowCount = Math.max(0, rows.length - 1);
-        logDebug(`CSV export row count: ${rowCount}`);
-      } else if (format === 'xlsx') {
-        responseData = await response.arrayBuffer();
-        fileSize = responseData.byteLength;
-
-        // Analyze XLSX content to get accurate row count and data validation
-        const xlsxAnalysis = analyzeXlsxContent(responseData);
-        rowCount = xlsxAnalysis.rowCount;
+    // Always save files to Downloads/Metabase directory
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const sanitizedCustomFilename = sanitizeFilename(filename);
+    const baseFilename = sanitizedCustomFilename || `metabase_export_${timestamp}`;
 
-        logDebug(
-          `XLSX export - file size: ${fileSize} bytes, rows: ${rowCount}, has data: ${xlsxAnalysis.hasData}`
-        );
-      }
-    } catch (parseError) {
-      logError(`Failed to parse ${format} response: ${parseError}`, parseError);
-      throw new Error(`Failed to parse ${format} response: ${parseError}`);
-    }
+    const saved = await saveExportResponse(
+      response,
+      { directory: config.EXPORT_DIRECTORY, baseName: baseFilename, format },
+      source,
+      { columns, compression, split },
+      logDebug,
+      logError
+    );
 
-    // Validate that we have data before proceeding with file operations
-    // For all formats including XLSX, check row count
-    const hasData = rowCount !== null && rowCount !== undefined && rowCount > 0;
-    if (!hasData) {
+    // Validate that we have data before keeping the file
+    if (saved.status === 'empty') {
       logWarn(`Query returned no data for export`, { requestId });
       return {
         content: [
@@ -197,10 +170,9 @@ export async function exportSqlQuery(
               {
                 success: false,
                 message: 'Query executed successfully but returned no data to export',
-                query: query,
-                database_id: databaseId,
+                ...querySummary,
                 format: format,
-                row_count: rowCount,
+                row_count: saved.rowCount,
               },
               null,
               2
@@ -210,65 +182,21 @@ export async function exportSqlQuery(
       };
     }
 
-    // Always save files to Downloads/Metabase directory
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-    const sanitizedCustomFilename = sanitizeFilename(filename);
-    const baseFilename = sanitizedCustomFilename || `metabase_export_${timestamp}`;
-    const finalFilename = `${baseFilename}.${format}`;
-
-    // Use configured export directory
-    const exportDirectory = config.EXPORT_DIRECTORY;
-    const savedFilePath = path.join(exportDirectory, finalFilename);
-
-    let fileSaveError: string | undefined;
-
-    try {
-      // Ensure export directory exists
-      if (!fs.existsSync(exportDirectory)) {
-        fs.mkdirSync(exportDirectory, { recursive: true });
-      }
-
-      // Write the file based on format and calculate file size
-      if (format === 'json') {
-        const jsonString = JSON.stringify(responseData, null, 2);
-        fs.writeFileSync(savedFilePath, jsonString, 'utf8');
-        fileSize = Buffer.byteLength(jsonString, 'utf8');
-      } else if (format === 'csv') {
-        fs.writeFileSync(savedFilePath, responseData, 'utf8');
-        fileSize = Buffer.byteLength(responseData, 'utf8');
-      } else if (format === 'xlsx') {
-        // Handle binary data for XLSX
-        if (responseData instanceof ArrayBuffer) {
-          const buffer = Buffer.from(responseData);
-          fs.writeFileSync(savedFilePath, buffer);
-          fileSize = buffer.length;
-        } else {
-          throw new Error('XLSX response is not in expected ArrayBuffer format');
-        }
-      }
-
-      logInfo(`Successfully exported to ${savedFilePath}`);
-    } catch (saveError) {
-      fileSaveError = saveError instanceof Error ? saveError.message : 'Unknown file save error';
-      logError(`Failed to save export file: ${fileSaveError}`, saveError);
-    }
-
     // Generate standardized JSON response
-    if (fileSaveError) {
+    if (saved.status === 'save_failed') {
       const errorResponse: any = {
         success: false,
         message: 'Export completed but failed to save file',
-        error: fileSaveError,
-        query: query,
-        database_id: databaseId,
+        error: saved.error,
+        ...querySummary,
         format: format,
-        row_count: rowCount,
-        intended_file_path: savedFilePath,
+        row_count: saved.rowCount,
+        intended_file_path: saved.filePath,
       };
 
       // Add file size for all formats
-      if (fileSize > 0) {
-        errorResponse.file_size_bytes = fileSize;
+      if (saved.fileSize) {
+        errorResponse.file_size_bytes = saved.fileSize;
       }
 
       return {
@@ -282,20 +210,21 @@ export async function exportSqlQuery(
       };
     }
 
-    // Extract preview data (first 5 rows) for the response
-    const previewData = extractPreviewData(responseData, format);
+    const { rowCount, fileSize, preview: previewData, parts } = saved;
+    logInfo(`Successfully exported to ${parts.map(part => part.path).join(', ')}`);
 
     // Successful export - return standardized JSON response
     const successResponse: any = {
       success: true,
       message: 'Export completed successfully',
-      query: query,
-      file_path: savedFilePath,
-      filename: finalFilename,
+      ...querySummary,
+      file_path: parts[0].path,
+      filename: parts[0].file,
       format: format,
+      ...exportFilesSummary(saved, compression, split),
       row_count: rowCount,
-      database_id: databaseId,
       file_size_bytes: fileSize,
+      schema: saved.schema,
       preview_data: previewData,
       preview_note:
         previewData.length > 0
@@ -320,7 +249,7 @@ export async function exportSqlQuery(
         resourceId: databaseId,
         customMessages: {
           '400':
-            'Invalid query parameters, SQL syntax error, or export format issue. Ensure format is csv, json, or xlsx.',
+            'Invalid query parameters, query syntax error, or export format issue. Ensure format is csv, json, xlsx, parquet, or ndjson.',
           '413': 'Export payload too large. Try reducing the result set size or use query filters.',
           '500': 'Database server error. The query may have caused a timeout or database issue.',
         },
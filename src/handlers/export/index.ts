@@ -6,35 +6,128 @@ import {
   validateCardParameters,
   validatePositiveInteger,
   validateEnumValue,
+  parseToolArguments,
+  mbqlSpecSchema,
+  cardFiltersSchema,
 } from '../../utils/index.js';
 import { exportSqlQuery } from './exportQuery.js';
 import { exportCard } from './exportCard.js';
-import { ExportRequest, SqlExportParams, CardExportParams, ExportResponse } from './types.js';
+import { exportMbqlQuery } from './exportMbql.js';
+import {
+  ExportRequest,
+  ExportParams,
+  SqlExportParams,
+  CardExportParams,
+  MbqlExportParams,
+  ExportResponse,
+  ExportFormat,
+  ExportSplit,
+} from './types.js';
 
-export async function handleExport(
-  request: z.infer<typeof CallToolRequestSchema>,
+/**
+ * Part limits from split_rows and split_mb, or null when the export is not split
+ */
+function parseSplit(
+  args: ExportRequest | undefined,
+  format: ExportFormat,
   requestId: string,
-  apiClient: MetabaseApiClient,
-  logDebug: (message: string, data?: unknown) => void,
-  logInfo: (message: string, data?: unknown) => void,
-  logWarn: (message: string, data?: unknown, error?: Error) => void,
-  logError: (message: string, error: unknown) => void
-): Promise<ExportResponse> {
-  const args = request.params?.arguments as ExportRequest;
+  logWarn: (message: string, data?: unknown, error?: Error) => void
+): ExportSplit | null {
+  const rows = args?.split_rows;
+  const mb = args?.split_mb;
+  if (rows === undefined && mb === undefined) {
+    return null;
+  }
+
+  if (rows !== undefined) {
+    validatePositiveInteger(rows, 'split_rows', requestId, logWarn);
+  }
+  if (mb !== undefined) {
+    if (typeof mb !== 'number' || !Number.isFinite(mb) || mb <= 0) {
+      logWarn('Invalid split_mb parameter - must be a positive number', { requestId, value: mb });
+      throw new McpError(ErrorCode.InvalidParams, 'split_mb must be a positive number');
+    }
+    if (format === 'xlsx') {
+      logWarn('split_mb is not supported for xlsx exports', { requestId });
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'split_mb is not supported for xlsx exports, which are written as whole workbooks. Use split_rows instead'
+      );
+    }
+  }
+
+  return {
+    ...(rows !== undefined && { rows }),
+    ...(mb !== undefined && { mb }),
+  };
+}
 
+/**
+ * Validate export arguments and work out the export mode, without contacting Metabase
+ */
+export function parseExportRequest(
+  args: ExportRequest | undefined,
+  requestId: string,
+  logWarn: (message: string, data?: unknown, error?: Error) => void
+): ExportParams {
   const databaseId = args?.database_id;
   const query = args?.query;
   const cardId = args?.card_id;
   const nativeParameters = Array.isArray(args?.native_parameters) ? args.native_parameters : [];
   const cardParameters = Array.isArray(args?.card_parameters) ? args.card_parameters : [];
+  const cardFilters = args?.card_filters;
   const format = validateEnumValue(
     args?.format || 'csv',
-    ['csv', 'json', 'xlsx'] as const,
+    ['csv', 'json', 'xlsx', 'parquet', 'ndjson'] as const,
     'format',
     requestId,
     logWarn
   );
   const filename = args?.filename;
+  const mbql = args?.mbql;
+  const compression = validateEnumValue(
+    args?.compression || 'none',
+    ['none', 'gzip', 'zip'] as const,
+    'compression',
+    requestId,
+    logWarn
+  );
+  const split = parseSplit(args, format, requestId, logWarn);
+
+  // MBQL mode: a query-builder spec compiled against the source table's field metadata
+  if (mbql !== undefined) {
+    if (
+      cardId !== undefined ||
+      databaseId !== undefined ||
+      query !== undefined ||
+      cardFilters !== undefined ||
+      nativeParameters.length > 0 ||
+      cardParameters.length > 0
+    ) {
+      logWarn('Invalid parameters for MBQL export mode', { requestId });
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'MBQL export mode only allows mbql, format, and filename parameters, plus compression and split options'
+      );
+    }
+    const { mbql: spec } = parseToolArguments(
+      z.object({ mbql: mbqlSpecSchema }),
+      { mbql },
+      'export',
+      requestId,
+      logWarn
+    );
+
+    const mbqlParams: MbqlExportParams = {
+      spec,
+      format,
+      filename,
+      compression,
+      split,
+    };
+
+    return { mode: 'mbql', params: mbqlParams };
+  }
 
   // Validate that either query+database_id or card_id is provided (but not considering 0 as falsy for this check)
   if (cardId === undefined && databaseId === undefined) {
@@ -43,7 +136,7 @@ export async function handleExport(
     });
     throw new McpError(
       ErrorCode.InvalidParams,
-      'Either card_id or database_id parameter is required'
+      'Either card_id, database_id or mbql parameter is required'
     );
   }
 
@@ -65,7 +158,7 @@ export async function handleExport(
 
   // Strict parameter validation for card export mode
   if (cardId !== undefined) {
-    // For card export, only card_id, card_parameters, format, and filename are allowed
+    // For card export, only card_id, card_parameters, card_filters, format, and filename are allowed
     if (query || databaseId !== undefined || (nativeParameters && nativeParameters.length > 0)) {
       logWarn('Invalid parameters for card export mode', {
         requestId,
@@ -77,7 +170,7 @@ export async function handleExport(
       });
       throw new McpError(
         ErrorCode.InvalidParams,
-        'Card export mode only allows card_id, card_parameters, format, and filename parameters'
+        'Card export mode only allows card_id, card_parameters, card_filters, format, and filename parameters, plus compression and split options'
       );
     }
   }
@@ -85,17 +178,22 @@ export async function handleExport(
   // Strict parameter validation for SQL export mode
   if (databaseId !== undefined) {
     // For SQL export, only database_id, query, native_parameters, format, and filename are allowed
-    if (cardId !== undefined || (cardParameters && cardParameters.length > 0)) {
+    if (
+      cardId !== undefined ||
+      (cardParameters && cardParameters.length > 0) ||
+      cardFilters !== undefined
+    ) {
       logWarn('Invalid parameters for SQL export mode', {
         requestId,
         invalidParams: {
           card_id: cardId ? 'provided' : 'not provided',
           card_parameters: cardParameters?.length > 0 ? 'provided' : 'not provided',
+          card_filters: cardFilters !== undefined ? 'provided' : 'not provided',
         },
       });
       throw new McpError(
         ErrorCode.InvalidParams,
-        'SQL export mode only allows database_id, query, native_parameters, format, and filename parameters'
+        'SQL export mode only allows database_id, query, native_parameters, format, and filename parameters, plus compression and split options'
       );
     }
   }
@@ -117,14 +215,25 @@ export async function handleExport(
       }
     }
 
+    const { card_filters: parsedFilters } = parseToolArguments(
+      z.object({ card_filters: cardFiltersSchema.optional() }),
+      { card_filters: cardFilters },
+      'export',
+      requestId,
+      logWarn
+    );
+
     const cardParams: CardExportParams = {
       cardId,
       cardParameters,
-      format: format as 'csv' | 'json' | 'xlsx',
+      cardFilters: parsedFilters,
+      format,
       filename,
+      compression,
+      split,
     };
 
-    return await exportCard(cardParams, requestId, apiClient, logDebug, logInfo, logWarn, logError);
+    return { mode: 'card', params: cardParams };
   }
 
   // If exporting a SQL query
@@ -142,17 +251,60 @@ export async function handleExport(
     databaseId: databaseId as number,
     query,
     nativeParameters,
-    format: format as 'csv' | 'json' | 'xlsx',
+    format,
     filename,
+    compression,
+    split,
   };
 
-  return await exportSqlQuery(
-    sqlParams,
+  return { mode: 'sql', params: sqlParams };
+}
+
+export async function handleExport(
+  request: z.infer<typeof CallToolRequestSchema>,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<ExportResponse> {
+  const exportParams = parseExportRequest(
+    request.params?.arguments as ExportRequest,
     requestId,
-    apiClient,
-    logDebug,
-    logInfo,
-    logWarn,
-    logError
+    logWarn
   );
+
+  switch (exportParams.mode) {
+    case 'mbql':
+      return await exportMbqlQuery(
+        exportParams.params,
+        requestId,
+        apiClient,
+        logDebug,
+        logInfo,
+        logWarn,
+        logError
+      );
+    case 'card':
+      return await exportCard(
+        exportParams.params,
+        requestId,
+        apiClient,
+        logDebug,
+        logInfo,
+        logWarn,
+        logError
+      );
+    default:
+      return await exportSqlQuery(
+        exportParams.params,
+        requestId,
+        apiClient,
+        logDebug,
+        logInfo,
+        logWarn,
+        logError
+      );
+  }
 }
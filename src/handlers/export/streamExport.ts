@@ -0,0 +1,719 @@
+/**
+ * Stream export responses from Metabase straight to disk.
+ *
+ * The body is written chunk by chunk to temp files next to the destination and renamed
+ * into place once complete, so a large export never has to fit in memory and a failed
+ * download never leaves a partial file under the final name. Row counts and the preview
+ * are computed as the bytes pass through.
+ *
+ * A plain export is saved exactly as Metabase returns it. Split exports, and Parquet and
+ * NDJSON exports converted from the JSON export, are read row by row and written again in
+ * the target format.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { Readable } from 'stream';
+import * as XLSX from 'xlsx';
+import { CsvReader, CsvReaderOptions, formatCsvRecord } from '../../utils/index.js';
+import { ExportCompression, ExportFormat, ExportSchemaColumn, ExportSplit } from './types.js';
+import {
+  convertRow,
+  encodeConvertedRows,
+  exportSchema,
+  isConvertedFormat,
+  ResultColumn,
+} from './convertExport.js';
+import {
+  ExportFileTarget,
+  ExportPart,
+  ExportPartFile,
+  ExportSource,
+  MANIFEST_VERSION,
+  partFileName,
+  writeExportManifest,
+} from './exportFiles.js';
+
+const PREVIEW_ROWS = 5;
+const BYTES_PER_MB = 1024 * 1024;
+// Parquet parts can only end on a row group, so size-limited parts use small groups
+const SPLIT_PARQUET_ROW_GROUP = 1000;
+
+export type SavedExport =
+  | {
+      status: 'saved';
+      rowCount: number;
+      // Total size of the files as stored
+      fileSize: number;
+      preview: any[];
+      schema: ExportSchemaColumn[];
+      parts: ExportPart[];
+      manifestPath: string;
+    }
+  | { status: 'empty'; rowCount: number }
+  | {
+      status: 'save_failed';
+      error: string;
+      filePath: string;
+      rowCount?: number;
+      fileSize?: number;
+    };
+
+export interface SaveExportOptions {
+  // Result columns the schema types come from
+  columns?: ResultColumn[];
+  compression?: ExportCompression;
+  split?: ExportSplit | null;
+}
+
+interface WrittenExport {
+  rowCount: number;
+  preview: any[];
+  schema: ExportSchemaColumn[];
+}
+
+interface RowScanner {
+  push(chunk: Buffer): void;
+  finish(): void;
+  readonly rowCount: number;
+  readonly preview: any[];
+  // Column names, once known
+  readonly columns: string[];
+}
+
+/**
+ * Counts the records after the header and keeps the first ones for the preview. Quoted
+ * values may contain delimiters, quotes and line breaks.
+ */
+class CsvRowScanner implements RowScanner {
+  private reader: CsvReader;
+  private header: string[] | null = null;
+  private rows = 0;
+  private previewRecords: string[][] = [];
+
+  constructor(options?: CsvReaderOptions) {
+    this.reader = new CsvReader(options);
+  }
+
+  push(chunk: Buffer): void {
+    this.reader.push(chunk).forEach(record => this.addRecord(record));
+  }
+
+  finish(): void {
+    this.reader.finish().forEach(record => this.addRecord(record));
+  }
+
+  private addRecord(record: string[]): void {
+    if (!this.header) {
+      this.header = record;
+      return;
+    }
+    this.rows++;
+    if (this.previewRecords.length < PREVIEW_ROWS) {
+      this.previewRecords.push(record);
+    }
+  }
+
+  get rowCount(): number {
+    return this.rows;
+  }
+
+  get columns(): string[] {
+    return this.header ?? [];
+  }
+
+  get preview(): any[] {
+    const header = this.header ?? [];
+    return this.previewRecords.map(values => {
+      const row: Record<string, string | null> = {};
+      header.forEach((column, index) => {
+        row[column] = values[index] || null;
+      });
+      return row;
+    });
+  }
+}
+
+interface JsonContainer {
+  type: 'array' | 'object';
+  isRows: boolean;
+  // Objects only: whether the next string is a key
+  expectingKey: boolean;
+  key?: string;
+}
+
+// Character codes of the JSON punctuation the row scanner looks for
+const QUOTE = 0x22;
+const COMMA = 0x2c;
+const OPEN_BRACKET = 0x5b;
+const BACKSLASH = 0x5c;
+const CLOSE_BRACKET = 0x5d;
+const OPEN_BRACE = 0x7b;
+const CLOSE_BRACE = 0x7d;
+
+// Space, tab, line feed and carriage return, the only whitespace JSON allows between tokens
+function isJsonWhitespace(code: number): boolean {
+  return code === 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+/**
+ * Counts the elements of the rows array - the top-level array, or the first array under a
+ * "rows" key - without parsing the document, and parses only the first elements for the preview.
+ * With `onRow`, every element is parsed and handed over as soon as it is complete.
+ *
+ * Row and key text is sliced out of each decoded chunk by position; only the part of a row
+ * or key that continues into the next chunk is carried over.
+ */
+class JsonRowScanner implements RowScanner {
+  private decoder = new TextDecoder();
+  private stack: JsonContainer[] = [];
+  private inString = false;
+  private escaped = false;
+  private foundRows = false;
+  private rows = 0;
+  private rowOpen = false;
+  // Text of the row being kept, from earlier chunks, and where it continues in the current one
+  private capture: string | null = null;
+  private captureStart = 0;
+  // Same for the object key being read
+  private key: string | null = null;
+  private keyStart = 0;
+  private previewRows: any[] = [];
+
+  constructor(private readonly onRow?: (row: any) => void) {}
+
+  push(chunk: Buffer): void {
+    this.scan(this.decoder.decode(chunk, { stream: true }));
+  }
+
+  finish(): void {
+    this.scan(this.decoder.decode());
+  }
+
+  private scan(text: string): void {
+    for (let index = 0; index < text.length; index++) {
+      const code = text.charCodeAt(index);
+      const top = this.stack[this.stack.length - 1];
+      const inRows = top?.isRows === true;
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (code === BACKSLASH) {
+          this.escaped = true;
+        } else if (code === QUOTE) {
+          this.inString = false;
+          if (this.key !== null && top) {
+            top.key = this.key + text.slice(this.keyStart, index);
+            top.expectingKey = false;
+            this.key = null;
+          }
+        }
+        continue;
+      }
+
+      if (isJsonWhitespace(code)) {
+        continue;
+      }
+
+      if (inRows && !this.rowOpen && code !== COMMA && code !== CLOSE_BRACKET) {
+        // Start of the next row
+        this.rowOpen = true;
+        this.rows++;
+        if (this.onRow || this.rows <= PREVIEW_ROWS) {
+          this.capture = '';
+          this.captureStart = index;
+        }
+      }
+
+      if (inRows && (code === COMMA || code === CLOSE_BRACKET)) {
+        this.endRow(text, index);
+      }
+
+      switch (code) {
+        case QUOTE:
+          this.inString = true;
+          if (top?.type === 'object' && top.expectingKey) {
+            this.key = '';
+            this.keyStart = index + 1;
+          }
+          break;
+        case OPEN_BRACE:
+        case OPEN_BRACKET: {
+          const isRows =
+            code === OPEN_BRACKET &&
+            !this.foundRows &&
+            (this.stack.length === 0 || (top?.type === 'object' && top.key === 'rows'));
+          this.foundRows ||= isRows;
+          this.stack.push({
+            type: code === OPEN_BRACKET ? 'array' : 'object',
+            isRows,
+            expectingKey: true,
+          });
+          break;
+        }
+        case CLOSE_BRACE:
+        case CLOSE_BRACKET:
+          this.stack.pop();
+          break;
+        case COMMA:
+          if (top?.type === 'object') {
+            top.expectingKey = true;
+          }
+          break;
+      }
+    }
+
+    // Carry the unfinished row and key over to the next chunk
+    if (this.capture !== null) {
+      this.capture += text.slice(this.captureStart);
+      this.captureStart = 0;
+    }
+    if (this.key !== null) {
+      this.key += text.slice(this.keyStart);
+      this.keyStart = 0;
+    }
+  }
+
+  // Ends the open row just before `end` in the text being scanned
+  private endRow(text: string, end: number): void {
+    this.rowOpen = false;
+    if (this.capture === null) {
+      return;
+    }
+    const rowText = this.capture + text.slice(this.captureStart, end);
+    this.capture = null;
+    let row: any;
+    try {
+      row = JSON.parse(rowText);
+    } catch (error) {
+      if (this.onRow) {
+        throw error;
+      }
+      // Leave malformed rows out of the preview
+      return;
+    }
+    if (this.previewRows.length < PREVIEW_ROWS) {
+      this.previewRows.push(row);
+    }
+    this.onRow?.(row);
+  }
+
+  get rowCount(): number {
+    return this.rows;
+  }
+
+  get preview(): any[] {
+    return this.previewRows;
+  }
+
+  get columns(): string[] {
+    const [first] = this.previewRows;
+    return first !== null && typeof first === 'object' ? Object.keys(first) : [];
+  }
+}
+
+/**
+ * XLSX files are zip archives that can only be read whole, so the chunks are kept until
+ * the download finishes and the workbook is read once for both count and preview
+ */
+class XlsxRowScanner implements RowScanner {
+  private chunks: Buffer[] = [];
+  private rows: unknown[][] = [];
+
+  push(chunk: Buffer): void {
+    this.chunks.push(chunk);
+  }
+
+  finish(): void {
+    try {
+      const workbook = XLSX.read(Buffer.concat(this.chunks), { type: 'buffer' });
+      const sheetName = workbook.SheetNames[0];
+      if (sheetName) {
+        this.rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 });
+      }
+    } catch {
+      // Not a readable workbook: treated as empty
+      this.rows = [];
+    }
+    this.chunks = [];
+  }
+
+  get rowCount(): number {
+    return Math.max(0, this.rows.length - 1);
+  }
+
+  get columns(): string[] {
+    return (this.rows[0] ?? []).map(String);
+  }
+
+  // Every row of the first sheet, starting with the header
+  get records(): unknown[][] {
+    return this.rows;
+  }
+
+  get preview(): any[] {
+    const [header, ...dataRows] = this.rows as any[][];
+    return dataRows.slice(0, PREVIEW_ROWS).map(row => {
+      const rowObj: Record<string, unknown> = {};
+      (header || []).forEach((column: string, index: number) => {
+        rowObj[column] = row[index] || null;
+      });
+      return rowObj;
+    });
+  }
+}
+
+function createRowScanner(format: ExportFormat): RowScanner {
+  switch (format) {
+    case 'json':
+      return new JsonRowScanner();
+    case 'xlsx':
+      return new XlsxRowScanner();
+    default:
+      return new CsvRowScanner();
+  }
+}
+
+/**
+ * Rows of an export response as arrays of values, starting with the column names
+ */
+async function* readRecords(body: Readable, format: ExportFormat): AsyncGenerator<unknown[]> {
+  if (format === 'csv') {
+    const reader = new CsvReader();
+    for await (const chunk of body) {
+      yield* reader.push(chunk);
+    }
+    yield* reader.finish();
+    return;
+  }
+
+  if (format === 'xlsx') {
+    const scanner = new XlsxRowScanner();
+    for await (const chunk of body) {
+      scanner.push(chunk);
+    }
+    scanner.finish();
+    yield* scanner.records;
+    return;
+  }
+
+  // JSON rows, including the JSON exports converted to Parquet and NDJSON
+  const rows: Record<string, unknown>[] = [];
+  const scanner = new JsonRowScanner(row => rows.push(row));
+  let columns: string[] | null = null;
+  const values = function* () {
+    for (const row of rows.splice(0)) {
+      if (!columns) {
+        columns = Object.keys(row);
+        yield columns;
+      }
+      yield columns.map(column => row[column]);
+    }
+  };
+  for await (const chunk of body) {
+    scanner.push(chunk);
+    yield* values();
+  }
+  scanner.finish();
+  yield* values();
+}
+
+/**
+ * Hands out the rows of a split export one part at a time
+ */
+class PartRows {
+  constructor(
+    private readonly records: AsyncIterator<unknown[]>,
+    private next: IteratorResult<unknown[]>,
+    private readonly split: ExportSplit | null,
+    private readonly onRow: (values: unknown[]) => void
+  ) {}
+
+  get done(): boolean {
+    return this.next.done === true;
+  }
+
+  private isFull(part: ExportPartFile): boolean {
+    if (this.split?.rows && part.rows >= this.split.rows) {
+      return true;
+    }
+    // Every part holds at least one row, however large
+    return Boolean(
+      this.split?.mb && part.rows > 0 && part.contentBytes >= this.split.mb * BYTES_PER_MB
+    );
+  }
+
+  async *take(part: ExportPartFile): AsyncGenerator<unknown[]> {
+    while (!this.next.done && !this.isFull(part)) {
+      const values = this.next.value;
+      part.rows++;
+      this.onRow(values);
+      yield values;
+      this.next = await this.records.next();
+    }
+  }
+}
+
+/**
+ * Write rows to a part in the export format, with the header or framing each file needs
+ */
+async function encodeRows(
+  format: ExportFormat,
+  schema: ExportSchemaColumn[],
+  rows: AsyncIterable<unknown[]>,
+  part: ExportPartFile,
+  rowGroupSize?: number
+): Promise<void> {
+  const columns = schema.map(column => column.name);
+  const write = (chunk: Uint8Array | string) => part.write(chunk);
+
+  switch (format) {
+    case 'parquet':
+    case 'ndjson':
+      await encodeConvertedRows(rows, format, schema, write, rowGroupSize);
+      break;
+
+    case 'json': {
+      let separator = '';
+      await write('[');
+      for await (const values of rows) {
+        const row = Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+        await write(separator + JSON.stringify(row));
+        separator = ',';
+      }
+      await write(']');
+      break;
+    }
+
+    case 'xlsx': {
+      // Workbooks are written whole; XLSX exports are split by rows only
+      const sheetRows: unknown[][] = [columns];
+      for await (const values of rows) {
+        sheetRows.push(values);
+      }
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheetRows), 'Sheet1');
+      await write(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+      break;
+    }
+
+    default:
+      await write(formatCsvRecord(columns));
+      for await (const values of rows) {
+        await write(formatCsvRecord(values));
+      }
+  }
+}
+
+/**
+ * Copy the response into a single file unchanged, scanning it for the row count and preview
+ */
+async function copyToPart(
+  body: Readable,
+  format: ExportFormat,
+  columns: ResultColumn[],
+  part: ExportPartFile
+): Promise<WrittenExport> {
+  const scanner = createRowScanner(format);
+  for await (const chunk of body) {
+    scanner.push(chunk);
+    await part.write(chunk);
+  }
+  scanner.finish();
+  await part.close();
+  part.rows = scanner.rowCount;
+
+  return {
+    rowCount: scanner.rowCount,
+    preview: scanner.preview,
+    schema: exportSchema(scanner.columns, columns),
+  };
+}
+
+/**
+ * Read the response row by row and write it in the export format, starting a new part
+ * whenever the current one reaches a split limit
+ */
+async function rewriteToParts(
+  body: Readable,
+  target: ExportFileTarget,
+  columns: ResultColumn[],
+  split: ExportSplit | null,
+  parts: ExportPartFile[]
+): Promise<WrittenExport> {
+  const { format } = target;
+  const records = readRecords(body, format);
+  const header = await records.next();
+  if (header.done) {
+    return { rowCount: 0, preview: [], schema: [] };
+  }
+
+  const schema = exportSchema(header.value.map(String), columns);
+  const preview: any[] = [];
+  let rowCount = 0;
+  const rows = new PartRows(records, await records.next(), split, values => {
+    rowCount++;
+    if (preview.length < PREVIEW_ROWS) {
+      preview.push(previewRow(format, schema, values));
+    }
+  });
+  const rowGroupSize = split?.mb ? SPLIT_PARQUET_ROW_GROUP : undefined;
+
+  while (!rows.done) {
+    const part = new ExportPartFile(target, parts.length);
+    parts.push(part);
+    await encodeRows(format, schema, rows.take(part), part, rowGroupSize);
+    await part.close();
+  }
+
+  return { rowCount, preview, schema };
+}
+
+function previewRow(format: ExportFormat, schema: ExportSchemaColumn[], values: unknown[]) {
+  if (isConvertedFormat(format)) {
+    return convertRow(values, schema, true);
+  }
+  const row: Record<string, unknown> = {};
+  schema.forEach((column, index) => {
+    const value = values[index];
+    row[column.name] = format === 'json' || (value !== '' && value !== undefined) ? value : null;
+  });
+  return row;
+}
+
+type SavedFiles = Extract<SavedExport, { status: 'saved' }>;
+
+/**
+ * Response fields describing the files of a saved export
+ */
+export function exportFilesSummary(
+  saved: SavedFiles,
+  compression: ExportCompression,
+  split: ExportSplit | null
+): Record<string, unknown> {
+  return {
+    ...(compression !== 'none' && { compression }),
+    ...(split && {
+      split,
+      parts: saved.parts.map(part => ({
+        file_path: part.path,
+        filename: part.file,
+        row_count: part.rows,
+        file_size_bytes: part.size_bytes,
+        sha256: part.sha256,
+      })),
+    }),
+    manifest_path: saved.manifestPath,
+  };
+}
+
+/**
+ * Stream an export response into `directory`, creating it if needed, and write its
+ * manifest. For Parquet and NDJSON the response must be a JSON export, converted using the
+ * result `columns`. Empty exports are discarded; errors reading the response are thrown,
+ * while errors writing the files are reported as `save_failed`.
+ */
+export async function saveExportResponse(
+  response: Response,
+  destination: { directory: string; baseName: string; format: ExportFormat },
+  source: ExportSource,
+  options: SaveExportOptions,
+  logDebug: (message: string, data?: unknown) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<SavedExport> {
+  const { format, directory } = destination;
+  const { columns = [], compression = 'none', split = null } = options;
+  const target: ExportFileTarget = { ...destination, compression, split: split !== null };
+  const filePath = path.join(directory, partFileName(target, 0));
+
+  const saveFailed = (error: unknown, rowCount?: number, fileSize?: number): SavedExport => {
+    const message = error instanceof Error ? error.message : 'Unknown file save error';
+    logError(`Failed to save export file: ${message}`, error);
+    return { status: 'save_failed', error: message, filePath, rowCount, fileSize };
+  };
+
+  try {
+    // Ensure export directory exists
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+  } catch (error) {
+    return saveFailed(error);
+  }
+
+  if (!response.body) {
+    throw new Error(`Failed to parse ${format} response: empty response body`);
+  }
+
+  const body = Readable.fromWeb(response.body as any);
+  const parts: ExportPartFile[] = [];
+  const discardAll = () => parts.forEach(part => part.discard());
+
+  let written: WrittenExport;
+  try {
+    if (split || isConvertedFormat(format)) {
+      written = await rewriteToParts(body, target, columns, split, parts);
+    } else {
+      parts.push(new ExportPartFile(target, 0));
+      written = await copyToPart(body, format, columns, parts[0]);
+    }
+  } catch (error) {
+    body.destroy();
+    discardAll();
+    const writeError = parts.find(part => part.writeError)?.writeError;
+    if (writeError) {
+      return saveFailed(writeError);
+    }
+    logError(`Failed to parse ${format} response: ${error}`, error);
+    throw new Error(`Failed to parse ${format} response: ${error}`);
+  }
+
+  const { rowCount, preview, schema } = written;
+  if (rowCount === 0) {
+    logDebug(`${format.toUpperCase()} export returned no rows`);
+    discardAll();
+    return { status: 'empty', rowCount };
+  }
+
+  const saved: ExportPart[] = [];
+  try {
+    for (const part of parts) {
+      saved.push(part.commit());
+    }
+  } catch (error) {
+    discardAll();
+    saved.forEach(part => fs.rmSync(part.path, { force: true }));
+    return saveFailed(error, rowCount);
+  }
+  const fileSize = saved.reduce((total, part) => total + part.size_bytes, 0);
+  logDebug(
+    `${format.toUpperCase()} export - ${saved.length} file(s), ${fileSize} bytes, rows: ${rowCount}`
+  );
+
+  let manifestPath: string;
+  try {
+    manifestPath = writeExportManifest(target, {
+      manifest_version: MANIFEST_VERSION,
+      created_at: new Date().toISOString(),
+      source,
+      format,
+      compression,
+      split,
+      row_count: rowCount,
+      schema,
+      parts: saved.map(({ file, rows, size_bytes, sha256 }) => ({
+        file,
+        rows,
+        size_bytes,
+        sha256,
+      })),
+    });
+  } catch (error) {
+    // Files without their manifest cannot be verified, so the export is not kept
+    saved.forEach(part => fs.rmSync(part.path, { force: true }));
+    return saveFailed(error, rowCount, fileSize);
+  }
+
+  return { status: 'saved', rowCount, fileSize, preview, schema, parts: saved, manifestPath };
+}
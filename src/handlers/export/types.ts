@@ -1,28 +1,83 @@
+import { CardFilters, MbqlSpec } from '../../utils/index.js';
+
+// parquet and ndjson are converted locally from Metabase's JSON export
+export type ExportFormat = 'csv' | 'json' | 'xlsx' | 'parquet' | 'ndjson';
+export type ConvertedExportFormat = 'parquet' | 'ndjson';
+
+export type ExportCompression = 'none' | 'gzip' | 'zip';
+
+// Limits of each part of a split export; a part ends when either is reached
+export interface ExportSplit {
+  rows?: number;
+  // Measured before compression
+  mb?: number;
+}
+
+export type ExportColumnType =
+  | 'BOOLEAN'
+  | 'INT64'
+  | 'DOUBLE'
+  | 'STRING'
+  | 'JSON'
+  | 'DATE'
+  | 'TIMESTAMP';
+
+export interface ExportSchemaColumn {
+  name: string;
+  // Metabase type the column type was derived from, e.g. type/Integer; null when unknown
+  base_type: string | null;
+  type: ExportColumnType;
+}
+
 export interface ExportRequest {
   database_id?: number;
   query?: string;
   card_id?: number;
   native_parameters?: any[];
   card_parameters?: any[];
-  format?: 'csv' | 'json' | 'xlsx';
+  card_filters?: unknown;
+  mbql?: unknown;
+  format?: ExportFormat;
   filename?: string;
+  compression?: ExportCompression;
+  split_rows?: number;
+  split_mb?: number;
 }
 
 export interface SqlExportParams {
   databaseId: number;
   query: string;
   nativeParameters: any[];
-  format: 'csv' | 'json' | 'xlsx';
+  format: ExportFormat;
+  filename?: string;
+  compression: ExportCompression;
+  split: ExportSplit | null;
+}
+
+export interface MbqlExportParams {
+  spec: MbqlSpec;
+  format: ExportFormat;
   filename?: string;
+  compression: ExportCompression;
+  split: ExportSplit | null;
 }
 
 export interface CardExportParams {
   cardId: number;
   cardParameters: any[];
-  format: 'csv' | 'json' | 'xlsx';
+  cardFilters?: CardFilters;
+  format: ExportFormat;
   filename?: string;
+  compression: ExportCompression;
+  split: ExportSplit | null;
 }
 
+// Validated export arguments for each export mode
+export type ExportParams =
+  | { mode: 'sql'; params: SqlExportParams }
+  | { mode: 'mbql'; params: MbqlExportParams }
+  | { mode: 'card'; params: CardExportParams };
+
 export interface ExportResponse {
   content: Array<{
     type: 'text';
@@ -3,4 +3,14 @@ export { handleExecute } from './execute/index.js';
 export { handleExport } from './export/index.js';
 export { handleSearch } from './search.js';
 export { handleClearCache } from './clearCache.js';
+export { handleCacheStats } from './cacheStats.js';
 export { handleRetrieve } from './retrieve/index.js';
+export { handleExecuteDashboard } from './executeDashboard/index.js';
+export { handleParameterValues } from './parameterValues/index.js';
+export { handleCreateCard, handleUpdateCard } from './cards/index.js';
+export { handleCreateDashboard } from './dashboards/index.js';
+export {
+  handleScheduleExport,
+  handleListScheduledExports,
+  handleCancelScheduledExport,
+} from './scheduledExports/index.js';
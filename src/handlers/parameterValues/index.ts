@@ -0,0 +1,265 @@
+import { z } from 'zod';
+import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { MetabaseApiClient } from '../../api.js';
+import {
+  handleApiError,
+  parseToolArguments,
+  listCardParameters,
+  findParameterByKey,
+  fieldReferenceId,
+  suggestNames,
+} from '../../utils/index.js';
+import { ValidationErrorFactory } from '../../utils/errorFactory.js';
+import { parameterValuesSchema } from './schemas.js';
+import {
+  DEFAULT_PARAMETER_VALUES_LIMIT,
+  ParameterDescriptor,
+  ParameterValue,
+  ParameterValuesResponse,
+} from './types.js';
+
+/**
+ * Field ID a dashcard parameter mapping filters on, following template tag targets to the
+ * field filter of the dashcard's card
+ */
+function mappingFieldId(dashcard: any, mapping: any): number | null {
+  const reference = Array.isArray(mapping?.target) ? mapping.target[1] : undefined;
+  if (Array.isArray(reference) && reference[0] === 'template-tag') {
+    const native = dashcard?.card?.dataset_query?.native;
+    const tags = native?.['template-tags'] ?? native?.template_tags ?? {};
+    return fieldReferenceId(tags[String(reference[1])]?.dimension);
+  }
+  return fieldReferenceId(reference);
+}
+
+/**
+ * Dashboard filters, each with the field of the first dashcard mapping that filters on one
+ */
+function listDashboardParameters(dashboard: any): ParameterDescriptor[] {
+  const parameters: any[] = Array.isArray(dashboard?.parameters) ? dashboard.parameters : [];
+  const dashcards: any[] = Array.isArray(dashboard?.dashcards) ? dashboard.dashcards : [];
+
+  return parameters.map(parameter => {
+    let fieldId: number | null = null;
+    for (const dashcard of dashcards) {
+      const mappings: any[] = Array.isArray(dashcard?.parameter_mappings)
+        ? dashcard.parameter_mappings
+        : [];
+      for (const mapping of mappings) {
+        if (fieldId === null && mapping?.parameter_id === parameter.id) {
+          fieldId = mappingFieldId(dashcard, mapping);
+        }
+      }
+    }
+
+    return {
+      id: parameter.id,
+      slug: parameter.slug,
+      name: parameter.name,
+      type: String(parameter.type ?? ''),
+      names: [parameter.slug, parameter.name].filter(Boolean).map(String),
+      fieldId,
+    };
+  });
+}
+
+/**
+ * Turn Metabase's [value] and [value, label] rows into plain values or {value, label}
+ */
+function normalizeValues(values: unknown): ParameterValue[] {
+  if (!Array.isArray(values)) {
+    return [];
+  }
+  return values.map(row => {
+    if (!Array.isArray(row)) {
+      return row;
+    }
+    return row.length > 1 && row[1] !== null && row[1] !== undefined
+      ? { value: row[0], label: String(row[1]) }
+      : row[0];
+  });
+}
+
+function isLabelled(value: ParameterValue): value is { value: unknown; label: string } {
+  return value !== null && typeof value === 'object' && 'value' in value && 'label' in value;
+}
+
+function matchesQuery(value: ParameterValue, query: string): boolean {
+  const needle = query.toLowerCase();
+  const texts = isLabelled(value) ? [value.value, value.label] : [value];
+  return texts.some(text => String(text).toLowerCase().includes(needle));
+}
+
+export async function handleParameterValues(
+  request: z.infer<typeof CallToolRequestSchema>,
+  requestId: string,
+  apiClient: MetabaseApiClient,
+  logDebug: (message: string, data?: unknown) => void,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<ParameterValuesResponse> {
+  const args = parseToolArguments(
+    parameterValuesSchema,
+    request.params?.arguments,
+    'parameter_values',
+    requestId,
+    logWarn
+  );
+  const resource = args.card_id !== undefined ? 'card' : 'dashboard';
+  const resourceId = (args.card_id ?? args.dashboard_id) as number;
+  const limit = args.limit ?? DEFAULT_PARAMETER_VALUES_LIMIT;
+
+  let parameters: ParameterDescriptor[];
+  try {
+    if (resource === 'card') {
+      const response = await apiClient.getCard(resourceId);
+      parameters = listCardParameters(response.data);
+    } else {
+      const response = await apiClient.getDashboard(resourceId);
+      parameters = listDashboardParameters(response.data);
+    }
+  } catch (error: any) {
+    throw handleApiError(
+      error,
+      {
+        operation: resource === 'card' ? 'Card retrieval' : 'Dashboard retrieval',
+        resourceType: resource,
+        resourceId,
+      },
+      logError
+    );
+  }
+
+  const parameter = findParameterByKey(parameters, args.parameter);
+  if (!parameter) {
+    const available = parameters.map(candidate => candidate.slug);
+    const suggestions = suggestNames(args.parameter, available);
+    logWarn(`Unknown parameter '${args.parameter}' for ${resource} ${resourceId}`, {
+      requestId,
+      available,
+    });
+    throw ValidationErrorFactory.invalidParameter(
+      'parameter',
+      args.parameter,
+      available.length === 0
+        ? `no parameters - this ${resource} has no parameters`
+        : `a parameter of this ${resource} (${available.join(', ')})${
+            suggestions.length > 0 ? `; did you mean "${suggestions[0]}"?` : ''
+          }`
+    );
+  }
+
+  logDebug(`Fetching values of parameter ${parameter.slug} of ${resource} ${resourceId}`, {
+    query: args.query,
+    fieldId: parameter.fieldId,
+  });
+
+  let values: ParameterValue[];
+  let hasMoreValues: boolean;
+  let source: 'parameter' | 'field';
+  try {
+    const response =
+      resource === 'card'
+        ? await apiClient.getCardParameterValues(resourceId, parameter.id, args.query)
+        : await apiClient.getDashboardParameterValues(resourceId, parameter.id, args.query);
+    values = normalizeValues(response.data?.values);
+    hasMoreValues = response.data?.has_more_values === true;
+    source = 'parameter';
+  } catch (error: any) {
+    if (parameter.fieldId === null) {
+      throw handleApiError(
+        error,
+        {
+          operation: 'Parameter values retrieval',
+          resourceType: resource,
+          resourceId,
+        },
+        logError
+      );
+    }
+
+    // Template tags without a card parameter and older Metabase versions have no
+    // parameter values endpoint, but the field's scanned values are the same list
+    logWarn(
+      `Parameter values endpoint failed for ${resource} ${resourceId}, using values of field ${parameter.fieldId}`,
+      { requestId },
+      error instanceof Error ? error : undefined
+    );
+    try {
+      const response = await apiClient.getFieldValues(parameter.fieldId);
+      values = normalizeValues(response.data?.values);
+      hasMoreValues = response.data?.has_more_values === true;
+      source = 'field';
+    } catch (fieldError: any) {
+      throw handleApiError(
+        fieldError,
+        {
+          operation: 'Field values retrieval',
+          resourceType: 'field',
+          resourceId: parameter.fieldId,
+        },
+        logError
+      );
+    }
+    if (args.query !== undefined) {
+      const query = args.query;
+      values = values.filter(value => matchesQuery(value, query));
+    }
+  }
+
+  // Field metadata is context for the values, so a failure to load it is not fatal
+  let field: Record<string, unknown> | undefined;
+  if (parameter.fieldId !== null) {
+    try {
+      const { data } = await apiClient.getField(parameter.fieldId);
+      field = {
+        id: data.id,
+        name: data.name,
+        display_name: data.display_name,
+        base_type: data.base_type,
+        semantic_type: data.semantic_type,
+        has_field_values: data.has_field_values,
+      };
+    } catch (error) {
+      logWarn(
+        `Failed to load metadata of field ${parameter.fieldId}`,
+        { requestId },
+        error instanceof Error ? error : undefined
+      );
+    }
+  }
+
+  const truncated = values.length > limit;
+  logInfo(
+    `Retrieved ${values.length} value(s) of parameter ${parameter.slug} of ${resource} ${resourceId} from the ${source} endpoint`
+  );
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            [`${resource}_id`]: resourceId,
+            parameter: {
+              id: parameter.id,
+              slug: parameter.slug,
+              name: parameter.name,
+              type: parameter.type,
+            },
+            field,
+            query: args.query,
+            source,
+            returned: Math.min(values.length, limit),
+            has_more_values: hasMoreValues,
+            truncated,
+            values: values.slice(0, limit),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * Argument schema for the parameter_values tool
+ */
+
+import { z } from 'zod';
+import { MAX_PARAMETER_VALUES_LIMIT } from './types.js';
+
+export const parameterValuesSchema = z
+  .object({
+    card_id: z.number().int().positive().optional(),
+    dashboard_id: z.number().int().positive().optional(),
+    // Slug, parameter ID, name or template tag name
+    parameter: z.string().trim().min(1),
+    query: z.string().trim().min(1).optional(),
+    limit: z.number().int().positive().max(MAX_PARAMETER_VALUES_LIMIT).optional(),
+  })
+  .strict()
+  .refine(args => (args.card_id === undefined) !== (args.dashboard_id === undefined), {
+    message: 'exactly one of card_id or dashboard_id is required',
+    path: ['card_id'],
+  });
+
+export type ParameterValuesArguments = z.infer<typeof parameterValuesSchema>;
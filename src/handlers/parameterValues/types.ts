@@ -0,0 +1,22 @@
+export const DEFAULT_PARAMETER_VALUES_LIMIT = 100;
+export const MAX_PARAMETER_VALUES_LIMIT = 1000;
+
+// A plain value, or a value with the remapped label Metabase shows for it
+export type ParameterValue = unknown | { value: unknown; label: string };
+
+// A card or dashboard parameter, with the field it filters on when known
+export interface ParameterDescriptor {
+  id: string;
+  slug: string;
+  name?: string;
+  type: string;
+  names: string[];
+  fieldId: number | null;
+}
+
+export interface ParameterValuesResponse {
+  content: Array<{
+    type: 'text';
+    text: string;
+  }>;
+}
@@ -13,6 +13,7 @@ export const promptDefinitions: Prompt[] = [
         name: 'card_id',
         description: 'The ID number of the Metabase card/question to execute',
         required: true,
+        completion: 'card',
       },
       {
         name: 'filters',
@@ -31,6 +32,7 @@ export const promptDefinitions: Prompt[] = [
         name: 'card_id',
         description: 'The ID number of the Metabase card/question to export',
         required: true,
+        completion: 'card',
       },
       {
         name: 'filters',
@@ -45,4 +47,77 @@ export const promptDefinitions: Prompt[] = [
       },
     ],
   },
+  {
+    name: 'explore_database',
+    description:
+      'Explore a Metabase database: its tables, row-count estimates, keys and relationships, with suggested starting questions',
+    arguments: [
+      {
+        name: 'database_id',
+        description: 'The ID number of the Metabase database to explore',
+        required: true,
+        completion: 'database',
+      },
+      {
+        name: 'focus',
+        description: 'Optional subject area or question to concentrate the exploration on',
+        required: false,
+      },
+    ],
+  },
+  {
+    name: 'write_sql',
+    description:
+      'Write and run a SQL query that answers a question, with the relevant database schema provided',
+    arguments: [
+      {
+        name: 'database_id',
+        description: 'The ID number of the Metabase database to query',
+        required: true,
+        completion: 'database',
+      },
+      {
+        name: 'question',
+        description: 'The question the query should answer, in natural language',
+        required: true,
+      },
+      {
+        name: 'tables',
+        description:
+          'Optional comma-separated table names to use; by default the tables are picked from the question',
+        required: false,
+      },
+    ],
+  },
+  {
+    name: 'review_dashboard',
+    description:
+      "Summarize a Metabase dashboard's purpose, cards and filters, and point out filter wiring issues",
+    arguments: [
+      {
+        name: 'dashboard_id',
+        description: 'The ID number of the Metabase dashboard to review',
+        required: true,
+        completion: 'dashboard',
+      },
+    ],
+  },
+  {
+    name: 'audit_collection',
+    description:
+      'Audit a Metabase collection for stale and duplicate questions and recommend what to clean up',
+    arguments: [
+      {
+        name: 'collection_id',
+        description: 'The ID number of the Metabase collection to audit',
+        required: true,
+        completion: 'collection',
+      },
+      {
+        name: 'stale_days',
+        description: 'Days without edits after which an item counts as stale (default: 180)',
+        required: false,
+      },
+    ],
+  },
 ];
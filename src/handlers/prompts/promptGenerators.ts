@@ -1,7 +1,26 @@
 import { ErrorCode, McpError } from '../../types/core.js';
 import { MetabaseApiClient } from '../../api.js';
+import { queryFingerprint, suggestNames } from '../../utils/index.js';
 import { LogFunction } from './types.js';
-import { getCardExecutionTemplate, getCardExportTemplate } from './templates/index.js';
+import {
+  getCardExecutionTemplate,
+  getCardExportTemplate,
+  getDatabaseExplorationTemplate,
+  getSqlAuthoringTemplate,
+  getDashboardReviewTemplate,
+  getCollectionAuditTemplate,
+} from './templates/index.js';
+
+// Largest tables detailed with their key fields in the database exploration prompt
+const MAX_EXPLORED_TABLES = 20;
+// Tables whose columns are injected into the SQL authoring prompt
+const MAX_SQL_SCHEMA_TABLES = 8;
+// Table names listed before the rest are summarized as a count
+const MAX_LISTED_TABLES = 100;
+// Cards whose queries are compared in the collection audit prompt
+const MAX_AUDITED_CARDS = 50;
+const DEFAULT_STALE_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Generate card execution workflow prompt
@@ -220,3 +239,577 @@ export async function generateCardExportWorkflowPrompt(
     ],
   };
 }
+
+/**
+ * Parse a required ID argument; prompt arguments always arrive as strings
+ */
+function parseIdArgument(value: unknown, name: string, workflow: string): number {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    throw new McpError(ErrorCode.InvalidParams, `${name} is required for ${workflow}`);
+  }
+  const id = Number(String(value).trim());
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new McpError(ErrorCode.InvalidParams, `${name} must be a positive integer`);
+  }
+  return id;
+}
+
+function tableLabel(table: any): string {
+  return table.schema ? `${table.schema}.${table.name}` : String(table.name);
+}
+
+function estimatedRows(table: any): number | null {
+  const rows = table.estimated_row_count ?? table.rows;
+  return typeof rows === 'number' ? rows : null;
+}
+
+function rowHint(table: any): string {
+  const rows = estimatedRows(table);
+  return rows === null ? '' : ` (~${rows.toLocaleString('en-US')} rows)`;
+}
+
+/**
+ * Visible tables of a database, largest first; tables hidden in the Metabase data model are left out
+ */
+function visibleTables(database: any): any[] {
+  const tables: any[] = Array.isArray(database?.tables) ? database.tables : [];
+  return tables
+    .filter(table => !table.visibility_type)
+    .sort((a, b) => (estimatedRows(b) ?? -1) - (estimatedRows(a) ?? -1));
+}
+
+function listTableNames(tables: any[]): string {
+  const names = tables.slice(0, MAX_LISTED_TABLES).map(tableLabel).join(', ');
+  return tables.length > MAX_LISTED_TABLES
+    ? `${names} and ${tables.length - MAX_LISTED_TABLES} more`
+    : names;
+}
+
+/**
+ * Load table metadata with fields, skipping tables that cannot be retrieved
+ */
+async function loadTableMetadata(
+  tables: any[],
+  apiClient: MetabaseApiClient,
+  logWarn: LogFunction
+): Promise<any[]> {
+  const results = await Promise.allSettled(tables.map(table => apiClient.getTable(table.id)));
+  return results.flatMap((result, index) => {
+    if (result.status === 'fulfilled') {
+      return [result.value.data];
+    }
+    logWarn(`Could not fetch metadata of table ${tables[index].id} for prompt`, result.reason);
+    return [];
+  });
+}
+
+/**
+ * "schema.table.column" for every field of the loaded tables, to name foreign key targets
+ */
+function fieldNames(tables: any[]): Map<number, string> {
+  const names = new Map<number, string>();
+  for (const table of tables) {
+    for (const field of table.fields ?? []) {
+      names.set(field.id, `${tableLabel(table)}.${field.name}`);
+    }
+  }
+  return names;
+}
+
+function foreignKeyTarget(field: any, names: Map<number, string>): string {
+  return names.get(field.fk_target_field_id) ?? `field ${field.fk_target_field_id}`;
+}
+
+function isTemporal(field: any): boolean {
+  return /Date|Time/.test(String(field.effective_type ?? field.base_type ?? ''));
+}
+
+function describeDatabase(database: any): string {
+  return `**Database Information:**
+- ID: ${database.id}
+- Name: ${database.name}
+- Engine: ${database.engine}
+- Description: ${database.description || 'No description'}`;
+}
+
+/**
+ * Generate database exploration workflow prompt
+ */
+export async function generateDatabaseExplorationPrompt(
+  args: Record<string, any>,
+  apiClient: MetabaseApiClient,
+  logInfo: LogFunction,
+  logWarn: LogFunction
+) {
+  const databaseId = parseIdArgument(args.database_id, 'database_id', 'database exploration');
+  const focus = args.focus;
+
+  logInfo(`Generating database exploration prompt for database ${databaseId}`);
+
+  let databaseDetails = '';
+  let tablesInfo = '';
+  let keyFieldsInfo = '';
+
+  try {
+    const database = (await apiClient.getDatabase(databaseId)).data;
+    const tables = visibleTables(database);
+    databaseDetails = describeDatabase(database);
+
+    tablesInfo =
+      tables.length > 0
+        ? `\n**Tables (${tables.length}, largest first):**\n${tables
+            .slice(0, MAX_LISTED_TABLES)
+            .map(
+              table =>
+                `- ${tableLabel(table)}${rowHint(table)}${table.description ? `: ${table.description}` : ''}`
+            )
+            .join('\n')}${
+            tables.length > MAX_LISTED_TABLES
+              ? `\n- ... and ${tables.length - MAX_LISTED_TABLES} more tables`
+              : ''
+          }`
+        : '\n**Tables:** None synced';
+
+    const detailed = await loadTableMetadata(
+      tables.slice(0, MAX_EXPLORED_TABLES),
+      apiClient,
+      logWarn
+    );
+    const names = fieldNames(detailed);
+    const keyFields = detailed.map(table => {
+      const fields: any[] = table.fields ?? [];
+      const keys = [
+        ...fields
+          .filter(field => field.semantic_type === 'type/PK')
+          .map(field => `PK ${field.name}`),
+        ...fields
+          .filter(field => field.semantic_type === 'type/FK' && field.fk_target_field_id)
+          .map(field => `FK ${field.name} → ${foreignKeyTarget(field, names)}`),
+        ...fields.filter(isTemporal).map(field => `time ${field.name}`),
+      ];
+      return `- ${tableLabel(table)}: ${keys.length > 0 ? keys.join('; ') : 'no key fields'}`;
+    });
+    if (keyFields.length > 0) {
+      keyFieldsInfo = `\n**Key Fields of the ${keyFields.length} Largest Tables:**\n${keyFields.join('\n')}`;
+    }
+  } catch (error) {
+    logWarn('Could not fetch database details for exploration prompt', error);
+    databaseDetails = `**Database ID:** ${databaseId} (details could not be retrieved)`;
+  }
+
+  const focusText = focus ? `\n**Focus:**\n"${focus}"` : '\n**Focus:** None (whole database)';
+
+  return {
+    description: 'Database Exploration Assistant',
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: getDatabaseExplorationTemplate(
+            String(databaseId),
+            databaseDetails,
+            tablesInfo,
+            keyFieldsInfo,
+            focusText
+          ),
+        },
+      },
+    ],
+  };
+}
+
+// Lowercase words of a name or question, with plural "s" dropped so "orders" matches "order"
+function words(text: string): string[] {
+  return String(text ?? '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3)
+    .map(word => word.replace(/s$/, ''));
+}
+
+/**
+ * Tables named in the tables argument, or otherwise those sharing the most words with the question
+ */
+function selectSqlTables(
+  tables: any[],
+  question: string,
+  requested: string[]
+): { selected: any[]; notFound: string[] } {
+  if (requested.length > 0) {
+    const selected: any[] = [];
+    const notFound: string[] = [];
+    for (const name of requested) {
+      const lower = name.toLowerCase();
+      const table = tables.find(candidate =>
+        [tableLabel(candidate), candidate.name, candidate.display_name].some(
+          label => String(label ?? '').toLowerCase() === lower
+        )
+      );
+      if (table && !selected.includes(table)) {
+        selected.push(table);
+      } else if (!table) {
+        const suggestions = suggestNames(
+          name,
+          tables.map(candidate => candidate.name)
+        );
+        notFound.push(suggestions.length > 0 ? `${name} (did you mean ${suggestions[0]}?)` : name);
+      }
+    }
+    return { selected: selected.slice(0, MAX_SQL_SCHEMA_TABLES), notFound };
+  }
+
+  const questionWords = new Set(words(question));
+  const scored = tables
+    .map(table => ({
+      table,
+      score: new Set(
+        [...words(table.name), ...words(table.display_name)].filter(word => questionWords.has(word))
+      ).size,
+    }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  // Without a match the largest tables are the best guess
+  const selected = scored.length > 0 ? scored.map(entry => entry.table) : tables;
+  return { selected: selected.slice(0, MAX_SQL_SCHEMA_TABLES), notFound: [] };
+}
+
+/**
+ * Generate SQL authoring workflow prompt
+ */
+export async function generateSqlAuthoringPrompt(
+  args: Record<string, any>,
+  apiClient: MetabaseApiClient,
+  logInfo: LogFunction,
+  logWarn: LogFunction
+) {
+  const databaseId = parseIdArgument(args.database_id, 'database_id', 'SQL authoring');
+  const question = typeof args.question === 'string' ? args.question.trim() : '';
+  if (!question) {
+    throw new McpError(ErrorCode.InvalidParams, 'question is required for SQL authoring');
+  }
+  const requested: string[] = String(args.tables ?? '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  logInfo(`Generating SQL authoring prompt for database ${databaseId}`);
+
+  let databaseDetails = '';
+  let schemaInfo = '';
+  let otherTablesInfo = '';
+
+  try {
+    const database = (await apiClient.getDatabase(databaseId)).data;
+    const tables = visibleTables(database);
+    databaseDetails = describeDatabase(database);
+
+    const { selected, notFound } = selectSqlTables(tables, question, requested);
+    const detailed = await loadTableMetadata(selected, apiClient, logWarn);
+    const names = fieldNames(detailed);
+
+    schemaInfo = `\n**Relevant Schema:**\n${detailed
+      .map(table => {
+        const fields = (table.fields ?? [])
+          .map((field: any) => {
+            const type = String(field.base_type ?? 'unknown').replace(/^type\//, '');
+            const key =
+              field.semantic_type === 'type/PK'
+                ? ' [PK]'
+                : field.semantic_type === 'type/FK' && field.fk_target_field_id
+                  ? ` [FK → ${foreignKeyTarget(field, names)}]`
+                  : '';
+            return `  - ${field.name} (${type})${key}`;
+          })
+          .join('\n');
+        return `- ${tableLabel(table)}${rowHint(table)}${table.description ? `: ${table.description}` : ''}\n${fields}`;
+      })
+      .join('\n')}`;
+    if (notFound.length > 0) {
+      schemaInfo += `\n**Requested Tables Not Found:** ${notFound.join(', ')}`;
+    }
+
+    const others = tables.filter(table => !selected.includes(table));
+    if (others.length > 0) {
+      otherTablesInfo = `\n**Other Tables:** ${listTableNames(others)}`;
+    }
+  } catch (error) {
+    logWarn('Could not fetch database schema for SQL authoring prompt', error);
+    databaseDetails = `**Database ID:** ${databaseId} (details could not be retrieved)`;
+    schemaInfo =
+      '\n**Relevant Schema:** Not available - use the \'retrieve\' tool (model "database") to list the tables';
+  }
+
+  return {
+    description: 'SQL Authoring Assistant',
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: getSqlAuthoringTemplate(
+            String(databaseId),
+            question,
+            databaseDetails,
+            schemaInfo,
+            otherTablesInfo
+          ),
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Generate dashboard review workflow prompt
+ */
+export async function generateDashboardReviewPrompt(
+  args: Record<string, any>,
+  apiClient: MetabaseApiClient,
+  logInfo: LogFunction,
+  logWarn: LogFunction
+) {
+  const dashboardId = parseIdArgument(args.dashboard_id, 'dashboard_id', 'dashboard review');
+
+  logInfo(`Generating dashboard review prompt for dashboard ${dashboardId}`);
+
+  let dashboardDetails = '';
+  let filtersInfo = '';
+  let cardsInfo = '';
+
+  try {
+    const dashboard = (await apiClient.getDashboard(dashboardId)).data;
+    const parameters: any[] = Array.isArray(dashboard.parameters) ? dashboard.parameters : [];
+    const dashcards: any[] = Array.isArray(dashboard.dashcards) ? dashboard.dashcards : [];
+    const cardDashcards = dashcards.filter(dashcard => dashcard.card_id);
+
+    dashboardDetails = `**Dashboard Information:**
+- ID: ${dashboard.id}
+- Name: ${dashboard.name}
+- Description: ${dashboard.description || 'No description'}
+- Collection ID: ${dashboard.collection_id ?? 'root'}
+- Cards: ${cardDashcards.length}${
+      dashcards.length > cardDashcards.length
+        ? ` (plus ${dashcards.length - cardDashcards.length} text or heading cards)`
+        : ''
+    }`;
+
+    const mappedSlugs = (dashcard: any): string[] =>
+      parameters
+        .filter(parameter =>
+          (dashcard.parameter_mappings ?? []).some(
+            (mapping: any) => mapping.parameter_id === parameter.id
+          )
+        )
+        .map(parameter => parameter.slug);
+
+    filtersInfo =
+      parameters.length > 0
+        ? `\n**Filters:**\n${parameters
+            .map(parameter => {
+              const cards = cardDashcards
+                .filter(dashcard => mappedSlugs(dashcard).includes(parameter.slug))
+                .map(dashcard => dashcard.card?.name ?? `card ${dashcard.card_id}`);
+              const defaultText =
+                parameter.default !== undefined && parameter.default !== null
+                  ? `, default ${JSON.stringify(parameter.default)}`
+                  : '';
+              return `- ${parameter.name} (${parameter.type}), slug ${parameter.slug}${defaultText}: ${
+                cards.length > 0 ? `applies to ${cards.join(', ')}` : 'not connected to any card'
+              }`;
+            })
+            .join('\n')}`
+        : '\n**Filters:** None defined';
+
+    cardsInfo =
+      cardDashcards.length > 0
+        ? `\n**Cards:**\n${cardDashcards
+            .map(dashcard => {
+              const card = dashcard.card ?? {};
+              const queryType =
+                card.dataset_query?.type === 'native'
+                  ? 'SQL'
+                  : card.dataset_query
+                    ? 'query builder'
+                    : 'unknown query';
+              const slugs = mappedSlugs(dashcard);
+              return `- ${card.name ?? 'Untitled'} (card ${dashcard.card_id}, ${card.display ?? 'unknown display'}, ${queryType})${
+                card.description ? `: ${card.description}` : ''
+              } - filters: ${slugs.length > 0 ? slugs.join(', ') : 'none'}`;
+            })
+            .join('\n')}`
+        : '\n**Cards:** None';
+  } catch (error) {
+    logWarn('Could not fetch dashboard details for review prompt', error);
+    dashboardDetails = `**Dashboard ID:** ${dashboardId} (details could not be retrieved)`;
+  }
+
+  return {
+    description: 'Dashboard Review Assistant',
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: getDashboardReviewTemplate(
+            String(dashboardId),
+            dashboardDetails,
+            filtersInfo,
+            cardsInfo
+          ),
+        },
+      },
+    ],
+  };
+}
+
+// Questions and models can be compared by query; dashboards only by name
+const CARD_MODELS = ['card', 'dataset', 'metric'];
+
+function lastEdited(item: any): string | undefined {
+  return item['last-edit-info']?.timestamp ?? item.updated_at;
+}
+
+function itemLabel(item: any): string {
+  return `${item.model} ${item.id} "${item.name}"`;
+}
+
+/**
+ * Fingerprint of a card's query, ignoring whitespace and case differences in native SQL
+ */
+function cardQueryFingerprint(card: any): string {
+  const datasetQuery = card.dataset_query ?? {};
+  const sql = datasetQuery.native?.query;
+  return queryFingerprint({
+    database: card.database_id ?? datasetQuery.database,
+    query:
+      typeof sql === 'string'
+        ? sql.replace(/\s+/g, ' ').replace(/;\s*$/, '').trim().toLowerCase()
+        : (datasetQuery.query ?? datasetQuery),
+  });
+}
+
+function groupsOf<T>(items: T[], key: (item: T) => string): T[][] {
+  const groups = new Map<string, T[]>();
+  for (const item of items) {
+    const group = groups.get(key(item)) ?? [];
+    group.push(item);
+    groups.set(key(item), group);
+  }
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Generate collection audit workflow prompt
+ */
+export async function generateCollectionAuditPrompt(
+  args: Record<string, any>,
+  apiClient: MetabaseApiClient,
+  logInfo: LogFunction,
+  logWarn: LogFunction
+) {
+  const collectionId = parseIdArgument(args.collection_id, 'collection_id', 'collection audit');
+  const staleDays =
+    args.stale_days === undefined || args.stale_days === ''
+      ? DEFAULT_STALE_DAYS
+      : parseIdArgument(args.stale_days, 'stale_days', 'collection audit');
+
+  logInfo(`Generating collection audit prompt for collection ${collectionId}`);
+
+  let collectionDetails = '';
+  let staleItemsInfo = '';
+  let duplicatesInfo = '';
+
+  try {
+    const collection = (await apiClient.getCollection(collectionId)).data;
+    const allItems = (await apiClient.getCollectionItems(collectionId)).data;
+    const items = allItems.filter(item => item.model !== 'collection' && !item.archived);
+    const subCollections = allItems.filter(item => item.model === 'collection').length;
+    const archived = allItems.length - items.length - subCollections;
+    const skipped = [
+      subCollections > 0 ? `sub-collections: ${subCollections}` : '',
+      archived > 0 ? `archived items: ${archived}` : '',
+    ].filter(Boolean);
+
+    collectionDetails = `**Collection Information:**
+- ID: ${collection.id}
+- Name: ${collection.name}
+- Description: ${collection.description || 'No description'}
+- Items: ${items.length}${skipped.length > 0 ? ` (not audited: ${skipped.join(', ')})` : ''}`;
+
+    const cutoff = Date.now() - staleDays * DAY_MS;
+    const stale = items.filter(item => {
+      const edited = Date.parse(lastEdited(item) ?? '');
+      return !Number.isNaN(edited) && edited < cutoff;
+    });
+    staleItemsInfo =
+      stale.length > 0
+        ? `\n**Stale Items (not edited in ${staleDays} days):**\n${stale
+            .map(item => {
+              const editor = item['last-edit-info']?.email;
+              return `- ${itemLabel(item)}, last edited ${String(lastEdited(item)).slice(0, 10)}${editor ? ` by ${editor}` : ''}`;
+            })
+            .join('\n')}`
+        : `\n**Stale Items (not edited in ${staleDays} days):** None`;
+
+    const findings: string[] = groupsOf(
+      items,
+      item =>
+        `${CARD_MODELS.includes(item.model) ? 'card' : item.model}:${String(item.name)
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, ' ')
+          .trim()}`
+    ).map(group => `- Same name: ${group.map(itemLabel).join(', ')}`);
+
+    const cardItems = items.filter(item => CARD_MODELS.includes(item.model));
+    const compared = cardItems.slice(0, MAX_AUDITED_CARDS);
+    const cards = await Promise.allSettled(compared.map(item => apiClient.getCard(item.id)));
+    const loaded = cards.flatMap((result, index) => {
+      if (result.status === 'fulfilled') {
+        return [{ item: compared[index], fingerprint: cardQueryFingerprint(result.value.data) }];
+      }
+      logWarn(
+        `Could not fetch card ${compared[index].id} for collection audit prompt`,
+        result.reason
+      );
+      return [];
+    });
+    findings.push(
+      ...groupsOf(loaded, entry => entry.fingerprint).map(
+        group => `- Same query: ${group.map(entry => itemLabel(entry.item)).join(', ')}`
+      )
+    );
+
+    const comparedNote =
+      cardItems.length > MAX_AUDITED_CARDS
+        ? ` (queries of the first ${MAX_AUDITED_CARDS} of ${cardItems.length} questions compared)`
+        : '';
+    duplicatesInfo =
+      findings.length > 0
+        ? `\n**Possible Duplicates${comparedNote}:**\n${findings.join('\n')}`
+        : `\n**Possible Duplicates${comparedNote}:** None`;
+  } catch (error) {
+    logWarn('Could not fetch collection items for audit prompt', error);
+    collectionDetails = `**Collection ID:** ${collectionId} (items could not be retrieved - use the 'list' and 'retrieve' tools to inspect it)`;
+  }
+
+  return {
+    description: 'Collection Audit Assistant',
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: getCollectionAuditTemplate(
+            String(collectionId),
+            staleDays,
+            collectionDetails,
+            staleItemsInfo,
+            duplicatesInfo
+          ),
+        },
+      },
+    ],
+  };
+}
@@ -5,6 +5,10 @@ import { promptDefinitions } from './promptDefinitions.js';
 import {
   generateCardExecutionWorkflowPrompt,
   generateCardExportWorkflowPrompt,
+  generateDatabaseExplorationPrompt,
+  generateSqlAuthoringPrompt,
+  generateDashboardReviewPrompt,
+  generateCollectionAuditPrompt,
 } from './promptGenerators.js';
 import { ListPromptsRequest, GetPromptRequest, Prompt, LogFunction } from './types.js';
 
@@ -17,7 +21,11 @@ export async function handleListPrompts(_request: ListPromptsRequest, logInfo: L
   const prompts: Prompt[] = promptDefinitions.map(prompt => ({
     name: prompt.name,
     description: prompt.description,
-    arguments: prompt.arguments,
+    arguments: prompt.arguments.map(({ name, description, required }) => ({
+      name,
+      description,
+      required,
+    })),
   }));
 
   return { prompts };
@@ -49,6 +57,18 @@ export async function handleGetPrompt(
       case 'export_card':
         return generateCardExportWorkflowPrompt(args, apiClient, logInfo, logWarn);
 
+      case 'explore_database':
+        return generateDatabaseExplorationPrompt(args, apiClient, logInfo, logWarn);
+
+      case 'write_sql':
+        return generateSqlAuthoringPrompt(args, apiClient, logInfo, logWarn);
+
+      case 'review_dashboard':
+        return generateDashboardReviewPrompt(args, apiClient, logInfo, logWarn);
+
+      case 'audit_collection':
+        return generateCollectionAuditPrompt(args, apiClient, logInfo, logWarn);
+
       default:
         throw new McpError(ErrorCode.InvalidRequest, `Unknown prompt: ${promptName}`);
     }
@@ -21,21 +21,19 @@ ${userFiltersText}
 
 You must execute this card and return the data. If filter requirements are provided, apply them to the card parameters. Follow this process:
 
-1. **Parse filters** (if provided) against the card's available parameters. Match filter requirements to parameter names, slugs, or purposes. Convert natural language values to proper formats (dates to ISO format, numbers to integers/floats, text to strings).
+1. **Parse filters** (if provided) against the card's available parameters. Match filter requirements to parameter names, slugs, or purposes.
 
-2. **Execute the card** using the 'execute' tool in card mode with card_id=${cardId}. If filters were identified, include them as card_parameters in this format:
+2. **Execute the card** using the 'execute' tool in card mode with card_id=${cardId}. If filters were identified, pass them as card_filters keyed by parameter slug; the server converts them into typed Metabase parameters:
    \`\`\`json
-   [{
-     "id": "parameter-uuid",
-     "slug": "parameter-slug",
-     "target": ["dimension", ["template-tag", "parameter-name"]],
-     "type": "parameter-type",
-     "value": "converted-value"
-   }]
+   {
+     "parameter-slug": "value",
+     "date-parameter-slug": "last 30 days",
+     "multi-value-parameter-slug": ["value 1", "value 2"]
+   }
    \`\`\`
-   Start with row_limit=500.
+   Dates may be ISO dates ("2024-01-31"), ranges ("2024-01-01 to 2024-03-31") or relative expressions ("last 30 days", "this month", "yesterday"). Start with row_limit=500.
 
-3. **Handle failures** by retrying up to 3 times with different parameter value formats or reduced row limits if needed.
+3. **Handle failures** by reading the validation error, which names the expected value format for the parameter, and retrying up to 3 times with corrected values or reduced row limits if needed.
 
 4. **Use SQL fallback** if card execution fails completely OR returns 0 results:
    - Extract the native SQL query from the card details above
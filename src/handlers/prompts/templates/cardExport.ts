@@ -22,9 +22,9 @@ ${userFiltersText}
 
 You must export this card data to a file. Follow this simplified, reliable process:
 
-1. **Parse filters** (if provided) against the card's available parameters. Convert natural language values to proper formats (dates to ISO format, numbers to integers/floats, text to strings).
+1. **Parse filters** (if provided) against the card's available parameters, matching them to parameter names, slugs, or purposes.
 
-2. **Try card export first** using the 'export' tool in card mode with card_id=${cardId} and format="${fileType}". If filters were identified, include them as card_parameters.
+2. **Try card export first** using the 'export' tool in card mode with card_id=${cardId} and format="${fileType}". If filters were identified, pass them as card_filters keyed by parameter slug, e.g. {"region": "EU", "created_at": "last 30 days"}; the server converts them into typed Metabase parameters.
 
 3. **Use SQL fallback** if card export fails OR returns 0 results:
    - Extract the native SQL query from the card details above
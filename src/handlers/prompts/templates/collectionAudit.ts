@@ -0,0 +1,31 @@
+/**
+ * Template for collection audit prompt
+ */
+export function getCollectionAuditTemplate(
+  collectionId: string,
+  staleDays: number,
+  collectionDetails: string,
+  staleItemsInfo: string,
+  duplicatesInfo: string
+): string {
+  return `Audit the Metabase collection with ID ${collectionId} for stale and duplicate questions, and recommend what to clean up. Use the collection contents provided below.
+
+${collectionDetails}
+${staleItemsInfo}
+${duplicatesInfo}
+
+**AUDIT INSTRUCTIONS:**
+
+1. **Review stale items**, those not edited in the last ${staleDays} days. Check whether each is still used, for example because a dashboard in this collection shows it, before recommending it for archiving.
+
+2. **Confirm duplicates** by comparing the queries of each group with the 'retrieve' tool (model "card"). Questions with the same query are exact duplicates; questions with the same name but different queries may be variants worth renaming instead.
+
+3. **Recommend actions** for each finding: archive, merge into one question, rename, or keep, with a one-line reason.
+
+**IMPORTANT:**
+- Do not archive, delete or edit anything; this audit only produces recommendations.
+- List the recommendations as a table with the item ID, name, finding and action.
+- If nothing is stale or duplicated, say so briefly.
+
+Audit the collection now.`;
+}
@@ -0,0 +1,31 @@
+/**
+ * Template for dashboard review prompt
+ */
+export function getDashboardReviewTemplate(
+  dashboardId: string,
+  dashboardDetails: string,
+  filtersInfo: string,
+  cardsInfo: string
+): string {
+  return `Summarize the Metabase dashboard with ID ${dashboardId}: what it is for, what each card shows and how its filters apply. Use the dashboard details provided below.
+
+${dashboardDetails}
+${filtersInfo}
+${cardsInfo}
+
+**REVIEW INSTRUCTIONS:**
+
+1. **Describe the purpose** of the dashboard in one or two sentences, from its name, description and cards.
+
+2. **Summarize the cards** grouped by topic, noting the visualization and what question each card answers. Use the 'retrieve' tool (model "card") for the query of any card whose purpose is unclear from its name.
+
+3. **Review the filters**: which cards each filter applies to, filters that are not connected to any card, and cards that ignore filters the rest of the dashboard uses.
+
+4. **Point out issues** such as duplicated cards, cards without a title or description, or date filters without a default, and suggest improvements.
+
+**IMPORTANT:**
+- Do not run the dashboard unless asked; the summary is based on its definition. Use 'execute_dashboard' only to confirm a suspected problem.
+- Keep the summary short and structured, with the issues found listed last.
+
+Review the dashboard now.`;
+}
@@ -0,0 +1,34 @@
+/**
+ * Template for database exploration prompt
+ */
+export function getDatabaseExplorationTemplate(
+  databaseId: string,
+  databaseDetails: string,
+  tablesInfo: string,
+  keyFieldsInfo: string,
+  focusText: string
+): string {
+  return `Explore the Metabase database with ID ${databaseId} and give an overview of what data it holds and how it fits together. Use the metadata provided below, and only query the database where the metadata leaves a question open.
+
+${databaseDetails}
+${tablesInfo}
+${keyFieldsInfo}
+${focusText}
+
+**EXPLORATION INSTRUCTIONS:**
+
+1. **Group the tables** by subject area (e.g. customers, orders, billing, events) using their names, descriptions and foreign keys. Treat row counts as estimates from Metabase's last sync.
+
+2. **Map the relationships** between tables from the primary and foreign keys above, and name the central fact tables and the dimension tables around them.
+
+3. **Look deeper where needed** with the 'retrieve' tool (model "table") for the full field list of tables not detailed above, and with the 'execute' tool in SQL mode with database_id=${databaseId} for small samples (row_limit of 10 or less) or value distributions.
+
+4. **Suggest starting points**: a few questions this database can answer, with the tables and join keys each one needs.
+
+**IMPORTANT:**
+- Prefer metadata over queries; never run queries that scan whole large tables without a LIMIT or aggregation.
+- If a focus is given, concentrate on the tables relevant to it and only mention the rest briefly.
+- Present the overview as a concise, structured summary rather than a list of every table.
+
+Explore the database now.`;
+}
@@ -3,3 +3,7 @@
  */
 export { getCardExecutionTemplate } from './cardExecution.js';
 export { getCardExportTemplate } from './cardExport.js';
+export { getDatabaseExplorationTemplate } from './databaseExploration.js';
+export { getSqlAuthoringTemplate } from './sqlAuthoring.js';
+export { getDashboardReviewTemplate } from './dashboardReview.js';
+export { getCollectionAuditTemplate } from './collectionAudit.js';
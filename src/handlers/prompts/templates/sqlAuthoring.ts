@@ -0,0 +1,36 @@
+/**
+ * Template for SQL authoring prompt
+ */
+export function getSqlAuthoringTemplate(
+  databaseId: string,
+  question: string,
+  databaseDetails: string,
+  schemaInfo: string,
+  otherTablesInfo: string
+): string {
+  return `Write and run a SQL query against the Metabase database with ID ${databaseId} that answers the question below. Use the schema provided, which lists the tables most relevant to the question.
+
+**Question:**
+"${question}"
+
+${databaseDetails}
+${schemaInfo}
+${otherTablesInfo}
+
+**SQL INSTRUCTIONS:**
+
+1. **Pick the tables and columns** that answer the question from the schema above. Join on the listed foreign keys rather than guessing join columns. If a table you need is only listed by name, fetch its fields with the 'retrieve' tool (model "table") first.
+
+2. **Write the query** in the SQL dialect of the database engine above. Use only table and column names from the schema, qualified with the schema name where one is shown, and keep it read-only (SELECT or WITH).
+
+3. **Run the query** with the 'execute' tool in SQL mode with database_id=${databaseId} and row_limit=100. Tables and columns are checked against Metabase metadata before the query runs; an unknown name is reported with "did you mean" suggestions, so fix the name and retry.
+
+4. **Check the result** answers the question: verify row counts and totals are plausible, and revise the query (up to 3 attempts) if the result is empty or clearly wrong.
+
+**IMPORTANT:**
+- Show the final SQL query followed by the results, displaying at most 10 rows.
+- State any assumptions made about the question, such as date ranges or how a metric is defined.
+- Do not modify data; only read-only queries are allowed.
+
+Write the query now.`;
+}
@@ -8,11 +8,16 @@ import {
 export type ListPromptsRequest = z.infer<typeof ListPromptsRequestSchema>;
 export type GetPromptRequest = z.infer<typeof GetPromptRequestSchema>;
 
+// Metabase object types whose IDs prompt arguments take
+export type PromptArgumentModel = 'card' | 'dashboard' | 'table' | 'database' | 'collection';
+
 // Prompt argument definition
 export interface PromptArgument {
   name: string;
   description: string;
   required: boolean;
+  // Object type whose IDs complete this argument; not sent to clients
+  completion?: PromptArgumentModel;
 }
 
 // Prompt definition
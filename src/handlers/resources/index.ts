@@ -1,3 +1,4 @@
 export * from './resourceHandlers.js';
 export * from './types.js';
 export * from './optimizers.js';
+export * from './subscriptions.js';
@@ -1,6 +1,8 @@
 import { generateRequestId } from '../../utils/index.js';
 import { ErrorCode, McpError } from '../../types/core.js';
 import { MetabaseApiClient } from '../../api.js';
+import { ExportScheduler } from '../../scheduler/exportScheduler.js';
+import { ResourceWatcher } from './subscriptions.js';
 import {
   optimizeDashboardResource,
   optimizeCardResource,
@@ -13,12 +15,18 @@ import {
   ListResourcesRequest,
   ReadResourceRequest,
   ListResourceTemplatesRequest,
+  SubscribeRequest,
+  UnsubscribeRequest,
   ResourceTemplate,
   Resource,
   ResourceContent,
   LogFunction,
 } from './types.js';
 
+// Runs of scheduled exports, newest first
+const EXPORT_HISTORY_URI = 'metabase://exports/history';
+const EXPORT_HISTORY_LIMIT = 200;
+
 /**
  * Handle listing all available resources using hierarchical approach for better scalability
  */
@@ -26,7 +34,8 @@ export async function handleListResources(
   _request: ListResourcesRequest,
   apiClient: MetabaseApiClient,
   logInfo: LogFunction,
-  logError: LogFunction
+  logError: LogFunction,
+  exportScheduler: ExportScheduler | null = null
 ) {
   const requestId = generateRequestId();
   logInfo('Processing request to list hierarchical Metabase resources', { requestId });
@@ -154,6 +163,15 @@ export async function handleListResources(
       return resourceCopy;
     });
 
+    if (exportScheduler) {
+      finalResources.push({
+        uri: EXPORT_HISTORY_URI,
+        mimeType: 'application/json',
+        name: '[Exports] Scheduled export history',
+        description: 'Recent runs of scheduled exports with their status, row counts and files',
+      });
+    }
+
     logInfo(
       `Successfully retrieved ${finalResources.length} view-based resources (from ${totalResourceCount} total items)`
     );
@@ -223,11 +241,49 @@ export async function handleListResourceTemplates(
       mimeType: 'application/json',
       description: 'Get recently viewed items by model type (card, dashboard, table)',
     },
+    {
+      uriTemplate: 'metabase://exports/history/{job_id}',
+      name: 'Scheduled Export History',
+      mimeType: 'application/json',
+      description: 'Get the recent runs of one scheduled export job',
+    },
   ];
 
   return { resourceTemplates };
 }
 
+/**
+ * Handle subscribing to changes of a card, dashboard or collection resource
+ */
+export async function handleSubscribeResource(
+  request: SubscribeRequest,
+  apiClient: MetabaseApiClient,
+  watcher: ResourceWatcher,
+  logInfo: LogFunction
+) {
+  const uri = request.params.uri;
+  logInfo(`Processing subscription request for resource: ${uri}`);
+
+  await apiClient.getSessionToken();
+  await watcher.subscribe(uri);
+
+  return {};
+}
+
+/**
+ * Handle unsubscribing from a resource
+ */
+export async function handleUnsubscribeResource(
+  request: UnsubscribeRequest,
+  watcher: ResourceWatcher,
+  logInfo: LogFunction
+) {
+  logInfo(`Processing unsubscribe request for resource: ${request.params.uri}`);
+  watcher.unsubscribe(request.params.uri);
+
+  return {};
+}
+
 /**
  * Handle reading a specific resource
  */
@@ -237,7 +293,8 @@ export async function handleReadResource(
   logInfo: LogFunction,
   logWarn: LogFunction,
   logDebug: LogFunction,
-  logError: LogFunction
+  logError: LogFunction,
+  exportScheduler: ExportScheduler | null = null
 ) {
   const requestId = generateRequestId();
   logInfo('Processing request to read resource', {
@@ -296,6 +353,17 @@ export async function handleReadResource(
       return await handleMetricResource(match[1], uri, apiClient, logDebug, logInfo);
     }
 
+    // Handle scheduled export run history, for all jobs or one
+    if ((match = uri.match(/^metabase:\/\/exports\/history(?:\/([\w-]+))?$/))) {
+      if (!exportScheduler) {
+        logWarn('Scheduled export history requested but scheduled exports are not available', {
+          requestId,
+        });
+        throw new McpError(ErrorCode.InvalidRequest, 'Scheduled exports are not available');
+      }
+      return handleExportHistoryResource(match[1], uri, exportScheduler, logDebug, logInfo);
+    }
+
     logWarn(`Invalid URI format: ${uri}`, { requestId });
     throw new McpError(ErrorCode.InvalidRequest, `Invalid URI format: ${uri}`);
   } catch (error) {
@@ -693,3 +761,44 @@ async function handleRecentItemsResource(
 
   return { contents };
 }
+
+/**
+ * Handle scheduled export history resource
+ */
+function handleExportHistoryResource(
+  jobId: string | undefined,
+  uri: string,
+  exportScheduler: ExportScheduler,
+  logDebug: LogFunction,
+  logInfo: LogFunction
+) {
+  logDebug(`Reading scheduled export history${jobId ? ` for job ${jobId}` : ''}`);
+
+  const { jobs, runs } = exportScheduler.store.read();
+  const jobRuns = runs.filter(run => !jobId || run.job_id === jobId);
+  if (jobId && jobRuns.length === 0 && !jobs.some(job => job.id === jobId)) {
+    throw new McpError(ErrorCode.InvalidRequest, `No scheduled export with ID ${jobId}`);
+  }
+
+  const history = jobRuns.reverse().slice(0, EXPORT_HISTORY_LIMIT);
+  logInfo(`Successfully retrieved ${history.length} scheduled export runs`);
+
+  const contents: ResourceContent[] = [
+    {
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify(
+        {
+          job_id: jobId,
+          job: jobId ? (jobs.find(job => job.id === jobId) ?? null) : undefined,
+          total_runs: jobRuns.length,
+          runs: history,
+        },
+        null,
+        2
+      ),
+    },
+  ];
+
+  return { contents };
+}
@@ -0,0 +1,273 @@
+/**
+ * Polls subscribed Metabase resources and reports changes as MCP notifications.
+ *
+ * Every MCP server instance (one per HTTP session) has its own watcher, which only polls
+ * while it has subscriptions. Objects are read through the API client's cached getters, so
+ * an edit is noticed once the cached copy expires after CACHE_TTL_MS. Only the parts a
+ * client works with count as a change: a card's query and parameters, a dashboard's
+ * layout and a collection's items. New collections and databases, the items of
+ * resources/list, are reported as a list change.
+ */
+
+import { MetabaseApiClient } from '../../api.js';
+import { ErrorCode, McpError } from '../../types/core.js';
+import { handleApiError, queryFingerprint } from '../../utils/index.js';
+import { LogFunction } from './types.js';
+
+const SUBSCRIBABLE_URI = /^metabase:\/\/(card|dashboard|collection)\/(\d+)$/;
+
+type WatchedModel = 'card' | 'dashboard' | 'collection';
+
+// What a subscribed object looked like when it was last polled
+interface ResourceState {
+  updatedAt?: string;
+  fingerprint: string;
+}
+
+interface WatchedResource extends ResourceState {
+  model: WatchedModel;
+  id: number;
+}
+
+export interface ResourceNotifier {
+  resourceUpdated(uri: string): Promise<void>;
+  resourceListChanged(): Promise<void>;
+}
+
+async function readResourceState(
+  model: WatchedModel,
+  id: number,
+  apiClient: MetabaseApiClient
+): Promise<ResourceState> {
+  switch (model) {
+    case 'card': {
+      const card = (await apiClient.getCard(id)).data;
+      return {
+        updatedAt: card.updated_at,
+        fingerprint: queryFingerprint({
+          dataset_query: card.dataset_query,
+          parameters: card.parameters ?? [],
+        }),
+      };
+    }
+    case 'dashboard': {
+      const dashboard = (await apiClient.getDashboard(id)).data;
+      const dashcards: any[] = Array.isArray(dashboard.dashcards) ? dashboard.dashcards : [];
+      return {
+        updatedAt: dashboard.updated_at,
+        fingerprint: queryFingerprint({
+          tabs: (dashboard.tabs ?? []).map((tab: any) => ({ id: tab.id, name: tab.name })),
+          dashcards: dashcards.map(dashcard => ({
+            id: dashcard.id,
+            card_id: dashcard.card_id,
+            tab: dashcard.dashboard_tab_id,
+            row: dashcard.row,
+            col: dashcard.col,
+            size_x: dashcard.size_x,
+            size_y: dashcard.size_y,
+          })),
+        }),
+      };
+    }
+    default: {
+      // Adding or editing an item does not touch the collection itself, so its items are compared
+      const items = (await apiClient.getCollectionItems(id)).data;
+      return {
+        fingerprint: queryFingerprint({
+          items: items
+            .map(item => ({
+              model: item.model,
+              id: item.id,
+              name: item.name,
+              edited: item['last-edit-info']?.timestamp ?? item.updated_at,
+            }))
+            .sort((a, b) => `${a.model}:${a.id}`.localeCompare(`${b.model}:${b.id}`)),
+        }),
+      };
+    }
+  }
+}
+
+export class ResourceWatcher {
+  private readonly watched = new Map<string, WatchedResource>();
+  // Collection and database IDs last seen, to notice new items of resources/list
+  private listedIds: Set<string> | null = null;
+  private timer: NodeJS.Timeout | null = null;
+  private polling = false;
+
+  constructor(
+    private readonly apiClient: MetabaseApiClient,
+    private readonly intervalMs: number,
+    private readonly notifier: ResourceNotifier,
+    private readonly logDebug: LogFunction,
+    private readonly logWarn: LogFunction,
+    private readonly logError: LogFunction
+  ) {}
+
+  /**
+   * URIs of the subscribed resources
+   */
+  get subscriptions(): string[] {
+    return [...this.watched.keys()];
+  }
+
+  /**
+   * Start watching a card, dashboard or collection; its current state is the baseline
+   */
+  async subscribe(uri: string): Promise<void> {
+    const match = SUBSCRIBABLE_URI.exec(uri);
+    if (!match) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Cannot subscribe to ${uri}: subscriptions are supported for metabase://card/{id}, metabase://dashboard/{id} and metabase://collection/{id}`
+      );
+    }
+    if (this.watched.has(uri)) {
+      return;
+    }
+
+    const model = match[1] as WatchedModel;
+    const id = parseInt(match[2], 10);
+    let state: ResourceState;
+    try {
+      state = await readResourceState(model, id, this.apiClient);
+    } catch (error) {
+      throw handleApiError(
+        error,
+        { operation: 'Resource subscription', resourceType: model, resourceId: id },
+        this.logError
+      );
+    }
+
+    this.watched.set(uri, { model, id, ...state });
+    if (this.listedIds === null) {
+      this.listedIds = await this.readListedIds();
+    }
+    this.logDebug(`Subscribed to ${uri}`, { subscriptions: this.watched.size });
+    this.schedule();
+  }
+
+  unsubscribe(uri: string): void {
+    this.watched.delete(uri);
+    this.logDebug(`Unsubscribed from ${uri}`, { subscriptions: this.watched.size });
+    if (this.watched.size === 0) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Drop every subscription, e.g. when the client disconnects
+   */
+  stop(): void {
+    this.watched.clear();
+    this.listedIds = null;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check every subscribed resource and the resource list once, notifying the client of changes
+   */
+  async poll(): Promise<void> {
+    for (const [uri, resource] of [...this.watched]) {
+      let state: ResourceState;
+      try {
+        state = await readResourceState(resource.model, resource.id, this.apiClient);
+      } catch (error) {
+        this.logWarn(
+          `Failed to check subscribed resource ${uri}`,
+          undefined,
+          error instanceof Error ? error : undefined
+        );
+        continue;
+      }
+      // Unsubscribed while the check was running
+      if (!this.watched.has(uri)) {
+        continue;
+      }
+
+      // An unchanged updated_at means no edit, whatever else the response holds
+      const changed =
+        state.fingerprint !== resource.fingerprint &&
+        (state.updatedAt === undefined || state.updatedAt !== resource.updatedAt);
+      this.watched.set(uri, { ...resource, ...state });
+      if (changed) {
+        this.logDebug(`Subscribed resource ${uri} changed`);
+        await this.send(() => this.notifier.resourceUpdated(uri), `update of ${uri}`);
+      }
+    }
+
+    if (this.watched.size > 0) {
+      await this.checkResourceList();
+    }
+  }
+
+  private async checkResourceList(): Promise<void> {
+    const ids = await this.readListedIds();
+    if (ids === null) {
+      return;
+    }
+    const previous = this.listedIds;
+    this.listedIds = ids;
+    if (previous !== null && [...ids].some(id => !previous.has(id))) {
+      this.logDebug('New collections or databases found for the resource list');
+      await this.send(() => this.notifier.resourceListChanged(), 'resource list change');
+    }
+  }
+
+  private async readListedIds(): Promise<Set<string> | null> {
+    try {
+      const [collections, databases] = await Promise.all([
+        this.apiClient.getCollectionsList(),
+        this.apiClient.getDatabasesList(),
+      ]);
+      return new Set([
+        ...collections.data.map(collection => `collection:${collection.id}`),
+        ...databases.data.map(database => `database:${database.id}`),
+      ]);
+    } catch (error) {
+      this.logWarn(
+        'Failed to check the resource list for new items',
+        undefined,
+        error instanceof Error ? error : undefined
+      );
+      return null;
+    }
+  }
+
+  private async send(notify: () => Promise<void>, description: string): Promise<void> {
+    try {
+      await notify();
+    } catch (error) {
+      this.logWarn(
+        `Failed to send ${description} notification`,
+        undefined,
+        error instanceof Error ? error : undefined
+      );
+    }
+  }
+
+  private schedule(): void {
+    // A check in progress schedules the next one when it finishes
+    if (this.timer || this.polling || this.watched.size === 0) {
+      return;
+    }
+    this.timer = setTimeout(() => void this.tick(), this.intervalMs);
+    // Subscriptions never keep the process alive on their own
+    this.timer.unref();
+  }
+
+  private async tick(): Promise<void> {
+    this.timer = null;
+    this.polling = true;
+    try {
+      await this.poll();
+    } catch (error) {
+      this.logError('Failed to check subscribed resources', error);
+    }
+    this.polling = false;
+    this.schedule();
+  }
+}
@@ -3,12 +3,16 @@ import {
   ListResourcesRequestSchema,
   ReadResourceRequestSchema,
   ListResourceTemplatesRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 
 // Type definitions for resource handlers
 export type ListResourcesRequest = z.infer<typeof ListResourcesRequestSchema>;
 export type ReadResourceRequest = z.infer<typeof ReadResourceRequestSchema>;
 export type ListResourceTemplatesRequest = z.infer<typeof ListResourceTemplatesRequestSchema>;
+export type SubscribeRequest = z.infer<typeof SubscribeRequestSchema>;
+export type UnsubscribeRequest = z.infer<typeof UnsubscribeRequestSchema>;
 
 // Resource template definition
 export interface ResourceTemplate {
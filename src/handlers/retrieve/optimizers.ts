@@ -320,6 +320,11 @@ export function optimizeDashboardResponse(
         sectionId: param.sectionId,
       };
 
+      // Default value applied by execute_dashboard when no filter value is given
+      if (param.default !== undefined && param.default !== null) {
+        optimizedParam.default = param.default;
+      }
+
       // Include values source information for parameters with static lists
       if (param.values_source_type) {
         optimizedParam.values_source_type = param.values_source_type;
@@ -0,0 +1,248 @@
+import { z } from 'zod';
+import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { config } from '../../config.js';
+import { ErrorCode, McpError } from '../../types/core.js';
+import { enforceReadOnlySql, parseToolArguments } from '../../utils/index.js';
+import { parseExportRequest } from '../export/index.js';
+import { ExportRequest } from '../export/types.js';
+import { CronError, CronSchedule } from '../../scheduler/cron.js';
+import { ExportJob, ExportRun } from '../../scheduler/jobStore.js';
+import {
+  DEFAULT_FILENAME_TEMPLATE,
+  ExportScheduler,
+  FILENAME_TOKENS,
+  unknownFilenameTokens,
+} from '../../scheduler/exportScheduler.js';
+import {
+  cancelScheduledExportSchema,
+  scheduleExportSchema,
+  SCHEDULED_EXPORT_ARGUMENTS,
+} from './schemas.js';
+
+// Upcoming run times listed when a job is scheduled
+const UPCOMING_RUNS = 3;
+
+interface ScheduledExportResponse {
+  content: Array<{
+    type: 'text';
+    text: string;
+  }>;
+}
+
+function jsonResponse(data: unknown): ScheduledExportResponse {
+  return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+}
+
+/**
+ * Reject scheduled export tools when the scheduler is disabled, or not available to the
+ * calling client because jobs run with the server's own Metabase identity
+ */
+function ensureSchedulerAvailable(
+  scheduler: ExportScheduler | null,
+  toolName: string,
+  requestId: string,
+  logWarn: (message: string, data?: unknown, error?: Error) => void
+): ExportScheduler {
+  if (!scheduler) {
+    logWarn(`Rejected ${toolName} request: scheduled exports are not available`, { requestId });
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      'Scheduled exports are not available: they are only enabled with EXPORT_SCHEDULER_ENABLED=true, or this client does not use the Metabase identity of the server, which jobs run as'
+    );
+  }
+  return scheduler;
+}
+
+function readJobs<T>(read: () => T, logError: (message: string, error: unknown) => void): T {
+  try {
+    return read();
+  } catch (error) {
+    logError('Failed to access export schedules', error);
+    throw new McpError(
+      ErrorCode.InternalError,
+      error instanceof Error ? error.message : 'Failed to access export schedules'
+    );
+  }
+}
+
+function lastRunSummary(runs: ExportRun[], jobId: string) {
+  const run = runs.filter(existing => existing.job_id === jobId).pop();
+  if (!run) {
+    return null;
+  }
+  return {
+    started_at: run.started_at,
+    status: run.status,
+    row_count: run.row_count,
+    files: run.files.length > 0 ? run.files : undefined,
+    error: run.error,
+  };
+}
+
+export async function handleScheduleExport(
+  request: z.infer<typeof CallToolRequestSchema>,
+  requestId: string,
+  scheduler: ExportScheduler | null,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<ScheduledExportResponse> {
+  const available = ensureSchedulerAvailable(scheduler, 'schedule_export', requestId, logWarn);
+  const args = parseToolArguments(
+    scheduleExportSchema,
+    request.params?.arguments,
+    'schedule_export',
+    requestId,
+    logWarn
+  );
+
+  let schedule: CronSchedule;
+  try {
+    schedule = new CronSchedule(args.cron);
+  } catch (error) {
+    if (!(error instanceof CronError)) {
+      throw error;
+    }
+    logWarn('Invalid cron expression for schedule_export', { requestId, cron: args.cron });
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+
+  const filenameTemplate = args.filename_template ?? DEFAULT_FILENAME_TEMPLATE;
+  const unknownTokens = unknownFilenameTokens(filenameTemplate);
+  if (unknownTokens.length > 0) {
+    logWarn('Invalid filename_template for schedule_export', { requestId, unknownTokens });
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown filename_template tokens: ${unknownTokens.map(token => `{${token}}`).join(', ')}. Available tokens: ${FILENAME_TOKENS.map(token => `{${token}}`).join(', ')}`
+    );
+  }
+
+  // Validated now so a job never fails on every run for the same reason
+  const exportArgs: Omit<ExportRequest, 'filename'> = {};
+  for (const name of SCHEDULED_EXPORT_ARGUMENTS) {
+    if (args[name] !== undefined) {
+      Object.assign(exportArgs, { [name]: args[name] });
+    }
+  }
+  const exportParams = parseExportRequest(exportArgs, requestId, logWarn);
+  if (exportParams.mode === 'sql') {
+    enforceReadOnlySql(
+      exportParams.params.query,
+      exportParams.params.databaseId,
+      { enabled: config.SQL_GUARD_ENABLED, databases: config.SQL_GUARD_DATABASES },
+      requestId,
+      logWarn
+    );
+  }
+
+  const now = new Date();
+  const upcoming: Date[] = [];
+  for (let after = now; upcoming.length < UPCOMING_RUNS; ) {
+    const next = schedule.next(after);
+    if (!next) {
+      break;
+    }
+    upcoming.push(next);
+    after = next;
+  }
+
+  const retentionDays = args.retention_days ?? config.EXPORT_RETENTION_DAYS;
+  const job = readJobs(
+    () =>
+      available.store.addJob({
+        name: args.name,
+        cron: schedule.expression,
+        export: exportArgs,
+        filename_template: filenameTemplate,
+        retention: {
+          days: retentionDays > 0 ? retentionDays : null,
+          runs: args.retention_runs ?? null,
+        },
+        created_at: now.toISOString(),
+        next_run_at: upcoming[0].toISOString(),
+        last_run_at: null,
+      }),
+    logError
+  );
+  available.wake();
+
+  logInfo(`Scheduled export ${job.name} (${job.id}) with cron "${job.cron}"`, { requestId });
+
+  return jsonResponse({
+    success: true,
+    message: `Export scheduled. It runs inside this MCP server and only while the server is running; files are saved to ${config.EXPORT_DIRECTORY}`,
+    job,
+    upcoming_runs: upcoming.map(date => date.toISOString()),
+    scheduler_active: available.active,
+  });
+}
+
+export async function handleListScheduledExports(
+  _request: z.infer<typeof CallToolRequestSchema>,
+  requestId: string,
+  scheduler: ExportScheduler | null,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<ScheduledExportResponse> {
+  const available = ensureSchedulerAvailable(
+    scheduler,
+    'list_scheduled_exports',
+    requestId,
+    logWarn
+  );
+  const { jobs, runs } = readJobs(() => available.store.read(), logError);
+
+  logInfo(`Listed ${jobs.length} scheduled exports`, { requestId });
+
+  return jsonResponse({
+    jobs: jobs.map((job: ExportJob) => ({ ...job, last_run: lastRunSummary(runs, job.id) })),
+    total_jobs: jobs.length,
+    scheduler_active: available.active,
+    scheduler_note: available.active
+      ? 'Jobs run in this server process'
+      : 'Jobs run in another server process sharing the same job store',
+    history_resource: 'metabase://exports/history',
+  });
+}
+
+export async function handleCancelScheduledExport(
+  request: z.infer<typeof CallToolRequestSchema>,
+  requestId: string,
+  scheduler: ExportScheduler | null,
+  logInfo: (message: string, data?: unknown) => void,
+  logWarn: (message: string, data?: unknown, error?: Error) => void,
+  logError: (message: string, error: unknown) => void
+): Promise<ScheduledExportResponse> {
+  const available = ensureSchedulerAvailable(
+    scheduler,
+    'cancel_scheduled_export',
+    requestId,
+    logWarn
+  );
+  const { job_id: jobId } = parseToolArguments(
+    cancelScheduledExportSchema,
+    request.params?.arguments,
+    'cancel_scheduled_export',
+    requestId,
+    logWarn
+  );
+
+  const job = readJobs(() => available.store.removeJob(jobId), logError);
+  if (!job) {
+    logWarn(`Scheduled export ${jobId} not found`, { requestId });
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `No scheduled export with ID ${jobId}. Use list_scheduled_exports to see job IDs`
+    );
+  }
+  available.wake();
+
+  logInfo(`Cancelled scheduled export ${job.name} (${job.id})`, { requestId });
+
+  return jsonResponse({
+    success: true,
+    message: `Cancelled scheduled export ${job.name}. Files it already wrote are kept and no longer pruned; its run history remains available`,
+    job,
+  });
+}
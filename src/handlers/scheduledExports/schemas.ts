@@ -0,0 +1,49 @@
+/**
+ * Argument schemas for the scheduled export tools
+ */
+
+import { z } from 'zod';
+
+// Arguments passed through to the export tool on each run, validated by it
+export const SCHEDULED_EXPORT_ARGUMENTS = [
+  'card_id',
+  'card_parameters',
+  'card_filters',
+  'database_id',
+  'query',
+  'native_parameters',
+  'mbql',
+  'format',
+  'compression',
+  'split_rows',
+  'split_mb',
+] as const;
+
+export const scheduleExportSchema = z
+  .object({
+    name: z.string().trim().min(1).max(100),
+    cron: z.string().trim().min(1),
+    filename_template: z.string().trim().min(1).max(200).optional(),
+    // 0 keeps the files of every run
+    retention_days: z.number().int().min(0).optional(),
+    retention_runs: z.number().int().positive().optional(),
+    // SCHEDULED_EXPORT_ARGUMENTS
+    card_id: z.unknown().optional(),
+    card_parameters: z.unknown().optional(),
+    card_filters: z.unknown().optional(),
+    database_id: z.unknown().optional(),
+    query: z.unknown().optional(),
+    native_parameters: z.unknown().optional(),
+    mbql: z.unknown().optional(),
+    format: z.unknown().optional(),
+    compression: z.unknown().optional(),
+    split_rows: z.unknown().optional(),
+    split_mb: z.unknown().optional(),
+  })
+  .strict();
+
+export const cancelScheduledExportSchema = z
+  .object({
+    job_id: z.string().trim().min(1),
+  })
+  .strict();
@@ -0,0 +1,177 @@
+/**
+ * Cron expressions for scheduled exports.
+ *
+ * Five fields - minute, hour, day of month, month and day of week - each `*`, a value or a
+ * range `a-b`, optionally followed by a step `/n`, or a comma-separated list of these. Months and
+ * days of the week may be given by name (`jan`, `mon`), Sunday is 0 or 7, and the
+ * `@hourly`, `@daily`, `@weekly`, `@monthly` and `@yearly` shorthands are accepted. As in
+ * cron, when both the day of month and the day of week are restricted a day matching
+ * either runs. Times are in the server's local time zone.
+ */
+
+interface CronField {
+  name: string;
+  min: number;
+  max: number;
+  names?: string[];
+}
+
+const FIELDS: CronField[] = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+  },
+  {
+    name: 'day of week',
+    min: 0,
+    max: 7,
+    names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+  },
+];
+
+const MACROS: Record<string, string> = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+// Schedules with no run within this many years, such as February 30th, never run
+const MAX_SEARCH_YEARS = 8;
+
+/**
+ * Raised for expressions that are malformed or can never run
+ */
+export class CronError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'CronError';
+  }
+}
+
+function parseValue(text: string, field: CronField): number {
+  const index = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  const value = index >= 0 ? index + field.min : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new CronError(
+      `Invalid ${field.name} "${text}": expected ${field.min}-${field.max}${field.names ? ' or a name' : ''}`
+    );
+  }
+  return value;
+}
+
+function parseField(text: string, field: CronField): Set<number> {
+  const values = new Set<number>();
+  for (const item of text.split(',')) {
+    const match = item.match(/^([^/]+)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new CronError(`Invalid ${field.name} "${item}"`);
+    }
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (step < 1) {
+      throw new CronError(`Invalid ${field.name} step "${stepText}"`);
+    }
+
+    let start: number;
+    let end: number;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      [start, end] = [parseValue(from, field), parseValue(to, field)];
+      if (start > end) {
+        throw new CronError(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means from 5 to the end of the range, every 15
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+export class CronSchedule {
+  private readonly minutes: Set<number>;
+  private readonly hours: Set<number>;
+  private readonly daysOfMonth: Set<number>;
+  private readonly months: Set<number>;
+  private readonly daysOfWeek: Set<number>;
+  private readonly dayOfMonthRestricted: boolean;
+  private readonly dayOfWeekRestricted: boolean;
+
+  constructor(readonly expression: string) {
+    const expanded = MACROS[expression.trim().toLowerCase()] ?? expression;
+    const fields = expanded.trim().split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+      throw new CronError(
+        `Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`
+      );
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((text, index) =>
+      parseField(text, FIELDS[index])
+    );
+    this.minutes = minutes;
+    this.hours = hours;
+    this.daysOfMonth = daysOfMonth;
+    this.months = months;
+    // Sunday is both 0 and 7
+    this.daysOfWeek = new Set([...daysOfWeek].map(day => day % 7));
+    this.dayOfMonthRestricted = !fields[2].startsWith('*');
+    this.dayOfWeekRestricted = !fields[4].startsWith('*');
+
+    if (this.next(new Date()) === null) {
+      throw new CronError(`Cron expression "${expression}" never runs`);
+    }
+  }
+
+  private matchesDay(date: Date): boolean {
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * First time after `after` that the schedule runs, or null when it never does
+   */
+  next(after: Date): Date | null {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = after.getFullYear() + MAX_SEARCH_YEARS;
+
+    while (date.getFullYear() <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,384 @@
+/**
+ * Runs scheduled export jobs inside the server process.
+ *
+ * Due jobs run one at a time through the export tool handler, with the server's own
+ * Metabase identity. Each run is recorded in the job store with the files it wrote, and
+ * once a job's retention is exceeded the files of its older runs are removed again - only
+ * files a run wrote inside the export directory are ever deleted.
+ *
+ * Several server processes may share a job store (one per MCP client, for instance). A
+ * lock file next to the store makes sure only one of them runs the jobs; the others take
+ * over when it exits.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { randomBytes } from 'crypto';
+import { z } from 'zod';
+import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { MetabaseApiClient } from '../api.js';
+import { handleExport } from '../handlers/export/index.js';
+import { generateRequestId } from '../utils/index.js';
+import { CronError, CronSchedule } from './cron.js';
+import { ExportJob, ExportJobStore, ExportRun, hasLiveFiles, isProcessAlive } from './jobStore.js';
+
+// Longest wait between checks, so jobs added by other processes and clock changes are noticed
+const MAX_SLEEP_MS = 60_000;
+const MIN_SLEEP_MS = 1_000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_FILENAME_TEMPLATE = '{name}_{datetime}';
+
+// Tokens of filename templates, filled in with the local time a run starts
+export const FILENAME_TOKENS = [
+  'name',
+  'job_id',
+  'date',
+  'time',
+  'datetime',
+  'YYYY',
+  'MM',
+  'DD',
+  'HH',
+  'mm',
+] as const;
+
+/**
+ * Tokens in a filename template that are not FILENAME_TOKENS
+ */
+export function unknownFilenameTokens(template: string): string[] {
+  const tokens = [...template.matchAll(/\{([^}]*)\}/g)].map(match => match[1]);
+  return tokens.filter(token => !(FILENAME_TOKENS as readonly string[]).includes(token));
+}
+
+/**
+ * Fill in a filename template, e.g. "orders_{date}" becomes "orders_2024-03-01"
+ */
+export function renderFilenameTemplate(
+  template: string,
+  date: Date,
+  job: Pick<ExportJob, 'id' | 'name'>
+): string {
+  const pad = (value: number) => String(value).padStart(2, '0');
+  const YYYY = String(date.getFullYear());
+  const MM = pad(date.getMonth() + 1);
+  const DD = pad(date.getDate());
+  const HH = pad(date.getHours());
+  const mm = pad(date.getMinutes());
+  const values: Record<(typeof FILENAME_TOKENS)[number], string> = {
+    name: job.name,
+    job_id: job.id,
+    date: `${YYYY}-${MM}-${DD}`,
+    time: `${HH}-${mm}`,
+    datetime: `${YYYY}-${MM}-${DD}T${HH}-${mm}`,
+    YYYY,
+    MM,
+    DD,
+    HH,
+    mm,
+  };
+  return template.replace(
+    /\{([^}]*)\}/g,
+    (token, name: string) => values[name as keyof typeof values] ?? token
+  );
+}
+
+function isInsideDirectory(file: string, directory: string): boolean {
+  const relative = path.relative(path.resolve(directory), path.resolve(file));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+export class ExportScheduler {
+  readonly lockFile: string;
+  private timer: NodeJS.Timeout | null = null;
+  private running: Promise<void> | null = null;
+  private holdsLock = false;
+  private stopped = true;
+  // Slot each job last ran for, so a run whose result could not be stored is not repeated
+  private readonly ranSlots = new Map<string, string>();
+
+  constructor(
+    readonly store: ExportJobStore,
+    private readonly apiClient: MetabaseApiClient,
+    private readonly exportDirectory: string,
+    private readonly logDebug: (message: string, data?: unknown) => void,
+    private readonly logInfo: (message: string, data?: unknown) => void,
+    private readonly logWarn: (message: string, data?: unknown, error?: Error) => void,
+    private readonly logError: (message: string, error: unknown) => void
+  ) {
+    this.lockFile = `${store.file}.lock`;
+  }
+
+  /**
+   * Whether this process runs the jobs, rather than another process sharing the store
+   */
+  get active(): boolean {
+    return this.holdsLock;
+  }
+
+  start(): void {
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  stop(): void {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.holdsLock) {
+      this.holdsLock = false;
+      fs.rmSync(this.lockFile, { force: true });
+    }
+  }
+
+  /**
+   * Check the jobs now, e.g. after one was added
+   */
+  wake(): void {
+    if (!this.stopped) {
+      this.schedule(0);
+    }
+  }
+
+  private schedule(delayMs: number): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => void this.tick(), delayMs);
+    // Scheduled exports never keep the process alive on their own
+    this.timer.unref();
+  }
+
+  private async tick(): Promise<void> {
+    this.timer = null;
+    // A check already in progress schedules the next one when it finishes
+    if (this.running) {
+      return;
+    }
+    if (!this.holdsLock && !this.acquireLock()) {
+      this.schedule(MAX_SLEEP_MS);
+      return;
+    }
+
+    this.running = this.runDueJobs()
+      .then(() => undefined)
+      .catch(error => this.logError('Failed to run scheduled exports', error));
+    await this.running;
+    this.running = null;
+
+    if (!this.stopped) {
+      this.schedule(this.nextDelay());
+    }
+  }
+
+  private nextDelay(): number {
+    let jobs: ExportJob[];
+    try {
+      jobs = this.store.read().jobs;
+    } catch (error) {
+      this.logError('Failed to read export schedules', error);
+      return MAX_SLEEP_MS;
+    }
+    const nextRuns = jobs
+      .filter(job => job.next_run_at !== null)
+      .map(job => Date.parse(job.next_run_at as string));
+    const delay = Math.min(...nextRuns, Date.now() + MAX_SLEEP_MS) - Date.now();
+    return Math.min(Math.max(delay, MIN_SLEEP_MS), MAX_SLEEP_MS);
+  }
+
+  /**
+   * Take the lock file, replacing one left behind by a process that is gone
+   */
+  private acquireLock(): boolean {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.mkdirSync(path.dirname(this.lockFile), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(this.lockFile, String(process.pid), { flag: 'wx', mode: 0o600 });
+        this.holdsLock = true;
+        this.logInfo('Running scheduled exports in this process', { store: this.store.file });
+        return true;
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'EEXIST') {
+          this.logWarn(`Failed to lock ${this.lockFile}`, undefined, error as Error);
+          return false;
+        }
+      }
+
+      let owner = NaN;
+      try {
+        owner = parseInt(fs.readFileSync(this.lockFile, 'utf8'), 10);
+      } catch {
+        // Removed in the meantime, or unreadable; treated as stale
+      }
+      if (owner !== process.pid && isProcessAlive(owner)) {
+        this.logDebug(`Scheduled exports are run by process ${owner}`);
+        return false;
+      }
+      fs.rmSync(this.lockFile, { force: true });
+    }
+    return false;
+  }
+
+  /**
+   * Run every job that is due, then apply retention. Returns the runs.
+   */
+  async runDueJobs(now: Date = new Date()): Promise<ExportRun[]> {
+    const due = this.store
+      .read()
+      .jobs.filter(
+        job =>
+          job.next_run_at !== null &&
+          Date.parse(job.next_run_at) <= now.getTime() &&
+          this.ranSlots.get(job.id) !== job.next_run_at
+      );
+
+    const runs: ExportRun[] = [];
+    for (const { id } of due) {
+      // Re-read, as the job may have been cancelled while an earlier one ran
+      const job = this.store.read().jobs.find(existing => existing.id === id);
+      if (job?.next_run_at) {
+        this.ranSlots.set(job.id, job.next_run_at);
+        runs.push(await this.runJob(job));
+      }
+    }
+    this.pruneRuns(new Date());
+    return runs;
+  }
+
+  private nextRunAt(job: ExportJob, after: Date): string | null {
+    try {
+      return new CronSchedule(job.cron).next(after)?.toISOString() ?? null;
+    } catch (error) {
+      if (!(error instanceof CronError)) {
+        throw error;
+      }
+      this.logWarn(`Scheduled export ${job.id} is disabled: ${error.message}`);
+      return null;
+    }
+  }
+
+  private async runJob(job: ExportJob): Promise<ExportRun> {
+    const startedAt = new Date();
+    const requestId = generateRequestId();
+    const filename = renderFilenameTemplate(job.filename_template, startedAt, job);
+    this.logInfo(`Running scheduled export ${job.name} (${job.id})`, { requestId, filename });
+
+    const run: ExportRun = {
+      run_id: randomBytes(6).toString('hex'),
+      job_id: job.id,
+      job_name: job.name,
+      started_at: startedAt.toISOString(),
+      finished_at: startedAt.toISOString(),
+      status: 'failed',
+      files: [],
+    };
+
+    try {
+      const request: z.infer<typeof CallToolRequestSchema> = {
+        method: 'tools/call',
+        params: { name: 'export', arguments: { ...job.export, filename } },
+      };
+      const response = await handleExport(
+        request,
+        requestId,
+        this.apiClient,
+        this.logDebug,
+        this.logInfo,
+        this.logWarn,
+        this.logError
+      );
+      const result = JSON.parse(response.content[0].text);
+      if (result.success) {
+        run.status = 'success';
+        run.row_count = result.row_count;
+        run.file_size_bytes = result.file_size_bytes;
+        const dataFiles: string[] = result.parts
+          ? result.parts.map((part: { file_path: string }) => part.file_path)
+          : [result.file_path];
+        run.files = [...dataFiles, result.manifest_path].filter(Boolean);
+      } else if (!response.isError) {
+        run.status = 'empty';
+        run.row_count = result.row_count ?? 0;
+      } else {
+        run.error = result.error || result.message || 'Export failed';
+      }
+    } catch (error) {
+      run.error = error instanceof Error ? error.message : String(error);
+    }
+
+    const finishedAt = new Date();
+    run.finished_at = finishedAt.toISOString();
+    if (run.status === 'failed') {
+      this.logWarn(`Scheduled export ${job.name} (${job.id}) failed: ${run.error}`, { requestId });
+    } else {
+      this.logInfo(
+        `Scheduled export ${job.name} (${job.id}) finished: ${run.row_count} rows, ${run.files.length} files`,
+        { requestId }
+      );
+    }
+
+    // Slots missed while the export ran are skipped
+    this.store.recordRun(run, this.nextRunAt(job, finishedAt));
+    return run;
+  }
+
+  /**
+   * Remove the files of runs beyond their job's retention. A file that a newer run
+   * overwrote is kept, and a run whose files cannot all be removed is tried again later.
+   */
+  private pruneRuns(now: Date): void {
+    const { jobs, runs } = this.store.read();
+    const expired = new Set<ExportRun>();
+    for (const job of jobs) {
+      const { days, runs: keepRuns } = job.retention;
+      runs
+        .filter(run => run.job_id === job.id && hasLiveFiles(run))
+        .reverse()
+        .forEach((run, index) => {
+          const age = now.getTime() - Date.parse(run.started_at);
+          if ((keepRuns !== null && index >= keepRuns) || (days !== null && age > days * DAY_MS)) {
+            expired.add(run);
+          }
+        });
+    }
+    if (expired.size === 0) {
+      return;
+    }
+
+    const kept = new Set(
+      runs.filter(run => hasLiveFiles(run) && !expired.has(run)).flatMap(run => run.files)
+    );
+    const pruned = new Set<string>();
+    for (const run of expired) {
+      let removed = true;
+      for (const file of run.files) {
+        if (kept.has(file) || !isInsideDirectory(file, this.exportDirectory)) {
+          continue;
+        }
+        try {
+          fs.rmSync(file, { force: true });
+        } catch (error) {
+          removed = false;
+          this.logWarn(`Failed to remove expired export file ${file}`, undefined, error as Error);
+        }
+      }
+      if (removed) {
+        pruned.add(run.run_id);
+      }
+    }
+
+    if (pruned.size > 0) {
+      const prunedAt = now.toISOString();
+      this.store.update(state => {
+        state.runs
+          .filter(run => pruned.has(run.run_id))
+          .forEach(run => {
+            run.pruned_at = prunedAt;
+          });
+      });
+      this.logInfo(`Removed the files of ${pruned.size} expired scheduled export runs`);
+    }
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * Local store of scheduled export jobs and the history of their runs.
+ *
+ * Jobs and runs live in one JSON file per Metabase URL, rewritten atomically on every
+ * change and read again before each change, so several server processes sharing the file
+ * see each other's jobs. Each change holds an update lock file, so concurrent changes from
+ * different processes are applied one after the other instead of overwriting each other.
+ * The file holds queries and parameters, so only the current user can read it.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { randomBytes } from 'crypto';
+import { cacheScope } from '../cache/backend.js';
+import { ExportRequest } from '../handlers/export/types.js';
+
+const STORE_VERSION = 1;
+
+// Runs kept per job once their files are gone (failed, empty or pruned runs)
+export const RUN_HISTORY_PER_JOB = 50;
+
+// How long a change waits for another process to finish its own, and how often it checks
+const UPDATE_LOCK_TIMEOUT_MS = 5000;
+const UPDATE_LOCK_RETRY_MS = 20;
+
+export interface ExportJobRetention {
+  // Remove the files of runs older than this many days
+  days: number | null;
+  // Keep the files of only this many most recent runs
+  runs: number | null;
+}
+
+export interface ExportJob {
+  id: string;
+  name: string;
+  cron: string;
+  // Arguments of the export tool; the filename comes from filename_template on each run
+  export: Omit<ExportRequest, 'filename'>;
+  filename_template: string;
+  retention: ExportJobRetention;
+  created_at: string;
+  // null when the cron expression no longer runs
+  next_run_at: string | null;
+  last_run_at: string | null;
+}
+
+export type ExportRunStatus = 'success' | 'empty' | 'failed';
+
+export interface ExportRun {
+  run_id: string;
+  job_id: string;
+  job_name: string;
+  started_at: string;
+  finished_at: string;
+  status: ExportRunStatus;
+  row_count?: number;
+  file_size_bytes?: number;
+  // Data files and manifest written by the run
+  files: string[];
+  error?: string;
+  // Set once retention has removed the files
+  pruned_at?: string;
+}
+
+export interface ExportJobState {
+  jobs: ExportJob[];
+  runs: ExportRun[];
+}
+
+interface StoredState extends ExportJobState {
+  version: number;
+}
+
+/**
+ * Job file for a Metabase URL, e.g. ~/.config/metabase-mcp/export-schedules-<hash>.json
+ */
+export function exportJobStorePath(directory: string, metabaseUrl: string): string {
+  return path.join(
+    directory,
+    `export-schedules-${cacheScope(metabaseUrl, 'export-schedules')}.json`
+  );
+}
+
+export function isProcessAlive(pid: number): boolean {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
+  }
+  try {
+    // Signal 0 only checks that the process exists
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return (error as NodeJS.ErrnoException).code === 'EPERM';
+  }
+}
+
+function sleepSync(ms: number): void {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Whether a run still has files on disk that retention manages
+ */
+export function hasLiveFiles(run: ExportRun): boolean {
+  return run.status === 'success' && !run.pruned_at && run.files.length > 0;
+}
+
+export class ExportJobStore {
+  // Held for the duration of one change; separate from the scheduler's long-lived lock
+  readonly updateLockFile: string;
+
+  constructor(readonly file: string) {
+    this.updateLockFile = `${file}.update.lock`;
+  }
+
+  /**
+   * Read the jobs and runs. A missing file is an empty store; an unreadable one is an
+   * error, so it is never overwritten with an empty store.
+   */
+  read(): ExportJobState {
+    let text: string;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return { jobs: [], runs: [] };
+      }
+      throw new Error(
+        `Failed to read export schedules from ${this.file}: ${(error as Error).message}`
+      );
+    }
+
+    let stored: StoredState;
+    try {
+      stored = JSON.parse(text);
+    } catch (error) {
+      throw new Error(
+        `Export schedules in ${this.file} are not valid JSON: ${(error as Error).message}`
+      );
+    }
+    if (!Array.isArray(stored?.jobs) || !Array.isArray(stored?.runs)) {
+      throw new Error(`Export schedules in ${this.file} are malformed`);
+    }
+    return { jobs: stored.jobs, runs: stored.runs };
+  }
+
+  /**
+   * Apply `change` to the current state and write the result
+   */
+  update<T>(change: (state: ExportJobState) => T): T {
+    this.lockForUpdate();
+    try {
+      const state = this.read();
+      const result = change(state);
+      this.write(state);
+      return result;
+    } finally {
+      fs.rmSync(this.updateLockFile, { force: true });
+    }
+  }
+
+  /**
+   * Take the update lock, waiting for another process's change to finish and replacing a
+   * lock left behind by a process that is gone
+   */
+  private lockForUpdate(): void {
+    const deadline = Date.now() + UPDATE_LOCK_TIMEOUT_MS;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    for (;;) {
+      try {
+        fs.writeFileSync(this.updateLockFile, String(process.pid), { flag: 'wx', mode: 0o600 });
+        return;
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'EEXIST') {
+          throw new Error(
+            `Failed to lock export schedules in ${this.file}: ${(error as Error).message}`
+          );
+        }
+      }
+
+      let owner: number;
+      let lockedAt: number;
+      try {
+        owner = parseInt(fs.readFileSync(this.updateLockFile, 'utf8'), 10);
+        lockedAt = fs.statSync(this.updateLockFile).mtimeMs;
+      } catch {
+        // Removed in the meantime; try again straight away
+        continue;
+      }
+      // Changes are synchronous, so a lock naming this process was left by a failed change.
+      // A lock without a PID may still be being written, so it only counts once it is old.
+      const stale = Number.isNaN(owner)
+        ? Date.now() - lockedAt > UPDATE_LOCK_TIMEOUT_MS
+        : owner === process.pid || !isProcessAlive(owner);
+      if (stale) {
+        fs.rmSync(this.updateLockFile, { force: true });
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(
+          `Timed out waiting for another process to finish changing export schedules in ${this.file}`
+        );
+      }
+      sleepSync(UPDATE_LOCK_RETRY_MS);
+    }
+  }
+
+  private write(state: ExportJobState): void {
+    const stored: StoredState = { version: STORE_VERSION, ...state };
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+      // Write then rename so a crash never leaves a partial file behind
+      fs.writeFileSync(tempFile, JSON.stringify(stored, null, 2), {
+        encoding: 'utf8',
+        mode: 0o600,
+      });
+      fs.renameSync(tempFile, this.file);
+    } catch (error) {
+      fs.rmSync(tempFile, { force: true });
+      throw new Error(
+        `Failed to save export schedules to ${this.file}: ${(error as Error).message}`
+      );
+    }
+  }
+
+  /**
+   * Add a job under a new ID
+   */
+  addJob(job: Omit<ExportJob, 'id'>): ExportJob {
+    return this.update(state => {
+      let id: string;
+      do {
+        id = randomBytes(4).toString('hex');
+      } while (state.jobs.some(existing => existing.id === id));
+      const added = { id, ...job };
+      state.jobs.push(added);
+      return added;
+    });
+  }
+
+  /**
+   * Remove a job, keeping its run history. Returns the removed job, or null if unknown.
+   */
+  removeJob(id: string): ExportJob | null {
+    return this.update(state => {
+      const index = state.jobs.findIndex(job => job.id === id);
+      return index >= 0 ? state.jobs.splice(index, 1)[0] : null;
+    });
+  }
+
+  /**
+   * Record a finished run and when the job runs next. Beyond RUN_HISTORY_PER_JOB runs, the
+   * oldest runs without files are dropped from the history.
+   */
+  recordRun(run: ExportRun, nextRunAt: string | null): void {
+    this.update(state => {
+      const job = state.jobs.find(existing => existing.id === run.job_id);
+      if (job) {
+        job.last_run_at = run.started_at;
+        job.next_run_at = nextRunAt;
+      }
+
+      state.runs.push(run);
+      const jobRuns = state.runs.filter(existing => existing.job_id === run.job_id);
+      const excess = new Set(
+        jobRuns
+          .filter(existing => !hasLiveFiles(existing))
+          .slice(0, Math.max(0, jobRuns.length - RUN_HISTORY_PER_JOB))
+      );
+      state.runs = state.runs.filter(existing => !excess.has(existing));
+    });
+  }
+}
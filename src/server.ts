@@ -8,61 +8,280 @@ import {
   ListToolsRequestSchema,
   ListPromptsRequestSchema,
   GetPromptRequestSchema,
+  CompleteRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { LogLevel } from './config.js';
-import { generateRequestId } from './utils/index.js';
+import { config, LogLevel, TransportType } from './config.js';
+import {
+  generateRequestId,
+  MBQL_AGGREGATION_TYPES,
+  MBQL_FILTER_OPERATORS,
+  MBQL_TEMPORAL_UNITS,
+} from './utils/index.js';
 import { ErrorCode, McpError, ApiError } from './types/core.js';
 import { MetabaseApiClient } from './api.js';
 import {
   handleList,
   handleExecute,
+  handleExecuteDashboard,
+  handleParameterValues,
   handleExport,
   handleSearch,
   handleClearCache,
+  handleCacheStats,
   handleRetrieve,
+  handleCreateCard,
+  handleUpdateCard,
+  handleCreateDashboard,
+  handleScheduleExport,
+  handleListScheduledExports,
+  handleCancelScheduledExport,
 } from './handlers/index.js';
+import { CARD_DISPLAY_TYPES } from './handlers/cards/schemas.js';
+import { DASHBOARD_FILTER_TYPES } from './handlers/dashboards/schemas.js';
 import {
   handleListResources,
   handleListResourceTemplates,
   handleReadResource,
+  handleSubscribeResource,
+  handleUnsubscribeResource,
+  ResourceWatcher,
 } from './handlers/resources/index.js';
 import { handleListPrompts, handleGetPrompt } from './handlers/prompts/index.js';
+import { handleComplete } from './handlers/completion/index.js';
+import { HttpTransportServer } from './transport/http.js';
+import { ApiClientPool, loadClientTokens, resolveClientIdentity } from './transport/auth.js';
+import { ExportJobStore, exportJobStorePath } from './scheduler/jobStore.js';
+import { ExportScheduler, FILENAME_TOKENS } from './scheduler/exportScheduler.js';
+
+const MBQL_FIELD_REFERENCE = {
+  type: ['number', 'string'],
+  description: 'Field ID, or field name from the source table',
+};
+
+// Shared by the execute and export tools
+const MBQL_INPUT_SCHEMA = {
+  type: 'object',
+  description:
+    'Query-builder (MBQL) query instead of SQL (MBQL mode only). Fields are checked against the source table metadata; use retrieve with model "table" to look up field names and types',
+  properties: {
+    source_table: { type: 'number', description: 'ID of the table to query' },
+    aggregations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: [...MBQL_AGGREGATION_TYPES] },
+          field: { ...MBQL_FIELD_REFERENCE, description: 'Field to aggregate (not used by count)' },
+        },
+        required: ['type'],
+      },
+    },
+    breakouts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: MBQL_FIELD_REFERENCE,
+          temporal_unit: {
+            type: 'string',
+            enum: [...MBQL_TEMPORAL_UNITS],
+            description: 'Bucket a date or time field',
+          },
+        },
+        required: ['field'],
+      },
+      description: 'Group by fields; plain field IDs or names are also accepted',
+    },
+    filters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: MBQL_FIELD_REFERENCE,
+          operator: { type: 'string', enum: [...MBQL_FILTER_OPERATORS] },
+          value: {
+            description:
+              'Filter value; a list for = and != with several values or for between [min, max]. A whole number relative to now (e.g. -30) or "current" for time-interval',
+          },
+          unit: {
+            type: 'string',
+            enum: [...MBQL_TEMPORAL_UNITS],
+            description: 'Interval unit (time-interval only)',
+          },
+        },
+        required: ['field', 'operator'],
+      },
+      description: 'Filters combined with AND',
+    },
+    order_by: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: MBQL_FIELD_REFERENCE,
+          aggregation: { type: 'number', description: 'Index into aggregations to sort by' },
+          direction: { type: 'string', enum: ['asc', 'desc'], default: 'asc' },
+        },
+      },
+    },
+    limit: { type: 'number', description: 'Maximum number of rows' },
+  },
+  required: ['source_table'],
+};
+
+// card_filters for execute, export and schedule_export
+const CARD_FILTERS_INPUT_SCHEMA = {
+  type: 'object',
+  additionalProperties: {
+    anyOf: [
+      { type: ['string', 'number', 'boolean'] },
+      { type: 'array', items: { type: ['string', 'number', 'boolean'] } },
+    ],
+  },
+  description:
+    'Simple card filters resolved server-side into card_parameters (card mode only), keyed by parameter slug, name or template tag name, e.g. {"region": "EU", "created_at": "last 30 days", "amount": [10, 100]}. Dates accept "2024-01-31", "today", "yesterday", "last 30 days", "this month", "2024-01-01 to 2024-03-31", "before 2024-01-01", "2024-03" and "Q1 2024", as the parameter type allows. Field filters take a value or a list of values',
+};
+
+// Shared by the export and schedule_export tools; the export tool adds filename
+const EXPORT_INPUT_PROPERTIES = {
+  database_id: {
+    type: 'number',
+    description: 'Database ID to export query from (SQL mode only)',
+  },
+  query: {
+    type: 'string',
+    description: 'SQL query to execute and export (SQL mode only)',
+  },
+  card_id: {
+    type: 'number',
+    description: 'ID of saved card to export (card mode only)',
+  },
+  native_parameters: {
+    type: 'array',
+    items: { type: 'object' },
+    description: 'Parameters for SQL template variables like {{variable_name}} (SQL mode only)',
+  },
+  card_parameters: {
+    type: 'array',
+    items: { type: 'object' },
+    description:
+      'Parameters for filtering card results before export (card mode only). Each parameter must follow Metabase format: {id: "uuid", slug: "param_name", target: ["dimension", ["template-tag", "param_name"]], type: "param_type", value: "param_value"}. Prefer card_filters',
+  },
+  card_filters: CARD_FILTERS_INPUT_SCHEMA,
+  format: {
+    type: 'string',
+    enum: ['csv', 'json', 'xlsx', 'parquet', 'ndjson'],
+    description:
+      'Export format: csv (text), json (structured data), xlsx (Excel file), parquet (typed columnar file), or ndjson (one JSON object per line). parquet and ndjson use the result column types and report them as schema',
+    default: 'csv',
+  },
+  compression: {
+    type: 'string',
+    enum: ['none', 'gzip', 'zip'],
+    description: 'Compress each saved file: gzip (.gz) or zip (a .zip archive per file)',
+    default: 'none',
+  },
+  split_rows: {
+    type: 'number',
+    description:
+      'Split the export into numbered parts of at most this many rows each. CSV and XLSX parts repeat the header',
+    minimum: 1,
+  },
+  split_mb: {
+    type: 'number',
+    description:
+      'Split the export into numbered parts of about this many megabytes each, measured before compression (not supported for xlsx)',
+    exclusiveMinimum: 0,
+  },
+  mbql: MBQL_INPUT_SCHEMA,
+};
 
 export class MetabaseServer {
   private server: Server;
   private apiClient: MetabaseApiClient;
+  private httpTransport: HttpTransportServer | null = null;
+  private exportScheduler: ExportScheduler | null = null;
 
   constructor() {
-    this.server = new Server(
+    this.apiClient = new MetabaseApiClient();
+    if (config.EXPORT_SCHEDULER_ENABLED) {
+      this.exportScheduler = new ExportScheduler(
+        new ExportJobStore(
+          exportJobStorePath(config.EXPORT_SCHEDULE_DIRECTORY, config.METABASE_URL)
+        ),
+        this.apiClient,
+        config.EXPORT_DIRECTORY,
+        this.logDebug.bind(this),
+        this.logInfo.bind(this),
+        this.logWarn.bind(this),
+        this.logError.bind(this)
+      );
+    }
+    this.server = this.createServer(this.apiClient);
+
+    process.on('SIGINT', async () => {
+      this.logInfo('Gracefully shutting down server');
+      this.exportScheduler?.stop();
+      await this.server.close();
+      if (this.httpTransport) {
+        await this.httpTransport.close();
+      }
+      process.exit(0);
+    });
+  }
+
+  /**
+   * Create an MCP server instance with all handlers bound to the given API client.
+   * The stdio transport uses a single instance; the HTTP transport creates one per session.
+   */
+  private createServer(apiClient: MetabaseApiClient): Server {
+    const server = new Server(
       {
         name: 'metabase-mcp',
         version: '1.0.0',
       },
       {
         capabilities: {
-          resources: {},
+          resources: { subscribe: true, listChanged: true },
           tools: {},
           prompts: {},
+          completions: {},
         },
       }
     );
 
-    this.apiClient = new MetabaseApiClient();
+    // Scheduled exports run as the server's own identity, so only its clients manage them
+    const exportScheduler = apiClient === this.apiClient ? this.exportScheduler : null;
 
-    this.setupResourceHandlers();
-    this.setupToolHandlers();
-    this.setupPromptHandlers();
+    // Subscriptions belong to the session, so each server instance polls its own
+    const resourceWatcher = new ResourceWatcher(
+      apiClient,
+      config.RESOURCE_POLL_INTERVAL_MS,
+      {
+        resourceUpdated: uri => server.sendResourceUpdated({ uri }),
+        resourceListChanged: () => server.sendResourceListChanged(),
+      },
+      this.logDebug.bind(this),
+      this.logWarn.bind(this),
+      this.logError.bind(this)
+    );
+
+    this.setupResourceHandlers(server, apiClient, exportScheduler, resourceWatcher);
+    this.setupToolHandlers(server, apiClient, exportScheduler);
+    this.setupPromptHandlers(server, apiClient);
+    this.setupCompletionHandlers(server, apiClient);
 
     // Enhanced error handling with logging
-    this.server.onerror = (error: Error) => {
+    server.onerror = (error: Error) => {
       this.logError('Unexpected server error occurred', error);
     };
+    server.onclose = () => {
+      resourceWatcher.stop();
+    };
 
-    process.on('SIGINT', async () => {
-      this.logInfo('Gracefully shutting down server');
-      await this.server.close();
-      process.exit(0);
-    });
+    return server;
   }
 
   // Enhanced logging utilities
@@ -128,37 +347,56 @@ export class MetabaseServer {
   /**
    * Set up resource handlers
    */
-  private setupResourceHandlers() {
-    this.server.setRequestHandler(ListResourcesRequestSchema, async request => {
+  private setupResourceHandlers(
+    server: Server,
+    apiClient: MetabaseApiClient,
+    exportScheduler: ExportScheduler | null,
+    resourceWatcher: ResourceWatcher
+  ) {
+    server.setRequestHandler(ListResourcesRequestSchema, async request => {
       return handleListResources(
         request,
-        this.apiClient,
+        apiClient,
         this.logInfo.bind(this),
-        this.logError.bind(this)
+        this.logError.bind(this),
+        exportScheduler
       );
     });
 
-    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async request => {
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async request => {
       return handleListResourceTemplates(request, this.logInfo.bind(this));
     });
 
-    this.server.setRequestHandler(ReadResourceRequestSchema, async request => {
+    server.setRequestHandler(ReadResourceRequestSchema, async request => {
       return handleReadResource(
         request,
-        this.apiClient,
+        apiClient,
         this.logInfo.bind(this),
         this.logWarn.bind(this),
         this.logDebug.bind(this),
-        this.logError.bind(this)
+        this.logError.bind(this),
+        exportScheduler
       );
     });
+
+    server.setRequestHandler(SubscribeRequestSchema, async request => {
+      return handleSubscribeResource(request, apiClient, resourceWatcher, this.logInfo.bind(this));
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+      return handleUnsubscribeResource(request, resourceWatcher, this.logInfo.bind(this));
+    });
   }
 
   /**
    * Set up tool handlers
    */
-  private setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  private setupToolHandlers(
+    server: Server,
+    apiClient: MetabaseApiClient,
+    exportScheduler: ExportScheduler | null
+  ) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       this.logInfo('Processing request to list available tools');
       return {
         tools: [
@@ -310,7 +548,7 @@ export class MetabaseServer {
           {
             name: 'execute',
             description:
-              'Unified command to execute SQL queries or run saved cards against Metabase databases. Use Card mode when existing cards have the needed filters. Use SQL mode for custom queries or when cards lack required filters. Returns up to 2000 rows per request.',
+              'Unified command to execute SQL queries, query-builder (MBQL) queries, or saved cards against Metabase databases. Use Card mode when existing cards have the needed filters. Use SQL mode for custom queries or when cards lack required filters. Use MBQL mode for aggregations and filters over a single table without writing SQL. Returns up to 2000 rows per request; when more rows are available the response includes next_cursor, which can be passed back as cursor to fetch the next page. Identical queries are answered from a short-lived result cache, reported as source "cache"; use clear_cache with "all-results" to force a fresh run.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -336,57 +574,111 @@ export class MetabaseServer {
                   type: 'array',
                   items: { type: 'object' },
                   description:
-                    'Parameters for filtering card results (card mode only). Each parameter must follow Metabase format: {id: "uuid", slug: "param_name", target: ["dimension", ["template-tag", "param_name"]], type: "param_type", value: "param_value"}',
+                    'Parameters for filtering card results (card mode only). Each parameter must follow Metabase format: {id: "uuid", slug: "param_name", target: ["dimension", ["template-tag", "param_name"]], type: "param_type", value: "param_value"}. Prefer card_filters',
                 },
+                card_filters: CARD_FILTERS_INPUT_SCHEMA,
                 row_limit: {
                   type: 'number',
-                  description: 'Maximum number of rows to return (default: 500, max: 2000)',
+                  description:
+                    'Maximum number of rows to return (default: 500, max: 2000). With cursor, overrides the page size',
                   default: 500,
                   minimum: 1,
                   maximum: 2000,
                 },
+                cursor: {
+                  type: 'string',
+                  description:
+                    'Opaque next_cursor token from a previous execute response. Fetches the next page; only row_limit may be combined with it. Cursors expire with the cache TTL',
+                },
+                keyset_column: {
+                  type: 'string',
+                  description:
+                    'Column with unique, non-null values to page by instead of OFFSET (SQL mode only). Results are ordered by this column ascending',
+                },
+                skip_schema_check: {
+                  type: 'boolean',
+                  description:
+                    'Skip checking tables and qualified columns against Metabase metadata before running (SQL mode only). Use when the query reads tables that are hidden or not yet synced in Metabase',
+                },
+                mbql: MBQL_INPUT_SCHEMA,
               },
               required: [],
             },
           },
           {
-            name: 'export',
+            name: 'execute_dashboard',
             description:
-              'Unified command to export large SQL query results or saved cards using Metabase export endpoints (supports up to 1M rows). Returns data in specified format (CSV, JSON, or XLSX) and automatically saves to Downloads/Metabase folder.',
+              'Run every card on a dashboard with shared dashboard filter values. Filters are mapped to each dashcard through its parameter mappings, dashcards run concurrently, and the combined results are returned keyed by dashcard ID. Failed dashcards are reported individually without failing the whole request.',
             inputSchema: {
               type: 'object',
               properties: {
-                database_id: {
+                dashboard_id: {
                   type: 'number',
-                  description: 'Database ID to export query from (SQL mode only)',
+                  description: 'ID of the dashboard to execute',
                 },
-                query: {
-                  type: 'string',
-                  description: 'SQL query to execute and export (SQL mode only)',
+                filters: {
+                  type: 'object',
+                  description:
+                    'Dashboard filter values keyed by filter slug or parameter ID, e.g. {"state": "CA", "date_range": "past30days"}. Filters without a value use the dashboard default; pass null to clear a default',
+                  additionalProperties: true,
                 },
-                card_id: {
+                row_limit: {
                   type: 'number',
-                  description: 'ID of saved card to export (card mode only)',
+                  description:
+                    'Maximum number of rows to return per dashcard (default: 100, max: 2000)',
+                  default: 100,
+                  minimum: 1,
+                  maximum: 2000,
                 },
-                native_parameters: {
-                  type: 'array',
-                  items: { type: 'object' },
+              },
+              required: ['dashboard_id'],
+            },
+          },
+          {
+            name: 'parameter_values',
+            description:
+              'List the valid values of a card parameter or dashboard filter, or the values matching a search query, so filters can be set to values that exist. Values come from the Metabase parameter values endpoints, falling back to the scanned values of the underlying field, and are returned with the field metadata when the parameter filters on a field.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                card_id: {
+                  type: 'number',
                   description:
-                    'Parameters for SQL template variables like {{variable_name}} (SQL mode only)',
+                    'ID of the card the parameter belongs to (use card_id or dashboard_id)',
                 },
-                card_parameters: {
-                  type: 'array',
-                  items: { type: 'object' },
+                dashboard_id: {
+                  type: 'number',
                   description:
-                    'Parameters for filtering card results before export (card mode only). Each parameter must follow Metabase format: {id: "uuid", slug: "param_name", target: ["dimension", ["template-tag", "param_name"]], type: "param_type", value: "param_value"}',
+                    'ID of the dashboard the filter belongs to (use card_id or dashboard_id)',
+                },
+                parameter: {
+                  type: 'string',
+                  description: 'Parameter slug, parameter ID, name or template tag name',
                 },
-                format: {
+                query: {
                   type: 'string',
-                  enum: ['csv', 'json', 'xlsx'],
                   description:
-                    'Export format: csv (text), json (structured data), or xlsx (Excel file)',
-                  default: 'csv',
+                    'Only return values containing this text (case insensitive), e.g. "cal" for "California"',
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum number of values to return (default: 100, max: 1000)',
+                  default: 100,
+                  minimum: 1,
+                  maximum: 1000,
                 },
+              },
+              required: ['parameter'],
+            },
+          },
+          {
+            name: 'export',
+            description:
+              'Unified command to export large SQL query results, query-builder (MBQL) query results, or saved cards using Metabase export endpoints (supports up to 1M rows). Returns data in specified format (CSV, JSON, XLSX, Parquet, or NDJSON) and automatically saves to Downloads/Metabase folder, optionally compressed and split into parts, with a manifest listing the source query and a SHA-256 checksum per file.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                ...EXPORT_INPUT_PROPERTIES,
                 filename: {
                   type: 'string',
                   description:
@@ -399,7 +691,7 @@ export class MetabaseServer {
           {
             name: 'clear_cache',
             description:
-              'Clear the internal cache for stored data. Useful for debugging or when you know the data has changed. Supports granular cache clearing for both individual items and list caches.',
+              'Clear the internal cache for stored data. Useful for debugging or when you know the data has changed. Supports granular cache clearing for individual items, list caches and cached execute results.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -413,27 +705,269 @@ export class MetabaseServer {
                     'databases',
                     'collections',
                     'fields',
+                    'parameter-values',
                     'cards-list',
                     'dashboards-list',
                     'tables-list',
                     'databases-list',
                     'collections-list',
+                    'query-results',
+                    'card-results',
                     'all-lists',
                     'all-individual',
+                    'all-results',
                   ],
                   description:
-                    'Type of cache to clear: "all" (default - clears all cache types), individual item caches ("cards", "dashboards", "tables", "databases", "collections", "fields"), list caches ("cards-list", "dashboards-list", "tables-list", "databases-list", "collections-list"), or bulk operations ("all-lists", "all-individual")',
+                    'Type of cache to clear: "all" (default - clears all cache types), individual item caches ("cards", "dashboards", "tables", "databases", "collections", "fields"), filter value caches ("parameter-values"), list caches ("cards-list", "dashboards-list", "tables-list", "databases-list", "collections-list"), execute result caches ("query-results" for SQL and query-builder queries, "card-results" for saved cards), or bulk operations ("all-lists", "all-individual", "all-results")',
                   default: 'all',
                 },
               },
               required: [],
             },
           },
+          {
+            name: 'cache_stats',
+            description:
+              'Report cache hit, miss, de-duplicated fetch and stale fallback counts for every cache (cards, dashboards, tables, lists, ...) since the server started or the counters were last reset. Use it to judge whether CACHE_TTL_MS fits how often Metabase content changes.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                reset: {
+                  type: 'boolean',
+                  description: 'Reset the counters after reporting them (cached data is kept)',
+                  default: false,
+                },
+              },
+              required: [],
+            },
+          },
+          // Scheduled exports are only listed to clients using the server's own identity
+          ...(exportScheduler
+            ? [
+                {
+                  name: 'schedule_export',
+                  description:
+                    'Schedule a recurring export of a SQL query, query-builder (MBQL) query or saved card. Jobs are stored locally and run inside this MCP server on a cron schedule (server local time) through the export tool, saving files to the export directory; the files of old runs are removed after the retention period. Takes the same arguments as export, except that filename is replaced by filename_template.',
+                  inputSchema: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string', description: 'Name of the job' },
+                      cron: {
+                        type: 'string',
+                        description:
+                          'Cron expression: minute hour day-of-month month day-of-week, e.g. "0 6 * * 1-5" for 06:00 on weekdays, or @hourly, @daily, @weekly, @monthly',
+                      },
+                      filename_template: {
+                        type: 'string',
+                        description: `File name (without extension) of each run. Tokens: ${FILENAME_TOKENS.map(token => `{${token}}`).join(', ')}, filled in with the local time the run starts (default: "{name}_{datetime}")`,
+                      },
+                      retention_days: {
+                        type: 'number',
+                        description: `Remove the files of runs older than this many days; 0 keeps them (default: ${config.EXPORT_RETENTION_DAYS})`,
+                        minimum: 0,
+                      },
+                      retention_runs: {
+                        type: 'number',
+                        description: 'Keep the files of only this many most recent runs',
+                        minimum: 1,
+                      },
+                      ...EXPORT_INPUT_PROPERTIES,
+                    },
+                    required: ['name', 'cron'],
+                  },
+                },
+                {
+                  name: 'list_scheduled_exports',
+                  description:
+                    'List scheduled export jobs with their cron schedule, export arguments, next run time and last run. The full run history is available as the metabase://exports/history resource.',
+                  inputSchema: {
+                    type: 'object',
+                    properties: {},
+                    required: [],
+                  },
+                },
+                {
+                  name: 'cancel_scheduled_export',
+                  description:
+                    'Cancel a scheduled export job. Files it already wrote and its run history are kept.',
+                  inputSchema: {
+                    type: 'object',
+                    properties: {
+                      job_id: {
+                        type: 'string',
+                        description:
+                          'ID of the job, from schedule_export or list_scheduled_exports',
+                      },
+                    },
+                    required: ['job_id'],
+                  },
+                },
+              ]
+            : []),
+          // Tools that modify Metabase content are only listed when WRITE_TOOLS_ENABLED is set
+          ...(config.WRITE_TOOLS_ENABLED
+            ? [
+                {
+                  name: 'create_card',
+                  description:
+                    'Save a read-only SQL query as a new Metabase question (card). Template tags are derived from {{variable}} usage in the query. Run the query with execute first to validate it.',
+                  inputSchema: {
+                    type: 'object',
+                    properties: {
+                      name: {
+                        type: 'string',
+                        description: 'Card name',
+                      },
+                      database_id: {
+                        type: 'number',
+                        description: 'Database ID the query runs against',
+                      },
+                      query: {
+                        type: 'string',
+                        description: 'Native SQL query; {{variable}} placeholders become filters',
+                      },
+                      collection_id: {
+                        type: ['number', 'null'],
+                        description: 'Collection to save the card in (default: root collection)',
+                      },
+                      description: {
+                        type: 'string',
+                        description: 'Card description',
+                      },
+                      display: {
+                        type: 'string',
+                        enum: [...CARD_DISPLAY_TYPES],
+                        description: 'Visualization type (default: table)',
+                        default: 'table',
+                      },
+                      template_tags: {
+                        type: 'object',
+                        description:
+                          'Optional settings for {{variable}} tags, keyed by tag name: {type: "text"|"number"|"date"|"dimension", display_name, required, default, field_id (dimension only), widget_type (dimension only)}. Tags are derived from the query; unlisted tags default to text',
+                        additionalProperties: { type: 'object' },
+                      },
+                    },
+                    required: ['name', 'database_id', 'query'],
+                  },
+                },
+                {
+                  name: 'update_card',
+                  description:
+                    'Update an existing Metabase question (card): rename, move, change display, or replace its SQL query. Template tags are re-derived from the query and keep the IDs of existing tags with the same name.',
+                  inputSchema: {
+                    type: 'object',
+                    properties: {
+                      card_id: {
+                        type: 'number',
+                        description: 'ID of the card to update',
+                      },
+                      name: {
+                        type: 'string',
+                        description: 'New card name',
+                      },
+                      database_id: {
+                        type: 'number',
+                        description: 'New database ID for the query (default: current database)',
+                      },
+                      query: {
+                        type: 'string',
+                        description: 'Replacement native SQL query',
+                      },
+                      collection_id: {
+                        type: ['number', 'null'],
+                        description:
+                          'Collection to move the card to (null for the root collection)',
+                      },
+                      description: {
+                        type: ['string', 'null'],
+                        description: 'New card description',
+                      },
+                      display: {
+                        type: 'string',
+                        enum: [...CARD_DISPLAY_TYPES],
+                        description: 'New visualization type',
+                      },
+                      template_tags: {
+                        type: 'object',
+                        description:
+                          'Optional settings for {{variable}} tags, keyed by tag name: {type: "text"|"number"|"date"|"dimension", display_name, required, default, field_id (dimension only), widget_type (dimension only)}. Tags are derived from the query; unlisted tags default to text',
+                        additionalProperties: { type: 'object' },
+                      },
+                    },
+                    required: ['card_id'],
+                  },
+                },
+                {
+                  name: 'create_dashboard',
+                  description:
+                    'Create a Metabase dashboard from existing cards. Cards are laid out automatically on the grid, and filters are wired to SQL card template tags (by matching slug, or explicit targets). Returns the new metabase://dashboard/{id} resource URI.',
+                  inputSchema: {
+                    type: 'object',
+                    properties: {
+                      name: {
+                        type: 'string',
+                        description: 'Dashboard name',
+                      },
+                      description: {
+                        type: 'string',
+                        description: 'Dashboard description',
+                      },
+                      collection_id: {
+                        type: ['number', 'null'],
+                        description:
+                          'Collection to save the dashboard in (default: root collection)',
+                      },
+                      cards: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            card_id: { type: 'number' },
+                            size_x: { type: 'number', minimum: 1, maximum: 24 },
+                            size_y: { type: 'number', minimum: 1 },
+                          },
+                          required: ['card_id'],
+                        },
+                        description:
+                          'Cards to add, in reading order. Sizes default by display type on a 24 column grid',
+                      },
+                      filters: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            name: { type: 'string' },
+                            slug: { type: 'string' },
+                            type: { type: 'string', enum: [...DASHBOARD_FILTER_TYPES] },
+                            default: {},
+                            targets: {
+                              type: 'array',
+                              items: {
+                                type: 'object',
+                                properties: {
+                                  card_id: { type: 'number' },
+                                  tag: { type: 'string' },
+                                },
+                                required: ['card_id', 'tag'],
+                              },
+                            },
+                          },
+                          required: ['name'],
+                        },
+                        description:
+                          'Dashboard filters. Without targets, a filter is wired to every card with a {{slug}} template tag; type defaults from the tag type',
+                      },
+                    },
+                    required: ['name'],
+                  },
+                },
+              ]
+            : []),
         ],
       };
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async request => {
+    server.setRequestHandler(CallToolRequestSchema, async request => {
       const toolName = request.params?.name || 'unknown';
       const requestId = generateRequestId();
 
@@ -442,7 +976,7 @@ export class MetabaseServer {
         arguments: request.params?.arguments,
       });
 
-      await this.apiClient.getSessionToken();
+      await apiClient.getSessionToken();
 
       try {
         switch (request.params?.name) {
@@ -450,7 +984,7 @@ export class MetabaseServer {
             return handleSearch(
               request,
               requestId,
-              this.apiClient,
+              apiClient,
               this.logDebug.bind(this),
               this.logInfo.bind(this),
               this.logWarn.bind(this),
@@ -461,7 +995,7 @@ export class MetabaseServer {
             return handleList(
               request,
               requestId,
-              this.apiClient,
+              apiClient,
               this.logDebug.bind(this),
               this.logInfo.bind(this),
               this.logWarn.bind(this),
@@ -472,7 +1006,27 @@ export class MetabaseServer {
             return handleExecute(
               request,
               requestId,
-              this.apiClient,
+              apiClient,
+              this.logDebug.bind(this),
+              this.logInfo.bind(this),
+              this.logWarn.bind(this),
+              this.logError.bind(this)
+            );
+          case 'execute_dashboard':
+            return handleExecuteDashboard(
+              request,
+              requestId,
+              apiClient,
+              this.logDebug.bind(this),
+              this.logInfo.bind(this),
+              this.logWarn.bind(this),
+              this.logError.bind(this)
+            );
+          case 'parameter_values':
+            return handleParameterValues(
+              request,
+              requestId,
+              apiClient,
               this.logDebug.bind(this),
               this.logInfo.bind(this),
               this.logWarn.bind(this),
@@ -482,7 +1036,64 @@ export class MetabaseServer {
             return handleExport(
               request,
               requestId,
-              this.apiClient,
+              apiClient,
+              this.logDebug.bind(this),
+              this.logInfo.bind(this),
+              this.logWarn.bind(this),
+              this.logError.bind(this)
+            );
+          case 'schedule_export':
+            return handleScheduleExport(
+              request,
+              requestId,
+              exportScheduler,
+              this.logInfo.bind(this),
+              this.logWarn.bind(this),
+              this.logError.bind(this)
+            );
+          case 'list_scheduled_exports':
+            return handleListScheduledExports(
+              request,
+              requestId,
+              exportScheduler,
+              this.logInfo.bind(this),
+              this.logWarn.bind(this),
+              this.logError.bind(this)
+            );
+          case 'cancel_scheduled_export':
+            return handleCancelScheduledExport(
+              request,
+              requestId,
+              exportScheduler,
+              this.logInfo.bind(this),
+              this.logWarn.bind(this),
+              this.logError.bind(this)
+            );
+          case 'create_card':
+            return handleCreateCard(
+              request,
+              requestId,
+              apiClient,
+              this.logDebug.bind(this),
+              this.logInfo.bind(this),
+              this.logWarn.bind(this),
+              this.logError.bind(this)
+            );
+          case 'update_card':
+            return handleUpdateCard(
+              request,
+              requestId,
+              apiClient,
+              this.logDebug.bind(this),
+              this.logInfo.bind(this),
+              this.logWarn.bind(this),
+              this.logError.bind(this)
+            );
+          case 'create_dashboard':
+            return handleCreateDashboard(
+              request,
+              requestId,
+              apiClient,
               this.logDebug.bind(this),
               this.logInfo.bind(this),
               this.logWarn.bind(this),
@@ -491,16 +1102,23 @@ export class MetabaseServer {
           case 'clear_cache':
             return handleClearCache(
               request,
-              this.apiClient,
+              apiClient,
               this.logInfo.bind(this),
               this.logWarn.bind(this),
               this.logError.bind(this)
             );
+          case 'cache_stats':
+            return handleCacheStats(
+              request,
+              apiClient,
+              this.logInfo.bind(this),
+              this.logWarn.bind(this)
+            );
           case 'retrieve':
             return handleRetrieve(
               request,
               requestId,
-              this.apiClient,
+              apiClient,
               this.logDebug.bind(this),
               this.logInfo.bind(this),
               this.logWarn.bind(this),
@@ -576,15 +1194,15 @@ export class MetabaseServer {
   /**
    * Set up prompt handlers
    */
-  private setupPromptHandlers() {
-    this.server.setRequestHandler(ListPromptsRequestSchema, async request => {
+  private setupPromptHandlers(server: Server, apiClient: MetabaseApiClient) {
+    server.setRequestHandler(ListPromptsRequestSchema, async request => {
       return handleListPrompts(request, this.logInfo.bind(this));
     });
 
-    this.server.setRequestHandler(GetPromptRequestSchema, async request => {
+    server.setRequestHandler(GetPromptRequestSchema, async request => {
       return handleGetPrompt(
         request,
-        this.apiClient,
+        apiClient,
         this.logInfo.bind(this),
         this.logWarn.bind(this),
         this.logError.bind(this)
@@ -592,15 +1210,74 @@ export class MetabaseServer {
     });
   }
 
+  /**
+   * Set up completion of prompt arguments and resource template IDs
+   */
+  private setupCompletionHandlers(server: Server, apiClient: MetabaseApiClient) {
+    server.setRequestHandler(CompleteRequestSchema, async request => {
+      return handleComplete(request, apiClient, this.logInfo.bind(this), this.logWarn.bind(this));
+    });
+  }
+
   async run() {
     try {
-      this.logInfo('Starting Metabase MCP server');
-      const transport = new StdioServerTransport();
-      await this.server.connect(transport);
-      this.logInfo('Metabase MCP server successfully connected and running on stdio transport');
+      this.logInfo('Starting Metabase MCP server', { transport: config.MCP_TRANSPORT });
+
+      if (config.MCP_TRANSPORT === TransportType.HTTP) {
+        await this.runHttp();
+      } else {
+        const transport = new StdioServerTransport();
+        await this.server.connect(transport);
+        this.logInfo('Metabase MCP server successfully connected and running on stdio transport');
+      }
+
+      this.exportScheduler?.start();
     } catch (error) {
       this.logFatal('Failed to start Metabase MCP server', error);
       throw error;
     }
   }
+
+  /**
+   * Serve MCP clients over HTTP/SSE, creating a dedicated MCP server per session
+   * bound to the API client of the caller's Metabase identity
+   */
+  private async runHttp() {
+    const clientPool = new ApiClientPool(this.apiClient);
+    const authOptions = {
+      tokens: loadClientTokens(config.MCP_AUTH_TOKENS_FILE),
+      allowSessionPassthrough: config.MCP_SESSION_PASSTHROUGH,
+      requireClientAuth: config.MCP_REQUIRE_CLIENT_AUTH,
+    };
+
+    this.logInfo('Configured per-client authentication', {
+      bearerTokens: authOptions.tokens.size,
+      sessionPassthrough: authOptions.allowSessionPassthrough,
+      requireClientAuth: authOptions.requireClientAuth,
+    });
+    if (
+      authOptions.requireClientAuth &&
+      authOptions.tokens.size === 0 &&
+      !authOptions.allowSessionPassthrough
+    ) {
+      this.logWarn(
+        'Client authentication is required but no bearer tokens or session passthrough are configured, so every client will be rejected; set MCP_AUTH_TOKENS_FILE, MCP_SESSION_PASSTHROUGH=true or MCP_REQUIRE_CLIENT_AUTH=false'
+      );
+    }
+
+    this.httpTransport = new HttpTransportServer(
+      request => resolveClientIdentity(request, authOptions),
+      identity => this.createServer(clientPool.get(identity)),
+      { host: config.MCP_SERVER_HOST, port: config.MCP_SERVER_PORT },
+      this.logInfo.bind(this),
+      this.logWarn.bind(this),
+      this.logError.bind(this)
+    );
+
+    await this.httpTransport.start();
+    this.logInfo('Metabase MCP server successfully running on HTTP transport', {
+      host: config.MCP_SERVER_HOST,
+      port: this.httpTransport.port,
+    });
+  }
 }
@@ -0,0 +1,214 @@
+/**
+ * Per-client authentication for the shared HTTP transport.
+ *
+ * Each MCP client is resolved to a Metabase identity, either through a bearer
+ * token mapped to a Metabase API key or through a forwarded Metabase session.
+ * One API client is kept per identity so Metabase permissions and audit logs
+ * reflect the real caller instead of a shared service account.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+import { IncomingMessage } from 'http';
+import { z } from 'zod';
+import { ApiClientCredentials, MetabaseApiClient } from '../api.js';
+
+// Identity used when a client presents no credentials and the server allows it
+export const DEFAULT_IDENTITY_ID = 'default';
+
+// Upper bound on pooled API clients; the least recently used one is evicted beyond this
+export const MAX_POOLED_CLIENTS = 100;
+
+export interface ClientIdentity {
+  id: string;
+  label: string;
+  credentials?: ApiClientCredentials;
+}
+
+export interface ClientAuthOptions {
+  tokens: Map<string, ClientTokenEntry>;
+  allowSessionPassthrough: boolean;
+  requireClientAuth: boolean;
+}
+
+export interface ClientTokenEntry {
+  apiKey: string;
+  name?: string;
+}
+
+/**
+ * Raised when an HTTP client cannot be mapped to a Metabase identity
+ */
+export class ClientAuthError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ClientAuthError';
+  }
+}
+
+// Token file format: { "<bearer token>": { "api_key": "mb_...", "name": "alice" } }
+const tokenFileSchema = z.record(
+  z.string().min(1),
+  z.object({
+    api_key: z.string().min(1),
+    name: z.string().optional(),
+  })
+);
+
+/**
+ * Load the bearer token to Metabase API key mapping from a JSON file
+ */
+export function loadClientTokens(filePath: string | undefined): Map<string, ClientTokenEntry> {
+  const tokens = new Map<string, ClientTokenEntry>();
+  if (!filePath) {
+    return tokens;
+  }
+
+  let parsed: z.infer<typeof tokenFileSchema>;
+  try {
+    parsed = tokenFileSchema.parse(JSON.parse(readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errorMessages = error.errors.map(err => `${err.path.join('.')}: ${err.message}`);
+      throw new Error(`Invalid client token file ${filePath}:\n${errorMessages.join('\n')}`);
+    }
+    throw new Error(
+      `Failed to read client token file ${filePath}: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+
+  for (const [token, entry] of Object.entries(parsed)) {
+    tokens.set(token, { apiKey: entry.api_key, name: entry.name });
+  }
+
+  return tokens;
+}
+
+/**
+ * Stable, non-reversible identifier for a credential so secrets never appear in logs or map keys
+ */
+function fingerprint(kind: string, secret: string): string {
+  return `${kind}:${createHash('sha256').update(secret).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Find the entry for a bearer token. Tokens are compared as SHA-256 digests in constant time,
+ * and every configured token is checked, so response times reveal nothing about the token.
+ */
+function findTokenEntry(
+  tokens: Map<string, ClientTokenEntry>,
+  token: string
+): ClientTokenEntry | undefined {
+  const digest = createHash('sha256').update(token).digest();
+  let found: ClientTokenEntry | undefined;
+  for (const [candidate, entry] of tokens) {
+    const matches = timingSafeEqual(digest, createHash('sha256').update(candidate).digest());
+    if (matches && !found) {
+      found = entry;
+    }
+  }
+  return found;
+}
+
+function getHeader(request: IncomingMessage, name: string): string | undefined {
+  const value = request.headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Resolve the Metabase identity for an incoming HTTP request
+ *
+ * @throws {ClientAuthError} If credentials are invalid or required but missing
+ */
+export function resolveClientIdentity(
+  request: IncomingMessage,
+  options: ClientAuthOptions
+): ClientIdentity {
+  const authorization = getHeader(request, 'authorization');
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      throw new ClientAuthError('Authorization header must use the Bearer scheme');
+    }
+
+    const token = match[1].trim();
+    const entry = findTokenEntry(options.tokens, token);
+    if (!entry) {
+      throw new ClientAuthError('Unknown bearer token');
+    }
+
+    const id = fingerprint('token', token);
+    return {
+      id,
+      label: entry.name || id,
+      credentials: { apiKey: entry.apiKey },
+    };
+  }
+
+  const forwardedSession = getHeader(request, 'x-metabase-session');
+  if (forwardedSession) {
+    if (!options.allowSessionPassthrough) {
+      throw new ClientAuthError('Metabase session passthrough is disabled on this server');
+    }
+
+    const id = fingerprint('session', forwardedSession);
+    return {
+      id,
+      label: id,
+      credentials: { sessionToken: forwardedSession },
+    };
+  }
+
+  if (options.requireClientAuth) {
+    throw new ClientAuthError(
+      'Client authentication required: send a bearer token or an X-Metabase-Session header'
+    );
+  }
+
+  return { id: DEFAULT_IDENTITY_ID, label: DEFAULT_IDENTITY_ID };
+}
+
+/**
+ * Keeps one MetabaseApiClient (and its caches) per client identity
+ */
+export class ApiClientPool {
+  private clients: Map<string, MetabaseApiClient> = new Map();
+
+  constructor(
+    private readonly defaultClient: MetabaseApiClient,
+    private readonly maxClients: number = MAX_POOLED_CLIENTS
+  ) {}
+
+  get size(): number {
+    return this.clients.size;
+  }
+
+  /**
+   * Get the API client for an identity, creating it on first use
+   */
+  get(identity: ClientIdentity): MetabaseApiClient {
+    if (!identity.credentials) {
+      return this.defaultClient;
+    }
+
+    const existing = this.clients.get(identity.id);
+    if (existing) {
+      // Re-insert to mark as most recently used
+      this.clients.delete(identity.id);
+      this.clients.set(identity.id, existing);
+      return existing;
+    }
+
+    const client = new MetabaseApiClient(identity.credentials);
+    this.clients.set(identity.id, client);
+
+    if (this.clients.size > this.maxClients) {
+      const oldestId = this.clients.keys().next().value;
+      if (oldestId !== undefined) {
+        this.clients.delete(oldestId);
+      }
+    }
+
+    return client;
+  }
+}
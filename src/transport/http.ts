@@ -0,0 +1,228 @@
+/**
+ * HTTP transport for serving many MCP clients from a single server process.
+ *
+ * Clients open a Server-Sent Events stream with `GET /sse` and post JSON-RPC
+ * messages to `POST /messages?sessionId=...`. Every SSE connection gets its own
+ * MCP Server instance, so sessions never share protocol state, and every request
+ * is authenticated so a session can only be driven by the identity that opened it.
+ */
+
+import { createServer, IncomingMessage, Server as HttpServer, ServerResponse } from 'http';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { ClientAuthError, ClientIdentity } from './auth.js';
+
+export const SSE_ENDPOINT = '/sse';
+export const MESSAGES_ENDPOINT = '/messages';
+export const HEALTH_ENDPOINT = '/health';
+
+export interface HttpTransportOptions {
+  host: string;
+  port: number;
+}
+
+/**
+ * Resolves the client identity for an HTTP request, throwing ClientAuthError when rejected
+ */
+export type RequestAuthenticator = (request: IncomingMessage) => ClientIdentity;
+
+/**
+ * Factory invoked once per SSE connection to build the MCP Server for that session
+ */
+export type SessionServerFactory = (identity: ClientIdentity) => Promise<Server> | Server;
+
+interface HttpSession {
+  transport: SSEServerTransport;
+  server: Server;
+  identity: ClientIdentity;
+  createdAt: number;
+}
+
+export class HttpTransportServer {
+  private sessions: Map<string, HttpSession> = new Map();
+  private httpServer: HttpServer | null = null;
+
+  constructor(
+    private readonly authenticate: RequestAuthenticator,
+    private readonly createSessionServer: SessionServerFactory,
+    private readonly options: HttpTransportOptions,
+    private readonly logInfo: (message: string, data?: unknown) => void,
+    private readonly logWarn: (message: string, data?: unknown, error?: Error) => void,
+    private readonly logError: (message: string, error: unknown) => void
+  ) {}
+
+  /**
+   * Number of currently connected sessions
+   */
+  get sessionCount(): number {
+    return this.sessions.size;
+  }
+
+  /**
+   * Address the HTTP server is listening on (useful when port 0 is requested)
+   */
+  get port(): number | undefined {
+    const address = this.httpServer?.address();
+    return address && typeof address === 'object' ? address.port : undefined;
+  }
+
+  /**
+   * Start listening for HTTP connections
+   */
+  async start(): Promise<void> {
+    if (this.httpServer) {
+      throw new Error('HTTP transport already started');
+    }
+
+    const httpServer = createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.logError('Unhandled error while processing HTTP request', error);
+        if (!res.headersSent) {
+          this.sendJson(res, 500, { error: 'Internal server error' });
+        }
+      });
+    });
+
+    await new Promise<void>((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(this.options.port, this.options.host, () => {
+        httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.httpServer = httpServer;
+    this.logInfo(`HTTP transport listening on http://${this.options.host}:${this.port}`, {
+      sseEndpoint: SSE_ENDPOINT,
+      messagesEndpoint: MESSAGES_ENDPOINT,
+    });
+  }
+
+  /**
+   * Close all sessions and stop the HTTP server
+   */
+  async close(): Promise<void> {
+    const sessions = Array.from(this.sessions.values());
+    this.sessions.clear();
+
+    await Promise.all(
+      sessions.map(session =>
+        session.server.close().catch(error => {
+          this.logWarn('Failed to close MCP session cleanly', undefined, error as Error);
+        })
+      )
+    );
+
+    if (this.httpServer) {
+      const httpServer = this.httpServer;
+      this.httpServer = null;
+      await new Promise<void>(resolve => httpServer.close(() => resolve()));
+    }
+  }
+
+  private async handleRequest(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'GET' && url.pathname === SSE_ENDPOINT) {
+      await this.handleSseConnection(req, res);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === MESSAGES_ENDPOINT) {
+      await this.handlePostMessage(req, res, url.searchParams.get('sessionId'));
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === HEALTH_ENDPOINT) {
+      this.sendJson(res, 200, { status: 'ok', sessions: this.sessions.size });
+      return;
+    }
+
+    this.sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+  }
+
+  private async handleSseConnection(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const identity = this.authenticateRequest(req, res);
+    if (!identity) {
+      return;
+    }
+
+    const server = await this.createSessionServer(identity);
+    const transport = new SSEServerTransport(MESSAGES_ENDPOINT, res);
+    const sessionId = transport.sessionId;
+
+    this.sessions.set(sessionId, { transport, server, identity, createdAt: Date.now() });
+
+    await server.connect(transport);
+
+    // connect() takes over transport.onclose, so cleanup hangs off the server's own handler
+    const onServerClose = server.onclose;
+    server.onclose = () => {
+      onServerClose?.();
+      if (this.sessions.delete(sessionId)) {
+        this.logInfo('MCP session disconnected', { sessionId, sessions: this.sessions.size });
+      }
+    };
+    this.logInfo('MCP session connected', {
+      sessionId,
+      identity: identity.label,
+      sessions: this.sessions.size,
+    });
+  }
+
+  private async handlePostMessage(
+    req: IncomingMessage,
+    res: ServerResponse,
+    sessionId: string | null
+  ): Promise<void> {
+    if (!sessionId) {
+      this.sendJson(res, 400, { error: 'Missing sessionId query parameter' });
+      return;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this.logWarn('Received message for unknown MCP session', { sessionId });
+      this.sendJson(res, 404, { error: `Unknown session: ${sessionId}` });
+      return;
+    }
+
+    const identity = this.authenticateRequest(req, res);
+    if (!identity) {
+      return;
+    }
+
+    if (identity.id !== session.identity.id) {
+      this.logWarn('Rejected message from a different identity than the session owner', {
+        sessionId,
+        identity: identity.label,
+      });
+      this.sendJson(res, 403, { error: 'Session belongs to a different client identity' });
+      return;
+    }
+
+    await session.transport.handlePostMessage(req, res);
+  }
+
+  /**
+   * Resolve the client identity, answering 401 and returning null when authentication fails
+   */
+  private authenticateRequest(req: IncomingMessage, res: ServerResponse): ClientIdentity | null {
+    try {
+      return this.authenticate(req);
+    } catch (error) {
+      if (error instanceof ClientAuthError) {
+        this.logWarn('Rejected unauthenticated HTTP request', { reason: error.message });
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        this.sendJson(res, 401, { error: error.message });
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  private sendJson(res: ServerResponse, status: number, body: Record<string, unknown>): void {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
@@ -0,0 +1,454 @@
+/**
+ * Resolve simple card filters into Metabase card parameters.
+ *
+ * Filters are keyed by parameter slug, name or template tag name, and hold plain values or
+ * date expressions such as "last 30 days" or "2024-01-01 to 2024-03-31". Each value is
+ * converted to the shape the parameter's type expects: scalars for SQL variables, value
+ * lists for field filters, and Metabase date strings (`past30days`, `2024-01-01~2024-03-31`)
+ * for date parameters.
+ */
+
+import { z } from 'zod';
+import { ValidationErrorFactory } from './errorFactory.js';
+import { suggestNames } from './sqlSchemaCheck.js';
+
+const filterScalarSchema = z.union([z.string().trim().min(1), z.number(), z.boolean()]);
+
+export const cardFiltersSchema = z.record(
+  z.string().trim().min(1),
+  z.union([filterScalarSchema, z.array(filterScalarSchema).min(1)])
+);
+
+export type CardFilters = z.infer<typeof cardFiltersSchema>;
+
+type FilterScalar = z.infer<typeof filterScalarSchema>;
+
+export interface ResolvedCardParameter {
+  id: string;
+  slug: string;
+  type: string;
+  target: unknown[];
+  value: FilterScalar | FilterScalar[];
+}
+
+// A card parameter or template tag a filter can be applied to
+interface FilterTarget {
+  id: string;
+  slug: string;
+  name?: string;
+  names: string[];
+  type: string;
+  target: unknown[];
+  // SQL variables take a single value, field filters a list
+  variable: boolean;
+  // Field the parameter filters on, for field filters and query-builder parameters
+  fieldId: number | null;
+}
+
+// A card parameter or template tag, as listed by listCardParameters()
+export interface CardParameterTarget {
+  id: string;
+  slug: string;
+  name?: string;
+  names: string[];
+  type: string;
+  fieldId: number | null;
+}
+
+// Parameter type for template tags without a card parameter
+const TAG_PARAMETER_TYPES: Record<string, string> = {
+  text: 'category',
+  number: 'number/=',
+  date: 'date/single',
+  boolean: 'boolean/=',
+};
+
+const DATE_UNITS = ['minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export type DateFilterKind =
+  | 'single'
+  | 'range'
+  | 'before'
+  | 'after'
+  | 'relative'
+  | 'month'
+  | 'quarter';
+
+export interface DateFilter {
+  kind: DateFilterKind;
+  // Metabase date parameter value
+  value: string;
+}
+
+// Date expressions each date parameter type accepts
+const DATE_KINDS: Record<string, DateFilterKind[]> = {
+  'date/single': ['single'],
+  'date/range': ['range'],
+  'date/relative': ['relative'],
+  'date/month-year': ['month'],
+  'date/quarter-year': ['quarter'],
+};
+
+const DATE_FORMATS: Record<DateFilterKind, string> = {
+  single: 'a date such as "2024-01-31", "today" or "yesterday"',
+  range: 'a range such as "2024-01-01 to 2024-03-31"',
+  before: '"before 2024-01-01"',
+  after: '"after 2024-01-01"',
+  relative: 'a relative date such as "last 30 days", "this month" or "next 2 weeks"',
+  month: 'a month such as "2024-03"',
+  quarter: 'a quarter such as "Q1 2024"',
+};
+
+const normalizeKey = (key: string) =>
+  key
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_');
+
+function isValidDate(value: string): boolean {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Parse a date expression into a Metabase date parameter value, or null when it is not one
+ */
+export function parseDateFilter(expression: string): DateFilter | null {
+  const text = expression.trim().toLowerCase().replace(/\s+/g, ' ');
+  const units = DATE_UNITS.join('|');
+
+  // Values already in Metabase's own format
+  if (new RegExp(`^(past|next)\\d+(${units})s(~)?$`).test(text)) {
+    return { kind: 'relative', value: text };
+  }
+  if (new RegExp(`^this(${units})$`).test(text)) {
+    return { kind: 'relative', value: text };
+  }
+
+  if (text === 'today') {
+    return { kind: 'relative', value: 'thisday' };
+  }
+  if (text === 'yesterday') {
+    return { kind: 'relative', value: 'past1days' };
+  }
+  if (text === 'tomorrow') {
+    return { kind: 'relative', value: 'next1days' };
+  }
+
+  const current = new RegExp(`^(?:this|current) (${units})$`).exec(text);
+  if (current) {
+    return { kind: 'relative', value: `this${current[1]}` };
+  }
+  const relative = new RegExp(`^(last|past|previous|next) (?:(\\d+) )?(${units})s?$`).exec(text);
+  if (relative) {
+    const count = parseInt(relative[2] ?? '1', 10);
+    if (count > 0) {
+      return {
+        kind: 'relative',
+        value: `${relative[1] === 'next' ? 'next' : 'past'}${count}${relative[3]}s`,
+      };
+    }
+  }
+
+  if (ISO_DATE.test(text)) {
+    return isValidDate(text) ? { kind: 'single', value: text } : null;
+  }
+  const range =
+    /^(?:between |from )?(\d{4}-\d{2}-\d{2}) ?(?:~|to|and|\.\.|-) ?(\d{4}-\d{2}-\d{2})$/.exec(text);
+  if (range) {
+    const [, start, end] = range;
+    return isValidDate(start) && isValidDate(end) && start <= end
+      ? { kind: 'range', value: `${start}~${end}` }
+      : null;
+  }
+  const bound = /^(before|until|after|since) (\d{4}-\d{2}-\d{2})$/.exec(text);
+  if (bound && isValidDate(bound[2])) {
+    return ['before', 'until'].includes(bound[1])
+      ? { kind: 'before', value: `~${bound[2]}` }
+      : { kind: 'after', value: `${bound[2]}~` };
+  }
+
+  const month = /^(\d{4})-(\d{2})$/.exec(text);
+  if (month && Number(month[2]) >= 1 && Number(month[2]) <= 12) {
+    return { kind: 'month', value: text };
+  }
+  const quarter = /^q([1-4])[ -]?(\d{4})$/.exec(text);
+  if (quarter) {
+    return { kind: 'quarter', value: `Q${quarter[1]}-${quarter[2]}` };
+  }
+
+  return null;
+}
+
+/**
+ * Local calendar date `offset` days from `now`, as YYYY-MM-DD
+ */
+function localDate(now: Date, offset: number): string {
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+// Relative days a single-date parameter can take as a concrete date
+const SINGLE_DAY_OFFSETS: Record<string, number> = { thisday: 0, past1days: -1, next1days: 1 };
+
+/**
+ * Field ID of a ['field', 12, options] reference, or null for column names and other references
+ */
+export function fieldReferenceId(reference: unknown): number | null {
+  return Array.isArray(reference) && reference[0] === 'field' && typeof reference[1] === 'number'
+    ? reference[1]
+    : null;
+}
+
+/**
+ * The card parameters and template tags filters can be applied to. Template tags that
+ * have no card parameter (cards saved by older Metabase versions) are included with a
+ * parameter type derived from the tag.
+ */
+function cardFilterTargets(card: any): FilterTarget[] {
+  const native = card?.dataset_query?.native;
+  const tags: Record<string, any> = native?.['template-tags'] ?? native?.template_tags ?? {};
+  const parameters: any[] = Array.isArray(card?.parameters) ? card.parameters : [];
+  const targets: FilterTarget[] = [];
+  const covered = new Set<string>();
+
+  for (const parameter of parameters) {
+    const target: unknown[] = Array.isArray(parameter?.target) ? parameter.target : [];
+    const reference = target[1] as unknown[] | undefined;
+    const tagName =
+      Array.isArray(reference) && reference[0] === 'template-tag' ? String(reference[1]) : null;
+    if (tagName) {
+      covered.add(tagName);
+    }
+    const tag = tagName ? tags[tagName] : undefined;
+    targets.push({
+      id: parameter.id,
+      slug: parameter.slug,
+      name: parameter.name ?? tag?.['display-name'] ?? tag?.display_name,
+      names: [parameter.slug, parameter.name, tagName, tag?.['display-name'] ?? tag?.display_name]
+        .filter(Boolean)
+        .map(String),
+      type: String(parameter.type ?? ''),
+      target,
+      variable: target[0] === 'variable',
+      fieldId: fieldReferenceId(tag ? tag.dimension : reference),
+    });
+  }
+
+  for (const [name, tag] of Object.entries(tags)) {
+    if (covered.has(name) || !(tag?.type === 'dimension' || tag?.type in TAG_PARAMETER_TYPES)) {
+      continue;
+    }
+    const dimension = tag.type === 'dimension';
+    targets.push({
+      id: tag.id ?? name,
+      slug: name,
+      name: tag['display-name'] ?? tag.display_name,
+      names: [name, tag['display-name'] ?? tag.display_name].filter(Boolean).map(String),
+      type: dimension
+        ? (tag['widget-type'] ?? tag.widget_type ?? 'category')
+        : TAG_PARAMETER_TYPES[tag.type],
+      target: [dimension ? 'dimension' : 'variable', ['template-tag', name]],
+      variable: !dimension,
+      fieldId: dimension ? fieldReferenceId(tag.dimension) : null,
+    });
+  }
+
+  return targets;
+}
+
+/**
+ * Find the parameter a key refers to: an exact slug or ID first, then a slug, name or
+ * template tag name ignoring case and punctuation
+ */
+export function findParameterByKey<T extends { id: string; slug: string; names: string[] }>(
+  parameters: T[],
+  key: string
+): T | undefined {
+  const normalized = normalizeKey(key);
+  return (
+    parameters.find(candidate => candidate.slug === key || candidate.id === key) ??
+    parameters.find(candidate => candidate.names.some(name => normalizeKey(name) === normalized))
+  );
+}
+
+/**
+ * The parameters and template tags of a card that card_filters can be keyed by
+ */
+export function listCardParameters(card: any): CardParameterTarget[] {
+  return cardFilterTargets(card).map(({ id, slug, name, names, type, fieldId }) => ({
+    id,
+    slug,
+    name,
+    names,
+    type,
+    fieldId,
+  }));
+}
+
+function resolveDateValue(
+  key: string,
+  value: FilterScalar[],
+  target: FilterTarget,
+  now: Date
+): string {
+  // SQL date variables only take a single date, whatever their widget
+  const accepted: DateFilterKind[] | undefined = target.variable
+    ? ['single']
+    : DATE_KINDS[target.type];
+  const expected = accepted
+    ? accepted.map(kind => DATE_FORMATS[kind]).join(' or ')
+    : Object.values(DATE_FORMATS).join(', ');
+
+  const parsed =
+    value.length === 1 && typeof value[0] === 'string' ? parseDateFilter(value[0]) : null;
+  if (parsed && accepted?.includes('single') && parsed.kind === 'relative') {
+    const offset = SINGLE_DAY_OFFSETS[parsed.value];
+    if (offset !== undefined) {
+      return localDate(now, offset);
+    }
+  }
+  if (!parsed || (accepted && !accepted.includes(parsed.kind))) {
+    throw ValidationErrorFactory.invalidParameter(
+      `card_filters.${key}`,
+      value.length === 1 ? value[0] : value,
+      `${expected} for ${target.type} parameter "${target.slug}"`
+    );
+  }
+  return parsed.value;
+}
+
+function toNumber(key: string, value: FilterScalar, target: FilterTarget): number {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (typeof value === 'boolean' || !Number.isFinite(number) || String(value).trim() === '') {
+    throw ValidationErrorFactory.invalidParameter(
+      `card_filters.${key}`,
+      value,
+      `a number for ${target.type} parameter "${target.slug}"`
+    );
+  }
+  return number;
+}
+
+function resolveNumberValue(
+  key: string,
+  value: FilterScalar[],
+  target: FilterTarget
+): number | number[] {
+  let values = value;
+  if (target.type === 'number/between' && values.length === 1 && typeof values[0] === 'string') {
+    const range = /^(?:between )?(-?[\d.]+) ?(?:to|and|\.\.|~) ?(-?[\d.]+)$/i.exec(
+      values[0].trim()
+    );
+    if (range) {
+      values = [range[1], range[2]];
+    }
+  }
+  const numbers = values.map(item => toNumber(key, item, target));
+
+  if (target.type === 'number/between' && numbers.length !== 2) {
+    throw ValidationErrorFactory.invalidParameter(
+      `card_filters.${key}`,
+      value,
+      `a [min, max] pair or "min to max" for number/between parameter "${target.slug}"`
+    );
+  }
+  return target.variable ? numbers[0] : numbers;
+}
+
+function resolveValue(
+  key: string,
+  raw: FilterScalar | FilterScalar[],
+  target: FilterTarget,
+  now: Date
+): FilterScalar | FilterScalar[] {
+  const value = Array.isArray(raw) ? raw : [raw];
+  if (target.variable && value.length > 1) {
+    throw ValidationErrorFactory.invalidParameter(
+      `card_filters.${key}`,
+      raw,
+      `a single value for SQL variable "${target.slug}"`
+    );
+  }
+
+  if (target.type.startsWith('date/')) {
+    return resolveDateValue(key, value, target, now);
+  }
+  if (target.type.startsWith('number/')) {
+    return resolveNumberValue(key, value, target);
+  }
+  if (target.type.startsWith('boolean/')) {
+    const booleans = value.map(item => {
+      const text = String(item).trim().toLowerCase();
+      if (text !== 'true' && text !== 'false') {
+        throw ValidationErrorFactory.invalidParameter(
+          `card_filters.${key}`,
+          item,
+          `true or false for boolean parameter "${target.slug}"`
+        );
+      }
+      return text === 'true';
+    });
+    return target.variable ? booleans[0] : booleans;
+  }
+
+  // Text, category, ID and location parameters
+  const values = value.map(item => (typeof item === 'boolean' ? String(item) : item));
+  return target.variable ? String(values[0]) : values;
+}
+
+/**
+ * Build Metabase card parameters for filters keyed by parameter slug, name or template
+ * tag name (case and punctuation insensitive). `now` anchors "today" and "yesterday" for
+ * parameters that only take a single date.
+ */
+export function resolveCardFilters(
+  card: any,
+  filters: CardFilters,
+  now: Date = new Date()
+): ResolvedCardParameter[] {
+  const targets = cardFilterTargets(card);
+  const resolved: ResolvedCardParameter[] = [];
+  const used = new Set<FilterTarget>();
+
+  for (const [key, value] of Object.entries(filters)) {
+    const target = findParameterByKey(targets, key);
+
+    if (!target) {
+      const available = targets.map(candidate => candidate.slug);
+      const suggestions = suggestNames(key, available);
+      throw ValidationErrorFactory.invalidParameter(
+        `card_filters.${key}`,
+        value,
+        available.length === 0
+          ? 'no filters - this card has no parameters'
+          : `a parameter of this card (${available.join(', ')})${
+              suggestions.length > 0 ? `; did you mean "${suggestions[0]}"?` : ''
+            }`
+      );
+    }
+    if (used.has(target)) {
+      throw ValidationErrorFactory.invalidParameter(
+        `card_filters.${key}`,
+        value,
+        `one value per parameter - "${target.slug}" is already set by another key`
+      );
+    }
+    used.add(target);
+
+    resolved.push({
+      id: target.id,
+      slug: target.slug,
+      type: target.type,
+      target: target.target,
+      value: resolveValue(key, value, target, now),
+    });
+  }
+
+  return resolved;
+}
@@ -0,0 +1,124 @@
+/**
+ * Per-host circuit breaker for Metabase API requests.
+ *
+ * After `failureThreshold` consecutive connection-level failures the circuit opens and
+ * requests fail fast for `resetTimeoutMs`. A single trial request is then let through
+ * (half-open): success closes the circuit, failure opens it again.
+ */
+
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+export interface CircuitBreakerOptions {
+  failureThreshold: number;
+  resetTimeoutMs: number;
+}
+
+export interface CircuitBreakerSnapshot {
+  host: string;
+  state: CircuitState;
+  consecutive_failures: number;
+  failure_threshold: number;
+  // When an open circuit lets the next trial request through
+  retry_at?: string;
+}
+
+export class CircuitBreaker {
+  private consecutiveFailures = 0;
+  private openedAt: number | null = null;
+  private trialInFlight = false;
+
+  constructor(
+    readonly host: string,
+    private readonly options: CircuitBreakerOptions,
+    private readonly now: () => number = Date.now
+  ) {}
+
+  get state(): CircuitState {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return this.now() - this.openedAt >= this.options.resetTimeoutMs ? 'half_open' : 'open';
+  }
+
+  /**
+   * Whether a request may be sent now; claims the single trial slot when half-open
+   */
+  tryAcquire(): boolean {
+    const state = this.state;
+    if (state === 'closed') {
+      return true;
+    }
+    if (state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess(): void {
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(): void {
+    this.consecutiveFailures++;
+    if (this.trialInFlight || this.consecutiveFailures >= this.options.failureThreshold) {
+      this.openedAt = this.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Milliseconds until an open circuit allows a trial request
+   */
+  retryAfterMs(): number {
+    if (this.openedAt === null) {
+      return 0;
+    }
+    return Math.max(0, this.openedAt + this.options.resetTimeoutMs - this.now());
+  }
+
+  snapshot(): CircuitBreakerSnapshot {
+    const snapshot: CircuitBreakerSnapshot = {
+      host: this.host,
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.options.failureThreshold,
+    };
+    if (this.openedAt !== null) {
+      snapshot.retry_at = new Date(this.openedAt + this.options.resetTimeoutMs).toISOString();
+    }
+    return snapshot;
+  }
+}
+
+// Shared by every API client talking to the same Metabase host
+const breakers = new Map<string, CircuitBreaker>();
+
+export function getCircuitBreaker(host: string, options: CircuitBreakerOptions): CircuitBreaker {
+  let breaker = breakers.get(host);
+  if (!breaker) {
+    breaker = new CircuitBreaker(host, options);
+    breakers.set(host, breaker);
+  }
+  return breaker;
+}
+
+export function resetCircuitBreakers(): void {
+  breakers.clear();
+}
+
+/**
+ * One-line description of the circuit state for agent guidance
+ */
+export function describeCircuit(snapshot: CircuitBreakerSnapshot): string {
+  switch (snapshot.state) {
+    case 'open':
+      return `Circuit breaker for ${snapshot.host} is open after ${snapshot.consecutive_failures} consecutive failures; requests fail fast until ${snapshot.retry_at}.`;
+    case 'half_open':
+      return `Circuit breaker for ${snapshot.host} is half-open; the next request is a trial to check whether Metabase has recovered.`;
+    default:
+      return `Circuit breaker for ${snapshot.host} is closed (${snapshot.consecutive_failures}/${snapshot.failure_threshold} consecutive failures before it opens).`;
+  }
+}
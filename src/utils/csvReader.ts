@@ -0,0 +1,159 @@
+/**
+ * Streaming CSV reader and record formatting following RFC 4180.
+ *
+ * Fields may be quoted, quoted fields may contain delimiters, line breaks and doubled
+ * quotes, and records end with CRLF, LF or CR. Input can arrive in arbitrary chunks - a
+ * record, a field or a multi-byte character may be split across them - and complete
+ * records are returned as soon as they end. A leading byte order mark is dropped and
+ * blank lines are skipped.
+ */
+
+export interface CsvReaderOptions {
+  // Single character separating fields (default: ',')
+  delimiter?: string;
+}
+
+type CsvState = 'field_start' | 'unquoted' | 'quoted' | 'quote_in_quoted';
+
+export class CsvReader {
+  readonly delimiter: string;
+  private decoder = new TextDecoder();
+  private started = false;
+  private state: CsvState = 'field_start';
+  // A CR ended the last record; a LF right after it belongs to the same line break
+  private afterCarriageReturn = false;
+  private field = '';
+  private fieldQuoted = false;
+  private record: string[] = [];
+  private records: string[][] = [];
+
+  constructor(options: CsvReaderOptions = {}) {
+    const delimiter = options.delimiter ?? ',';
+    if (delimiter.length !== 1 || delimiter === '"' || delimiter === '\r' || delimiter === '\n') {
+      throw new Error(
+        `Invalid CSV delimiter ${JSON.stringify(delimiter)}: expected a single character other than a quote or line break`
+      );
+    }
+    this.delimiter = delimiter;
+  }
+
+  /**
+   * Read the next chunk and return the records it completed
+   */
+  push(chunk: Uint8Array | string): string[][] {
+    this.read(typeof chunk === 'string' ? chunk : this.decoder.decode(chunk, { stream: true }));
+    return this.records.splice(0);
+  }
+
+  /**
+   * Return the last record when the input does not end with a line break. A quoted field
+   * still open at the end is kept as read so far.
+   */
+  finish(): string[][] {
+    this.read(this.decoder.decode());
+    if (this.state !== 'field_start' || this.record.length > 0) {
+      this.endRecord();
+    }
+    return this.records.splice(0);
+  }
+
+  private read(text: string): void {
+    if (!this.started && text.length > 0) {
+      this.started = true;
+      if (text.charCodeAt(0) === 0xfeff) {
+        text = text.slice(1);
+      }
+    }
+
+    for (const char of text) {
+      if (this.afterCarriageReturn) {
+        this.afterCarriageReturn = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+
+      switch (this.state) {
+        case 'quoted':
+          if (char === '"') {
+            this.state = 'quote_in_quoted';
+          } else {
+            this.field += char;
+          }
+          break;
+
+        case 'quote_in_quoted':
+          if (char === '"') {
+            // Doubled quote inside a quoted field
+            this.field += char;
+            this.state = 'quoted';
+          } else {
+            this.state = 'unquoted';
+            this.readUnquoted(char);
+          }
+          break;
+
+        case 'field_start':
+          if (char === '"') {
+            this.state = 'quoted';
+            this.fieldQuoted = true;
+          } else {
+            this.state = 'unquoted';
+            this.readUnquoted(char);
+          }
+          break;
+
+        default:
+          this.readUnquoted(char);
+      }
+    }
+  }
+
+  /**
+   * Outside quotes: delimiters end the field, line breaks end the record, and anything
+   * else - including a stray quote - is kept as data
+   */
+  private readUnquoted(char: string): void {
+    if (char === this.delimiter) {
+      this.endField();
+      this.state = 'field_start';
+    } else if (char === '\n' || char === '\r') {
+      this.afterCarriageReturn = char === '\r';
+      if (this.record.length > 0 || this.field !== '' || this.fieldQuoted) {
+        this.endRecord();
+      } else {
+        // Blank line
+        this.state = 'field_start';
+      }
+    } else {
+      this.field += char;
+    }
+  }
+
+  private endField(): void {
+    this.record.push(this.field);
+    this.field = '';
+    this.fieldQuoted = false;
+  }
+
+  private endRecord(): void {
+    this.endField();
+    this.records.push(this.record);
+    this.record = [];
+    this.state = 'field_start';
+  }
+}
+
+/**
+ * Format one record as a line of CSV, quoting values that contain the delimiter, a quote
+ * or a line break. Null and undefined are written as empty values.
+ */
+export function formatCsvRecord(values: unknown[], delimiter = ','): string {
+  const fields = values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  });
+  return `${fields.join(delimiter)}\n`;
+}
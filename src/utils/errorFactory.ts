@@ -3,6 +3,8 @@
  */
 
 import { ErrorCode, ErrorCategory, RecoveryAction, McpError } from '../types/core.js';
+import { CircuitBreakerSnapshot, describeCircuit } from './circuitBreaker.js';
+import type { UnknownSqlIdentifier } from './sqlSchemaCheck.js';
 
 /**
  * Factory for creating authentication-related errors
@@ -112,6 +114,27 @@ export class AuthorizationErrorFactory {
       }
     );
   }
+
+  static writeToolsDisabled(toolName: string): McpError {
+    return new McpError(
+      ErrorCode.InvalidRequest,
+      `Write tools are disabled: ${toolName} is not available`,
+      {
+        category: ErrorCategory.AUTHORIZATION,
+        httpStatus: 403,
+        userMessage: 'This server is configured for read-only access to Metabase.',
+        agentGuidance: `The ${toolName} tool modifies Metabase content and is disabled on this server. Do not retry; share the SQL with the user so they can save it in Metabase, or ask an administrator to set WRITE_TOOLS_ENABLED=true.`,
+        recoveryAction: RecoveryAction.CONTACT_ADMIN,
+        retryable: false,
+        additionalContext: { toolName },
+        troubleshootingSteps: [
+          'Set WRITE_TOOLS_ENABLED=true in the server environment to allow writes',
+          'Restart the MCP server after changing the configuration',
+          'Ensure the Metabase user has curate access to the target collection',
+        ],
+      }
+    );
+  }
 }
 
 /**
@@ -224,6 +247,67 @@ export class ValidationErrorFactory {
       ],
     });
   }
+
+  static invalidCursor(): McpError {
+    return new McpError(ErrorCode.InvalidParams, 'Invalid or expired cursor', {
+      category: ErrorCategory.VALIDATION,
+      httpStatus: 400,
+      userMessage: 'The result cursor is no longer valid.',
+      agentGuidance:
+        'The cursor is unknown, expired, or belongs to a different session. Cursors expire after CACHE_TTL_MS. Re-run the original execute call without a cursor to start paging again.',
+      recoveryAction: RecoveryAction.VALIDATE_INPUT,
+      retryable: false,
+      troubleshootingSteps: [
+        'Pass the next_cursor value exactly as returned by the previous execute call',
+        'Re-run the original query or card to obtain a fresh cursor',
+        'Page through results promptly; cursors expire with the cache TTL',
+      ],
+    });
+  }
+
+  static readOnlyViolation(databaseId: number, keyword: string, reason: string): McpError {
+    return new McpError(ErrorCode.InvalidParams, `Read-only SQL policy violation: ${reason}`, {
+      category: ErrorCategory.VALIDATION,
+      httpStatus: 400,
+      userMessage: `The query was blocked because database ${databaseId} only allows read-only SQL.`,
+      agentGuidance: `The SQL guard rejected '${keyword}' for database ${databaseId}: ${reason}. Rewrite the query as a single read-only statement (SELECT, WITH, VALUES, SHOW, DESCRIBE or EXPLAIN). Do not try to bypass the policy with comments or quoting; ask an administrator to adjust SQL_GUARD_DATABASES if a write is genuinely required.`,
+      recoveryAction: RecoveryAction.VALIDATE_INPUT,
+      retryable: false,
+      additionalContext: { databaseId, keyword, reason },
+      troubleshootingSteps: [
+        'Remove data-modifying or schema-changing statements from the query',
+        'Split multi-statement batches into separate read-only queries',
+        'Use SELECT instead of SELECT ... INTO to read data',
+        'Ask an administrator to allowlist the statement for this database if it is required',
+      ],
+    });
+  }
+
+  static unknownSqlIdentifiers(databaseId: number, unknown: UnknownSqlIdentifier[]): McpError {
+    const described = unknown.map(identifier => {
+      const location = identifier.table ? ` in table "${identifier.table}"` : '';
+      const hint =
+        identifier.suggestions.length > 0
+          ? ` (did you mean ${identifier.suggestions.map(name => `"${name}"`).join(', ')}?)`
+          : '';
+      return `${identifier.type} "${identifier.name}"${location}${hint}`;
+    });
+    return new McpError(ErrorCode.InvalidParams, `Unknown ${described.join('; ')}`, {
+      category: ErrorCategory.VALIDATION,
+      httpStatus: 400,
+      userMessage: `The query references tables or columns that do not exist in database ${databaseId}.`,
+      agentGuidance: `The query was not run because Metabase metadata for database ${databaseId} has no ${described.join('; ')}. Correct the identifiers, using the suggestions or the list tool with model "tables" and the retrieve tool with model "table" to look up names. If the identifier does exist but is hidden or not yet synced in Metabase, set skip_schema_check to true.`,
+      recoveryAction: RecoveryAction.VALIDATE_INPUT,
+      retryable: false,
+      additionalContext: { databaseId, unknownIdentifiers: unknown },
+      troubleshootingSteps: [
+        'Check table and column names for typos against the suggestions',
+        'Look up the table fields with the retrieve tool before writing the query',
+        'Qualify the table with its schema if the same name exists in several schemas',
+        'Ask an administrator to re-sync the database schema if tables were added recently',
+      ],
+    });
+  }
 }
 
 /**
@@ -265,6 +349,27 @@ export class NetworkErrorFactory {
       ],
     });
   }
+
+  static circuitOpen(circuit: CircuitBreakerSnapshot, retryAfterMs: number): McpError {
+    return new McpError(
+      ErrorCode.InternalError,
+      `Metabase server unavailable: requests to ${circuit.host} are paused`,
+      {
+        category: ErrorCategory.NETWORK,
+        userMessage: 'The Metabase server is not responding, so requests are paused for now.',
+        agentGuidance: `${describeCircuit(circuit)} Do not retry before then; other tools that call Metabase will fail the same way.`,
+        recoveryAction: RecoveryAction.WAIT_AND_RETRY,
+        retryable: true,
+        retryAfterMs,
+        additionalContext: { circuitBreaker: circuit },
+        troubleshootingSteps: [
+          'Wait until the circuit breaker allows a trial request',
+          'Ensure Metabase server is running and responsive',
+          'Check your network connection and the Metabase URL',
+        ],
+      }
+    );
+  }
 }
 
 /**
@@ -28,6 +28,12 @@ export function handleApiError(
 ): McpError {
   logError(`${context.operation} failed`, error);
 
+  // Keep the guidance of errors carrying circuit breaker state, so agents know
+  // whether to wait before calling Metabase again
+  if (error instanceof McpError && error.details.additionalContext?.circuitBreaker) {
+    return new McpError(error.code, `${context.operation} failed: ${error.message}`, error.details);
+  }
+
   // Extract detailed error information
   let errorMessage = `${context.operation} failed`;
   let errorDetails = '';
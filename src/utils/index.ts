@@ -13,6 +13,18 @@ export * from './errorHandling.js';
 
 // File utilities
 export * from './fileUtils.js';
+export * from './csvReader.js';
 
 // Request utilities
 export * from './requestUtils.js';
+
+// SQL analysis
+export * from './sqlTokenizer.js';
+export * from './sqlGuard.js';
+export * from './sqlRowLimit.js';
+export * from './queryFingerprint.js';
+export * from './sqlSchemaCheck.js';
+
+// Query builder and card filters
+export * from './mbql.js';
+export * from './cardFilters.js';
@@ -0,0 +1,367 @@
+/**
+ * Compile structured query-builder specs into Metabase MBQL queries.
+ *
+ * Specs reference fields by ID or name; every reference is resolved against the
+ * source table's field metadata (`getTable()`), and aggregations, filters and
+ * temporal units are checked against the field's type before anything reaches Metabase.
+ */
+
+import { z } from 'zod';
+import { ValidationErrorFactory } from './errorFactory.js';
+
+export const MBQL_AGGREGATION_TYPES = [
+  'count',
+  'cum-count',
+  'sum',
+  'cum-sum',
+  'avg',
+  'median',
+  'stddev',
+  'min',
+  'max',
+  'distinct',
+] as const;
+
+export const MBQL_FILTER_OPERATORS = [
+  '=',
+  '!=',
+  '<',
+  '>',
+  '<=',
+  '>=',
+  'between',
+  'is-null',
+  'not-null',
+  'is-empty',
+  'not-empty',
+  'contains',
+  'does-not-contain',
+  'starts-with',
+  'ends-with',
+  'time-interval',
+] as const;
+
+export const MBQL_TEMPORAL_UNITS = [
+  'minute',
+  'hour',
+  'day',
+  'week',
+  'month',
+  'quarter',
+  'year',
+  'hour-of-day',
+  'day-of-week',
+  'month-of-year',
+  'quarter-of-year',
+] as const;
+
+// Units accepted by time-interval filters
+const INTERVAL_UNITS = ['minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
+
+// Aggregations that only make sense over numbers
+const NUMERIC_AGGREGATIONS = new Set(['sum', 'cum-sum', 'avg', 'median', 'stddev']);
+const TEXT_OPERATORS = new Set(['contains', 'does-not-contain', 'starts-with', 'ends-with']);
+const VALUELESS_OPERATORS = new Set(['is-null', 'not-null', 'is-empty', 'not-empty']);
+
+const fieldReferenceSchema = z.union([z.number().int().positive(), z.string().trim().min(1)]);
+const filterValueSchema = z.union([z.string(), z.number(), z.boolean()]);
+
+export const mbqlSpecSchema = z
+  .object({
+    source_table: z.number().int().positive(),
+    aggregations: z
+      .array(
+        z
+          .object({
+            type: z.enum(MBQL_AGGREGATION_TYPES),
+            field: fieldReferenceSchema.optional(),
+          })
+          .strict()
+      )
+      .optional(),
+    breakouts: z
+      .array(
+        z.union([
+          fieldReferenceSchema,
+          z
+            .object({
+              field: fieldReferenceSchema,
+              temporal_unit: z.enum(MBQL_TEMPORAL_UNITS).optional(),
+            })
+            .strict(),
+        ])
+      )
+      .optional(),
+    filters: z
+      .array(
+        z
+          .object({
+            field: fieldReferenceSchema,
+            operator: z.enum(MBQL_FILTER_OPERATORS),
+            value: z.union([filterValueSchema, z.array(filterValueSchema)]).optional(),
+            // time-interval filters only
+            unit: z.enum(MBQL_TEMPORAL_UNITS).optional(),
+          })
+          .strict()
+      )
+      .optional(),
+    order_by: z
+      .array(
+        z
+          .object({
+            field: fieldReferenceSchema.optional(),
+            // Index into aggregations
+            aggregation: z.number().int().nonnegative().optional(),
+            direction: z.enum(['asc', 'desc']).default('asc'),
+          })
+          .strict()
+          .refine(order => (order.field === undefined) !== (order.aggregation === undefined), {
+            message: 'order_by entries need exactly one of field or aggregation',
+          })
+      )
+      .optional(),
+    limit: z.number().int().positive().optional(),
+  })
+  .strict();
+
+export type MbqlSpec = z.infer<typeof mbqlSpecSchema>;
+
+export interface CompiledMbqlQuery {
+  type: 'query';
+  database: number;
+  query: Record<string, unknown>;
+}
+
+function fieldType(field: any): string {
+  return String(field?.effective_type || field?.base_type || '');
+}
+
+function isNumericField(field: any): boolean {
+  return /^type\/(Integer|BigInteger|Float|Decimal|Number)/.test(fieldType(field));
+}
+
+function isTextField(field: any): boolean {
+  return /^type\/Text/.test(fieldType(field));
+}
+
+function isTemporalField(field: any): boolean {
+  return /^type\/(Date|Time|Temporal)/.test(fieldType(field));
+}
+
+/**
+ * Resolve a field reference (ID, name, or display name) against table metadata
+ */
+export function resolveMbqlField(table: any, reference: number | string, path: string): any {
+  const fields: any[] = Array.isArray(table?.fields) ? table.fields : [];
+  let field: any;
+
+  if (typeof reference === 'number') {
+    field = fields.find(candidate => candidate?.id === reference);
+  } else {
+    const lower = reference.toLowerCase();
+    field =
+      fields.find(candidate => candidate?.name === reference) ??
+      fields.find(candidate => String(candidate?.name).toLowerCase() === lower) ??
+      fields.find(candidate => String(candidate?.display_name).toLowerCase() === lower);
+  }
+
+  if (!field) {
+    const available = fields.map(candidate => candidate?.name).filter(Boolean);
+    throw ValidationErrorFactory.invalidParameter(
+      path,
+      reference,
+      `a field ID or name of table ${table?.id} (${available.slice(0, 50).join(', ')})`
+    );
+  }
+  return field;
+}
+
+function fieldRef(field: any, temporalUnit?: string): unknown[] {
+  return ['field', field.id, temporalUnit ? { 'temporal-unit': temporalUnit } : null];
+}
+
+function compileFilter(table: any, filter: NonNullable<MbqlSpec['filters']>[number], path: string) {
+  const field = resolveMbqlField(table, filter.field, `${path}.field`);
+  const ref = fieldRef(field);
+  const values = filter.value === undefined ? [] : ([] as unknown[]).concat(filter.value);
+  const { operator } = filter;
+
+  const requireValues = (count: number | 'some', expected: string) => {
+    const ok = count === 'some' ? values.length > 0 : values.length === count;
+    if (!ok) {
+      throw ValidationErrorFactory.invalidParameter(`${path}.value`, filter.value, expected);
+    }
+  };
+
+  if (VALUELESS_OPERATORS.has(operator)) {
+    requireValues(0, `no value for the '${operator}' operator`);
+    return [operator, ref];
+  }
+
+  if (TEXT_OPERATORS.has(operator)) {
+    if (!isTextField(field)) {
+      throw ValidationErrorFactory.invalidParameter(
+        `${path}.operator`,
+        operator,
+        `a text field for '${operator}' - ${field.name} is ${fieldType(field) || 'untyped'}`
+      );
+    }
+    requireValues(1, `a single string for the '${operator}' operator`);
+    return [operator, ref, values[0], { 'case-sensitive': false }];
+  }
+
+  switch (operator) {
+    case '=':
+    case '!=':
+      requireValues('some', `a value or list of values for the '${operator}' operator`);
+      return [operator, ref, ...values];
+    case 'between':
+      requireValues(2, '[min, max] for the between operator');
+      return ['between', ref, values[0], values[1]];
+    case 'time-interval':
+      if (!isTemporalField(field)) {
+        throw ValidationErrorFactory.invalidParameter(
+          `${path}.operator`,
+          operator,
+          `a date or time field for time-interval - ${field.name} is ${fieldType(field) || 'untyped'}`
+        );
+      }
+      if (
+        values.length !== 1 ||
+        !(Number.isInteger(values[0]) || values[0] === 'current') ||
+        !filter.unit ||
+        !INTERVAL_UNITS.includes(filter.unit)
+      ) {
+        throw ValidationErrorFactory.invalidParameter(
+          path,
+          filter.value,
+          `value as a whole number (negative for the past, e.g. -30) or "current", and unit (${INTERVAL_UNITS.join(', ')})`
+        );
+      }
+      return ['time-interval', ref, values[0], filter.unit];
+    default:
+      requireValues(1, `a single value for the '${operator}' operator`);
+      return [operator, ref, values[0]];
+  }
+}
+
+/**
+ * Compile a spec into an MBQL query body for /api/dataset and the export endpoints.
+ * `maxRows` caps the row count on top of any limit in the spec.
+ */
+export function compileMbqlQuery(spec: MbqlSpec, table: any, maxRows?: number): CompiledMbqlQuery {
+  const databaseId = table?.db_id ?? table?.db?.id;
+  if (typeof databaseId !== 'number') {
+    throw ValidationErrorFactory.invalidParameter(
+      'mbql.source_table',
+      spec.source_table,
+      'a table with database metadata'
+    );
+  }
+
+  const query: Record<string, unknown> = { 'source-table': spec.source_table };
+
+  const aggregations = (spec.aggregations || []).map((aggregation, index) => {
+    const path = `mbql.aggregations[${index}]`;
+    if (aggregation.type === 'count' || aggregation.type === 'cum-count') {
+      if (aggregation.field !== undefined) {
+        throw ValidationErrorFactory.invalidParameter(
+          `${path}.field`,
+          aggregation.field,
+          `no field for ${aggregation.type} (use distinct to count unique values)`
+        );
+      }
+      return [aggregation.type];
+    }
+
+    if (aggregation.field === undefined) {
+      throw ValidationErrorFactory.invalidParameter(
+        `${path}.field`,
+        undefined,
+        `a field to ${aggregation.type}`
+      );
+    }
+    const field = resolveMbqlField(table, aggregation.field, `${path}.field`);
+    if (NUMERIC_AGGREGATIONS.has(aggregation.type) && !isNumericField(field)) {
+      throw ValidationErrorFactory.invalidParameter(
+        `${path}.type`,
+        aggregation.type,
+        `a numeric field for ${aggregation.type} - ${field.name} is ${fieldType(field) || 'untyped'}`
+      );
+    }
+    return [aggregation.type, fieldRef(field)];
+  });
+  if (aggregations.length > 0) {
+    query.aggregation = aggregations;
+  }
+
+  const breakouts = (spec.breakouts || []).map((breakout, index) => {
+    const path = `mbql.breakouts[${index}]`;
+    const reference = typeof breakout === 'object' ? breakout.field : breakout;
+    const temporalUnit = typeof breakout === 'object' ? breakout.temporal_unit : undefined;
+    const field = resolveMbqlField(table, reference, `${path}.field`);
+    if (temporalUnit && !isTemporalField(field)) {
+      throw ValidationErrorFactory.invalidParameter(
+        `${path}.temporal_unit`,
+        temporalUnit,
+        `a date or time field - ${field.name} is ${fieldType(field) || 'untyped'}`
+      );
+    }
+    return { field, ref: fieldRef(field, temporalUnit) };
+  });
+  if (breakouts.length > 0) {
+    query.breakout = breakouts.map(breakout => breakout.ref);
+  }
+
+  const filters = (spec.filters || []).map((filter, index) =>
+    compileFilter(table, filter, `mbql.filters[${index}]`)
+  );
+  if (filters.length === 1) {
+    query.filter = filters[0];
+  } else if (filters.length > 1) {
+    query.filter = ['and', ...filters];
+  }
+
+  const summarized = aggregations.length > 0 || breakouts.length > 0;
+  const orderBy = (spec.order_by || []).map((order, index) => {
+    const path = `mbql.order_by[${index}]`;
+    if (order.aggregation !== undefined) {
+      if (order.aggregation >= aggregations.length) {
+        throw ValidationErrorFactory.invalidParameter(
+          `${path}.aggregation`,
+          order.aggregation,
+          `an index into aggregations (0-${Math.max(aggregations.length - 1, 0)})`
+        );
+      }
+      return [order.direction, ['aggregation', order.aggregation]];
+    }
+
+    const field = resolveMbqlField(table, order.field as number | string, `${path}.field`);
+    if (summarized) {
+      // Summarized results can only be sorted by their breakout columns
+      const breakout = breakouts.find(candidate => candidate.field.id === field.id);
+      if (!breakout) {
+        throw ValidationErrorFactory.invalidParameter(
+          `${path}.field`,
+          order.field,
+          'a breakout field or an aggregation index when the query is summarized'
+        );
+      }
+      return [order.direction, breakout.ref];
+    }
+    return [order.direction, fieldRef(field)];
+  });
+  if (orderBy.length > 0) {
+    query['order-by'] = orderBy;
+  }
+
+  const limit =
+    maxRows !== undefined && spec.limit !== undefined
+      ? Math.min(spec.limit, maxRows)
+      : (spec.limit ?? maxRows);
+  if (limit !== undefined) {
+    query.limit = limit;
+  }
+
+  return { type: 'query', database: databaseId, query };
+}
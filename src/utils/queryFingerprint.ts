@@ -0,0 +1,54 @@
+/**
+ * Fingerprints of execute requests, used as result cache keys.
+ *
+ * Requests that only differ in layout get the same fingerprint: object keys are sorted and
+ * runs of whitespace in SQL collapse to a single space. Whitespace inside strings, quoted
+ * identifiers and comments is left alone, as is the case of keywords and identifiers,
+ * since either may change what the query returns.
+ */
+
+import { createHash } from 'crypto';
+import { tokenizeSql } from './sqlTokenizer.js';
+import { getSqlDialect } from './sqlRowLimit.js';
+
+/**
+ * SQL with insignificant whitespace and trailing semicolons removed, tokenized for the
+ * lexical dialect of the database engine
+ */
+export function normalizeSql(query: string, engine?: string): string {
+  const tokens = tokenizeSql(query, getSqlDialect(engine));
+  const normalized = tokens
+    .map((token, index) => {
+      if (token.type !== 'whitespace') {
+        return token.value;
+      }
+      // Keep the line break that ends a line comment
+      const previous = tokens[index - 1];
+      return previous?.type === 'comment' && !previous.value.startsWith('/*') ? '\n' : ' ';
+    })
+    .join('');
+  return normalized.trim().replace(/(\s*;)+$/, '');
+}
+
+/**
+ * JSON with object keys in sorted order, so equal values always serialize the same way
+ */
+function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value as Record<string, unknown>)
+      .filter(([, item]) => item !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return `{${entries.map(([key, item]) => `${JSON.stringify(key)}:${stableStringify(item)}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 fingerprint of everything that determines an execute result
+ */
+export function queryFingerprint(parts: Record<string, unknown>): string {
+  return createHash('sha256').update(stableStringify(parts)).digest('hex');
+}
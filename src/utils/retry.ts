@@ -0,0 +1,58 @@
+/**
+ * Retry timing for Metabase API requests.
+ */
+
+export interface RetryOptions {
+  // Retries after the first attempt
+  maxRetries: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+}
+
+// Responses that mean Metabase (or a proxy in front of it) did not handle the request
+export const RETRYABLE_STATUS_CODES = new Set([429, 502, 503, 504]);
+
+// Responses that mean the request was rejected before being processed, so even
+// non-idempotent requests can be sent again
+export const REJECTED_STATUS_CODES = new Set([429, 503]);
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+export function isIdempotentMethod(method: string | undefined): boolean {
+  return IDEMPOTENT_METHODS.has((method || 'GET').toUpperCase());
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * min(maxDelayMs, baseDelayMs * 2^attempt), where attempt starts at 0
+ */
+export function computeBackoffDelay(
+  attempt: number,
+  options: Pick<RetryOptions, 'baseDelayMs' | 'maxDelayMs'>,
+  random: () => number = Math.random
+): number {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value: string | null | undefined, now = Date.now()): number | null {
+  if (!value) {
+    return null;
+  }
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - now);
+}
+
+export function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
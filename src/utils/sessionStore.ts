@@ -0,0 +1,105 @@
+/**
+ * Persist the Metabase session token of the configured username/password identity,
+ * so restarts reuse the session instead of logging in again.
+ *
+ * The token is a credential: it is written atomically to a file only the current user can
+ * read, and a file with looser permissions, another owner, or another Metabase URL or
+ * user is ignored.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { cacheScope } from '../cache/backend.js';
+
+interface StoredSession {
+  metabase_url: string;
+  username: string;
+  token: string;
+  created_at: string;
+}
+
+export interface SessionOwner {
+  metabaseUrl: string;
+  username: string;
+}
+
+/**
+ * Session file for a Metabase URL and user, e.g. ~/.config/metabase-mcp/session-<hash>.json
+ */
+export function sessionStorePath(directory: string, metabaseUrl: string, username: string): string {
+  return path.join(directory, `session-${cacheScope(metabaseUrl, `user:${username}`)}.json`);
+}
+
+export class SessionStore {
+  constructor(
+    readonly file: string,
+    private readonly owner: SessionOwner,
+    private readonly logWarn: (message: string, data?: unknown, error?: Error) => void
+  ) {}
+
+  load(): string | null {
+    let stored: StoredSession;
+    try {
+      const stats = fs.statSync(this.file);
+      if (process.platform !== 'win32') {
+        if ((stats.mode & 0o077) !== 0 || stats.uid !== process.getuid?.()) {
+          this.logWarn(
+            `Ignoring stored Metabase session ${this.file}: it must be owned by the current user with mode 600`
+          );
+          return null;
+        }
+      }
+      stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        this.logWarn(
+          `Ignoring unreadable Metabase session ${this.file}`,
+          undefined,
+          error as Error
+        );
+      }
+      return null;
+    }
+
+    if (
+      typeof stored?.token !== 'string' ||
+      stored.metabase_url !== this.owner.metabaseUrl ||
+      stored.username !== this.owner.username
+    ) {
+      this.logWarn(`Ignoring stored Metabase session ${this.file} for a different server or user`);
+      return null;
+    }
+    return stored.token;
+  }
+
+  save(token: string): void {
+    const stored: StoredSession = {
+      metabase_url: this.owner.metabaseUrl,
+      username: this.owner.username,
+      token,
+      created_at: new Date().toISOString(),
+    };
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+      // Write then rename so a crash never leaves a partial file behind
+      fs.writeFileSync(tempFile, JSON.stringify(stored), { encoding: 'utf8', mode: 0o600 });
+      fs.renameSync(tempFile, this.file);
+    } catch (error) {
+      this.logWarn(`Failed to store Metabase session in ${this.file}`, undefined, error as Error);
+      fs.rmSync(tempFile, { force: true });
+    }
+  }
+
+  clear(): void {
+    try {
+      fs.rmSync(this.file, { force: true });
+    } catch (error) {
+      this.logWarn(
+        `Failed to remove stored Metabase session ${this.file}`,
+        undefined,
+        error as Error
+      );
+    }
+  }
+}
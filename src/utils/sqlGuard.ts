@@ -0,0 +1,175 @@
+/**
+ * Read-only SQL guard for native queries sent through the execute and export tools.
+ *
+ * Queries are tokenized so keywords inside strings, quoted identifiers, comments and
+ * template tags are ignored. Because string and comment rules differ between engines,
+ * the query is checked under every supported lexical dialect and rejected if any of
+ * them exposes a violation.
+ */
+
+import { ValidationErrorFactory } from './errorFactory.js';
+import {
+  SQL_DIALECTS,
+  SqlToken,
+  isSignificantToken,
+  keywordOf,
+  splitSqlStatements,
+  tokenizeSql,
+} from './sqlTokenizer.js';
+
+// Statements that may start a read-only query
+export const READ_ONLY_STATEMENTS = [
+  'SELECT',
+  'WITH',
+  'VALUES',
+  'TABLE',
+  'SHOW',
+  'DESCRIBE',
+  'DESC',
+  'EXPLAIN',
+];
+
+// Keywords that modify data or schema wherever they appear (e.g. data-modifying CTEs, SELECT INTO)
+export const FORBIDDEN_KEYWORDS = [
+  'INSERT',
+  'UPDATE',
+  'DELETE',
+  'MERGE',
+  'UPSERT',
+  'DROP',
+  'ALTER',
+  'CREATE',
+  'TRUNCATE',
+  'GRANT',
+  'REVOKE',
+  'INTO',
+];
+
+export interface SqlGuardPolicy {
+  enabled?: boolean;
+  allow?: string[];
+  allow_multiple_statements?: boolean;
+}
+
+export interface SqlGuardOptions {
+  enabled: boolean;
+  databases: Record<string, SqlGuardPolicy>;
+}
+
+export interface SqlGuardViolation {
+  keyword: string;
+  reason: string;
+  statementIndex: number;
+}
+
+/**
+ * Check a query against a policy, returning the first violation found or null
+ */
+export function findReadOnlyViolation(
+  query: string,
+  policy: SqlGuardPolicy = {}
+): SqlGuardViolation | null {
+  const allowed = new Set((policy.allow || []).map(keyword => keyword.toUpperCase()));
+
+  for (const dialect of SQL_DIALECTS) {
+    const statements = splitSqlStatements(tokenizeSql(query, dialect));
+
+    if (statements.length > 1 && !policy.allow_multiple_statements) {
+      return {
+        keyword: ';',
+        reason: `multi-statement batches are not allowed (found ${statements.length} statements)`,
+        statementIndex: 1,
+      };
+    }
+
+    for (let index = 0; index < statements.length; index++) {
+      const violation = checkStatement(statements[index], allowed);
+      if (violation) {
+        return { ...violation, statementIndex: index };
+      }
+    }
+  }
+
+  return null;
+}
+
+function checkStatement(
+  statement: SqlToken[],
+  allowed: Set<string>
+): Omit<SqlGuardViolation, 'statementIndex'> | null {
+  const tokens = statement.filter(isSignificantToken);
+
+  // Skip leading parentheses so "(SELECT ...) UNION (SELECT ...)" is recognised
+  const leading = tokens.find(token => !(token.type === 'punctuation' && token.value === '('));
+  const statementKeyword = keywordOf(leading);
+
+  if (!statementKeyword) {
+    return {
+      keyword: leading?.value ?? '',
+      reason: 'the statement does not start with a SQL keyword',
+    };
+  }
+
+  if (!READ_ONLY_STATEMENTS.includes(statementKeyword) && !allowed.has(statementKeyword)) {
+    return {
+      keyword: statementKeyword,
+      reason: `${statementKeyword} statements are not read-only`,
+    };
+  }
+
+  for (let index = 0; index < tokens.length; index++) {
+    const keyword = keywordOf(tokens[index]);
+    if (!keyword || !FORBIDDEN_KEYWORDS.includes(keyword) || allowed.has(keyword)) {
+      continue;
+    }
+
+    // Qualified names such as t.update or schema.delete are identifiers, not keywords
+    const previous = tokens[index - 1];
+    if (previous && previous.type === 'punctuation' && previous.value === '.') {
+      continue;
+    }
+
+    return {
+      keyword,
+      reason: `${keyword} is not allowed in read-only queries`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the guard policy for a database, or null when the guard does not apply
+ */
+export function resolveSqlGuardPolicy(
+  databaseId: number,
+  options: SqlGuardOptions
+): SqlGuardPolicy | null {
+  const policy = options.databases[String(databaseId)];
+  const enabled = policy?.enabled ?? options.enabled;
+  return enabled ? policy || {} : null;
+}
+
+/**
+ * Reject queries that are not read-only under the policy configured for the database
+ *
+ * @throws {McpError} With a structured validation error describing the violation
+ */
+export function enforceReadOnlySql(
+  query: string,
+  databaseId: number,
+  options: SqlGuardOptions,
+  requestId: string,
+  logWarn: (message: string, data?: unknown, error?: Error) => void
+): void {
+  const policy = resolveSqlGuardPolicy(databaseId, options);
+  if (!policy) {
+    return;
+  }
+
+  const violation = findReadOnlyViolation(query, policy);
+  if (violation) {
+    logWarn('SQL guard blocked a non read-only query', { requestId, databaseId, ...violation });
+    throw ValidationErrorFactory.readOnlyViolation(databaseId, violation.keyword, violation.reason);
+  }
+}
@@ -0,0 +1,555 @@
+/**
+ * Dialect-aware row limiting for native SQL queries.
+ *
+ * The query is tokenized so the limiter only looks at top-level clauses of the main
+ * statement (after any CTEs), never at text inside strings, comments or subqueries.
+ * The row cap is applied with the engine's own syntax when the query shape allows it
+ * and by wrapping the query as a subquery otherwise.
+ */
+
+import {
+  SqlDialect,
+  SqlToken,
+  isSignificantToken,
+  keywordOf,
+  splitSqlStatements,
+  tokenizeSql,
+} from './sqlTokenizer.js';
+
+/**
+ * How the row cap was applied:
+ * - existing_limit: the query's own limit is already within the cap and was kept
+ * - replace_limit: the query's own limit was lowered to the cap
+ * - append_limit: a LIMIT clause was appended
+ * - top: TOP was inserted into the SELECT clause (SQL Server)
+ * - fetch_first: OFFSET ... FETCH NEXT ... ROWS ONLY was appended after ORDER BY (SQL Server)
+ * - subquery: the query was wrapped as a subquery and limited from outside
+ * - none: the statement cannot be limited (e.g. SHOW, EXPLAIN or multiple statements)
+ */
+export type RowLimitStrategy =
+  | 'existing_limit'
+  | 'replace_limit'
+  | 'append_limit'
+  | 'top'
+  | 'fetch_first'
+  | 'subquery'
+  | 'none';
+
+// Row limiting syntax families
+export type RowLimitSyntax = 'limit' | 'top' | 'rownum';
+
+export interface RowLimitResult {
+  query: string;
+  strategy: RowLimitStrategy;
+  appliedLimit: number | null;
+  detail: string;
+}
+
+// Alias for the derived table used by the subquery strategy (no AS keyword, for Oracle)
+export const ROW_LIMIT_SUBQUERY_ALIAS = 'mb_row_limit';
+
+const LIMITABLE_STATEMENTS = ['SELECT', 'WITH', 'VALUES', 'TABLE'];
+const MAIN_QUERY_KEYWORDS = ['SELECT', 'VALUES', 'TABLE'];
+const SET_OPERATIONS = ['UNION', 'INTERSECT', 'EXCEPT', 'MINUS'];
+const LIMIT_KEYWORDS = ['LIMIT', 'OFFSET', 'FETCH'];
+
+/**
+ * Lexical dialect for a Metabase engine identifier
+ */
+export function getSqlDialect(engine: string | undefined): SqlDialect {
+  switch (engine) {
+    case 'postgres':
+    case 'redshift':
+      return 'postgres';
+    case 'mysql':
+    case 'mariadb':
+    case 'bigquery-cloud-sdk':
+    case 'databricks':
+    case 'sparksql':
+    case 'hive-like':
+      return 'mysql';
+    default:
+      return 'ansi';
+  }
+}
+
+/**
+ * Row limiting syntax for a Metabase engine identifier; unknown engines use LIMIT
+ */
+export function getRowLimitSyntax(engine: string | undefined): RowLimitSyntax {
+  switch (engine) {
+    case 'sqlserver':
+      return 'top';
+    case 'oracle':
+      return 'rownum';
+    default:
+      return 'limit';
+  }
+}
+
+function isKeyword(token: SqlToken | undefined, ...keywords: string[]): boolean {
+  const keyword = keywordOf(token);
+  return keyword !== null && keywords.includes(keyword);
+}
+
+function isPunctuation(token: SqlToken | undefined, value: string): boolean {
+  return token !== undefined && token.type === 'punctuation' && token.value === value;
+}
+
+function isInteger(token: SqlToken | undefined): boolean {
+  return token !== undefined && token.type === 'number' && /^\d+$/.test(token.value);
+}
+
+/**
+ * Parenthesis depth of each token
+ */
+function computeDepths(tokens: SqlToken[]): number[] {
+  let depth = 0;
+  return tokens.map(token => {
+    if (isPunctuation(token, ')')) {
+      depth = Math.max(0, depth - 1);
+      return depth;
+    }
+    const current = depth;
+    if (isPunctuation(token, '(')) {
+      depth++;
+    }
+    return current;
+  });
+}
+
+interface LimitClause {
+  // Index of the first token of the clause
+  start: number;
+  // Token holding the row count
+  count: SqlToken;
+}
+
+/**
+ * Recognise a trailing numeric LIMIT or FETCH FIRST clause at the end of the main query
+ */
+function findTrailingLimit(tokens: SqlToken[], allowLimitKeyword: boolean): LimitClause | null {
+  const n = tokens.length;
+  const at = (index: number) => (index >= 0 ? tokens[index] : undefined);
+
+  // [OFFSET m ROWS] FETCH FIRST|NEXT n ROW|ROWS ONLY
+  if (
+    isKeyword(at(n - 1), 'ONLY') &&
+    isKeyword(at(n - 2), 'ROW', 'ROWS') &&
+    isInteger(at(n - 3)) &&
+    isKeyword(at(n - 4), 'FIRST', 'NEXT') &&
+    isKeyword(at(n - 5), 'FETCH')
+  ) {
+    let start = n - 5;
+    if (
+      isKeyword(at(start - 1), 'ROW', 'ROWS') &&
+      isInteger(at(start - 2)) &&
+      isKeyword(at(start - 3), 'OFFSET')
+    ) {
+      start -= 3;
+    }
+    return { start, count: tokens[n - 3] };
+  }
+
+  if (!allowLimitKeyword) {
+    return null;
+  }
+
+  // LIMIT n
+  if (isKeyword(at(n - 2), 'LIMIT') && isInteger(at(n - 1))) {
+    return { start: n - 2, count: tokens[n - 1] };
+  }
+
+  // LIMIT n OFFSET m
+  if (
+    isKeyword(at(n - 4), 'LIMIT') &&
+    isInteger(at(n - 3)) &&
+    isKeyword(at(n - 2), 'OFFSET') &&
+    isInteger(at(n - 1))
+  ) {
+    return { start: n - 4, count: tokens[n - 3] };
+  }
+
+  // LIMIT m, n (MySQL offset, count)
+  if (
+    isKeyword(at(n - 4), 'LIMIT') &&
+    isInteger(at(n - 3)) &&
+    isPunctuation(at(n - 2), ',') &&
+    isInteger(at(n - 1))
+  ) {
+    return { start: n - 4, count: tokens[n - 1] };
+  }
+
+  return null;
+}
+
+/**
+ * Recognise SELECT [DISTINCT|ALL] TOP n / TOP (n) at the start of the main query
+ */
+function findLeadingTop(tokens: SqlToken[]): LimitClause | null {
+  let index = 1;
+  if (isKeyword(tokens[index], 'DISTINCT', 'ALL')) {
+    index++;
+  }
+  if (!isKeyword(tokens[index], 'TOP')) {
+    return null;
+  }
+
+  const parenthesized = isPunctuation(tokens[index + 1], '(');
+  const count = tokens[index + (parenthesized ? 2 : 1)];
+  const after = tokens[index + (parenthesized ? 4 : 2)];
+  if (
+    !isInteger(count) ||
+    (parenthesized && !isPunctuation(tokens[index + 3], ')')) ||
+    isKeyword(after, 'PERCENT', 'WITH')
+  ) {
+    return null;
+  }
+
+  return { start: index, count };
+}
+
+interface MainQuery {
+  syntax: RowLimitSyntax;
+  // Significant tokens of the main query (after any CTE definitions) and their depths
+  body: SqlToken[];
+  bodyDepths: number[];
+  // Source offsets of the main query within the original text
+  bodyStartOffset: number;
+  bodyEndOffset: number;
+  hasSetOperation: boolean;
+  hasOrderBy: boolean;
+}
+
+/**
+ * Locate the main query of a single limitable statement, or return why it cannot be limited
+ */
+function analyzeMainQuery(query: string, engine: string | undefined): MainQuery | string {
+  const statements = splitSqlStatements(tokenizeSql(query, getSqlDialect(engine)));
+  if (statements.length !== 1) {
+    return `expected a single statement but found ${statements.length}`;
+  }
+
+  const tokens = statements[0].filter(isSignificantToken);
+  const depths = computeDepths(tokens);
+  const leading = keywordOf(tokens.find(token => !isPunctuation(token, '(')));
+
+  if (!leading || !LIMITABLE_STATEMENTS.includes(leading)) {
+    return `${leading || 'this'} statements cannot be row-limited`;
+  }
+
+  // The main query starts after any CTE definitions
+  let bodyStart = 0;
+  if (isKeyword(tokens[0], 'WITH')) {
+    bodyStart = tokens.findIndex(
+      (token, index) => index > 0 && depths[index] === 0 && isKeyword(token, ...MAIN_QUERY_KEYWORDS)
+    );
+    if (bodyStart === -1) {
+      return 'could not locate the main query after WITH';
+    }
+  }
+
+  const body = tokens.slice(bodyStart);
+  const bodyDepths = depths.slice(bodyStart);
+  const topLevel = body.filter((_token, index) => bodyDepths[index] === 0);
+
+  return {
+    syntax: getRowLimitSyntax(engine),
+    body,
+    bodyDepths,
+    bodyStartOffset: body[0].start,
+    bodyEndOffset: body[body.length - 1].end,
+    hasSetOperation: topLevel.some(token => isKeyword(token, ...SET_OPERATIONS)),
+    hasOrderBy: topLevel.some(
+      (token, index) => isKeyword(token, 'ORDER') && isKeyword(topLevel[index + 1], 'BY')
+    ),
+  };
+}
+
+/**
+ * Whether the main query has top-level limit syntax, ignoring the body indexes in `except`
+ */
+function hasTopLevelLimit(main: MainQuery, except: (index: number) => boolean = () => false) {
+  return main.body.some(
+    (token, index) =>
+      main.bodyDepths[index] === 0 &&
+      !except(index) &&
+      (isKeyword(token, ...LIMIT_KEYWORDS) || (main.syntax === 'top' && isKeyword(token, 'TOP')))
+  );
+}
+
+/**
+ * Replace the main query with `wrapped`, keeping CTE definitions and trailing text in place
+ */
+function replaceMainQuery(query: string, main: MainQuery, wrap: (inner: string) => string) {
+  const inner = query.slice(main.bodyStartOffset, main.bodyEndOffset);
+  return query.slice(0, main.bodyStartOffset) + wrap(inner) + query.slice(main.bodyEndOffset);
+}
+
+/**
+ * Apply a row cap to a native SQL query using the syntax of the given engine
+ */
+export function applyRowLimit(
+  query: string,
+  rowLimit: number,
+  engine: string | undefined
+): RowLimitResult {
+  const main = analyzeMainQuery(query, engine);
+  if (typeof main === 'string') {
+    return {
+      query,
+      strategy: 'none',
+      appliedLimit: null,
+      detail: `Row limit not applied: ${main}`,
+    };
+  }
+
+  const { syntax, body, hasSetOperation, hasOrderBy, bodyEndOffset } = main;
+
+  const insertAt = (offset: number, text: string) =>
+    query.slice(0, offset) + text + query.slice(offset);
+
+  const wrap = (): RowLimitResult => {
+    let clause: string;
+    let wrapped: string;
+
+    if (syntax === 'top') {
+      clause = `TOP ${rowLimit}`;
+      wrapped = replaceMainQuery(
+        query,
+        main,
+        inner => `SELECT TOP ${rowLimit} * FROM (${inner}) ${ROW_LIMIT_SUBQUERY_ALIAS}`
+      );
+    } else if (syntax === 'rownum') {
+      clause = `ROWNUM <= ${rowLimit}`;
+      wrapped = replaceMainQuery(
+        query,
+        main,
+        inner => `SELECT * FROM (${inner}) ${ROW_LIMIT_SUBQUERY_ALIAS} WHERE ROWNUM <= ${rowLimit}`
+      );
+    } else {
+      clause = `LIMIT ${rowLimit}`;
+      wrapped = replaceMainQuery(
+        query,
+        main,
+        inner => `SELECT * FROM (${inner}) ${ROW_LIMIT_SUBQUERY_ALIAS} LIMIT ${rowLimit}`
+      );
+    }
+
+    return {
+      query: wrapped,
+      strategy: 'subquery',
+      appliedLimit: rowLimit,
+      detail: `Wrapped the query as a subquery limited with ${clause}`,
+    };
+  };
+
+  const useExisting = (clause: LimitClause): RowLimitResult => {
+    const existing = parseInt(clause.count.value, 10);
+    if (existing <= rowLimit) {
+      return {
+        query,
+        strategy: 'existing_limit',
+        appliedLimit: existing,
+        detail: `Kept the query's own limit of ${existing} rows (within the ${rowLimit} row cap)`,
+      };
+    }
+    return {
+      query: query.slice(0, clause.count.start) + String(rowLimit) + query.slice(clause.count.end),
+      strategy: 'replace_limit',
+      appliedLimit: rowLimit,
+      detail: `Lowered the query's limit from ${existing} to ${rowLimit} rows`,
+    };
+  };
+
+  const trailing = findTrailingLimit(body, syntax === 'limit');
+  const leadingTop = syntax === 'top' ? findLeadingTop(body) : null;
+
+  // Any other top-level limit syntax (template tags, LIMIT ALL, optional clauses) is left intact
+  const otherLimitClauses = hasTopLevelLimit(
+    main,
+    index => (trailing !== null && index >= trailing.start) || leadingTop?.start === index
+  );
+
+  if (otherLimitClauses) {
+    return wrap();
+  }
+
+  if (trailing && !leadingTop) {
+    return useExisting(trailing);
+  }
+
+  if (syntax === 'rownum') {
+    return wrap();
+  }
+
+  if (syntax === 'top') {
+    if (leadingTop && !trailing && !hasSetOperation) {
+      return useExisting(leadingTop);
+    }
+    if (leadingTop || trailing) {
+      return wrap();
+    }
+    if (!hasSetOperation && isKeyword(body[0], 'SELECT')) {
+      const modifier = isKeyword(body[1], 'DISTINCT', 'ALL') ? body[1] : body[0];
+      return {
+        query: insertAt(modifier.end, ` TOP ${rowLimit}`),
+        strategy: 'top',
+        appliedLimit: rowLimit,
+        detail: `Inserted TOP ${rowLimit} into the SELECT clause`,
+      };
+    }
+    if (hasOrderBy) {
+      return {
+        query: insertAt(bodyEndOffset, ` OFFSET 0 ROWS FETCH NEXT ${rowLimit} ROWS ONLY`),
+        strategy: 'fetch_first',
+        appliedLimit: rowLimit,
+        detail: `Appended OFFSET 0 ROWS FETCH NEXT ${rowLimit} ROWS ONLY after ORDER BY`,
+      };
+    }
+    return wrap();
+  }
+
+  return {
+    query: insertAt(bodyEndOffset, ` LIMIT ${rowLimit}`),
+    strategy: 'append_limit',
+    appliedLimit: rowLimit,
+    detail: `Appended LIMIT ${rowLimit}`,
+  };
+}
+
+// Row number column added by Oracle offset pages; callers should drop it from results
+export const ROW_PAGE_NUMBER_COLUMN = 'MB_ROW_NUMBER';
+
+export type RowPageStrategy = 'offset' | 'keyset' | 'none';
+
+export interface RowPageRequest {
+  pageSize: number;
+  // Rows to skip (offset pagination)
+  offset?: number;
+  // Unique column to page by (keyset pagination); `after` is the last value already returned
+  keyset?: { column: string; after?: string | number };
+}
+
+export interface RowPageResult {
+  query: string;
+  strategy: RowPageStrategy;
+  detail: string;
+}
+
+const SIMPLE_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Whether a column name can be used for keyset pagination without quoting
+ */
+export function isValidKeysetColumn(column: string): boolean {
+  return SIMPLE_IDENTIFIER.test(column);
+}
+
+/**
+ * Render a keyset value as a SQL literal for the engine
+ */
+function toSqlLiteral(value: string | number, engine: string | undefined): string {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot page by non-finite value ${value}`);
+    }
+    return String(value);
+  }
+  let escaped = value.replace(/'/g, "''");
+  if (getSqlDialect(engine) === 'mysql') {
+    escaped = escaped.replace(/\\/g, '\\\\');
+  }
+  return `'${escaped}'`;
+}
+
+/**
+ * Rewrite a query to fetch one page of its results using the syntax of the given engine
+ */
+export function applyRowPage(
+  query: string,
+  page: RowPageRequest,
+  engine: string | undefined
+): RowPageResult {
+  const main = analyzeMainQuery(query, engine);
+  if (typeof main === 'string') {
+    return { query, strategy: 'none', detail: `Pagination not applied: ${main}` };
+  }
+
+  const { pageSize } = page;
+  const alias = ROW_LIMIT_SUBQUERY_ALIAS;
+
+  if (page.keyset) {
+    const { column, after } = page.keyset;
+    if (!isValidKeysetColumn(column)) {
+      throw new Error(`Invalid keyset column: ${column}`);
+    }
+
+    const key = `${alias}.${column}`;
+    const where = after === undefined ? '' : ` WHERE ${key} > ${toSqlLiteral(after, engine)}`;
+    let wrap: (inner: string) => string;
+
+    if (main.syntax === 'top') {
+      // SQL Server only allows ORDER BY in a derived table alongside TOP or OFFSET
+      const offsetZero = main.hasOrderBy && !hasTopLevelLimit(main) ? ' OFFSET 0 ROWS' : '';
+      wrap = inner =>
+        `SELECT TOP ${pageSize} * FROM (${inner}${offsetZero}) ${alias}${where} ORDER BY ${key}`;
+    } else if (main.syntax === 'rownum') {
+      wrap = inner =>
+        `SELECT * FROM (SELECT * FROM (${inner}) ${alias}${where} ORDER BY ${key}) WHERE ROWNUM <= ${pageSize}`;
+    } else {
+      wrap = inner => `SELECT * FROM (${inner}) ${alias}${where} ORDER BY ${key} LIMIT ${pageSize}`;
+    }
+
+    return {
+      query: replaceMainQuery(query, main, wrap),
+      strategy: 'keyset',
+      detail:
+        after === undefined
+          ? `First ${pageSize} rows ordered by ${column}`
+          : `Next ${pageSize} rows with ${column} after ${JSON.stringify(after)}`,
+    };
+  }
+
+  const offset = page.offset ?? 0;
+  const detail = `Rows ${offset + 1}-${offset + pageSize} using OFFSET ${offset}`;
+  const canAppend = !hasTopLevelLimit(main);
+
+  if (main.syntax === 'rownum') {
+    return {
+      query: replaceMainQuery(
+        query,
+        main,
+        inner =>
+          `SELECT * FROM (SELECT ${alias}.*, ROWNUM ${ROW_PAGE_NUMBER_COLUMN} FROM (${inner}) ${alias} WHERE ROWNUM <= ${offset + pageSize}) WHERE ${ROW_PAGE_NUMBER_COLUMN} > ${offset}`
+      ),
+      strategy: 'offset',
+      detail,
+    };
+  }
+
+  if (main.syntax === 'top') {
+    const fetch = `OFFSET ${offset} ROWS FETCH NEXT ${pageSize} ROWS ONLY`;
+    return {
+      query:
+        canAppend && main.hasOrderBy
+          ? query.slice(0, main.bodyEndOffset) + ` ${fetch}` + query.slice(main.bodyEndOffset)
+          : replaceMainQuery(
+              query,
+              main,
+              inner => `SELECT * FROM (${inner}) ${alias} ORDER BY (SELECT NULL) ${fetch}`
+            ),
+      strategy: 'offset',
+      detail,
+    };
+  }
+
+  const clause = `LIMIT ${pageSize} OFFSET ${offset}`;
+  return {
+    query: canAppend
+      ? query.slice(0, main.bodyEndOffset) + ` ${clause}` + query.slice(main.bodyEndOffset)
+      : replaceMainQuery(query, main, inner => `SELECT * FROM (${inner}) ${alias} ${clause}`),
+    strategy: 'offset',
+    detail,
+  };
+}
@@ -0,0 +1,492 @@
+/**
+ * Schema-aware pre-flight check for native SQL.
+ *
+ * Table references in FROM and JOIN clauses, and columns qualified with a table name or
+ * alias, are resolved against Metabase metadata (`getDatabase()` tables and
+ * `getTable()` fields). The check only reports identifiers it can prove are unknown:
+ * CTEs, subqueries, table functions, template tags, schemas Metabase does not sync and
+ * unqualified columns, which may be aliases or CTE columns, are left for the database.
+ */
+
+import {
+  SqlToken,
+  isSignificantToken,
+  keywordOf,
+  splitSqlStatements,
+  tokenizeSql,
+} from './sqlTokenizer.js';
+import { getSqlDialect } from './sqlRowLimit.js';
+
+// Tables from database metadata, as returned by GET /api/database/:id?include=tables
+export interface SqlSchemaTable {
+  id: number;
+  name: string;
+  schema?: string | null;
+}
+
+export interface UnknownSqlIdentifier {
+  type: 'table' | 'column';
+  // As written in the query, e.g. "public.ordrs" or "o.totl"
+  name: string;
+  // Table a column was looked up in
+  table?: string;
+  suggestions: string[];
+}
+
+export interface SqlTableCheck {
+  unknown: UnknownSqlIdentifier[];
+  // Referenced tables and the qualified columns to look up in their fields
+  columns: Array<{ table: SqlSchemaTable; references: Array<{ name: string; column: string }> }>;
+}
+
+// Maximum suggestions per unknown identifier
+const MAX_SUGGESTIONS = 3;
+
+// Words that end a table reference instead of naming its alias
+const NON_ALIAS_KEYWORDS = new Set([
+  'AS',
+  'ON',
+  'USING',
+  'WHERE',
+  'JOIN',
+  'INNER',
+  'LEFT',
+  'RIGHT',
+  'FULL',
+  'OUTER',
+  'CROSS',
+  'NATURAL',
+  'STRAIGHT_JOIN',
+  'GROUP',
+  'ORDER',
+  'HAVING',
+  'LIMIT',
+  'OFFSET',
+  'FETCH',
+  'UNION',
+  'INTERSECT',
+  'EXCEPT',
+  'MINUS',
+  'WINDOW',
+  'QUALIFY',
+  'FOR',
+  'WITH',
+  'TABLESAMPLE',
+  'SAMPLE',
+  'LATERAL',
+  'PIVOT',
+  'UNPIVOT',
+  'START',
+  'CONNECT',
+  'FINAL',
+  'PREWHERE',
+  'SETTINGS',
+  'FORMAT',
+  'INTO',
+  'SELECT',
+  'AND',
+  'OR',
+  'NOT',
+]);
+
+// Oracle's and MySQL's placeholder table is never part of synced metadata
+const DUMMY_TABLES = new Set(['dual']);
+
+interface TableReference {
+  parts: string[];
+  // Index of the first and last name token
+  start: number;
+  end: number;
+}
+
+const isPunctuation = (token: SqlToken | undefined, value: string) =>
+  token?.type === 'punctuation' && token.value === value;
+
+const isName = (token: SqlToken | undefined) =>
+  token?.type === 'word' || token?.type === 'quoted_identifier';
+
+/**
+ * Identifier text without its quotes
+ */
+function unquote(token: SqlToken): string {
+  if (token.type !== 'quoted_identifier') {
+    return token.value;
+  }
+  const quote = token.value[0];
+  const close = quote === '[' ? ']' : quote;
+  return token.value.slice(1, -1).split(`${close}${close}`).join(close);
+}
+
+/**
+ * Dotted name starting at `index`, e.g. schema.table or `project.dataset.table`
+ */
+function readName(tokens: SqlToken[], index: number): TableReference | null {
+  if (!isName(tokens[index])) {
+    return null;
+  }
+  const parts: string[] = [];
+  let end = index;
+  for (;;) {
+    const token = tokens[end];
+    // BigQuery quotes the whole path in one identifier
+    parts.push(
+      ...(token.type === 'quoted_identifier' && token.value[0] === '`'
+        ? unquote(token).split('.')
+        : [unquote(token)])
+    );
+    if (isPunctuation(tokens[end + 1], '.') && isName(tokens[end + 2])) {
+      end += 2;
+    } else {
+      return { parts, start: index, end };
+    }
+  }
+}
+
+/**
+ * Index of the parenthesis closing the one at `index`
+ */
+function matchingParen(tokens: SqlToken[], index: number): number {
+  let depth = 0;
+  for (let i = index; i < tokens.length; i++) {
+    if (isPunctuation(tokens[i], '(')) {
+      depth++;
+    } else if (isPunctuation(tokens[i], ')') && --depth === 0) {
+      return i;
+    }
+  }
+  return tokens.length - 1;
+}
+
+/**
+ * Alias following a table reference that ends at `index`, and the index after it
+ */
+function readAlias(tokens: SqlToken[], index: number): { alias: string | null; next: number } {
+  const token = tokens[index];
+  if (keywordOf(token) === 'AS' && isName(tokens[index + 1])) {
+    return { alias: unquote(tokens[index + 1]).toLowerCase(), next: index + 2 };
+  }
+  if (
+    token?.type === 'quoted_identifier' ||
+    (token?.type === 'word' && !NON_ALIAS_KEYWORDS.has(token.value.toUpperCase()))
+  ) {
+    return { alias: unquote(token).toLowerCase(), next: index + 1 };
+  }
+  return { alias: null, next: index };
+}
+
+interface StatementReferences {
+  tables: TableReference[];
+  // Alias or table name in lower case, mapped to its table; null when it names anything else
+  qualifiers: Map<string, TableReference | null>;
+  // Dotted names outside FROM and JOIN clauses, e.g. o.total
+  names: TableReference[];
+}
+
+function collectReferences(tokens: SqlToken[]): StatementReferences {
+  const tables: TableReference[] = [];
+  const qualifiers = new Map<string, TableReference | null>();
+  const names: TableReference[] = [];
+  const consumed = new Set<number>();
+  const cteNames = new Set<string>();
+
+  const addQualifier = (name: string, table: TableReference | null) => {
+    // Names bound to different sources in different scopes are never resolved
+    if (qualifiers.has(name) && qualifiers.get(name) !== table) {
+      qualifiers.set(name, null);
+    } else {
+      qualifiers.set(name, table);
+    }
+  };
+
+  // CTE names: WITH name [(columns)] AS (...), name AS (...)
+  tokens.forEach((token, index) => {
+    const previous = keywordOf(tokens[index - 1]);
+    if (
+      !isName(token) ||
+      !(previous === 'WITH' || previous === 'RECURSIVE' || isPunctuation(tokens[index - 1], ','))
+    ) {
+      return;
+    }
+    const next = isPunctuation(tokens[index + 1], '(')
+      ? matchingParen(tokens, index + 1) + 1
+      : index + 1;
+    // Postgres allows AS [NOT] MATERIALIZED (...)
+    let body = next + 1;
+    while (['NOT', 'MATERIALIZED'].includes(keywordOf(tokens[body]) ?? '')) {
+      body++;
+    }
+    if (keywordOf(tokens[next]) === 'AS' && isPunctuation(tokens[body], '(')) {
+      cteNames.add(unquote(token).toLowerCase());
+    }
+  });
+
+  // Whether each open parenthesis starts a subquery, where FROM introduces tables;
+  // elsewhere FROM belongs to a function such as EXTRACT(YEAR FROM ...)
+  const frames: boolean[] = [true];
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (isPunctuation(token, '(')) {
+      frames.push(['SELECT', 'WITH'].includes(keywordOf(tokens[index + 1]) ?? ''));
+      continue;
+    }
+    if (isPunctuation(token, ')')) {
+      if (frames.length > 1) {
+        frames.pop();
+      }
+      continue;
+    }
+
+    const keyword = keywordOf(token);
+    const isSource =
+      (keyword === 'FROM' && keywordOf(tokens[index - 1]) !== 'DISTINCT') || keyword === 'JOIN';
+    if (!isSource || !frames[frames.length - 1]) {
+      continue;
+    }
+
+    // FROM takes a comma separated list of sources, JOIN a single one
+    let position = index + 1;
+    for (;;) {
+      let source = tokens[position];
+      if (keywordOf(source) === 'LATERAL') {
+        source = tokens[++position];
+      }
+
+      const reference = readName(tokens, position);
+      let end: number;
+      let table: TableReference | null = null;
+      if (isPunctuation(source, '(')) {
+        // Subquery or VALUES list
+        end = matchingParen(tokens, position);
+      } else if (reference && isPunctuation(tokens[reference.end + 1], '(')) {
+        // Table function, e.g. generate_series(1, 10) or TABLE(FLATTEN(...))
+        end = matchingParen(tokens, reference.end + 1);
+      } else if (reference && keywordOf(source) !== 'VALUES') {
+        end = reference.end;
+        const name = reference.parts[reference.parts.length - 1].toLowerCase();
+        if (!(reference.parts.length === 1 && cteNames.has(name))) {
+          table = reference;
+          tables.push(reference);
+        }
+        for (let i = reference.start; i <= reference.end; i++) {
+          consumed.add(i);
+        }
+      } else {
+        // Template tags such as {{#42-model}} and anything else left to the database
+        break;
+      }
+
+      const { alias, next } = readAlias(tokens, end + 1);
+      if (alias) {
+        consumed.add(next - 1);
+        addQualifier(alias, table);
+      } else if (table) {
+        addQualifier(table.parts[table.parts.length - 1].toLowerCase(), table);
+        if (table.parts.length > 1) {
+          addQualifier(table.parts.slice(-2).join('.').toLowerCase(), table);
+        }
+      }
+
+      if (keyword !== 'FROM' || !isPunctuation(tokens[next], ',')) {
+        break;
+      }
+      position = next + 1;
+    }
+  }
+
+  for (let index = 0; index < tokens.length; index++) {
+    if (consumed.has(index) || isPunctuation(tokens[index - 1], '.')) {
+      continue;
+    }
+    const name = readName(tokens, index);
+    if (name && name.parts.length > 1 && !isPunctuation(tokens[name.end + 1], '(')) {
+      names.push(name);
+    }
+    if (name) {
+      index = name.end;
+    }
+  }
+
+  return { tables, qualifiers, names };
+}
+
+/**
+ * Edit distance between two lower-case strings
+ */
+function editDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Closest candidates to a misspelled name, best first
+ */
+export function suggestNames(name: string, candidates: string[]): string[] {
+  const target = name.toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(target.length / 3));
+  return [...new Set(candidates)]
+    .map(candidate => {
+      const lower = candidate.toLowerCase();
+      const distance =
+        lower.includes(target) || target.includes(lower)
+          ? Math.min(editDistance(target, lower), maxDistance)
+          : editDistance(target, lower);
+      return { candidate, distance };
+    })
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ candidate }) => candidate);
+}
+
+const qualifiedName = (table: SqlSchemaTable) =>
+  table.schema ? `${table.schema}.${table.name}` : table.name;
+
+type TableResolution =
+  | { status: 'found'; table: SqlSchemaTable }
+  // Missing, with at least one close name it was probably meant to be
+  | { status: 'unknown'; suggestions: string[] }
+  // Ambiguous, in a schema Metabase does not know, or unlike any synced table, e.g. temp
+  // tables, catalog tables such as pg_stat_activity, or tables not yet synced
+  | { status: 'unchecked' };
+
+function resolveTable(parts: string[], tables: SqlSchemaTable[]): TableResolution {
+  const name = parts[parts.length - 1].toLowerCase();
+  const schema = parts.length > 1 ? parts[parts.length - 2].toLowerCase() : null;
+  if (name.includes('*') || (!schema && DUMMY_TABLES.has(name))) {
+    return { status: 'unchecked' };
+  }
+
+  const sameName = tables.filter(table => table.name.toLowerCase() === name);
+  if (!schema) {
+    if (sameName.length === 1) {
+      return { status: 'found', table: sameName[0] };
+    }
+    if (sameName.length > 1) {
+      return { status: 'unchecked' };
+    }
+    const suggestions = suggestNames(
+      name,
+      tables.map(table => table.name)
+    );
+    return suggestions.length > 0 ? { status: 'unknown', suggestions } : { status: 'unchecked' };
+  }
+
+  const inSchema = tables.filter(table => table.schema?.toLowerCase() === schema);
+  if (inSchema.length === 0) {
+    // Catalog schemas such as information_schema, or databases Metabase does not sync
+    return { status: 'unchecked' };
+  }
+  const match = inSchema.filter(table => table.name.toLowerCase() === name);
+  if (match.length === 1) {
+    return { status: 'found', table: match[0] };
+  }
+  if (match.length > 1) {
+    return { status: 'unchecked' };
+  }
+  const suggestions = [
+    ...sameName.map(qualifiedName),
+    ...suggestNames(
+      name,
+      inSchema.map(table => table.name)
+    ).map(candidate => `${parts[parts.length - 2]}.${candidate}`),
+  ].slice(0, MAX_SUGGESTIONS);
+  return suggestions.length > 0 ? { status: 'unknown', suggestions } : { status: 'unchecked' };
+}
+
+/**
+ * Resolve the tables a query reads from against database metadata. Returns the tables
+ * that do not exist but are close to one that does, and the qualified column references
+ * to check against the fields of the tables that do. Only SELECT and WITH statements are
+ * checked.
+ */
+export function checkSqlTables(
+  query: string,
+  engine: string | undefined,
+  tables: SqlSchemaTable[]
+): SqlTableCheck {
+  const unknown: UnknownSqlIdentifier[] = [];
+  const columns = new Map<number, SqlTableCheck['columns'][number]>();
+  const reported = new Set<string>();
+
+  for (const statement of splitSqlStatements(tokenizeSql(query, getSqlDialect(engine)))) {
+    const tokens = statement.filter(isSignificantToken);
+    const leading = keywordOf(tokens.find(token => !isPunctuation(token, '(')));
+    if (leading !== 'SELECT' && leading !== 'WITH') {
+      continue;
+    }
+
+    const references = collectReferences(tokens);
+    const resolved = new Map<TableReference, SqlSchemaTable>();
+    for (const reference of references.tables) {
+      const resolution = resolveTable(reference.parts, tables);
+      const name = reference.parts.join('.');
+      if (resolution.status === 'found') {
+        resolved.set(reference, resolution.table);
+      } else if (resolution.status === 'unknown' && !reported.has(`table:${name.toLowerCase()}`)) {
+        reported.add(`table:${name.toLowerCase()}`);
+        unknown.push({ type: 'table', name, suggestions: resolution.suggestions });
+      }
+    }
+
+    for (const name of references.names) {
+      const qualifier = references.qualifiers.get(name.parts.slice(0, -1).join('.').toLowerCase());
+      const table = qualifier ? resolved.get(qualifier) : undefined;
+      if (!table) {
+        continue;
+      }
+      const entry = columns.get(table.id) ?? { table, references: [] };
+      entry.references.push({
+        name: name.parts.join('.'),
+        column: name.parts[name.parts.length - 1],
+      });
+      columns.set(table.id, entry);
+    }
+  }
+
+  return { unknown, columns: [...columns.values()] };
+}
+
+/**
+ * Column references that are not fields of their table. `fields` holds the field names
+ * of each table ID; tables without field metadata are skipped.
+ */
+export function findUnknownColumns(
+  columns: SqlTableCheck['columns'],
+  fields: Map<number, string[]>
+): UnknownSqlIdentifier[] {
+  const unknown: UnknownSqlIdentifier[] = [];
+  const reported = new Set<string>();
+  for (const { table, references } of columns) {
+    const names = fields.get(table.id);
+    if (!names || names.length === 0) {
+      continue;
+    }
+    const known = new Set(names.map(name => name.toLowerCase()));
+    for (const reference of references) {
+      const key = reference.name.toLowerCase();
+      if (known.has(reference.column.toLowerCase()) || reported.has(key)) {
+        continue;
+      }
+      reported.add(key);
+      unknown.push({
+        type: 'column',
+        name: reference.name,
+        table: qualifiedName(table),
+        suggestions: suggestNames(reference.column, names),
+      });
+    }
+  }
+  return unknown;
+}
@@ -0,0 +1,237 @@
+/**
+ * Lightweight SQL tokenizer shared by the SQL guard and query rewriting utilities.
+ *
+ * It does not parse SQL; it only splits text into tokens so that keywords can be
+ * found outside of string literals, quoted identifiers, comments and Metabase
+ * template tags. Every token keeps its source offsets so callers can rewrite the
+ * original query text.
+ */
+
+export type SqlTokenType =
+  | 'word'
+  | 'quoted_identifier'
+  | 'string'
+  | 'number'
+  | 'comment'
+  | 'template'
+  | 'punctuation'
+  | 'operator'
+  | 'whitespace';
+
+export interface SqlToken {
+  type: SqlTokenType;
+  value: string;
+  start: number;
+  end: number;
+}
+
+/**
+ * Lexical dialects that change where strings and comments end:
+ * - ansi: doubled-quote escapes only, `[bracketed]` identifiers (SQL Server, H2, Snowflake, ...)
+ * - postgres: adds `$tag$` dollar quoting and backslash escapes in `E'...'` strings
+ * - mysql: backslash escapes, double-quoted strings, `#` comments, `/*! ... *\/` executable comments
+ */
+export type SqlDialect = 'ansi' | 'postgres' | 'mysql';
+
+export const SQL_DIALECTS: readonly SqlDialect[] = ['ansi', 'postgres', 'mysql'];
+
+const WORD_START = /[A-Za-z_\u0080-\uffff]/;
+const WORD_PART = /[A-Za-z0-9_$\u0080-\uffff]/;
+const DIGIT = /[0-9]/;
+const WHITESPACE = /\s/;
+const PUNCTUATION = new Set(['(', ')', ',', ';', '.']);
+
+/**
+ * Find the end offset (exclusive) of a delimited section, or the end of input if unterminated
+ */
+function findClosing(sql: string, from: number, closing: string): number {
+  const index = sql.indexOf(closing, from);
+  return index === -1 ? sql.length : index + closing.length;
+}
+
+/**
+ * Find the end offset (exclusive) of a quoted literal starting at `from`
+ */
+function findQuoteEnd(sql: string, from: number, quote: string, backslashEscapes: boolean): number {
+  let end = from + 1;
+  while (end < sql.length) {
+    const char = sql[end];
+    if (backslashEscapes && char === '\\') {
+      end += 2;
+      continue;
+    }
+    if (char === quote) {
+      if (sql[end + 1] === quote) {
+        end += 2;
+        continue;
+      }
+      return end + 1;
+    }
+    end++;
+  }
+  return sql.length;
+}
+
+/**
+ * Split SQL text into tokens using the lexical rules of the given dialect.
+ *
+ * Unterminated strings, identifiers and comments run to the end of the input.
+ */
+export function tokenizeSql(sql: string, dialect: SqlDialect = 'ansi'): SqlToken[] {
+  const tokens: SqlToken[] = [];
+  let i = 0;
+
+  const push = (type: SqlTokenType, end: number) => {
+    tokens.push({ type, value: sql.slice(i, end), start: i, end });
+    i = end;
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (WHITESPACE.test(char)) {
+      let end = i + 1;
+      while (end < sql.length && WHITESPACE.test(sql[end])) {
+        end++;
+      }
+      push('whitespace', end);
+      continue;
+    }
+
+    // Line comments; MySQL only treats "--" as a comment when followed by whitespace
+    const isDashComment =
+      char === '-' &&
+      next === '-' &&
+      (dialect !== 'mysql' || i + 2 >= sql.length || WHITESPACE.test(sql[i + 2]));
+    if (isDashComment || (dialect === 'mysql' && char === '#')) {
+      const newline = sql.indexOf('\n', i);
+      push('comment', newline === -1 ? sql.length : newline);
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      // MySQL executes the body of /*! ... */ comments, so only the marker is a comment
+      if (dialect === 'mysql' && sql[i + 2] === '!') {
+        let end = i + 3;
+        while (end < sql.length && DIGIT.test(sql[end])) {
+          end++;
+        }
+        push('comment', end);
+        continue;
+      }
+      push('comment', findClosing(sql, i + 2, '*/'));
+      continue;
+    }
+
+    // Metabase template tags {{variable}} and optional clause markers [[ ]]
+    if (char === '{' && next === '{') {
+      push('template', findClosing(sql, i + 2, '}}'));
+      continue;
+    }
+    if ((char === '[' && next === '[') || (char === ']' && next === ']')) {
+      push('punctuation', i + 2);
+      continue;
+    }
+
+    if (char === "'") {
+      push('string', findQuoteEnd(sql, i, "'", dialect === 'mysql'));
+      continue;
+    }
+
+    // PostgreSQL escape strings: E'...'
+    if (dialect === 'postgres' && (char === 'E' || char === 'e') && next === "'") {
+      push('string', findQuoteEnd(sql, i + 1, "'", true));
+      continue;
+    }
+
+    // PostgreSQL dollar-quoted strings: $$...$$ or $tag$...$tag$
+    if (dialect === 'postgres' && char === '$') {
+      const tagMatch = sql.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+      if (tagMatch) {
+        push('string', findClosing(sql, i + tagMatch[0].length, tagMatch[0]));
+        continue;
+      }
+    }
+
+    if (char === '"') {
+      if (dialect === 'mysql') {
+        push('string', findQuoteEnd(sql, i, '"', true));
+      } else {
+        push('quoted_identifier', findQuoteEnd(sql, i, '"', false));
+      }
+      continue;
+    }
+
+    if (char === '`') {
+      push('quoted_identifier', findQuoteEnd(sql, i, '`', false));
+      continue;
+    }
+
+    if (char === '[' && dialect === 'ansi') {
+      push('quoted_identifier', findClosing(sql, i + 1, ']'));
+      continue;
+    }
+
+    if (DIGIT.test(char) || (char === '.' && next !== undefined && DIGIT.test(next))) {
+      let end = i + 1;
+      while (end < sql.length && /[0-9.eE]/.test(sql[end])) {
+        end++;
+      }
+      push('number', end);
+      continue;
+    }
+
+    if (WORD_START.test(char)) {
+      let end = i + 1;
+      while (end < sql.length && WORD_PART.test(sql[end])) {
+        end++;
+      }
+      push('word', end);
+      continue;
+    }
+
+    if (PUNCTUATION.has(char)) {
+      push('punctuation', i + 1);
+      continue;
+    }
+
+    push('operator', i + 1);
+  }
+
+  return tokens;
+}
+
+/**
+ * Whether a token carries meaning for SQL analysis (not whitespace or a comment)
+ */
+export function isSignificantToken(token: SqlToken): boolean {
+  return token.type !== 'whitespace' && token.type !== 'comment';
+}
+
+/**
+ * Split tokens into statements on top-level semicolons, dropping empty statements
+ */
+export function splitSqlStatements(tokens: SqlToken[]): SqlToken[][] {
+  const statements: SqlToken[][] = [];
+  let current: SqlToken[] = [];
+
+  for (const token of tokens) {
+    if (token.type === 'punctuation' && token.value === ';') {
+      statements.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+  statements.push(current);
+
+  return statements.filter(statement => statement.some(isSignificantToken));
+}
+
+/**
+ * Upper-cased keyword value for word tokens, or null for other token types
+ */
+export function keywordOf(token: SqlToken | undefined): string | null {
+  return token && token.type === 'word' ? token.value.toUpperCase() : null;
+}
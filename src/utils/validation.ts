@@ -2,7 +2,9 @@
  * Validation utilities for the Metabase MCP server.
  */
 
+import { z } from 'zod';
 import { ErrorCode, McpError } from '../types/core.js';
+import { AuthorizationErrorFactory } from './errorFactory.js';
 
 /**
  * Validate positive integer with detailed error message
@@ -172,3 +174,42 @@ export function validateRowLimit(
     throw new McpError(ErrorCode.InvalidParams, errorMessage);
   }
 }
+
+/**
+ * Parse tool arguments with a zod schema, reporting every issue in a single InvalidParams error
+ */
+export function parseToolArguments<T extends z.ZodTypeAny>(
+  schema: T,
+  args: unknown,
+  toolName: string,
+  requestId: string,
+  logWarn: (message: string, data?: unknown, error?: Error) => void
+): z.infer<T> {
+  const result = schema.safeParse(args ?? {});
+  if (!result.success) {
+    const issues = result.error.errors.map(
+      err => `${err.path.length > 0 ? err.path.join('.') : 'arguments'}: ${err.message}`
+    );
+    logWarn(`Invalid ${toolName} arguments`, { requestId, issues });
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid ${toolName} arguments:\n${issues.join('\n')}`
+    );
+  }
+  return result.data;
+}
+
+/**
+ * Reject tools that modify Metabase content unless write tools are enabled
+ */
+export function ensureWriteToolsEnabled(
+  enabled: boolean,
+  toolName: string,
+  requestId: string,
+  logWarn: (message: string, data?: unknown, error?: Error) => void
+): void {
+  if (!enabled) {
+    logWarn(`Rejected ${toolName} request: write tools are disabled`, { requestId });
+    throw AuthorizationErrorFactory.writeToolsDisabled(toolName);
+  }
+}
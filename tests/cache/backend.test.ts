@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the API client cache backends
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import {
+  MemoryCacheBackend,
+  cacheScope,
+  createCacheBackend,
+} from '../../src/cache/backend.js';
+import { DiskCacheBackend } from '../../src/cache/diskBackend.js';
+
+describe('MemoryCacheBackend', () => {
+  it('should evict the least recently used entry beyond the limit', () => {
+    const cache = new MemoryCacheBackend(2);
+    cache.set(1, { data: 'one', timestamp: 1 });
+    cache.set(2, { data: 'two', timestamp: 2 });
+    cache.get(1);
+    cache.set(3, { data: 'three', timestamp: 3 });
+
+    expect(cache.get(2)).toBeUndefined();
+    expect(cache.get(1)).toEqual({ data: 'one', timestamp: 1 });
+    expect(cache.size).toBe(2);
+  });
+});
+
+describe('DiskCacheBackend', () => {
+  let directory: string;
+  const logWarn = vi.fn();
+  const entryFile = (key: string | number) =>
+    `${createHash('sha256').update(String(key)).digest('hex')}.json`;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metabase-cache-'));
+    logWarn.mockClear();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should keep entries across instances', () => {
+    const first = new DiskCacheBackend(directory, 10, logWarn);
+    first.set(42, { data: { id: 42, name: 'Revenue' }, timestamp: 1000 });
+    first.set('all', { data: [1, 2], timestamp: 2000 });
+
+    const second = new DiskCacheBackend(directory, 10, logWarn);
+    expect(second.size).toBe(2);
+    expect(second.get(42)).toEqual({ data: { id: 42, name: 'Revenue' }, timestamp: 1000 });
+    expect(second.get('all')).toEqual({ data: [1, 2], timestamp: 2000 });
+  });
+
+  it('should evict least recently used entries and their files', () => {
+    const cache = new DiskCacheBackend(directory, 2, logWarn);
+    cache.set(1, { data: 'one', timestamp: 1 });
+    cache.set(2, { data: 'two', timestamp: 2 });
+    cache.get(1);
+    cache.set(3, { data: 'three', timestamp: 3 });
+
+    expect(cache.get(2)).toBeUndefined();
+    expect(fs.readdirSync(directory).sort()).toEqual([entryFile(1), entryFile(3)].sort());
+  });
+
+  it('should restore recency order and apply a lowered limit on startup', () => {
+    const cache = new DiskCacheBackend(directory, 10, logWarn);
+    cache.set(1, { data: 'one', timestamp: 1 });
+    cache.set(2, { data: 'two', timestamp: 2 });
+    fs.utimesSync(path.join(directory, entryFile(1)), new Date(5000), new Date(5000));
+    fs.utimesSync(path.join(directory, entryFile(2)), new Date(1000), new Date(1000));
+
+    const reopened = new DiskCacheBackend(directory, 1, logWarn);
+    expect(reopened.size).toBe(1);
+    expect(reopened.get(1)).toEqual({ data: 'one', timestamp: 1 });
+  });
+
+  it('should treat unreadable entries as misses and remove them', () => {
+    const cache = new DiskCacheBackend(directory, 10, logWarn);
+    cache.set(7, { data: 'seven', timestamp: 7 });
+    fs.writeFileSync(path.join(directory, entryFile(7)), '{not json');
+
+    expect(cache.get(7)).toBeUndefined();
+    expect(fs.existsSync(path.join(directory, entryFile(7)))).toBe(false);
+    expect(logWarn).toHaveBeenCalled();
+  });
+
+  it('should delete and clear entries on disk', () => {
+    const cache = new DiskCacheBackend(directory, 10, logWarn);
+    cache.set(1, { data: 'one', timestamp: 1 });
+    cache.set(2, { data: 'two', timestamp: 2 });
+
+    cache.delete(1);
+    expect(fs.readdirSync(directory)).toEqual([entryFile(2)]);
+    cache.clear();
+    expect(fs.readdirSync(directory)).toEqual([]);
+    expect(cache.size).toBe(0);
+  });
+
+  it('should cache keys longer than a file name allows', () => {
+    const key = `card:1:p-note:search:${'free text '.repeat(60)}`;
+    const cache = new DiskCacheBackend(directory, 10, logWarn);
+    cache.set(key, { data: ['a'], timestamp: 1 });
+
+    expect(logWarn).not.toHaveBeenCalled();
+    expect(new DiskCacheBackend(directory, 10, logWarn).get(key)).toEqual({ data: ['a'], timestamp: 1 });
+    expect(JSON.parse(fs.readFileSync(path.join(directory, entryFile(key)), 'utf8')).key).toBe(key);
+  });
+
+  it('should remove entries written under the old file names on startup', () => {
+    fs.writeFileSync(path.join(directory, '42.json'), JSON.stringify({ key: '42', timestamp: 1, data: 1 }));
+
+    const cache = new DiskCacheBackend(directory, 10, logWarn);
+    expect(cache.size).toBe(0);
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+});
+
+describe('createCacheBackend', () => {
+  const options = { backend: 'disk' as const, directory: os.tmpdir(), maxEntries: 5 };
+
+  it('should only use the disk backend for scoped caches', () => {
+    expect(createCacheBackend('cards', options, 'abc', vi.fn())).toBeInstanceOf(DiskCacheBackend);
+    expect(createCacheBackend('cards', options, null, vi.fn())).toBeInstanceOf(MemoryCacheBackend);
+    expect(
+      createCacheBackend('cards', { ...options, backend: 'memory' }, 'abc', vi.fn())
+    ).toBeInstanceOf(MemoryCacheBackend);
+  });
+
+  it('should scope caches by Metabase URL and identity', () => {
+    const scope = cacheScope('https://metabase.example.com', 'api-key:one');
+    expect(scope).toMatch(/^[0-9a-f]{16}$/);
+    expect(cacheScope('https://metabase.example.com', 'api-key:one')).toBe(scope);
+    expect(cacheScope('https://metabase.example.com', 'api-key:two')).not.toBe(scope);
+    expect(cacheScope('https://other.example.com', 'api-key:one')).not.toBe(scope);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for the generic cached resource layer
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MemoryCacheBackend } from '../../src/cache/backend.js';
+import { CachedResource } from '../../src/cache/cachedResource.js';
+
+const logger = {
+  logDebug: vi.fn(),
+  logInfo: vi.fn(),
+  logWarn: vi.fn(),
+  logError: vi.fn(),
+};
+
+function createResource(ttlMs = 1000) {
+  const backend = new MemoryCacheBackend(10);
+  const resource = new CachedResource('cards', backend, ttlMs, key => `card ${key}`, logger);
+  return { backend, resource };
+}
+
+function deferred<T>() {
+  let resolve!: (value: T) => void;
+  let reject!: (error: unknown) => void;
+  const promise = new Promise<T>((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('CachedResource', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should fetch on a miss and serve hits from the cache', async () => {
+    const { resource } = createResource();
+    const fetcher = vi.fn().mockResolvedValue({ id: 1 });
+
+    expect(await resource.get(1, fetcher)).toMatchObject({ data: { id: 1 }, source: 'api' });
+    expect(await resource.get(1, fetcher)).toEqual({ data: { id: 1 }, source: 'cache', fetchTime: 0 });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(resource.stats()).toMatchObject({ entries: 1, hits: 1, misses: 1, hit_rate: 0.5 });
+  });
+
+  it('should join concurrent fetches for the same key', async () => {
+    const { resource } = createResource();
+    const pending = deferred<any>();
+    const fetcher = vi.fn().mockReturnValue(pending.promise);
+
+    const first = resource.get(1, fetcher);
+    const second = resource.get(1, fetcher);
+    pending.resolve({ id: 1 });
+
+    expect(await second).toEqual(await first);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(resource.stats()).toMatchObject({ misses: 1, deduplicated: 1 });
+
+    // A later miss starts a new fetch once the first one settled
+    resource.delete(1);
+    await resource.get(1, fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fall back to stale data when the fetch fails', async () => {
+    const { backend, resource } = createResource();
+    backend.set(1, { data: { id: 1, name: 'old' }, timestamp: Date.now() - 5000 });
+
+    const response = await resource.get(1, () => Promise.reject(new Error('offline')));
+
+    expect(response).toEqual({ data: { id: 1, name: 'old' }, source: 'cache', fetchTime: 0 });
+    expect(resource.stats()).toMatchObject({ misses: 1, stale_fallbacks: 1, fetch_errors: 1 });
+    expect(logger.logWarn).toHaveBeenCalledWith(
+      'Using stale cached data for card 1 as fallback due to API error'
+    );
+  });
+
+  it('should not serve stale data or store uncacheable values when configured', async () => {
+    const backend = new MemoryCacheBackend(10);
+    const resource = new CachedResource('query-results', backend, 1000, key => `result ${key}`, logger, {
+      staleFallback: false,
+      cacheable: data => data.status !== 'failed',
+    });
+    backend.set('a', { data: { status: 'completed', rows: [1] }, timestamp: Date.now() - 5000 });
+
+    await expect(resource.get('a', () => Promise.reject(new Error('offline')))).rejects.toThrow(
+      'offline'
+    );
+    expect(resource.stats()).toMatchObject({ stale_fallbacks: 0, fetch_errors: 1 });
+
+    const failed = { status: 'failed', error: 'Query timed out' };
+    expect(await resource.get('b', () => Promise.resolve(failed))).toMatchObject({
+      data: failed,
+      source: 'api',
+    });
+    expect(backend.get('b')).toBeUndefined();
+  });
+
+  it('should rethrow fetch errors without a cached entry and allow a retry', async () => {
+    const { resource } = createResource();
+    const fetcher = vi.fn().mockRejectedValueOnce(new Error('offline')).mockResolvedValue({ id: 1 });
+
+    await expect(resource.get(1, fetcher)).rejects.toThrow('offline');
+    expect(await resource.get(1, fetcher)).toMatchObject({ source: 'api' });
+  });
+
+  it('should not cache a fetch that was invalidated while in flight', async () => {
+    const { backend, resource } = createResource();
+    const pending = deferred<any>();
+
+    const request = resource.get(1, () => pending.promise);
+    resource.delete(1);
+    pending.resolve({ id: 1, name: 'before update' });
+
+    expect((await request).data).toEqual({ id: 1, name: 'before update' });
+    expect(backend.get(1)).toBeUndefined();
+  });
+
+  it('should reset counters without dropping entries', async () => {
+    const { resource } = createResource();
+    await resource.get(1, () => Promise.resolve({ id: 1 }));
+
+    resource.resetStats();
+
+    expect(resource.stats()).toEqual({
+      entries: 1,
+      hits: 0,
+      misses: 0,
+      deduplicated: 0,
+      stale_fallbacks: 0,
+      fetch_errors: 0,
+      hit_rate: null,
+      average_fetch_ms: null,
+    });
+  });
+});
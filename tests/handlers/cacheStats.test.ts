@@ -0,0 +1,69 @@
+/**
+ * Unit tests for the cacheStats handler
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { handleCacheStats } from '../../src/handlers/cacheStats.js';
+import { McpError } from '../../src/types/core.js';
+import { mockApiClient, mockLogger, resetAllMocks, createMockRequest } from '../setup.js';
+
+function stats(hits: number, misses: number, extra: Record<string, number> = {}) {
+  return {
+    entries: misses,
+    hits,
+    misses,
+    deduplicated: 0,
+    stale_fallbacks: 0,
+    fetch_errors: 0,
+    hit_rate: hits + misses > 0 ? hits / (hits + misses) : null,
+    average_fetch_ms: null,
+    ...extra,
+  };
+}
+
+function runCacheStats(args: Record<string, unknown> = {}) {
+  const request = createMockRequest('cache_stats', args);
+  const result = handleCacheStats(request, mockApiClient as any, mockLogger.logInfo, mockLogger.logWarn);
+  return JSON.parse(result.content[0].text);
+}
+
+describe('handleCacheStats', () => {
+  beforeEach(() => {
+    resetAllMocks();
+    mockApiClient.getCacheStats.mockReturnValue({
+      cards: stats(6, 2, { deduplicated: 2 }),
+      'cards-list': stats(0, 1, { stale_fallbacks: 1, fetch_errors: 1 }),
+    });
+  });
+
+  it('should report per-cache counters and totals', () => {
+    const response = runCacheStats();
+
+    expect(response.caches.cards).toMatchObject({ hits: 6, misses: 2, deduplicated: 2 });
+    expect(response.totals).toEqual({
+      hits: 6,
+      misses: 3,
+      deduplicated: 2,
+      stale_fallbacks: 1,
+      fetch_errors: 1,
+      hit_rate: 0.545,
+    });
+    expect(response.cache_ttl_ms).toBe(600000);
+    expect(response.result_cache_ttl_ms).toBe(300000);
+    expect(response.counters_reset).toBe(false);
+    expect(mockApiClient.resetCacheStats).not.toHaveBeenCalled();
+  });
+
+  it('should reset counters after reporting them when asked', () => {
+    const response = runCacheStats({ reset: true });
+
+    expect(response.caches.cards.hits).toBe(6);
+    expect(response.counters_reset).toBe(true);
+    expect(mockApiClient.resetCacheStats).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject a non-boolean reset parameter', () => {
+    expect(() => runCacheStats({ reset: 'yes' })).toThrow(McpError);
+    expect(mockApiClient.getCacheStats).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,313 @@
+/**
+ * Unit tests for the create_card and update_card handlers
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { handleCreateCard, handleUpdateCard } from '../../src/handlers/cards/index.js';
+import {
+  buildTemplateTags,
+  buildCardParameters,
+  extractTemplateTagNames,
+} from '../../src/handlers/cards/templateTags.js';
+import { config } from '../../src/config.js';
+import {
+  mockApiClient,
+  mockLogger,
+  resetAllMocks,
+  createMockRequest,
+  getLoggerFunctions,
+} from '../setup.js';
+
+async function runTool(
+  handler: typeof handleCreateCard,
+  toolName: string,
+  args: Record<string, any>
+) {
+  const request = createMockRequest(toolName, args);
+  const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+  const result = await handler(
+    request,
+    'test-request-id',
+    mockApiClient as any,
+    logDebug,
+    logInfo,
+    logWarn,
+    logError
+  );
+  return JSON.parse(result.content[0].text);
+}
+
+const existingCard = {
+  id: 42,
+  name: 'Orders by State',
+  display: 'table',
+  collection_id: 3,
+  dataset_query: {
+    type: 'native',
+    database: 1,
+    native: {
+      query: 'SELECT * FROM orders WHERE state = {{state}}',
+      'template-tags': {
+        state: { id: 'tag-state', name: 'state', 'display-name': 'Customer State', type: 'text' },
+      },
+    },
+  },
+  parameters: [
+    {
+      id: 'tag-state',
+      type: 'category',
+      target: ['variable', ['template-tag', 'state']],
+      name: 'Customer State',
+      slug: 'state',
+      values_source_type: 'static-list',
+    },
+  ],
+};
+
+describe('Card write tools', () => {
+  beforeEach(() => {
+    resetAllMocks();
+    config.WRITE_TOOLS_ENABLED = true;
+  });
+
+  afterEach(() => {
+    config.WRITE_TOOLS_ENABLED = false;
+  });
+
+  describe('Write gate', () => {
+    it('should reject writes when WRITE_TOOLS_ENABLED is off', async () => {
+      config.WRITE_TOOLS_ENABLED = false;
+
+      await expect(
+        runTool(handleCreateCard, 'create_card', {
+          name: 'Orders',
+          database_id: 1,
+          query: 'SELECT * FROM orders',
+        })
+      ).rejects.toThrow('Write tools are disabled: create_card is not available');
+      expect(mockApiClient.createCard).not.toHaveBeenCalled();
+      expect(mockLogger.logWarn).toHaveBeenCalledWith(
+        'Rejected create_card request: write tools are disabled',
+        { requestId: 'test-request-id' }
+      );
+    });
+  });
+
+  describe('handleCreateCard', () => {
+    it('should create a native card with derived template tags', async () => {
+      mockApiClient.createCard.mockImplementation(async (card: any) => ({ id: 99, ...card }));
+
+      const response = await runTool(handleCreateCard, 'create_card', {
+        name: 'Recent orders',
+        database_id: 1,
+        collection_id: 5,
+        display: 'bar',
+        query: 'SELECT * FROM orders WHERE created_at > {{start_date}} [[AND state = {{state}}]]',
+        template_tags: { start_date: { type: 'date', required: true } },
+      });
+
+      const card = mockApiClient.createCard.mock.calls[0][0];
+      expect(card).toMatchObject({
+        name: 'Recent orders',
+        display: 'bar',
+        collection_id: 5,
+        type: 'question',
+        dataset_query: { type: 'native', database: 1 },
+      });
+      const tags = card.dataset_query.native['template-tags'];
+      expect(Object.keys(tags)).toEqual(['start_date', 'state']);
+      expect(tags.start_date).toMatchObject({
+        name: 'start_date',
+        'display-name': 'Start Date',
+        type: 'date',
+        required: true,
+      });
+      expect(tags.state.type).toBe('text');
+      expect(card.parameters).toEqual([
+        expect.objectContaining({
+          id: tags.start_date.id,
+          type: 'date/single',
+          target: ['variable', ['template-tag', 'start_date']],
+          slug: 'start_date',
+          required: true,
+        }),
+        expect.objectContaining({ id: tags.state.id, type: 'category', slug: 'state' }),
+      ]);
+
+      expect(response).toEqual({
+        success: true,
+        action: 'created',
+        card_id: 99,
+        name: 'Recent orders',
+        display: 'bar',
+        collection_id: 5,
+        database_id: 1,
+        template_tags: [
+          { name: 'start_date', type: 'date', required: true },
+          { name: 'state', type: 'text', required: false },
+        ],
+      });
+    });
+
+    it('should report every schema issue at once', async () => {
+      await expect(
+        runTool(handleCreateCard, 'create_card', {
+          name: '',
+          database_id: -1,
+          query: 'SELECT 1',
+          display: 'sparkline',
+        })
+      ).rejects.toThrow(/name: .*\ndatabase_id: .*\ndisplay: /);
+      expect(mockApiClient.createCard).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown arguments', async () => {
+      await expect(
+        runTool(handleCreateCard, 'create_card', {
+          name: 'Orders',
+          database_id: 1,
+          query: 'SELECT 1',
+          dashboard_id: 4,
+        })
+      ).rejects.toThrow("Unrecognized key(s) in object: 'dashboard_id'");
+    });
+
+    it('should refuse to save queries blocked by the SQL guard', async () => {
+      await expect(
+        runTool(handleCreateCard, 'create_card', {
+          name: 'Cleanup',
+          database_id: 1,
+          query: 'DELETE FROM orders',
+        })
+      ).rejects.toThrow('Read-only SQL policy violation');
+      expect(mockApiClient.createCard).not.toHaveBeenCalled();
+    });
+
+    it('should reject template tag settings for variables the query does not use', async () => {
+      await expect(
+        runTool(handleCreateCard, 'create_card', {
+          name: 'Orders',
+          database_id: 1,
+          query: 'SELECT * FROM orders',
+          template_tags: { state: { type: 'text' } },
+        })
+      ).rejects.toThrow('Invalid parameter: template_tags.state');
+    });
+
+    it('should wrap Metabase errors', async () => {
+      mockApiClient.createCard.mockRejectedValue(new Error('Collection not found'));
+
+      await expect(
+        runTool(handleCreateCard, 'create_card', {
+          name: 'Orders',
+          database_id: 1,
+          query: 'SELECT * FROM orders',
+          collection_id: 404,
+        })
+      ).rejects.toThrow('Card creation failed');
+    });
+  });
+
+  describe('handleUpdateCard', () => {
+    it('should update metadata without touching the query', async () => {
+      mockApiClient.updateCard.mockResolvedValue({ ...existingCard, name: 'Renamed' });
+
+      const response = await runTool(handleUpdateCard, 'update_card', {
+        card_id: 42,
+        name: 'Renamed',
+        collection_id: null,
+      });
+
+      expect(mockApiClient.request).not.toHaveBeenCalled();
+      expect(mockApiClient.updateCard).toHaveBeenCalledWith(42, {
+        name: 'Renamed',
+        collection_id: null,
+      });
+      expect(response).toMatchObject({ action: 'updated', card_id: 42, name: 'Renamed' });
+    });
+
+    it('should keep existing tag IDs and parameter settings when replacing the query', async () => {
+      mockApiClient.request.mockResolvedValue(existingCard);
+      mockApiClient.updateCard.mockImplementation(async (_id: number, changes: any) => ({
+        ...existingCard,
+        ...changes,
+      }));
+
+      await runTool(handleUpdateCard, 'update_card', {
+        card_id: 42,
+        query: 'SELECT * FROM orders WHERE state = {{state}} AND total > {{min_total}}',
+        template_tags: { min_total: { type: 'number', default: 100 } },
+      });
+
+      expect(mockApiClient.request).toHaveBeenCalledWith('/api/card/42');
+      const changes = mockApiClient.updateCard.mock.calls[0][1];
+      expect(changes.dataset_query.database).toBe(1);
+      const tags = changes.dataset_query.native['template-tags'];
+      expect(tags.state).toEqual(existingCard.dataset_query.native['template-tags'].state);
+      expect(tags.min_total).toMatchObject({ type: 'number', default: 100 });
+      expect(changes.parameters[0]).toMatchObject({
+        id: 'tag-state',
+        name: 'Customer State',
+        values_source_type: 'static-list',
+      });
+      expect(changes.parameters[1]).toMatchObject({ type: 'number/=', default: 100 });
+    });
+
+    it('should require at least one change', async () => {
+      await expect(runTool(handleUpdateCard, 'update_card', { card_id: 42 })).rejects.toThrow(
+        'at least one field to update is required'
+      );
+    });
+
+    it('should require a query when the card was built with the query builder', async () => {
+      mockApiClient.request.mockResolvedValue({
+        id: 7,
+        dataset_query: { type: 'query', database: 1, query: { 'source-table': 2 } },
+      });
+
+      await expect(
+        runTool(handleUpdateCard, 'update_card', {
+          card_id: 7,
+          template_tags: { state: { type: 'text' } },
+        })
+      ).rejects.toThrow('Invalid parameter: query');
+      expect(mockApiClient.updateCard).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Template tag derivation', () => {
+  it('should find tags in order of first use', () => {
+    expect(
+      extractTemplateTagNames('SELECT {{ b }}, {{a}}, {{b}} FROM t [[WHERE x = {{c}}]]')
+    ).toEqual(['b', 'a', 'c']);
+  });
+
+  it('should turn card references into card tags', () => {
+    const tags = buildTemplateTags('SELECT * FROM {{#12-active-users}}');
+    expect(tags['#12-active-users']).toMatchObject({ type: 'card', 'card-id': 12 });
+    expect(buildCardParameters(tags)).toEqual([]);
+  });
+
+  it('should build field filter tags', () => {
+    const tags = buildTemplateTags('SELECT * FROM orders WHERE {{created}}', {
+      created: { type: 'dimension', field_id: 17, widget_type: 'date/all-options' },
+    });
+    expect(tags.created).toMatchObject({
+      type: 'dimension',
+      dimension: ['field', 17, null],
+      'widget-type': 'date/all-options',
+    });
+    expect(buildCardParameters(tags)[0]).toMatchObject({
+      type: 'date/all-options',
+      target: ['dimension', ['template-tag', 'created']],
+    });
+  });
+
+  it('should reject snippets and malformed tag names', () => {
+    expect(() => buildTemplateTags('SELECT * FROM {{snippet: active}}')).toThrow(
+      'Invalid parameter: query'
+    );
+    expect(() => buildTemplateTags('SELECT {{user id}}')).toThrow('Invalid parameter: query');
+  });
+});
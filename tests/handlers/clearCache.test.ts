@@ -101,6 +101,14 @@ describe('handleClearCache', () => {
       expect(result.content[0].text).toContain('Fields cache cleared successfully');
     });
 
+    it('should successfully clear parameter-values cache', () => {
+      const request = createMockRequest('clear_cache', { cache_type: 'parameter-values' });
+      const result = handleClearCache(request, mockApiClient as any, mockLogger.logInfo, mockLogger.logWarn, mockLogger.logError);
+
+      expect(mockApiClient.clearParameterValuesCache).toHaveBeenCalled();
+      expect(result.content[0].text).toContain('Parameter values cache cleared successfully');
+    });
+
     it('should successfully clear cards-list cache', () => {
       const request = createMockRequest('clear_cache', { cache_type: 'cards-list' });
       const result = handleClearCache(request, mockApiClient as any, mockLogger.logInfo, mockLogger.logWarn, mockLogger.logError);
@@ -161,6 +169,18 @@ describe('handleClearCache', () => {
       expect(mockApiClient.clearFieldsCache).toHaveBeenCalled();
       expect(result.content[0].text).toContain('All individual item caches cleared successfully');
     });
+
+    it('should clear execute result caches', () => {
+      const clear = (cacheType: string) =>
+        handleClearCache(createMockRequest('clear_cache', { cache_type: cacheType }), mockApiClient as any, mockLogger.logInfo, mockLogger.logWarn, mockLogger.logError);
+
+      expect(clear('query-results').content[0].text).toContain('Query results cache cleared successfully');
+      expect(mockApiClient.clearQueryResultsCache).toHaveBeenCalledTimes(1);
+      expect(clear('card-results').content[0].text).toContain('Card results cache cleared successfully');
+      expect(mockApiClient.clearCardResultsCache).toHaveBeenCalledTimes(1);
+      expect(clear('all-results').content[0].text).toContain('All result caches cleared successfully');
+      expect(mockApiClient.clearResultCaches).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('Default values', () => {
@@ -219,8 +239,11 @@ describe('handleClearCache', () => {
       'tables-list',
       'databases-list',
       'collections-list',
+      'query-results',
+      'card-results',
       'all-lists',
       'all-individual',
+      'all-results',
     ];
 
     validCacheTypes.forEach(cacheType => {
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for prompt argument and resource template completion
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { handleComplete, matchCompletionItems } from '../../src/handlers/completion/index.js';
+import { McpError } from '../../src/types/core.js';
+import { mockApiClient, mockLogger, resetAllMocks, createCachedResponse } from '../setup.js';
+
+const apiClient = { ...mockApiClient, getSessionToken: vi.fn().mockResolvedValue('test-token') };
+
+const cards = [
+  { id: 12, name: 'Revenue by Month' },
+  { id: 7, name: 'Monthly Revenue' },
+  { id: 3, name: 'Orders' },
+  { id: 120, name: 'Refunds', archived: true },
+];
+
+function complete(ref: Record<string, string>, name: string, value: string) {
+  return handleComplete(
+    {
+      method: 'completion/complete',
+      params: { ref: ref as any, argument: { name, value } },
+    },
+    apiClient as any,
+    mockLogger.logInfo,
+    mockLogger.logWarn
+  );
+}
+
+describe('Completion', () => {
+  beforeEach(() => {
+    resetAllMocks();
+    mockApiClient.getCardsList.mockResolvedValue(createCachedResponse(cards));
+  });
+
+  it('should rank name prefix matches before later word matches and skip archived items', () => {
+    expect(matchCompletionItems(cards, 'rev').map(card => card.id)).toEqual([12, 7]);
+    expect(matchCompletionItems(cards, '12').map(card => card.id)).toEqual([12]);
+    expect(matchCompletionItems(cards, '').map(card => card.id)).toEqual([7, 3, 12]);
+    expect(matchCompletionItems([{ id: 'root', name: 'Our analytics' }], 'our')).toEqual([]);
+  });
+
+  it('should complete prompt ID arguments from the cached lists', async () => {
+    const result = await complete({ type: 'ref/prompt', name: 'execute_card' }, 'card_id', 'Rev');
+
+    expect(result.completion).toEqual({ values: ['12', '7'], total: 2, hasMore: false });
+    expect(mockApiClient.getCardsList).toHaveBeenCalledTimes(1);
+  });
+
+  it('should complete the ID of resource templates', async () => {
+    mockApiClient.getDatabasesList.mockResolvedValue(
+      createCachedResponse([
+        { id: 1, name: 'Sample Database' },
+        { id: 2, name: 'Warehouse' },
+      ])
+    );
+
+    const result = await complete(
+      { type: 'ref/resource', uri: 'metabase://database/{id}' },
+      'id',
+      'ware'
+    );
+
+    expect(result.completion.values).toEqual(['2']);
+  });
+
+  it('should return no values for free text arguments and other templates', async () => {
+    const empty = { values: [], total: 0, hasMore: false };
+
+    expect(
+      (await complete({ type: 'ref/prompt', name: 'execute_card' }, 'filters', 'la')).completion
+    ).toEqual(empty);
+    expect(
+      (await complete({ type: 'ref/resource', uri: 'metabase://recent/{model}' }, 'model', 'c'))
+        .completion
+    ).toEqual(empty);
+    expect(mockApiClient.getCardsList).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown prompts and fall back to no values when the list fails', async () => {
+    await expect(complete({ type: 'ref/prompt', name: 'missing' }, 'card_id', '1')).rejects.toThrow(
+      McpError
+    );
+
+    mockApiClient.getCardsList.mockRejectedValue(new Error('Metabase unavailable'));
+    const result = await complete({ type: 'ref/resource', uri: 'metabase://card/{id}' }, 'id', '1');
+
+    expect(result.completion.values).toEqual([]);
+    expect(mockLogger.logWarn).toHaveBeenCalledWith(
+      'Failed to load card list for completion',
+      expect.any(Object),
+      expect.any(Error)
+    );
+  });
+
+  it('should fall back to no values when authentication fails', async () => {
+    apiClient.getSessionToken.mockRejectedValueOnce(new Error('Invalid credentials'));
+
+    const result = await complete({ type: 'ref/prompt', name: 'execute_card' }, 'card_id', 'Rev');
+
+    expect(result.completion).toEqual({ values: [], total: 0, hasMore: false });
+    expect(mockApiClient.getCardsList).not.toHaveBeenCalled();
+  });
+});
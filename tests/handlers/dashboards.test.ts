@@ -0,0 +1,254 @@
+/**
+ * Unit tests for the create_dashboard handler
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { handleCreateDashboard } from '../../src/handlers/dashboards/index.js';
+import { layoutDashcards, defaultDashcardSize } from '../../src/handlers/dashboards/layout.js';
+import { config } from '../../src/config.js';
+import {
+  mockApiClient,
+  resetAllMocks,
+  createMockRequest,
+  createCachedResponse,
+  getLoggerFunctions,
+  mockLogger,
+} from '../setup.js';
+
+function sqlCard(id: number, display: string, tags: Record<string, any> = {}) {
+  return {
+    id,
+    name: `Card ${id}`,
+    display,
+    dataset_query: { type: 'native', database: 1, native: { query: 'SELECT 1', 'template-tags': tags } },
+  };
+}
+
+const cards: Record<number, any> = {
+  1: sqlCard(1, 'scalar', { state: { id: 't1', name: 'state', type: 'text' } }),
+  2: sqlCard(2, 'bar', {
+    state: { id: 't2', name: 'state', type: 'text' },
+    created: { id: 't3', name: 'created', type: 'dimension', 'widget-type': 'date/all-options' },
+  }),
+  3: sqlCard(3, 'table'),
+};
+
+async function runCreateDashboard(args: Record<string, any>) {
+  const request = createMockRequest('create_dashboard', args);
+  const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+  const result = await handleCreateDashboard(
+    request,
+    'test-request-id',
+    mockApiClient as any,
+    logDebug,
+    logInfo,
+    logWarn,
+    logError
+  );
+  return JSON.parse(result.content[0].text);
+}
+
+describe('handleCreateDashboard (create_dashboard command)', () => {
+  beforeEach(() => {
+    resetAllMocks();
+    config.WRITE_TOOLS_ENABLED = true;
+    mockApiClient.getCard.mockImplementation(async (id: number) => {
+      if (!cards[id]) {
+        throw new Error('Card not found');
+      }
+      return createCachedResponse(cards[id]);
+    });
+    mockApiClient.createDashboard.mockImplementation(async (dashboard: any) => ({
+      id: 30,
+      ...dashboard,
+    }));
+    mockApiClient.updateDashboard.mockImplementation(async (id: number, changes: any) => ({
+      id,
+      name: 'Sales',
+      collection_id: 4,
+      parameters: changes.parameters,
+      dashcards: changes.dashcards.map((dashcard: any, index: number) => ({
+        ...dashcard,
+        id: 500 + index,
+        dashboard_id: id,
+        card: cards[dashcard.card_id],
+      })),
+    }));
+  });
+
+  afterEach(() => {
+    config.WRITE_TOOLS_ENABLED = false;
+  });
+
+  it('should be gated behind WRITE_TOOLS_ENABLED', async () => {
+    config.WRITE_TOOLS_ENABLED = false;
+
+    await expect(runCreateDashboard({ name: 'Sales' })).rejects.toThrow(
+      'Write tools are disabled: create_dashboard is not available'
+    );
+    expect(mockApiClient.createDashboard).not.toHaveBeenCalled();
+  });
+
+  it('should create the dashboard, lay out cards and wire filters by slug', async () => {
+    const response = await runCreateDashboard({
+      name: 'Sales',
+      collection_id: 4,
+      cards: [{ card_id: 1 }, { card_id: 2 }, { card_id: 3 }],
+      filters: [{ name: 'State' }, { name: 'Created', targets: [{ card_id: 2, tag: 'created' }] }],
+    });
+
+    expect(mockApiClient.createDashboard).toHaveBeenCalledWith({
+      name: 'Sales',
+      description: null,
+      collection_id: 4,
+      parameters: [],
+    });
+
+    const [dashboardId, changes] = mockApiClient.updateDashboard.mock.calls[0];
+    expect(dashboardId).toBe(30);
+    const [stateFilter, createdFilter] = changes.parameters;
+    expect(stateFilter).toMatchObject({ name: 'State', slug: 'state', type: 'string/=' });
+    expect(createdFilter).toMatchObject({ slug: 'created', type: 'date/all-options', sectionId: 'date' });
+
+    expect(changes.dashcards).toEqual([
+      {
+        id: -1,
+        card_id: 1,
+        row: 0,
+        col: 0,
+        size_x: 6,
+        size_y: 3,
+        parameter_mappings: [
+          { parameter_id: stateFilter.id, card_id: 1, target: ['variable', ['template-tag', 'state']] },
+        ],
+        visualization_settings: {},
+        series: [],
+      },
+      expect.objectContaining({
+        id: -2,
+        card_id: 2,
+        row: 0,
+        col: 6,
+        size_x: 12,
+        size_y: 6,
+        parameter_mappings: [
+          { parameter_id: stateFilter.id, card_id: 2, target: ['variable', ['template-tag', 'state']] },
+          {
+            parameter_id: createdFilter.id,
+            card_id: 2,
+            target: ['dimension', ['template-tag', 'created']],
+          },
+        ],
+      }),
+      expect.objectContaining({ id: -3, card_id: 3, row: 6, col: 0, size_x: 12, size_y: 8, parameter_mappings: [] }),
+    ]);
+
+    expect(response).toMatchObject({
+      success: true,
+      action: 'created',
+      dashboard_id: 30,
+      collection_id: 4,
+      resource_uri: 'metabase://dashboard/30',
+      filters: [
+        { id: stateFilter.id, name: 'State', slug: 'state', type: 'string/=' },
+        { id: createdFilter.id, name: 'Created', slug: 'created', type: 'date/all-options' },
+      ],
+    });
+    expect(response.dashcards[1]).toEqual({
+      id: 501,
+      card_id: 2,
+      card_name: 'Card 2',
+      row: 0,
+      col: 6,
+      size_x: 12,
+      size_y: 6,
+      filters: ['state', 'created'],
+    });
+  });
+
+  it('should validate filters before creating anything', async () => {
+    await expect(
+      runCreateDashboard({ name: 'Sales', cards: [{ card_id: 3 }], filters: [{ name: 'Region' }] })
+    ).rejects.toThrow('Invalid parameter: filters.region');
+
+    await expect(
+      runCreateDashboard({
+        name: 'Sales',
+        cards: [{ card_id: 2 }],
+        filters: [{ name: 'State', targets: [{ card_id: 2, tag: 'region' }] }],
+      })
+    ).rejects.toThrow('Invalid parameter: filters.state.targets.tag');
+
+    await expect(
+      runCreateDashboard({
+        name: 'Sales',
+        cards: [{ card_id: 2 }],
+        filters: [{ name: 'State', targets: [{ card_id: 1, tag: 'state' }] }],
+      })
+    ).rejects.toThrow('Invalid parameter: filters.state.targets.card_id');
+
+    expect(mockApiClient.createDashboard).not.toHaveBeenCalled();
+  });
+
+  it('should not create a dashboard when a card cannot be retrieved', async () => {
+    await expect(runCreateDashboard({ name: 'Sales', cards: [{ card_id: 99 }] })).rejects.toThrow(
+      'Card retrieval failed'
+    );
+    expect(mockApiClient.createDashboard).not.toHaveBeenCalled();
+  });
+
+  it('should create an empty dashboard without a second update', async () => {
+    const response = await runCreateDashboard({ name: 'Empty' });
+
+    expect(mockApiClient.updateDashboard).not.toHaveBeenCalled();
+    expect(response).toMatchObject({ dashboard_id: 30, dashcards: [], filters: [] });
+  });
+
+  it('should archive the half-built dashboard when adding cards fails', async () => {
+    mockApiClient.updateDashboard
+      .mockRejectedValueOnce(new Error('Invalid dashcard'))
+      .mockResolvedValueOnce({ id: 30, archived: true });
+
+    await expect(runCreateDashboard({ name: 'Sales', cards: [{ card_id: 1 }] })).rejects.toThrow(
+      'Adding cards and filters to new dashboard 30 (it was archived, so create_dashboard can safely be called again) failed'
+    );
+    expect(mockApiClient.updateDashboard).toHaveBeenLastCalledWith(30, { archived: true });
+  });
+
+  it('should name the half-built dashboard when it cannot be archived', async () => {
+    mockApiClient.updateDashboard.mockRejectedValue(new Error('Metabase unavailable'));
+
+    await expect(runCreateDashboard({ name: 'Sales', cards: [{ card_id: 1 }] })).rejects.toThrow(
+      'new dashboard 30 (it was left empty and could not be archived'
+    );
+    expect(mockLogger.logWarn).toHaveBeenCalledWith(
+      'Failed to archive empty dashboard 30',
+      expect.any(Object),
+      expect.any(Error)
+    );
+  });
+});
+
+describe('Dashboard layout', () => {
+  it('should size cards by display type', () => {
+    expect(defaultDashcardSize('scalar')).toEqual({ size_x: 6, size_y: 3 });
+    expect(defaultDashcardSize('table')).toEqual({ size_x: 12, size_y: 8 });
+    expect(defaultDashcardSize('line')).toEqual({ size_x: 12, size_y: 6 });
+  });
+
+  it('should wrap rows at the grid width using the tallest card of each row', () => {
+    expect(
+      layoutDashcards([
+        { size_x: 12, size_y: 6 },
+        { size_x: 12, size_y: 4 },
+        { size_x: 24, size_y: 2 },
+        { size_x: 30, size_y: 2 },
+      ])
+    ).toEqual([
+      { row: 0, col: 0, size_x: 12, size_y: 6 },
+      { row: 0, col: 12, size_x: 12, size_y: 4 },
+      { row: 6, col: 0, size_x: 24, size_y: 2 },
+      { row: 8, col: 0, size_x: 24, size_y: 2 },
+    ]);
+  });
+});
@@ -2,9 +2,12 @@
  * Unit tests for the executeQuery handler
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi, MockInstance } from 'vitest';
 import { handleExecute } from '../../src/handlers/execute/index.js';
+import { ExecuteCursorStore, getCursorStore } from '../../src/handlers/execute/cursorStore.js';
 import { McpError } from '../../src/types/core.js';
+import { MetabaseApiClient } from '../../src/api.js';
+import { config } from '../../src/config.js';
 import {
   mockApiClient,
   mockLogger,
@@ -367,6 +370,21 @@ describe('handleExecute (execute command)', () => {
       expect(result.content[0].text).toContain('success');
     });
 
+    it('should block non read-only SQL before calling the API', async () => {
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+
+      const request = createMockRequest('execute', {
+        database_id: 1,
+        query: 'DELETE FROM users'
+      });
+
+      await expect(
+        handleExecute(request, 'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError)
+      ).rejects.toThrow('Read-only SQL policy violation');
+
+      expect(mockApiClient.request).not.toHaveBeenCalled();
+    });
+
     it('should use custom row limit', async () => {
       mockApiClient.request.mockResolvedValue(sampleQueryResult);
       const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
@@ -393,6 +411,58 @@ describe('handleExecute (execute command)', () => {
       });
     });
 
+    it('should apply the row limit using the database engine syntax', async () => {
+      mockApiClient.getDatabase.mockResolvedValue({
+        data: { id: 1, engine: 'sqlserver' },
+        source: 'api',
+        fetchTime: 10,
+      });
+      mockApiClient.request.mockResolvedValue(sampleQueryResult);
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+
+      const request = createMockRequest('execute', {
+        database_id: 1,
+        query: 'SELECT * FROM users',
+        row_limit: 100
+      });
+
+      const result = await handleExecute(request, 'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError);
+
+      expect(mockApiClient.getDatabase).toHaveBeenCalledWith(1);
+      const responseData = JSON.parse(result.content[0].text);
+      expect(responseData.query).toBe('SELECT TOP 100 * FROM users');
+      expect(responseData.applied_limit).toBe(100);
+      expect(responseData.limit_strategy).toEqual({
+        strategy: 'top',
+        engine: 'sqlserver',
+        detail: 'Inserted TOP 100 into the SELECT clause',
+      });
+    });
+
+    it('should fall back to LIMIT when the database engine cannot be determined', async () => {
+      mockApiClient.getDatabase.mockRejectedValue(new Error('Forbidden'));
+      mockApiClient.request.mockResolvedValue(sampleQueryResult);
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+
+      const request = createMockRequest('execute', {
+        database_id: 1,
+        query: 'SELECT * FROM users',
+        row_limit: 100
+      });
+
+      const result = await handleExecute(request, 'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError);
+
+      const responseData = JSON.parse(result.content[0].text);
+      expect(responseData.query).toBe('SELECT * FROM users LIMIT 100');
+      expect(responseData.limit_strategy.strategy).toBe('append_limit');
+      expect(responseData.limit_strategy.engine).toBe('unknown');
+      expect(mockLogger.logWarn).toHaveBeenCalledWith(
+        'Could not determine engine for database 1, using standard LIMIT syntax',
+        { requestId: 'test-request-id' },
+        expect.any(Error)
+      );
+    });
+
     it('should preserve existing LIMIT clause if more restrictive', async () => {
       mockApiClient.request.mockResolvedValue(sampleQueryResult);
       const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
@@ -531,6 +601,120 @@ describe('handleExecute (execute command)', () => {
       expect(result.content[0].text).toContain('card_id');
     });
 
+    it('should resolve card_filters against the card parameters', async () => {
+      mockApiClient.getCard.mockResolvedValue({
+        data: {
+          id: 123,
+          name: 'Orders by region',
+          parameters: [
+            {
+              id: 'p-region',
+              slug: 'region',
+              name: 'Region',
+              type: 'category',
+              target: ['variable', ['template-tag', 'region']],
+            },
+            {
+              id: 'p-created',
+              slug: 'created_at',
+              name: 'Created at',
+              type: 'date/all-options',
+              target: ['dimension', ['template-tag', 'created_at']],
+            },
+          ],
+        },
+        source: 'cache',
+        fetchTime: 0,
+      });
+      mockApiClient.request.mockResolvedValue(sampleCardResult);
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+
+      await handleExecute(
+        createMockRequest('execute', {
+          card_id: 123,
+          card_filters: { Region: 'EU', created_at: '2024-01-01 to 2024-03-31' },
+        }),
+        'test-request-id',
+        mockApiClient as any,
+        logDebug,
+        logInfo,
+        logWarn,
+        logError
+      );
+
+      expect(mockApiClient.getCard).toHaveBeenCalledWith(123);
+      const body = JSON.parse(mockApiClient.request.mock.calls[0][1].body);
+      expect(body.parameters).toEqual([
+        expect.objectContaining({ id: 'p-region', value: 'EU' }),
+        expect.objectContaining({
+          id: 'p-created',
+          target: ['dimension', ['template-tag', 'created_at']],
+          value: '2024-01-01~2024-03-31',
+        }),
+      ]);
+    });
+
+    it('should reject card_filters that repeat card_parameters or are used outside card mode', async () => {
+      mockApiClient.getCard.mockResolvedValue({
+        data: {
+          id: 123,
+          name: 'Orders by region',
+          parameters: [
+            {
+              id: 'p-region',
+              slug: 'region',
+              name: 'Region',
+              type: 'category',
+              target: ['variable', ['template-tag', 'region']],
+            },
+            {
+              id: 'p-created',
+              slug: 'created_at',
+              name: 'Created at',
+              type: 'date/all-options',
+              target: ['dimension', ['template-tag', 'created_at']],
+            },
+          ],
+        },
+        source: 'cache',
+        fetchTime: 0,
+      });
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+      const execute = (args: Record<string, unknown>) =>
+        handleExecute(
+          createMockRequest('execute', args),
+          'test-request-id',
+          mockApiClient as any,
+          logDebug,
+          logInfo,
+          logWarn,
+          logError
+        );
+
+      await expect(
+        execute({
+          card_id: 123,
+          card_parameters: [
+            {
+              id: 'p-region',
+              slug: 'region',
+              type: 'category',
+              target: ['variable', ['template-tag', 'region']],
+              value: 'US',
+            },
+          ],
+          card_filters: { region: 'EU' },
+        })
+      ).rejects.toThrow('Invalid parameter: card_filters.region');
+      await expect(execute({ card_id: 123, card_filters: { region: [] } })).rejects.toThrow(
+        'Invalid execute arguments'
+      );
+      await expect(
+        execute({ database_id: 1, query: 'SELECT 1', card_filters: { region: 'EU' } })
+      ).rejects.toThrow('SQL execution mode only allows');
+      expect(mockApiClient.request).not.toHaveBeenCalled();
+    });
+
     it('should successfully execute a card with parameters', async () => {
       mockApiClient.request.mockResolvedValue(sampleCardResult);
       const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
@@ -920,4 +1104,519 @@ describe('handleExecute (execute command)', () => {
       });
     });
   });
+
+  describe('MBQL execution', () => {
+    const ordersTable = {
+      id: 12,
+      db_id: 3,
+      fields: [
+        { id: 101, name: 'TOTAL', base_type: 'type/Float' },
+        { id: 102, name: 'STATUS', base_type: 'type/Text' },
+      ],
+    };
+
+    beforeEach(() => {
+      mockApiClient.getTable.mockResolvedValue({ data: ordersTable, source: 'api', fetchTime: 1 });
+    });
+
+    it('should compile the spec against table metadata and cap it at row_limit', async () => {
+      mockApiClient.request.mockResolvedValue(sampleQueryResult);
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+
+      const request = createMockRequest('execute', {
+        mbql: {
+          source_table: 12,
+          aggregations: [{ type: 'sum', field: 'total' }],
+          breakouts: ['STATUS'],
+          limit: 5000,
+        },
+        row_limit: 100,
+      });
+
+      const result = await handleExecute(request, 'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError);
+
+      expect(mockApiClient.getTable).toHaveBeenCalledWith(12);
+      expect(mockApiClient.request).toHaveBeenCalledWith('/api/dataset', {
+        method: 'POST',
+        body: JSON.stringify({
+          type: 'query',
+          database: 3,
+          query: {
+            'source-table': 12,
+            aggregation: [['sum', ['field', 101, null]]],
+            breakout: [['field', 102, null]],
+            limit: 100,
+          },
+        }),
+      });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response).toMatchObject({
+        success: true,
+        database_id: 3,
+        source_table: 12,
+        applied_limit: 100,
+        row_count: 2,
+      });
+    });
+
+    it('should reject fields that do not exist before querying', async () => {
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+      const request = createMockRequest('execute', {
+        mbql: { source_table: 12, filters: [{ field: 'REGION', operator: '=', value: 'EU' }] },
+      });
+
+      await expect(
+        handleExecute(request, 'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError)
+      ).rejects.toThrow('Invalid parameter: mbql.filters[0].field');
+      expect(mockApiClient.request).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed specs and mixed modes', async () => {
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+
+      await expect(
+        handleExecute(
+          createMockRequest('execute', { mbql: { source_table: 'orders' } }),
+          'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError
+        )
+      ).rejects.toThrow('mbql.source_table');
+
+      await expect(
+        handleExecute(
+          createMockRequest('execute', { mbql: { source_table: 12 }, database_id: 1 }),
+          'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError
+        )
+      ).rejects.toThrow('MBQL execution mode only allows mbql and row_limit parameters');
+      expect(mockApiClient.getTable).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Result cursors', () => {
+    const userRows = (ids: number[]) => ({
+      data: {
+        rows: ids.map(id => [id, `User ${id}`]),
+        cols: [{ name: 'id' }, { name: 'name' }],
+      },
+    });
+
+    const run = async (args: Record<string, any>) => {
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+      const result = await handleExecute(
+        createMockRequest('execute', args),
+        'test-request-id',
+        mockApiClient as any,
+        logDebug,
+        logInfo,
+        logWarn,
+        logError
+      );
+      return JSON.parse(result.content[0].text);
+    };
+
+    const sentQuery = (call: number) =>
+      JSON.parse(mockApiClient.request.mock.calls[call][1].body).native.query;
+
+    beforeEach(() => {
+      getCursorStore(mockApiClient as any).clear();
+    });
+
+    it('should return a cursor for full SQL pages and fetch the next page with OFFSET', async () => {
+      mockApiClient.request
+        .mockResolvedValueOnce(userRows([1, 2]))
+        .mockResolvedValueOnce(userRows([3]));
+
+      const first = await run({ database_id: 1, query: 'SELECT * FROM users', row_limit: 2 });
+      expect(first.next_cursor).toEqual(expect.any(String));
+      expect(first.cursor_expires_at).toEqual(expect.any(String));
+      expect(first.next_cursor).not.toContain('SELECT');
+
+      const second = await run({ cursor: first.next_cursor });
+      expect(sentQuery(1)).toBe('SELECT * FROM users LIMIT 2 OFFSET 2');
+      expect(second.row_count).toBe(1);
+      expect(second.pagination).toMatchObject({ strategy: 'offset', offset: 2, page_size: 2 });
+      expect(second.next_cursor).toBeUndefined();
+    });
+
+    it('should not return a cursor when the result fits in one page', async () => {
+      mockApiClient.request.mockResolvedValue(userRows([1]));
+
+      const result = await run({ database_id: 1, query: 'SELECT * FROM users', row_limit: 2 });
+      expect(result.next_cursor).toBeUndefined();
+    });
+
+    it('should not return a cursor when the query keeps its own smaller LIMIT', async () => {
+      mockApiClient.request.mockResolvedValue(userRows([1, 2]));
+
+      const result = await run({ database_id: 1, query: 'SELECT * FROM users LIMIT 2', row_limit: 100 });
+      expect(result.limit_strategy.strategy).toBe('existing_limit');
+      expect(result.next_cursor).toBeUndefined();
+    });
+
+    it('should page by a keyset column when requested', async () => {
+      mockApiClient.request
+        .mockResolvedValueOnce(userRows([10, 20]))
+        .mockResolvedValueOnce(userRows([30, 40]));
+
+      const first = await run({
+        database_id: 1,
+        query: 'SELECT * FROM users',
+        row_limit: 2,
+        keyset_column: 'id',
+      });
+      expect(sentQuery(0)).toBe(
+        'SELECT * FROM (SELECT * FROM users) mb_row_limit ORDER BY mb_row_limit.id LIMIT 2'
+      );
+      expect(first.limit_strategy.strategy).toBe('keyset');
+
+      const second = await run({ cursor: first.next_cursor });
+      expect(sentQuery(1)).toBe(
+        'SELECT * FROM (SELECT * FROM users) mb_row_limit WHERE mb_row_limit.id > 20 ORDER BY mb_row_limit.id LIMIT 2'
+      );
+      expect(second.pagination.strategy).toBe('keyset');
+      expect(second.next_cursor).toEqual(expect.any(String));
+    });
+
+    it('should reject keyset columns that are not plain identifiers', async () => {
+      await expect(
+        run({ database_id: 1, query: 'SELECT * FROM users', keyset_column: 'id) --' })
+      ).rejects.toThrow('keyset_column must be a plain column name');
+      expect(mockApiClient.request).not.toHaveBeenCalled();
+    });
+
+    it('should reject keyset columns missing from the results', async () => {
+      mockApiClient.request.mockResolvedValue(userRows([1, 2]));
+
+      await expect(
+        run({ database_id: 1, query: 'SELECT * FROM users', row_limit: 2, keyset_column: 'missing' })
+      ).rejects.toThrow('Invalid parameter: keyset_column');
+    });
+
+    it('should page card results by running the card query compiled to SQL', async () => {
+      mockApiClient.getCard.mockResolvedValue({
+        data: {
+          id: 7,
+          database_id: 1,
+          dataset_query: { type: 'query', database: 1, query: { 'source-table': 10 } },
+        },
+        source: 'cache',
+        fetchTime: 0,
+      });
+      mockApiClient.getDatabase.mockResolvedValue({
+        data: { id: 1, engine: 'postgres' },
+        source: 'cache',
+        fetchTime: 0,
+      });
+      mockApiClient.request.mockImplementation(async (path: string) => {
+        if (path === '/api/dataset/native') {
+          return { query: 'SELECT "id", "name" FROM "users"', params: null };
+        }
+        return path === '/api/dataset' ? userRows([3, 4]) : userRows([1, 2, 3, 4, 5]);
+      });
+
+      const first = await run({
+        card_id: 7,
+        row_limit: 2,
+        card_parameters: [
+          { id: 'p', slug: 'x', type: 'category', value: 'x', target: ['variable', ['template-tag', 'x']] },
+        ],
+      });
+      expect(first.next_cursor).toEqual(expect.any(String));
+      const [compilePath, compileInit] = mockApiClient.request.mock.calls[1];
+      expect(compilePath).toBe('/api/dataset/native');
+      expect(JSON.parse(compileInit.body)).toMatchObject({
+        type: 'query',
+        parameters: [{ id: 'p', value: 'x' }],
+      });
+
+      const second = await run({ cursor: first.next_cursor });
+      expect(sentQuery(2)).toBe('SELECT "id", "name" FROM "users" LIMIT 2 OFFSET 2');
+      expect(second).toMatchObject({
+        card_id: 7,
+        database_id: 1,
+        row_count: 2,
+        pagination: { strategy: 'offset', offset: 2, page_size: 2 },
+      });
+      // A full page continues past the rows the card endpoint returned
+      expect(second.next_cursor).toEqual(expect.any(String));
+    });
+
+    it('should page through cached card results when the card query cannot be compiled', async () => {
+      mockApiClient.getCard.mockRejectedValue(new Error('Forbidden'));
+      mockApiClient.request.mockResolvedValue(userRows([1, 2, 3, 4, 5]));
+
+      const first = await run({ card_id: 7, row_limit: 2 });
+      expect(first.row_count).toBe(2);
+      expect(first.next_cursor).toEqual(expect.any(String));
+
+      const second = await run({ cursor: first.next_cursor });
+      expect(second.data.data.rows).toEqual([
+        [3, 'User 3'],
+        [4, 'User 4'],
+      ]);
+      expect(second.pagination).toEqual({ strategy: 'cached_result', offset: 2, page_size: 2 });
+
+      const third = await run({ cursor: second.next_cursor, row_limit: 10 });
+      expect(third.row_count).toBe(1);
+      expect(third.next_cursor).toBeUndefined();
+      expect(mockApiClient.request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown cursors', async () => {
+      await expect(run({ cursor: 'does-not-exist' })).rejects.toThrow('Invalid or expired cursor');
+      expect(mockLogger.logWarn).toHaveBeenCalledWith('Unknown or expired execute cursor', {
+        requestId: 'test-request-id',
+      });
+    });
+
+    it('should reject cursors combined with query parameters', async () => {
+      await expect(run({ cursor: 'abc', database_id: 1 })).rejects.toThrow(
+        'Cursor mode only allows cursor and row_limit parameters'
+      );
+    });
+
+    it('should not share cursors between API clients', async () => {
+      const issued = getCursorStore(mockApiClient as any).create({
+        mode: 'card',
+        cardId: 1,
+        response: userRows([1, 2, 3]),
+        totalRows: 3,
+        pageSize: 1,
+        offset: 1,
+      });
+
+      expect(getCursorStore({} as any).get(issued.cursor)).toBeNull();
+      expect(getCursorStore(mockApiClient as any).get(issued.cursor)).not.toBeNull();
+    });
+
+    describe('ExecuteCursorStore', () => {
+      afterEach(() => {
+        vi.useRealTimers();
+      });
+
+      it('should expire cursors after the TTL', () => {
+        vi.useFakeTimers();
+        const store = new ExecuteCursorStore(1000);
+        const { cursor } = store.create({
+          mode: 'card',
+          cardId: 1,
+          response: {},
+          totalRows: 0,
+          pageSize: 1,
+          offset: 0,
+        });
+
+        vi.advanceTimersByTime(999);
+        expect(store.get(cursor)).not.toBeNull();
+        vi.advanceTimersByTime(1);
+        expect(store.get(cursor)).toBeNull();
+      });
+
+      it('should evict the oldest cursor beyond the limit', () => {
+        const store = new ExecuteCursorStore(60000, 2);
+        const state = { mode: 'card' as const, cardId: 1, response: {}, totalRows: 0, pageSize: 1, offset: 0 };
+        const first = store.create(state);
+        store.create(state);
+        store.create(state);
+
+        expect(store.size).toBe(2);
+        expect(store.get(first.cursor)).toBeNull();
+      });
+    });
+  });
+
+  describe('Schema check', () => {
+    const execute = (args: Record<string, unknown>) => {
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+      return handleExecute(
+        createMockRequest('execute', args),
+        'test-request-id',
+        mockApiClient as any,
+        logDebug,
+        logInfo,
+        logWarn,
+        logError
+      );
+    };
+
+    beforeEach(() => {
+      mockApiClient.getDatabase.mockResolvedValue({
+        data: {
+          id: 1,
+          engine: 'postgres',
+          tables: [
+            { id: 10, name: 'orders', schema: 'public' },
+            { id: 11, name: 'customers', schema: 'public' },
+          ],
+        },
+        source: 'cache',
+        fetchTime: 0,
+      });
+      const fields: Record<number, string[]> = {
+        10: ['id', 'total', 'customer_id'],
+        11: ['id', 'name'],
+      };
+      mockApiClient.getTable.mockImplementation(async (id: number) => ({
+        data: { id, fields: fields[id].map(name => ({ name })) },
+        source: 'cache',
+        fetchTime: 0,
+      }));
+      mockApiClient.request.mockResolvedValue(sampleQueryResult);
+    });
+
+    afterEach(() => {
+      config.SQL_SCHEMA_CHECK_BLOCKING = false;
+    });
+
+    it('should run the query and report unknown identifiers as warnings by default', async () => {
+      const result = await execute({
+        database_id: 1,
+        query: 'SELECT o.totl FROM ordrs o JOIN pg_stat_activity a ON true',
+      });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(true);
+      // Tables unlike any synced table, such as catalog tables, are left to the database
+      expect(response.schema_warnings).toEqual([
+        { type: 'table', name: 'ordrs', suggestions: ['orders'] },
+      ]);
+      expect(mockApiClient.request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown tables and columns with suggestions before running the query when blocking', async () => {
+      config.SQL_SCHEMA_CHECK_BLOCKING = true;
+
+      await expect(execute({ database_id: 1, query: 'SELECT * FROM ordrs' })).rejects.toThrow(
+        'Unknown table "ordrs" (did you mean "orders"?)'
+      );
+      await expect(
+        execute({ database_id: 1, query: 'SELECT o.totl FROM orders o' })
+      ).rejects.toMatchObject({
+        message: 'Unknown column "o.totl" in table "public.orders" (did you mean "total"?)',
+        details: {
+          additionalContext: {
+            databaseId: 1,
+            unknownIdentifiers: [
+              { type: 'column', name: 'o.totl', table: 'public.orders', suggestions: ['total'] },
+            ],
+          },
+        },
+      });
+
+      expect(mockApiClient.getTable).toHaveBeenCalledWith(10);
+      expect(mockApiClient.request).not.toHaveBeenCalled();
+      expect(mockLogger.logWarn).toHaveBeenCalledWith(
+        'SQL query references unknown identifiers in database 1',
+        { requestId: 'test-request-id', unknown: ['o.totl'] }
+      );
+    });
+
+    it('should run queries that resolve, or whose fields cannot be loaded', async () => {
+      const result = await execute({
+        database_id: 1,
+        query: 'SELECT o.total, c.name FROM orders o JOIN customers c ON c.id = o.customer_id',
+      });
+      expect(JSON.parse(result.content[0].text).success).toBe(true);
+
+      mockApiClient.getTable.mockRejectedValue(new Error('Forbidden'));
+      await execute({ database_id: 1, query: 'SELECT o.anything FROM orders o' });
+      expect(mockApiClient.request).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip the check when asked to', async () => {
+      config.SQL_SCHEMA_CHECK_BLOCKING = true;
+      await execute({ database_id: 1, query: 'SELECT * FROM ordrs', skip_schema_check: true });
+      expect(mockApiClient.request).toHaveBeenCalledTimes(1);
+
+      await expect(
+        execute({ database_id: 1, query: 'SELECT 1', skip_schema_check: 'yes' })
+      ).rejects.toThrow('skip_schema_check parameter must be a boolean');
+      await expect(execute({ card_id: 1, skip_schema_check: true })).rejects.toThrow(
+        'Card execution mode only allows card_id, card_parameters, card_filters, and row_limit parameters'
+      );
+    });
+  });
+
+  describe('Result cache', () => {
+    let client: MetabaseApiClient;
+    let request: MockInstance<MetabaseApiClient['request']>;
+
+    const run = async (args: Record<string, any>) => {
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+      const result = await handleExecute(
+        createMockRequest('execute', args),
+        'test-request-id',
+        client,
+        logDebug,
+        logInfo,
+        logWarn,
+        logError
+      );
+      return JSON.parse(result.content[0].text);
+    };
+
+    beforeEach(() => {
+      client = new MetabaseApiClient();
+      vi.spyOn(client, 'getDatabase').mockResolvedValue({
+        data: { id: 1, engine: 'postgres' },
+        source: 'cache',
+        fetchTime: 0,
+      });
+      request = vi.spyOn(client, 'request').mockResolvedValue(sampleQueryResult);
+    });
+
+    it('should answer repeated SQL from the cache until it is cleared', async () => {
+      const first = await run({ database_id: 1, query: 'SELECT * FROM users' });
+      const second = await run({ database_id: 1, query: '  SELECT *\n  FROM users;' });
+
+      expect([first.source, second.source]).toEqual(['api', 'cache']);
+      expect(second.data).toEqual(first.data);
+      expect(request).toHaveBeenCalledTimes(1);
+
+      // Another row limit, database or parameter set is a different query
+      await run({ database_id: 1, query: 'SELECT * FROM users', row_limit: 10 });
+      await run({ database_id: 2, query: 'SELECT * FROM users' });
+      await run({
+        database_id: 1,
+        query: 'SELECT * FROM users',
+        native_parameters: [{ type: 'category', value: 'a' }],
+      });
+      expect(request).toHaveBeenCalledTimes(4);
+
+      client.clearResultCaches();
+      expect((await run({ database_id: 1, query: 'SELECT * FROM users' })).source).toBe('api');
+      expect(request).toHaveBeenCalledTimes(5);
+    });
+
+    it('should not cache failed queries', async () => {
+      request.mockResolvedValue({ status: 'failed', error: 'Query timed out', data: { rows: [] } });
+
+      await run({ database_id: 1, query: 'SELECT * FROM users' });
+      await run({ database_id: 1, query: 'SELECT * FROM users' });
+
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    it('should share cached card results across row limits until the card changes', async () => {
+      request.mockResolvedValue({ data: { rows: [[1], [2], [3]], cols: [{ name: 'id' }] } });
+
+      const first = await run({ card_id: 7, row_limit: 3 });
+      const second = await run({ card_id: 7, row_limit: 1 });
+      expect([first.source, second.source]).toEqual(['api', 'cache']);
+      expect(second.row_count).toBe(1);
+
+      expect((await run({ card_id: 7, card_parameters: [] })).source).toBe('cache');
+      await run({
+        card_id: 7,
+        card_parameters: [
+          { id: 'p', slug: 'id', type: 'category', target: ['variable', ['template-tag', 'id']], value: 1 },
+        ],
+      });
+      // Card runs only; issuing a cursor also compiles the card query
+      expect(request.mock.calls.filter(([path]) => path === '/api/card/7/query/json')).toHaveLength(2);
+
+      client.invalidateCard(7);
+      expect((await run({ card_id: 7 })).source).toBe('api');
+    });
+  });
 });
@@ -0,0 +1,268 @@
+/**
+ * Unit tests for the executeDashboard handler
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { handleExecuteDashboard } from '../../src/handlers/executeDashboard/index.js';
+import {
+  buildDashcardParameters,
+  resolveDashboardFilters,
+} from '../../src/handlers/executeDashboard/parameterMapping.js';
+import { McpError } from '../../src/types/core.js';
+import {
+  mockApiClient,
+  mockLogger,
+  resetAllMocks,
+  createMockRequest,
+  createCachedResponse,
+  getLoggerFunctions,
+  sampleQueryResult,
+} from '../setup.js';
+
+const filteredDashboard = {
+  id: 7,
+  name: 'Sales Overview',
+  parameters: [
+    { id: 'p-state', name: 'State', slug: 'state', type: 'string/=' },
+    {
+      id: 'p-date',
+      name: 'Date Range',
+      slug: 'date_range',
+      type: 'date/all-options',
+      default: 'past30days',
+    },
+  ],
+  dashcards: [
+    {
+      id: 101,
+      card_id: 11,
+      card: { id: 11, name: 'Revenue by State', display: 'bar' },
+      parameter_mappings: [
+        { parameter_id: 'p-state', card_id: 11, target: ['dimension', ['field', 5, null]] },
+        { parameter_id: 'p-date', card_id: 11, target: ['dimension', ['field', 6, null]] },
+      ],
+    },
+    {
+      id: 102,
+      card_id: 12,
+      card: { id: 12, name: 'Orders', display: 'table' },
+      parameter_mappings: [
+        { parameter_id: 'p-date', card_id: 12, target: ['dimension', ['template-tag', 'date']] },
+      ],
+    },
+    // Text card without a query
+    { id: 103, card_id: null, parameter_mappings: [] },
+  ],
+};
+
+async function runDashboard(args: Record<string, any>) {
+  const request = createMockRequest('execute_dashboard', args);
+  const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+  const result = await handleExecuteDashboard(
+    request,
+    'test-request-id',
+    mockApiClient as any,
+    logDebug,
+    logInfo,
+    logWarn,
+    logError
+  );
+  return JSON.parse(result.content[0].text);
+}
+
+describe('handleExecuteDashboard (execute_dashboard command)', () => {
+  beforeEach(() => {
+    resetAllMocks();
+  });
+
+  describe('Parameter validation', () => {
+    it('should require dashboard_id', async () => {
+      await expect(runDashboard({})).rejects.toThrow('dashboard_id parameter is required');
+      expect(mockApiClient.getDashboard).not.toHaveBeenCalled();
+    });
+
+    it('should reject filters that are not an object', async () => {
+      await expect(runDashboard({ dashboard_id: 7, filters: ['CA'] })).rejects.toThrow(
+        'filters parameter must be an object'
+      );
+    });
+
+    it('should reject row limits above 2000', async () => {
+      await expect(runDashboard({ dashboard_id: 7, row_limit: 5000 })).rejects.toThrow(McpError);
+    });
+
+    it('should reject filters the dashboard does not have', async () => {
+      mockApiClient.getDashboard.mockResolvedValue(createCachedResponse(filteredDashboard));
+
+      await expect(runDashboard({ dashboard_id: 7, filters: { region: 'West' } })).rejects.toThrow(
+        'Invalid parameter: filters.region'
+      );
+      expect(mockLogger.logWarn).toHaveBeenCalledWith("Unknown filter 'region' for dashboard 7", {
+        requestId: 'test-request-id',
+        available: ['state', 'date_range'],
+      });
+      expect(mockApiClient.request).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Dashboard execution', () => {
+    it('should run every dashcard through the dashboard card query endpoint', async () => {
+      mockApiClient.getDashboard.mockResolvedValue(createCachedResponse(filteredDashboard));
+      mockApiClient.request.mockResolvedValue(sampleQueryResult);
+
+      const response = await runDashboard({ dashboard_id: 7, filters: { state: 'CA' } });
+
+      expect(mockApiClient.request).toHaveBeenCalledTimes(2);
+      expect(mockApiClient.request).toHaveBeenCalledWith(
+        '/api/dashboard/7/dashcard/101/card/11/query',
+        {
+          method: 'POST',
+          body: JSON.stringify({
+            parameters: [
+              {
+                id: 'p-state',
+                type: 'string/=',
+                value: 'CA',
+                target: ['dimension', ['field', 5, null]],
+              },
+              {
+                id: 'p-date',
+                type: 'date/all-options',
+                value: 'past30days',
+                target: ['dimension', ['field', 6, null]],
+              },
+            ],
+          }),
+        }
+      );
+      expect(mockApiClient.request).toHaveBeenCalledWith(
+        '/api/dashboard/7/dashcard/102/card/12/query',
+        expect.any(Object)
+      );
+
+      expect(response).toMatchObject({
+        success: true,
+        dashboard_id: 7,
+        dashboard_name: 'Sales Overview',
+        applied_filters: {
+          state: { value: 'CA', source: 'argument' },
+          date_range: { value: 'past30days', source: 'default' },
+        },
+        total_dashcards: 2,
+        successful_dashcards: 2,
+        failed_dashcards: 0,
+      });
+      expect(Object.keys(response.dashcards)).toEqual(['101', '102']);
+      expect(response.dashcards['101']).toEqual({
+        card_id: 11,
+        card_name: 'Revenue by State',
+        display: 'bar',
+        applied_filters: ['state', 'date_range'],
+        row_count: 2,
+        original_row_count: 2,
+        data: {
+          row_count: 2,
+          '0': { column1: 'value1', column2: 'value2' },
+          '1': { column1: 'value3', column2: 'value4' },
+        },
+      });
+      expect(response.dashcards['102'].applied_filters).toEqual(['date_range']);
+    });
+
+    it('should accept parameter IDs as filter keys', async () => {
+      mockApiClient.getDashboard.mockResolvedValue(createCachedResponse(filteredDashboard));
+      mockApiClient.request.mockResolvedValue(sampleQueryResult);
+
+      const response = await runDashboard({ dashboard_id: 7, filters: { 'p-state': 'NY' } });
+
+      expect(response.applied_filters.state).toEqual({ value: 'NY', source: 'argument' });
+    });
+
+    it('should limit the rows of each dashcard', async () => {
+      mockApiClient.getDashboard.mockResolvedValue(createCachedResponse(filteredDashboard));
+      mockApiClient.request.mockResolvedValue(sampleQueryResult);
+
+      const response = await runDashboard({ dashboard_id: 7, row_limit: 1 });
+
+      expect(response.row_limit_per_dashcard).toBe(1);
+      expect(response.dashcards['102']).toMatchObject({ row_count: 1, original_row_count: 2 });
+      expect(response.dashcards['102'].data).toEqual({
+        row_count: 1,
+        '0': { column1: 'value1', column2: 'value2' },
+      });
+    });
+
+    it('should report failed dashcards without failing the dashboard', async () => {
+      mockApiClient.getDashboard.mockResolvedValue(createCachedResponse(filteredDashboard));
+      mockApiClient.request.mockImplementation(async (path: string) => {
+        if (path.includes('/dashcard/102/')) {
+          return {
+            status: 'failed',
+            error_type: 'invalid-query',
+            error: 'Column "created_at" does not exist',
+          };
+        }
+        return sampleQueryResult;
+      });
+
+      const response = await runDashboard({ dashboard_id: 7 });
+
+      expect(response).toMatchObject({
+        success: false,
+        successful_dashcards: 1,
+        failed_dashcards: 1,
+      });
+      expect(response.message).toContain('1 failed');
+      expect(response.dashcards['101'].row_count).toBe(2);
+      expect(response.dashcards['102']).toMatchObject({
+        card_id: 12,
+        card_name: 'Orders',
+        error: expect.stringContaining('Column "created_at" does not exist'),
+      });
+      expect(mockLogger.logWarn).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to execute dashcard 102'),
+        { requestId: 'test-request-id' }
+      );
+    });
+
+    it('should surface dashboard retrieval errors', async () => {
+      mockApiClient.getDashboard.mockRejectedValue(new Error('Dashboard not found'));
+
+      await expect(runDashboard({ dashboard_id: 999 })).rejects.toThrow(McpError);
+      expect(mockApiClient.request).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Dashboard parameter mapping', () => {
+  const [, , logWarn] = getLoggerFunctions();
+
+  it('should let an explicit null clear a default value', () => {
+    expect(
+      resolveDashboardFilters(filteredDashboard, { date_range: null }, 'test-request-id', logWarn)
+    ).toEqual([]);
+  });
+
+  it('should skip mappings that target other cards in a series', () => {
+    const filters = resolveDashboardFilters(
+      filteredDashboard,
+      { state: 'CA' },
+      'test-request-id',
+      logWarn
+    );
+    const dashcard = {
+      id: 201,
+      card_id: 21,
+      parameter_mappings: [
+        { parameter_id: 'p-state', card_id: 22, target: ['dimension', ['field', 9, null]] },
+        { parameter_id: 'p-state', card_id: 21, target: ['dimension', ['field', 8, null]] },
+      ],
+    };
+
+    const { parameters, appliedFilters } = buildDashcardParameters(dashcard, filters);
+
+    expect(parameters).toHaveLength(1);
+    expect(parameters[0].target).toEqual(['dimension', ['field', 8, null]]);
+    expect(appliedFilters).toEqual(['state']);
+  });
+});
@@ -4,6 +4,7 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { handleExport } from '../../src/handlers/export/index.js';
+import { saveExportResponse } from '../../src/handlers/export/streamExport.js';
 import { McpError } from '../../src/types/core.js';
 import {
   mockApiClient,
@@ -16,6 +17,10 @@ import * as fs from 'fs';
 import * as path from 'path';
 import * as os from 'os';
 import * as XLSX from 'xlsx';
+import { Writable } from 'stream';
+import { parquetReadObjects } from 'hyparquet';
+import { createHash } from 'crypto';
+import { gunzipSync, inflateRawSync } from 'zlib';
 
 // Mock fs and path modules
 vi.mock('fs');
@@ -54,9 +59,18 @@ function createMockXlsxWithData(): ArrayBuffer {
 }
 
 describe('handleExport (export command)', () => {
+  let writtenChunks: Buffer[] = [];
+  // Chunks written to each temp file
+  let writtenFiles: Map<string, Buffer[]>;
+
   beforeEach(() => {
     resetAllMocks();
     vi.clearAllMocks();
+
+    // Export endpoints go through the client's raw request, which ends in fetch
+    mockApiClient.requestRaw.mockImplementation((path: string, init: RequestInit) =>
+      mockFetch(new URL(path, 'https://test-metabase.example.com').toString(), init)
+    );
     
     // Setup default mocks
     vi.mocked(os.homedir).mockReturnValue('/home/user');
@@ -64,6 +78,20 @@ describe('handleExport (export command)', () => {
     vi.mocked(fs.existsSync).mockReturnValue(true);
     vi.mocked(fs.mkdirSync).mockReturnValue(undefined);
     vi.mocked(fs.writeFileSync).mockReturnValue(undefined);
+    // Exports stream to a temp file that is renamed into place
+    writtenChunks = [];
+    writtenFiles = new Map();
+    vi.mocked(fs.createWriteStream).mockImplementation(file => {
+      const chunks: Buffer[] = [];
+      writtenFiles.set(String(file), chunks);
+      return new Writable({
+        write(chunk, _encoding, callback) {
+          writtenChunks.push(chunk);
+          chunks.push(chunk);
+          callback();
+        },
+      }) as any;
+    });
   });
 
   describe('Parameter validation', () => {
@@ -220,10 +248,7 @@ describe('handleExport (export command)', () => {
 
       // Mock successful fetch response
       const csvData = 'id,name,email\n1,John,john@example.com\n2,Jane,jane@example.com';
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        text: () => Promise.resolve(csvData),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(csvData));
 
       const result = await handleExport(
         request, 
@@ -244,6 +269,26 @@ describe('handleExport (export command)', () => {
       expect(responseData.row_count).toBe(2);
       expect(responseData.database_id).toBe(1);
       expect(responseData.query).toBe('SELECT * FROM users');
+
+      // The query runs once, through the export endpoint only
+      expect(mockApiClient.request).not.toHaveBeenCalled();
+      expect(mockApiClient.requestRaw).toHaveBeenCalledTimes(1);
+      expect(mockApiClient.requestRaw.mock.calls[0][0]).toBe('/api/dataset/csv');
+    });
+
+    it('should block non read-only SQL before exporting', async () => {
+      const request = createMockRequest('export', {
+        database_id: 1,
+        query: 'SELECT 1; DROP TABLE users',
+        format: 'csv'
+      });
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+
+      await expect(
+        handleExport(request, 'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError)
+      ).rejects.toThrow('Read-only SQL policy violation');
+
+      expect(mockFetch).not.toHaveBeenCalled();
     });
 
     it('should export SQL query in JSON format successfully', async () => {
@@ -259,10 +304,7 @@ describe('handleExport (export command)', () => {
         { id: 1, name: 'John', email: 'john@example.com' },
         { id: 2, name: 'Jane', email: 'jane@example.com' }
       ];
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve(jsonData),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(JSON.stringify(jsonData)));
 
       const result = await handleExport(
         request, 
@@ -291,10 +333,7 @@ describe('handleExport (export command)', () => {
 
       // Mock successful fetch response with ArrayBuffer containing actual data
       const mockArrayBuffer = createMockXlsxWithData();
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        arrayBuffer: () => Promise.resolve(mockArrayBuffer),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(mockArrayBuffer));
 
       const result = await handleExport(
         request, 
@@ -331,10 +370,7 @@ describe('handleExport (export command)', () => {
 
       // Mock empty CSV response
       const csvData = 'id,name,email\n';
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        text: () => Promise.resolve(csvData),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(csvData));
 
       const result = await handleExport(
         request, 
@@ -362,10 +398,7 @@ describe('handleExport (export command)', () => {
       const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
 
       const csvData = 'id,name\n1,John';
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        text: () => Promise.resolve(csvData),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(csvData));
 
       const result = await handleExport(
         request, 
@@ -382,6 +415,50 @@ describe('handleExport (export command)', () => {
     });
   });
 
+  describe('MBQL export mode', () => {
+    it('should export the compiled query without forcing a row limit', async () => {
+      mockApiClient.getTable.mockResolvedValue({
+        data: { id: 12, db_id: 3, fields: [{ id: 102, name: 'STATUS', base_type: 'type/Text' }] },
+        source: 'api',
+        fetchTime: 1,
+      });
+      mockFetch.mockResolvedValueOnce(new Response('STATUS\npaid\nshipped'));
+      const request = createMockRequest('export', {
+        mbql: { source_table: 12, filters: [{ field: 'status', operator: 'not-null' }] },
+        format: 'csv',
+      });
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+
+      const result = await handleExport(request, 'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError);
+
+      const [url, init] = mockFetch.mock.calls[0];
+      expect(url).toContain('/api/dataset/csv');
+      expect(JSON.parse(init.body).query).toEqual({
+        type: 'query',
+        database: 3,
+        query: { 'source-table': 12, filter: ['not-null', ['field', 102, null]] },
+      });
+
+      const responseData = JSON.parse(result.content[0].text);
+      expect(responseData).toMatchObject({
+        success: true,
+        source_table: 12,
+        database_id: 3,
+        row_count: 2,
+        mbql: { 'source-table': 12 },
+      });
+    });
+
+    it('should reject SQL parameters in MBQL mode', async () => {
+      const request = createMockRequest('export', { mbql: { source_table: 12 }, query: 'SELECT 1' });
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+
+      await expect(
+        handleExport(request, 'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError)
+      ).rejects.toThrow('MBQL export mode only allows mbql, format, and filename parameters');
+    });
+  });
+
   describe('Card parameter validation', () => {
     it('should throw error when card_parameters has invalid format - missing required fields', async () => {
       const request = createMockRequest('export', {
@@ -452,10 +529,7 @@ describe('handleExport (export command)', () => {
 
       // Mock successful export
       const csvData = 'id,name\n1,John';
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        text: () => Promise.resolve(csvData),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(csvData));
 
       const result = await handleExport(
         request, 'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError
@@ -485,10 +559,7 @@ describe('handleExport (export command)', () => {
 
       // Mock successful export
       const csvData = 'id,name,email\n1,John,john@example.com';
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        text: () => Promise.resolve(csvData),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(csvData));
 
       const result = await handleExport(
         request, 
@@ -532,10 +603,7 @@ describe('handleExport (export command)', () => {
       });
 
       const jsonData = [{ id: 42, name: 'Specific User' }];
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve(jsonData),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(JSON.stringify(jsonData)));
 
       const result = await handleExport(
         request, 
@@ -571,6 +639,62 @@ describe('handleExport (export command)', () => {
       );
     });
 
+    it('should resolve card_filters into card parameters', async () => {
+      const request = createMockRequest('export', {
+        card_id: 123,
+        card_filters: { region: 'EU', created_at: 'last 30 days' },
+        format: 'json'
+      });
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+
+      mockApiClient.getCard.mockResolvedValue({
+        data: {
+          id: 123,
+          name: 'Orders by region',
+          parameters: [
+            {
+              id: 'p-region',
+              slug: 'region',
+              name: 'Region',
+              type: 'category',
+              target: ['variable', ['template-tag', 'region']],
+            },
+            {
+              id: 'p-created',
+              slug: 'created_at',
+              name: 'Created at',
+              type: 'date/all-options',
+              target: ['dimension', ['template-tag', 'created_at']],
+            },
+          ],
+        },
+        source: 'cache',
+        fetchTime: 0,
+      });
+      mockFetch.mockResolvedValueOnce(new Response(JSON.stringify([{ id: 1 }])));
+
+      await handleExport(request, 'test-request-id', mockApiClient as any, logDebug, logInfo, logWarn, logError);
+
+      expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({
+        parameters: [
+          {
+            id: 'p-region',
+            slug: 'region',
+            type: 'category',
+            target: ['variable', ['template-tag', 'region']],
+            value: 'EU',
+          },
+          {
+            id: 'p-created',
+            slug: 'created_at',
+            type: 'date/all-options',
+            target: ['dimension', ['template-tag', 'created_at']],
+            value: 'past30days',
+          },
+        ],
+      });
+    });
+
     it('should handle card not found error', async () => {
       const request = createMockRequest('export', {
         card_id: 999,
@@ -626,15 +750,17 @@ describe('handleExport (export command)', () => {
       const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
 
       const csvData = 'id,name\n1,John';
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        text: () => Promise.resolve(csvData),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(csvData));
 
       // Mock file save error
-      vi.mocked(fs.writeFileSync).mockImplementation(() => {
-        throw new Error('Permission denied');
-      });
+      vi.mocked(fs.createWriteStream).mockImplementation(
+        () =>
+          new Writable({
+            write(_chunk, _encoding, callback) {
+              callback(new Error('Permission denied'));
+            },
+          }) as any
+      );
 
       const result = await handleExport(
         request, 
@@ -653,6 +779,473 @@ describe('handleExport (export command)', () => {
     });
   });
 
+  describe('Streaming to disk', () => {
+    // Split text into small chunks so values straddle chunk boundaries
+    function chunkedResponse(text: string, size = 7) {
+      const bytes = new TextEncoder().encode(text);
+      return new Response(
+        new ReadableStream({
+          start(controller) {
+            for (let offset = 0; offset < bytes.length; offset += size) {
+              controller.enqueue(bytes.slice(offset, offset + size));
+            }
+            controller.close();
+          },
+        })
+      );
+    }
+
+    async function save(text: string, format: 'csv' | 'json') {
+      return saveExportResponse(
+        chunkedResponse(text),
+        { directory: '/exports', baseName: 'out', format },
+        { type: 'sql', database_id: 1, query: 'SELECT 1', parameters: [] },
+        {},
+        vi.fn(),
+        vi.fn()
+      );
+    }
+
+    it('should write the body unchanged to a temp file and rename it into place', async () => {
+      const json = '[{"id":1,"note":"a, b"},{"id":2,"note":"c"}]';
+
+      const saved = await save(json, 'json');
+
+      expect(saved).toMatchObject({
+        status: 'saved',
+        rowCount: 2,
+        fileSize: json.length,
+        preview: [{ id: 1, note: 'a, b' }, { id: 2, note: 'c' }],
+        parts: [{ file: 'out.json', path: '/exports/out.json', rows: 2, size_bytes: json.length }],
+        manifestPath: '/exports/out.manifest.json',
+      });
+      expect(Buffer.concat(writtenChunks).toString()).toBe(json);
+      const [tempPath] = vi.mocked(fs.createWriteStream).mock.calls[0];
+      expect(tempPath).toMatch(/^\/exports\/out\.json\.\d+\.tmp$/);
+      expect(fs.renameSync).toHaveBeenCalledWith(tempPath, '/exports/out.json');
+    });
+
+    it('should count JSON rows without being confused by nested values and strings', async () => {
+      const rows = Array.from({ length: 8 }, (_, i) => ({
+        id: i,
+        tags: ['x', { y: ']' }],
+        text: 'quote " and [bracket], comma',
+      }));
+
+      const saved = await save(JSON.stringify({ data: { cols: [{ name: 'id' }], rows } }), 'json');
+
+      expect(saved.status).toBe('saved');
+      expect(saved.rowCount).toBe(8);
+      expect(saved.status === 'saved' && saved.preview).toEqual(rows.slice(0, 5));
+    });
+
+    it('should read JSON rows and keys split across chunks with whitespace and multibyte text', async () => {
+      const rows = [
+        { id: 1, note: 'café ☕ – naïve' },
+        { id: 2, note: 'line\nbreak\t"quoted" \\ 𝄞' },
+      ];
+      const json = JSON.stringify({ data: { rows } }, null, 2).replace(/\n/g, '\r\n');
+
+      const saved = await save(json, 'json');
+
+      expect(saved).toMatchObject({ status: 'saved', rowCount: 2, preview: rows });
+    });
+
+    it('should count CSV rows across chunk boundaries', async () => {
+      const csv = 'id,name\n' + Array.from({ length: 20 }, (_, i) => `${i},name ${i}`).join('\n') + '\n';
+
+      const saved = await save(csv, 'csv');
+
+      expect(saved).toMatchObject({ status: 'saved', rowCount: 20, fileSize: csv.length });
+      expect(saved.status === 'saved' && saved.preview).toHaveLength(5);
+    });
+
+    it('should count CSV records with quoted commas, quotes and line breaks once', async () => {
+      const csv =
+        '\uFEFFid,comment\r\n1,"Great, would buy again"\r\n2,"He said ""no"""\r\n3,"line one\r\nline two"\r\n4,\r\n';
+
+      const saved = await save(csv, 'csv');
+
+      expect(saved).toMatchObject({ status: 'saved', rowCount: 4 });
+      expect(saved.status === 'saved' && saved.preview).toEqual([
+        { id: '1', comment: 'Great, would buy again' },
+        { id: '2', comment: 'He said "no"' },
+        { id: '3', comment: 'line one\r\nline two' },
+        { id: '4', comment: null },
+      ]);
+    });
+
+    it('should discard the temp file when the export is empty', async () => {
+      const saved = await save('[]', 'json');
+
+      expect(saved).toEqual({ status: 'empty', rowCount: 0 });
+      expect(fs.renameSync).not.toHaveBeenCalled();
+      expect(fs.rmSync).toHaveBeenCalledWith(expect.stringMatching(/\.tmp$/), { force: true });
+    });
+  });
+
+  describe('Parquet and NDJSON export', () => {
+    const cols = [
+      { name: 'ID', display_name: 'ID', base_type: 'type/BigInteger' },
+      { name: 'TOTAL', display_name: 'Total', base_type: 'type/Float' },
+      { name: 'PAID', display_name: 'Paid', base_type: 'type/Boolean' },
+      { name: 'CREATED_AT', display_name: 'Created At', base_type: 'type/DateTimeWithLocalTZ' },
+      { name: 'SHIP_DATE', display_name: 'Ship Date', base_type: 'type/Date' },
+      { name: 'NOTE', display_name: 'Note', base_type: 'type/Text' },
+    ];
+    const exported = [
+      { ID: 1, Total: 10.5, Paid: true, 'Created At': '2024-03-01T10:15:00Z', 'Ship Date': '2024-03-02', Note: 'first' },
+      { ID: 2, Total: null, Paid: false, 'Created At': null, 'Ship Date': '2024-03-05', Note: null },
+    ];
+
+    function exportRequest(args: Record<string, unknown>) {
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+      return handleExport(
+        createMockRequest('export', args),
+        'test-request-id',
+        mockApiClient as any,
+        logDebug,
+        logInfo,
+        logWarn,
+        logError
+      );
+    }
+
+    it('should convert the JSON export to Parquet with types from the result columns', async () => {
+      mockApiClient.request.mockResolvedValueOnce({ data: { cols, rows: [] } });
+      mockFetch.mockResolvedValueOnce(new Response(JSON.stringify(exported)));
+
+      const result = await exportRequest({ database_id: 1, query: 'SELECT * FROM orders', format: 'parquet' });
+
+      const responseData = JSON.parse(result.content[0].text);
+      expect(responseData).toMatchObject({ success: true, format: 'parquet', row_count: 2 });
+      expect(responseData.filename).toMatch(/\.parquet$/);
+      expect(responseData.schema).toEqual([
+        { name: 'ID', base_type: 'type/BigInteger', type: 'INT64' },
+        { name: 'Total', base_type: 'type/Float', type: 'DOUBLE' },
+        { name: 'Paid', base_type: 'type/Boolean', type: 'BOOLEAN' },
+        { name: 'Created At', base_type: 'type/DateTimeWithLocalTZ', type: 'TIMESTAMP' },
+        { name: 'Ship Date', base_type: 'type/Date', type: 'DATE' },
+        { name: 'Note', base_type: 'type/Text', type: 'STRING' },
+      ]);
+      expect(responseData.preview_data[0]).toEqual({
+        ID: 1,
+        Total: 10.5,
+        Paid: true,
+        'Created At': '2024-03-01T10:15:00.000Z',
+        'Ship Date': '2024-03-02',
+        Note: 'first',
+      });
+
+      // Column types come from a one-row run of the query, the rows from the JSON export
+      const [probePath, probeInit] = mockApiClient.request.mock.calls[0];
+      expect(probePath).toBe('/api/dataset');
+      expect(JSON.parse(probeInit.body).constraints).toEqual({ 'max-results': 1, 'max-results-bare-rows': 1 });
+      expect(mockFetch.mock.calls[0][0]).toBe('https://test-metabase.example.com/api/dataset/json');
+
+      const file = new Uint8Array(Buffer.concat(writtenChunks)).buffer;
+      const rows = await parquetReadObjects({ file });
+      expect(rows).toEqual([
+        {
+          ID: 1n,
+          Total: 10.5,
+          Paid: true,
+          'Created At': new Date('2024-03-01T10:15:00Z'),
+          'Ship Date': new Date('2024-03-02'),
+          Note: 'first',
+        },
+        { ID: 2n, Total: null, Paid: false, 'Created At': null, 'Ship Date': new Date('2024-03-05'), Note: null },
+      ]);
+      expect(responseData.file_size_bytes).toBe(file.byteLength);
+    });
+
+    it('should export untyped columns when the result metadata cannot be read', async () => {
+      mockApiClient.request.mockRejectedValueOnce(new Error('Query timed out'));
+      mockFetch.mockResolvedValueOnce(new Response(JSON.stringify(exported)));
+
+      const result = await exportRequest({ database_id: 1, query: 'SELECT * FROM orders', format: 'ndjson' });
+
+      const responseData = JSON.parse(result.content[0].text);
+      expect(responseData).toMatchObject({ success: true, format: 'ndjson', row_count: 2 });
+      expect(responseData.schema[0]).toEqual({ name: 'ID', base_type: null, type: 'STRING' });
+      expect(mockLogger.logWarn).toHaveBeenCalledWith(
+        'Failed to read result metadata for export, column types are unavailable',
+        { requestId: 'test-request-id' },
+        expect.any(Error)
+      );
+    });
+
+    it('should write one typed JSON object per line for cards using their result metadata', async () => {
+      mockApiClient.getCard.mockResolvedValueOnce({
+        data: { id: 7, name: 'Orders', result_metadata: cols },
+        source: 'cache',
+        fetchTime: 0,
+      });
+      mockFetch.mockResolvedValueOnce(
+        new Response(JSON.stringify([{ ...exported[0], ID: '9007199254740993', Total: '3.25' }]))
+      );
+
+      const result = await exportRequest({ card_id: 7, format: 'ndjson' });
+
+      const responseData = JSON.parse(result.content[0].text);
+      expect(responseData).toMatchObject({ success: true, card_name: 'Orders', format: 'ndjson', row_count: 1 });
+      expect(mockFetch.mock.calls[0][0]).toBe('https://test-metabase.example.com/api/card/7/query/json');
+      expect(Buffer.concat(writtenChunks).toString()).toBe(
+        '{"ID":"9007199254740993","Total":3.25,"Paid":true,"Created At":"2024-03-01T10:15:00.000Z","Ship Date":"2024-03-02","Note":"first"}\n'
+      );
+    });
+
+    it('should read timestamps without an offset as UTC whatever the server time zone', async () => {
+      const timeZone = process.env.TZ;
+      process.env.TZ = 'America/New_York';
+      try {
+        mockApiClient.request.mockResolvedValueOnce({ data: { cols } });
+        mockFetch.mockResolvedValueOnce(
+          new Response(
+            JSON.stringify([
+              { ...exported[0], 'Created At': '2024-03-01T10:15:00' },
+              { ...exported[1], 'Created At': '2024-03-01 23:30:05.250' },
+            ])
+          )
+        );
+
+        await exportRequest({ database_id: 1, query: 'SELECT * FROM orders', format: 'ndjson' });
+
+        const lines = Buffer.concat(writtenChunks).toString().trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(line => line['Created At'])).toEqual(['2024-03-01T10:15:00.000Z', '2024-03-01T23:30:05.250Z']);
+        expect(lines.map(line => line['Ship Date'])).toEqual(['2024-03-02', '2024-03-05']);
+      } finally {
+        if (timeZone === undefined) {
+          delete process.env.TZ;
+        } else {
+          process.env.TZ = timeZone;
+        }
+      }
+    });
+
+    it('should reject cards without result metadata before exporting', async () => {
+      mockApiClient.getCard.mockResolvedValueOnce({ data: { id: 7, name: 'Orders' }, source: 'api', fetchTime: 1 });
+
+      await expect(exportRequest({ card_id: 7, format: 'parquet' })).rejects.toThrow('no result metadata');
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('should discard empty conversions', async () => {
+      mockApiClient.request.mockResolvedValueOnce({ data: { cols } });
+      mockFetch.mockResolvedValueOnce(new Response('[]'));
+
+      const result = await exportRequest({ database_id: 1, query: 'SELECT * FROM orders', format: 'ndjson' });
+
+      expect(JSON.parse(result.content[0].text)).toMatchObject({ success: false, row_count: 0 });
+      expect(fs.renameSync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Compression, splitting and manifests', () => {
+    function exportRequest(args: Record<string, unknown>) {
+      const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+      return handleExport(
+        createMockRequest('export', args),
+        'test-request-id',
+        mockApiClient as any,
+        logDebug,
+        logInfo,
+        logWarn,
+        logError
+      );
+    }
+
+    // Content of the temp file that was renamed to `file`
+    function savedFile(file: string): Buffer {
+      const rename = vi.mocked(fs.renameSync).mock.calls.find(([, to]) => to === file);
+      return Buffer.concat(writtenFiles.get(String(rename?.[0])) ?? []);
+    }
+
+    function writtenManifest() {
+      const write = vi.mocked(fs.writeFileSync).mock.calls.find(([file]) =>
+        String(file).includes('.manifest.json')
+      );
+      return JSON.parse(String(write?.[1]));
+    }
+
+    const sha256 = (content: Buffer) => createHash('sha256').update(content).digest('hex');
+
+    it('should split CSV exports into numbered parts that repeat the header', async () => {
+      mockFetch.mockResolvedValueOnce(new Response('ID,Note\n1,a\n2,"b, c"\n3,"say ""hi"""\n4,\n5,e\n'));
+
+      const result = await exportRequest({
+        database_id: 1,
+        query: 'SELECT * FROM notes',
+        native_parameters: [{ type: 'category', value: 'x' }],
+        filename: 'notes',
+        split_rows: 2,
+      });
+
+      const responseData = JSON.parse(result.content[0].text);
+      expect(responseData).toMatchObject({ success: true, row_count: 5, split: { rows: 2 } });
+      expect(responseData.file_path).toMatch(/\/notes\.part-001\.csv$/);
+      expect(responseData.manifest_path).toMatch(/\/notes\.manifest\.json$/);
+      expect(responseData.parts.map((part: any) => [part.filename, part.row_count])).toEqual([
+        ['notes.part-001.csv', 2],
+        ['notes.part-002.csv', 2],
+        ['notes.part-003.csv', 1],
+      ]);
+      expect(savedFile(responseData.parts[1].file_path).toString()).toBe('ID,Note\n3,"say ""hi"""\n4,\n');
+
+      const manifest = writtenManifest();
+      expect(manifest).toMatchObject({
+        manifest_version: 1,
+        source: {
+          type: 'sql',
+          database_id: 1,
+          query: 'SELECT * FROM notes',
+          parameters: [{ type: 'category', value: 'x' }],
+        },
+        format: 'csv',
+        compression: 'none',
+        split: { rows: 2 },
+        row_count: 5,
+        // CSV exports are not probed for result metadata, so only the names are known
+        schema: [
+          { name: 'ID', base_type: null, type: 'STRING' },
+          { name: 'Note', base_type: null, type: 'STRING' },
+        ],
+      });
+      expect(mockApiClient.request).not.toHaveBeenCalled();
+      expect(manifest.parts).toHaveLength(3);
+      manifest.parts.forEach((part: any, index: number) => {
+        const content = savedFile(responseData.parts[index].file_path);
+        expect(part).toEqual({
+          file: responseData.parts[index].filename,
+          rows: responseData.parts[index].row_count,
+          size_bytes: content.length,
+          sha256: sha256(content),
+        });
+        expect(responseData.parts[index].sha256).toBe(part.sha256);
+      });
+    });
+
+    it('should gzip an unsplit export and checksum the stored bytes', async () => {
+      const json = JSON.stringify([{ id: 1 }, { id: 2 }]);
+      mockFetch.mockResolvedValueOnce(new Response(json));
+
+      const result = await exportRequest({
+        database_id: 1,
+        query: 'SELECT 1',
+        format: 'json',
+        compression: 'gzip',
+        filename: 'ids',
+      });
+
+      const responseData = JSON.parse(result.content[0].text);
+      expect(responseData).toMatchObject({
+        success: true,
+        filename: 'ids.json.gz',
+        compression: 'gzip',
+        row_count: 2,
+      });
+      expect(responseData.parts).toBeUndefined();
+      const stored = savedFile(responseData.file_path);
+      expect(gunzipSync(stored).toString()).toBe(json);
+      expect(responseData.file_size_bytes).toBe(stored.length);
+      expect(writtenManifest().parts).toEqual([
+        { file: 'ids.json.gz', rows: 2, size_bytes: stored.length, sha256: sha256(stored) },
+      ]);
+    });
+
+    it('should write each part as its own zip archive', async () => {
+      mockApiClient.getCard.mockResolvedValueOnce({
+        data: { id: 5, name: 'Users', result_metadata: [] },
+        source: 'api',
+        fetchTime: 1,
+      });
+      mockFetch.mockResolvedValueOnce(new Response('id\n1\n2\n3\n'));
+
+      const result = await exportRequest({ card_id: 5, compression: 'zip', split_rows: 2, filename: 'users' });
+
+      const responseData = JSON.parse(result.content[0].text);
+      expect(responseData.parts.map((part: any) => part.filename)).toEqual([
+        'users.part-001.csv.zip',
+        'users.part-002.csv.zip',
+      ]);
+      const archive = savedFile(responseData.parts[1].file_path);
+      // Local file header: signature, then the entry name and its deflated data
+      expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+      const nameLength = archive.readUInt16LE(26);
+      const extraLength = archive.readUInt16LE(28);
+      expect(archive.subarray(30, 30 + nameLength).toString()).toBe('users.part-002.csv');
+      expect(inflateRawSync(archive.subarray(30 + nameLength + extraLength)).toString()).toBe('id\n3\n');
+      expect(writtenManifest().source).toEqual({ type: 'card', card_id: 5, card_name: 'Users', parameters: [] });
+    });
+
+    it('should end NDJSON parts once they reach the size limit', async () => {
+      mockApiClient.request.mockResolvedValueOnce({ data: { cols: [{ name: 'N', base_type: 'type/Integer' }] } });
+      const rows = Array.from({ length: 30 }, (_, i) => ({ N: i }));
+      mockFetch.mockResolvedValueOnce(new Response(JSON.stringify(rows)));
+
+      // About 50 bytes per part
+      const result = await exportRequest({
+        database_id: 1,
+        query: 'SELECT n',
+        format: 'ndjson',
+        split_mb: 50 / (1024 * 1024),
+      });
+
+      const responseData = JSON.parse(result.content[0].text);
+      expect(responseData.row_count).toBe(30);
+      const contents: string[] = responseData.parts.map((part: any) => savedFile(part.file_path).toString());
+      expect(contents.join('')).toBe(rows.map(row => `${JSON.stringify(row)}\n`).join(''));
+      expect(contents.length).toBeGreaterThan(3);
+      for (const content of contents.slice(0, -1)) {
+        expect(content.length).toBeGreaterThanOrEqual(50);
+        expect(content.length).toBeLessThan(60);
+      }
+    });
+
+    it('should split XLSX exports by rows into separate workbooks', async () => {
+      mockFetch.mockResolvedValueOnce(new Response(createMockXlsxWithData()));
+
+      const result = await exportRequest({ database_id: 1, query: 'SELECT 1', format: 'xlsx', split_rows: 2 });
+
+      const responseData = JSON.parse(result.content[0].text);
+      expect(responseData.parts).toHaveLength(2);
+      const workbook = XLSX.read(savedFile(responseData.parts[1].file_path), { type: 'buffer' });
+      expect(XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1 })).toEqual([
+        ['Name', 'Age', 'City'],
+        ['Bob Johnson', 35, 'Paris'],
+      ]);
+    });
+
+    it('should reject invalid compression and split options', async () => {
+      await expect(exportRequest({ database_id: 1, query: 'SELECT 1', compression: 'rar' })).rejects.toThrow(
+        McpError
+      );
+      await expect(exportRequest({ database_id: 1, query: 'SELECT 1', split_rows: 0 })).rejects.toThrow(
+        'split_rows'
+      );
+      await expect(exportRequest({ database_id: 1, query: 'SELECT 1', split_mb: -1 })).rejects.toThrow(
+        'split_mb'
+      );
+      await expect(
+        exportRequest({ database_id: 1, query: 'SELECT 1', format: 'xlsx', split_mb: 10 })
+      ).rejects.toThrow('split_mb is not supported for xlsx exports');
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('should not keep the files when the manifest cannot be written', async () => {
+      mockFetch.mockResolvedValueOnce(new Response('id\n1\n'));
+      vi.mocked(fs.writeFileSync).mockImplementationOnce(() => {
+        throw new Error('Disk full');
+      });
+
+      const result = await exportRequest({ database_id: 1, query: 'SELECT 1', filename: 'ids' });
+
+      expect(result.isError).toBe(true);
+      expect(JSON.parse(result.content[0].text)).toMatchObject({ success: false, error: 'Disk full' });
+      expect(fs.rmSync).toHaveBeenCalledWith(expect.stringMatching(/\/ids\.csv$/), { force: true });
+    });
+  });
+
   describe('Format handling', () => {
     it('should default to CSV format when not specified', async () => {
       const request = createMockRequest('export', {
@@ -662,10 +1255,7 @@ describe('handleExport (export command)', () => {
       const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
 
       const csvData = 'column1\n1';
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        text: () => Promise.resolve(csvData),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(csvData));
 
       const result = await handleExport(
         request, 
@@ -690,10 +1280,7 @@ describe('handleExport (export command)', () => {
       const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
 
       const csvData = 'column1\n1';
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        text: () => Promise.resolve(csvData),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(csvData));
 
       const result = await handleExport(
         request, 
@@ -718,10 +1305,7 @@ describe('handleExport (export command)', () => {
       const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
 
       const jsonData = [{ column1: 1 }];
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve(jsonData),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(JSON.stringify(jsonData)));
 
       const result = await handleExport(
         request, 
@@ -746,10 +1330,7 @@ describe('handleExport (export command)', () => {
       const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
 
       const mockArrayBuffer = new ArrayBuffer(1024);
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        arrayBuffer: () => Promise.resolve(mockArrayBuffer),
-      });
+      mockFetch.mockResolvedValueOnce(new Response(mockArrayBuffer));
 
       const result = await handleExport(
         request, 
@@ -0,0 +1,210 @@
+/**
+ * Unit tests for the parameterValues handler
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { handleParameterValues } from '../../src/handlers/parameterValues/index.js';
+import {
+  mockApiClient,
+  mockLogger,
+  resetAllMocks,
+  createMockRequest,
+  createCachedResponse,
+  getLoggerFunctions,
+} from '../setup.js';
+
+// Native card with a field filter parameter and a legacy field filter tag without one
+const card = {
+  id: 42,
+  parameters: [
+    {
+      id: 'p-state',
+      slug: 'state',
+      name: 'State',
+      type: 'string/=',
+      target: ['dimension', ['template-tag', 'state']],
+    },
+  ],
+  dataset_query: {
+    type: 'native',
+    native: {
+      query: 'SELECT * FROM orders WHERE {{state}} AND {{status}}',
+      'template-tags': {
+        state: { id: 'p-state', name: 'state', type: 'dimension', dimension: ['field', 5, null] },
+        status: {
+          id: 't-status',
+          name: 'status',
+          'display-name': 'Order status',
+          type: 'dimension',
+          dimension: ['field', 9, null],
+        },
+      },
+    },
+  },
+};
+
+const dashboard = {
+  id: 7,
+  parameters: [
+    { id: 'p-region', slug: 'region', name: 'Region', type: 'string/=' },
+    { id: 'p-date', slug: 'date_range', name: 'Date Range', type: 'date/all-options' },
+  ],
+  dashcards: [
+    {
+      id: 101,
+      card_id: 42,
+      card,
+      parameter_mappings: [
+        { parameter_id: 'p-region', card_id: 42, target: ['dimension', ['template-tag', 'state']] },
+      ],
+    },
+  ],
+};
+
+const stateField = {
+  id: 5,
+  name: 'STATE',
+  display_name: 'State',
+  base_type: 'type/Text',
+  semantic_type: 'type/State',
+  has_field_values: 'list',
+  table_id: 3,
+};
+
+async function runParameterValues(args: Record<string, any>) {
+  const request = createMockRequest('parameter_values', args);
+  const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+  const result = await handleParameterValues(
+    request,
+    'test-request-id',
+    mockApiClient as any,
+    logDebug,
+    logInfo,
+    logWarn,
+    logError
+  );
+  return JSON.parse(result.content[0].text);
+}
+
+describe('handleParameterValues (parameter_values command)', () => {
+  beforeEach(() => {
+    resetAllMocks();
+    mockApiClient.getCard.mockResolvedValue(createCachedResponse(card));
+    mockApiClient.getDashboard.mockResolvedValue(createCachedResponse(dashboard));
+    mockApiClient.getField.mockResolvedValue(createCachedResponse(stateField));
+  });
+
+  describe('Parameter validation', () => {
+    it('should require exactly one of card_id or dashboard_id', async () => {
+      await expect(runParameterValues({ parameter: 'state' })).rejects.toThrow(
+        'exactly one of card_id or dashboard_id is required'
+      );
+      await expect(
+        runParameterValues({ card_id: 42, dashboard_id: 7, parameter: 'state' })
+      ).rejects.toThrow('exactly one of card_id or dashboard_id is required');
+      expect(mockApiClient.getCard).not.toHaveBeenCalled();
+    });
+
+    it('should reject limits above 1000', async () => {
+      await expect(
+        runParameterValues({ card_id: 42, parameter: 'state', limit: 5000 })
+      ).rejects.toThrow('Invalid parameter_values arguments');
+    });
+
+    it('should reject parameters the card does not have with suggestions', async () => {
+      const error = await runParameterValues({ card_id: 42, parameter: 'stat' }).catch(
+        caught => caught
+      );
+
+      expect(error.message).toBe('Invalid parameter: parameter');
+      expect(error.details.additionalContext.expectedFormat).toBe(
+        'a parameter of this card (state, status); did you mean "state"?'
+      );
+      expect(mockApiClient.getCardParameterValues).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Card parameters', () => {
+    it('should return normalized values with the field metadata', async () => {
+      mockApiClient.getCardParameterValues.mockResolvedValue(
+        createCachedResponse({
+          values: [['CA', 'California'], ['NY'], ['TX', 'Texas']],
+          has_more_values: false,
+        })
+      );
+
+      const response = await runParameterValues({ card_id: 42, parameter: 'State', limit: 2 });
+
+      expect(mockApiClient.getCardParameterValues).toHaveBeenCalledWith(42, 'p-state', undefined);
+      expect(mockApiClient.getField).toHaveBeenCalledWith(5);
+      expect(response).toEqual({
+        card_id: 42,
+        parameter: { id: 'p-state', slug: 'state', name: 'State', type: 'string/=' },
+        field: {
+          id: 5,
+          name: 'STATE',
+          display_name: 'State',
+          base_type: 'type/Text',
+          semantic_type: 'type/State',
+          has_field_values: 'list',
+        },
+        source: 'parameter',
+        returned: 2,
+        has_more_values: false,
+        truncated: true,
+        values: [{ value: 'CA', label: 'California' }, 'NY'],
+      });
+    });
+
+    it('should fall back to searching the field values when the parameter endpoint fails', async () => {
+      mockApiClient.getCardParameterValues.mockRejectedValue(new Error('Not found'));
+      mockApiClient.getFieldValues.mockResolvedValue(
+        createCachedResponse({ values: [['paid'], ['shipped'], ['unpaid']], has_more_values: false })
+      );
+
+      const response = await runParameterValues({
+        card_id: 42,
+        parameter: 'order status',
+        query: 'PAID',
+      });
+
+      expect(mockApiClient.getCardParameterValues).toHaveBeenCalledWith(42, 't-status', 'PAID');
+      expect(mockApiClient.getFieldValues).toHaveBeenCalledWith(9);
+      expect(response.source).toBe('field');
+      expect(response.values).toEqual(['paid', 'unpaid']);
+      expect(mockLogger.logWarn).toHaveBeenCalledWith(
+        'Parameter values endpoint failed for card 42, using values of field 9',
+        { requestId: 'test-request-id' },
+        expect.any(Error)
+      );
+    });
+  });
+
+  describe('Dashboard filters', () => {
+    it('should search dashboard filter values and find the field through the dashcard mapping', async () => {
+      mockApiClient.getDashboardParameterValues.mockResolvedValue(
+        createCachedResponse({ values: [['CA'], ['CO']], has_more_values: true })
+      );
+
+      const response = await runParameterValues({
+        dashboard_id: 7,
+        parameter: 'region',
+        query: 'c',
+      });
+
+      expect(mockApiClient.getDashboardParameterValues).toHaveBeenCalledWith(7, 'p-region', 'c');
+      expect(response.dashboard_id).toBe(7);
+      expect(response.field.id).toBe(5);
+      expect(response.values).toEqual(['CA', 'CO']);
+      expect(response.has_more_values).toBe(true);
+    });
+
+    it('should report endpoint failures for filters without a field', async () => {
+      mockApiClient.getDashboardParameterValues.mockRejectedValue(new Error('Server error'));
+
+      await expect(runParameterValues({ dashboard_id: 7, parameter: 'date_range' })).rejects.toThrow();
+      expect(mockApiClient.getFieldValues).not.toHaveBeenCalled();
+      expect(mockApiClient.getField).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Unit tests for the prompt definitions and generators
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  handleListPrompts,
+  generateDatabaseExplorationPrompt,
+  generateSqlAuthoringPrompt,
+  generateDashboardReviewPrompt,
+  generateCollectionAuditPrompt,
+} from '../../src/handlers/prompts/index.js';
+import { mockApiClient, mockLogger, resetAllMocks, createCachedResponse } from '../setup.js';
+
+const database = {
+  id: 3,
+  name: 'Shop',
+  engine: 'postgres',
+  tables: [
+    { id: 10, schema: 'public', name: 'customers', estimated_row_count: 500 },
+    { id: 11, schema: 'public', name: 'orders', estimated_row_count: 12000 },
+    { id: 12, schema: 'public', name: 'audit_log', visibility_type: 'hidden' },
+    { id: 13, schema: 'public', name: 'products', estimated_row_count: 80 },
+  ],
+};
+
+const tableMetadata: Record<number, any> = {
+  10: {
+    id: 10,
+    schema: 'public',
+    name: 'customers',
+    fields: [
+      { id: 100, name: 'id', base_type: 'type/Integer', semantic_type: 'type/PK' },
+      { id: 101, name: 'state', base_type: 'type/Text', semantic_type: 'type/State' },
+    ],
+  },
+  11: {
+    id: 11,
+    schema: 'public',
+    name: 'orders',
+    fields: [
+      { id: 110, name: 'id', base_type: 'type/Integer', semantic_type: 'type/PK' },
+      {
+        id: 111,
+        name: 'customer_id',
+        base_type: 'type/Integer',
+        semantic_type: 'type/FK',
+        fk_target_field_id: 100,
+      },
+      { id: 112, name: 'created_at', base_type: 'type/DateTime' },
+    ],
+  },
+  13: { id: 13, schema: 'public', name: 'products', fields: [] },
+};
+
+const promptText = (prompt: { messages: Array<{ content: { text: string } }> }) =>
+  prompt.messages[0].content.text;
+
+describe('Prompts', () => {
+  beforeEach(() => {
+    resetAllMocks();
+    mockApiClient.getDatabase.mockResolvedValue(createCachedResponse(database));
+    mockApiClient.getTable.mockImplementation(async (id: number) =>
+      createCachedResponse(tableMetadata[id])
+    );
+  });
+
+  it('should list every prompt without internal argument metadata', async () => {
+    const { prompts } = await handleListPrompts({} as any, mockLogger.logInfo);
+
+    expect(prompts.map(prompt => prompt.name)).toEqual([
+      'execute_card',
+      'export_card',
+      'explore_database',
+      'write_sql',
+      'review_dashboard',
+      'audit_collection',
+    ]);
+    expect(prompts[2].arguments[0]).toEqual({
+      name: 'database_id',
+      description: 'The ID number of the Metabase database to explore',
+      required: true,
+    });
+  });
+
+  describe('explore_database', () => {
+    it('should list visible tables largest first with their key fields', async () => {
+      const text = promptText(
+        await generateDatabaseExplorationPrompt(
+          { database_id: '3', focus: 'repeat customers' },
+          mockApiClient as any,
+          mockLogger.logInfo,
+          mockLogger.logWarn
+        )
+      );
+
+      expect(text).toContain('- Engine: postgres');
+      expect(text).toContain(
+        '**Tables (3, largest first):**\n- public.orders (~12,000 rows)\n- public.customers (~500 rows)\n- public.products (~80 rows)'
+      );
+      expect(text).not.toContain('audit_log');
+      expect(text).toContain(
+        '- public.orders: PK id; FK customer_id → public.customers.id; time created_at'
+      );
+      expect(text).toContain('"repeat customers"');
+    });
+
+    it('should reject a missing or invalid database_id', async () => {
+      const generate = (args: Record<string, any>) =>
+        generateDatabaseExplorationPrompt(args, mockApiClient as any, mockLogger.logInfo, mockLogger.logWarn);
+
+      await expect(generate({})).rejects.toThrow('database_id is required for database exploration');
+      await expect(generate({ database_id: 'shop' })).rejects.toThrow(
+        'database_id must be a positive integer'
+      );
+      expect(mockApiClient.getDatabase).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('write_sql', () => {
+    it('should inject the schema of the tables named in the question', async () => {
+      const text = promptText(
+        await generateSqlAuthoringPrompt(
+          { database_id: '3', question: 'Total order value per customer last month' },
+          mockApiClient as any,
+          mockLogger.logInfo,
+          mockLogger.logWarn
+        )
+      );
+
+      expect(mockApiClient.getTable).toHaveBeenCalledTimes(2);
+      expect(text).toContain('"Total order value per customer last month"');
+      expect(text).toContain('  - customer_id (Integer) [FK → public.customers.id]');
+      expect(text).toContain('**Other Tables:** public.products');
+    });
+
+    it('should use the requested tables and report unknown ones', async () => {
+      const text = promptText(
+        await generateSqlAuthoringPrompt(
+          { database_id: '3', question: 'Best sellers', tables: 'products, prodcuts' },
+          mockApiClient as any,
+          mockLogger.logInfo,
+          mockLogger.logWarn
+        )
+      );
+
+      expect(mockApiClient.getTable).toHaveBeenCalledWith(13);
+      expect(text).toContain('**Requested Tables Not Found:** prodcuts (did you mean products?)');
+    });
+  });
+
+  describe('review_dashboard', () => {
+    it('should describe which cards each filter applies to', async () => {
+      mockApiClient.getDashboard.mockResolvedValue(
+        createCachedResponse({
+          id: 7,
+          name: 'Sales',
+          collection_id: 2,
+          parameters: [
+            { id: 'p-state', name: 'State', slug: 'state', type: 'string/=' },
+            { id: 'p-date', name: 'Date', slug: 'date', type: 'date/all-options', default: 'past30days' },
+          ],
+          dashcards: [
+            {
+              id: 101,
+              card_id: 11,
+              card: { name: 'Revenue', display: 'bar', dataset_query: { type: 'query' } },
+              parameter_mappings: [{ parameter_id: 'p-state', card_id: 11 }],
+            },
+            { id: 102, card_id: null, parameter_mappings: [] },
+          ],
+        })
+      );
+
+      const text = promptText(
+        await generateDashboardReviewPrompt(
+          { dashboard_id: '7' },
+          mockApiClient as any,
+          mockLogger.logInfo,
+          mockLogger.logWarn
+        )
+      );
+
+      expect(text).toContain('- Cards: 1 (plus 1 text or heading cards)');
+      expect(text).toContain('- State (string/=), slug state: applies to Revenue');
+      expect(text).toContain(
+        '- Date (date/all-options), slug date, default "past30days": not connected to any card'
+      );
+      expect(text).toContain('- Revenue (card 11, bar, query builder) - filters: state');
+    });
+  });
+
+  describe('audit_collection', () => {
+    it('should report stale items and questions with the same query', async () => {
+      const recent = new Date().toISOString();
+      mockApiClient.getCollection.mockResolvedValue(createCachedResponse({ id: 4, name: 'Finance' }));
+      mockApiClient.getCollectionItems.mockResolvedValue(
+        createCachedResponse([
+          { id: 1, model: 'card', name: 'Revenue', 'last-edit-info': { timestamp: '2020-01-02T00:00:00Z', email: 'a@example.com' } },
+          { id: 2, model: 'card', name: 'Revenue (copy)', 'last-edit-info': { timestamp: recent } },
+          { id: 3, model: 'dashboard', name: 'revenue', 'last-edit-info': { timestamp: recent } },
+          { id: 5, model: 'collection', name: 'Archive' },
+          { id: 6, model: 'card', name: 'Old revenue', archived: true },
+        ])
+      );
+      mockApiClient.getCard.mockImplementation(async (id: number) =>
+        createCachedResponse({
+          id,
+          database_id: 3,
+          dataset_query: {
+            type: 'native',
+            native: { query: id === 1 ? 'SELECT sum(total) FROM orders;' : 'select SUM(total)\n  from orders' },
+          },
+        })
+      );
+
+      const text = promptText(
+        await generateCollectionAuditPrompt(
+          { collection_id: '4', stale_days: '365' },
+          mockApiClient as any,
+          mockLogger.logInfo,
+          mockLogger.logWarn
+        )
+      );
+
+      expect(text).toContain('- Items: 3 (not audited: sub-collections: 1, archived items: 1)');
+      expect(text).toContain(
+        '**Stale Items (not edited in 365 days):**\n- card 1 "Revenue", last edited 2020-01-02 by a@example.com'
+      );
+      expect(text).toContain('- Same query: card 1 "Revenue", card 2 "Revenue (copy)"');
+      expect(text).not.toContain('Same name');
+    });
+  });
+});
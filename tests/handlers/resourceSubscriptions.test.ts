@@ -0,0 +1,157 @@
+/**
+ * Unit tests for resource subscriptions
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  handleSubscribeResource,
+  handleUnsubscribeResource,
+  ResourceWatcher,
+} from '../../src/handlers/resources/index.js';
+import { McpError } from '../../src/types/core.js';
+import { mockApiClient, mockLogger, resetAllMocks, createCachedResponse } from '../setup.js';
+
+const apiClient = { ...mockApiClient, getSessionToken: vi.fn().mockResolvedValue('test-token') };
+
+const card = (query: string, updatedAt: string) => ({
+  id: 1,
+  updated_at: updatedAt,
+  dataset_query: { type: 'native', native: { query } },
+  parameters: [],
+});
+
+const subscribe = (watcher: ResourceWatcher, uri: string) =>
+  handleSubscribeResource(
+    { method: 'resources/subscribe', params: { uri } },
+    apiClient as any,
+    watcher,
+    mockLogger.logInfo
+  );
+
+describe('Resource subscriptions', () => {
+  const notifier = {
+    resourceUpdated: vi.fn().mockResolvedValue(undefined),
+    resourceListChanged: vi.fn().mockResolvedValue(undefined),
+  };
+  let watcher: ResourceWatcher;
+
+  beforeEach(() => {
+    resetAllMocks();
+    notifier.resourceUpdated.mockClear();
+    notifier.resourceListChanged.mockClear();
+    mockApiClient.getCollectionsList.mockResolvedValue(createCachedResponse([{ id: 4 }]));
+    mockApiClient.getDatabasesList.mockResolvedValue(createCachedResponse([{ id: 1 }]));
+    mockApiClient.getCard.mockResolvedValue(
+      createCachedResponse(card('SELECT 1', '2026-01-01T00:00:00Z'))
+    );
+    watcher = new ResourceWatcher(
+      apiClient as any,
+      60000,
+      notifier,
+      mockLogger.logDebug,
+      mockLogger.logWarn,
+      mockLogger.logError
+    );
+  });
+
+  afterEach(() => {
+    watcher.stop();
+  });
+
+  it('should reject resources that cannot be subscribed to', async () => {
+    await expect(subscribe(watcher, 'metabase://table/3')).rejects.toThrow(McpError);
+    await expect(subscribe(watcher, 'metabase://card/abc')).rejects.toThrow(McpError);
+    expect(watcher.subscriptions).toEqual([]);
+  });
+
+  it('should notify when a card query changes but not when updated_at is unchanged', async () => {
+    await expect(subscribe(watcher, 'metabase://card/1')).resolves.toEqual({});
+    expect(watcher.subscriptions).toEqual(['metabase://card/1']);
+
+    // A different response with the same updated_at is not an edit
+    mockApiClient.getCard.mockResolvedValue(
+      createCachedResponse(card('SELECT 2', '2026-01-01T00:00:00Z'))
+    );
+    await watcher.poll();
+    expect(notifier.resourceUpdated).not.toHaveBeenCalled();
+
+    mockApiClient.getCard.mockResolvedValue(
+      createCachedResponse(card('SELECT 3', '2026-02-01T00:00:00Z'))
+    );
+    await watcher.poll();
+    expect(notifier.resourceUpdated).toHaveBeenCalledWith('metabase://card/1');
+
+    // A rename bumps updated_at without touching the query
+    notifier.resourceUpdated.mockClear();
+    mockApiClient.getCard.mockResolvedValue(
+      createCachedResponse({ ...card('SELECT 3', '2026-03-01T00:00:00Z'), name: 'Renamed' })
+    );
+    await watcher.poll();
+    expect(notifier.resourceUpdated).not.toHaveBeenCalled();
+  });
+
+  it('should notify when a dashboard layout changes', async () => {
+    const dashboard = (col: number, updatedAt: string) =>
+      createCachedResponse({
+        id: 7,
+        updated_at: updatedAt,
+        dashcards: [{ id: 101, card_id: 1, row: 0, col, size_x: 6, size_y: 4 }],
+      });
+    mockApiClient.getDashboard.mockResolvedValue(dashboard(0, '2026-01-01T00:00:00Z'));
+    await subscribe(watcher, 'metabase://dashboard/7');
+
+    mockApiClient.getDashboard.mockResolvedValue(dashboard(6, '2026-01-02T00:00:00Z'));
+    await watcher.poll();
+
+    expect(notifier.resourceUpdated).toHaveBeenCalledWith('metabase://dashboard/7');
+  });
+
+  it('should notify when the items of a collection change', async () => {
+    mockApiClient.getCollectionItems.mockResolvedValue(
+      createCachedResponse([{ id: 1, model: 'card', name: 'Revenue' }])
+    );
+    await subscribe(watcher, 'metabase://collection/4');
+
+    await watcher.poll();
+    expect(notifier.resourceUpdated).not.toHaveBeenCalled();
+
+    mockApiClient.getCollectionItems.mockResolvedValue(
+      createCachedResponse([
+        { id: 1, model: 'card', name: 'Revenue' },
+        { id: 2, model: 'dashboard', name: 'Sales' },
+      ])
+    );
+    await watcher.poll();
+    expect(notifier.resourceUpdated).toHaveBeenCalledWith('metabase://collection/4');
+  });
+
+  it('should report new collections and databases as a list change', async () => {
+    await subscribe(watcher, 'metabase://card/1');
+
+    await watcher.poll();
+    expect(notifier.resourceListChanged).not.toHaveBeenCalled();
+
+    mockApiClient.getCollectionsList.mockResolvedValue(
+      createCachedResponse([{ id: 4 }, { id: 9 }])
+    );
+    await watcher.poll();
+    expect(notifier.resourceListChanged).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop checking resources once unsubscribed', async () => {
+    await subscribe(watcher, 'metabase://card/1');
+    await expect(
+      handleUnsubscribeResource(
+        { method: 'resources/unsubscribe', params: { uri: 'metabase://card/1' } },
+        watcher,
+        mockLogger.logInfo
+      )
+    ).resolves.toEqual({});
+    mockApiClient.getCard.mockClear();
+
+    await watcher.poll();
+
+    expect(watcher.subscriptions).toEqual([]);
+    expect(mockApiClient.getCard).not.toHaveBeenCalled();
+  });
+});
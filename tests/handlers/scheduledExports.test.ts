@@ -0,0 +1,249 @@
+/**
+ * Unit tests for the scheduled export tools and run history resource
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  handleScheduleExport,
+  handleListScheduledExports,
+  handleCancelScheduledExport,
+} from '../../src/handlers/scheduledExports/index.js';
+import { handleReadResource } from '../../src/handlers/resources/resourceHandlers.js';
+import { ExportJobStore } from '../../src/scheduler/jobStore.js';
+import { ExportScheduler } from '../../src/scheduler/exportScheduler.js';
+import { McpError } from '../../src/types/core.js';
+import { mockApiClient, mockLogger, createMockRequest, getLoggerFunctions } from '../setup.js';
+
+describe('Scheduled export tools', () => {
+  let directory: string;
+  let scheduler: ExportScheduler;
+  const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metabase-schedule-tools-'));
+    scheduler = new ExportScheduler(
+      new ExportJobStore(path.join(directory, 'export-schedules.json')),
+      mockApiClient as any,
+      path.join(directory, 'exports'),
+      logDebug,
+      logInfo,
+      logWarn,
+      logError
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  async function call(
+    handler: typeof handleScheduleExport,
+    toolName: string,
+    args: Record<string, unknown>,
+    available: ExportScheduler | null = scheduler
+  ) {
+    const result = await handler(
+      createMockRequest(toolName, args),
+      'test-request-id',
+      available,
+      logInfo,
+      logWarn,
+      logError
+    );
+    return JSON.parse(result.content[0].text);
+  }
+
+  const schedule = (args: Record<string, unknown>) => call(handleScheduleExport, 'schedule_export', args);
+
+  describe('schedule_export', () => {
+    it('should store a SQL export job with its next runs', async () => {
+      const wake = vi.spyOn(scheduler, 'wake');
+
+      const response = await schedule({
+        name: 'daily orders',
+        cron: '0 6 * * *',
+        database_id: 1,
+        query: 'SELECT * FROM orders WHERE created_at > {{since}}',
+        native_parameters: [{ type: 'date/single', value: '2024-01-01' }],
+        format: 'parquet',
+        compression: 'gzip',
+        filename_template: 'orders_{date}',
+      });
+
+      expect(response).toMatchObject({
+        success: true,
+        job: {
+          id: expect.stringMatching(/^[0-9a-f]{8}$/),
+          name: 'daily orders',
+          cron: '0 6 * * *',
+          export: {
+            database_id: 1,
+            query: 'SELECT * FROM orders WHERE created_at > {{since}}',
+            native_parameters: [{ type: 'date/single', value: '2024-01-01' }],
+            format: 'parquet',
+            compression: 'gzip',
+          },
+          filename_template: 'orders_{date}',
+          retention: { days: 30, runs: null },
+          last_run_at: null,
+        },
+      });
+      expect(response.upcoming_runs).toHaveLength(3);
+      expect(response.job.next_run_at).toBe(response.upcoming_runs[0]);
+      for (const run of response.upcoming_runs) {
+        expect(new Date(run).getHours()).toBe(6);
+        expect(new Date(run).getMinutes()).toBe(0);
+      }
+      expect(scheduler.store.read().jobs).toEqual([response.job]);
+      expect(wake).toHaveBeenCalled();
+    });
+
+    it('should store card jobs with the default filename template and retention overrides', async () => {
+      const response = await schedule({
+        name: 'weekly users',
+        cron: '@weekly',
+        card_id: 7,
+        card_parameters: [
+          {
+            id: 'p1',
+            slug: 'region',
+            type: 'category',
+            target: ['variable', ['template-tag', 'region']],
+            value: 'EU',
+          },
+        ],
+        retention_days: 0,
+        retention_runs: 4,
+      });
+
+      expect(response.job).toMatchObject({
+        export: { card_id: 7, card_parameters: [expect.objectContaining({ value: 'EU' })] },
+        filename_template: '{name}_{datetime}',
+        retention: { days: null, runs: 4 },
+      });
+    });
+
+    it('should reject invalid schedules before storing them', async () => {
+      const base = { name: 'orders', cron: '0 6 * * *', database_id: 1, query: 'SELECT 1' };
+
+      await expect(schedule({ ...base, cron: '0 25 * * *' })).rejects.toThrow('Invalid hour "25"');
+      await expect(schedule({ ...base, filename_template: 'orders_{week}' })).rejects.toThrow(
+        'Unknown filename_template tokens: {week}'
+      );
+      await expect(schedule({ ...base, filename: 'orders' })).rejects.toThrow(McpError);
+      await expect(schedule({ ...base, card_id: 3 })).rejects.toThrow(
+        'Cannot specify both card_id and database_id'
+      );
+      await expect(schedule({ ...base, format: 'xlsx', split_mb: 5 })).rejects.toThrow(
+        'split_mb is not supported for xlsx exports'
+      );
+      await expect(schedule({ ...base, query: 'DELETE FROM orders' })).rejects.toThrow(McpError);
+      await expect(schedule({ cron: '0 6 * * *', card_id: 3 })).rejects.toThrow('name');
+
+      expect(scheduler.store.read().jobs).toEqual([]);
+    });
+
+    it('should be unavailable without a scheduler', async () => {
+      await expect(
+        call(handleScheduleExport, 'schedule_export', { name: 'x', cron: '@daily', card_id: 1 }, null)
+      ).rejects.toThrow('Scheduled exports are not available');
+      expect(mockLogger.logWarn).toHaveBeenCalledWith(
+        'Rejected schedule_export request: scheduled exports are not available',
+        { requestId: 'test-request-id' }
+      );
+    });
+  });
+
+  describe('list_scheduled_exports and cancel_scheduled_export', () => {
+    it('should list jobs with their last run and cancel them', async () => {
+      const { job } = await schedule({ name: 'orders', cron: '@daily', card_id: 7 });
+      scheduler.store.recordRun(
+        {
+          run_id: 'run-1',
+          job_id: job.id,
+          job_name: job.name,
+          started_at: '2024-03-01T00:00:00.000Z',
+          finished_at: '2024-03-01T00:00:05.000Z',
+          status: 'failed',
+          files: [],
+          error: 'Card 7 not found',
+        },
+        job.next_run_at
+      );
+
+      const listed = await call(handleListScheduledExports, 'list_scheduled_exports', {});
+      expect(listed).toMatchObject({
+        total_jobs: 1,
+        scheduler_active: false,
+        jobs: [
+          {
+            id: job.id,
+            last_run_at: '2024-03-01T00:00:00.000Z',
+            last_run: { status: 'failed', error: 'Card 7 not found' },
+          },
+        ],
+      });
+
+      const cancelled = await call(handleCancelScheduledExport, 'cancel_scheduled_export', {
+        job_id: job.id,
+      });
+      expect(cancelled).toMatchObject({ success: true, job: { id: job.id } });
+      expect(scheduler.store.read()).toMatchObject({ jobs: [], runs: [{ run_id: 'run-1' }] });
+
+      await expect(
+        call(handleCancelScheduledExport, 'cancel_scheduled_export', { job_id: job.id })
+      ).rejects.toThrow(`No scheduled export with ID ${job.id}`);
+    });
+  });
+
+  describe('metabase://exports/history resource', () => {
+    const readResource = (uri: string, available: ExportScheduler | null = scheduler) =>
+      handleReadResource(
+        { method: 'resources/read', params: { uri } },
+        { ...mockApiClient, getSessionToken: vi.fn().mockResolvedValue('test-token') } as any,
+        logInfo,
+        logWarn,
+        logDebug,
+        logError,
+        available
+      );
+
+    it('should list runs newest first, for all jobs or one', async () => {
+      const { job: first } = await schedule({ name: 'first', cron: '@daily', card_id: 1 });
+      const { job: second } = await schedule({ name: 'second', cron: '@daily', card_id: 2 });
+      const run = (id: string, jobId: string, startedAt: string) => ({
+        run_id: id,
+        job_id: jobId,
+        job_name: 'job',
+        started_at: startedAt,
+        finished_at: startedAt,
+        status: 'success' as const,
+        row_count: 10,
+        files: [`/exports/${id}.csv`],
+      });
+      scheduler.store.recordRun(run('a', first.id, '2024-03-01T00:00:00.000Z'), null);
+      scheduler.store.recordRun(run('b', second.id, '2024-03-02T00:00:00.000Z'), null);
+      scheduler.store.recordRun(run('c', first.id, '2024-03-03T00:00:00.000Z'), null);
+
+      const all = JSON.parse((await readResource('metabase://exports/history')).contents[0].text!);
+      expect(all.runs.map((entry: any) => entry.run_id)).toEqual(['c', 'b', 'a']);
+
+      const one = JSON.parse(
+        (await readResource(`metabase://exports/history/${first.id}`)).contents[0].text!
+      );
+      expect(one).toMatchObject({ job_id: first.id, job: { name: 'first' }, total_runs: 2 });
+      expect(one.runs.map((entry: any) => entry.run_id)).toEqual(['c', 'a']);
+
+      await expect(readResource('metabase://exports/history/unknown')).rejects.toThrow(
+        'No scheduled export with ID unknown'
+      );
+      await expect(readResource('metabase://exports/history', null)).rejects.toThrow(
+        'Scheduled exports are not available'
+      );
+    });
+  });
+});
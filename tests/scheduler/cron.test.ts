@@ -0,0 +1,103 @@
+/**
+ * Unit tests for cron expressions of scheduled exports
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CronError, CronSchedule } from '../../src/scheduler/cron.js';
+
+// Successive run times after `from`, in local time
+function runs(expression: string, from: Date, count = 3): Date[] {
+  const schedule = new CronSchedule(expression);
+  const dates: Date[] = [];
+  for (let after = from; dates.length < count; ) {
+    const next = schedule.next(after);
+    if (!next) {
+      break;
+    }
+    dates.push(next);
+    after = next;
+  }
+  return dates;
+}
+
+describe('CronSchedule', () => {
+  // Friday 1 March 2024, 10:15:30 local time
+  const from = new Date(2024, 2, 1, 10, 15, 30);
+
+  it('should find the next minute, hour and day that match', () => {
+    expect(runs('*/20 * * * *', from)).toEqual([
+      new Date(2024, 2, 1, 10, 20),
+      new Date(2024, 2, 1, 10, 40),
+      new Date(2024, 2, 1, 11, 0),
+    ]);
+    expect(runs('0 6 * * *', from, 2)).toEqual([
+      new Date(2024, 2, 2, 6, 0),
+      new Date(2024, 2, 3, 6, 0),
+    ]);
+    expect(runs('30 9,17 15 * *', from)).toEqual([
+      new Date(2024, 2, 15, 9, 30),
+      new Date(2024, 2, 15, 17, 30),
+      new Date(2024, 3, 15, 9, 30),
+    ]);
+  });
+
+  it('should never return the time it starts from', () => {
+    expect(runs('15 10 * * *', new Date(2024, 2, 1, 10, 15), 1)).toEqual([
+      new Date(2024, 2, 2, 10, 15),
+    ]);
+  });
+
+  it('should accept ranges, steps, names and Sunday as 7', () => {
+    // Weekdays at 08:00, starting on the Friday
+    expect(runs('0 8 * * mon-fri', from)).toEqual([
+      new Date(2024, 2, 4, 8, 0),
+      new Date(2024, 2, 5, 8, 0),
+      new Date(2024, 2, 6, 8, 0),
+    ]);
+    expect(runs('0 0 * * 7', from, 1)).toEqual(runs('0 0 * * sun', from, 1));
+    expect(runs('0 12 1 jan,jul *', from, 2)).toEqual([
+      new Date(2024, 6, 1, 12, 0),
+      new Date(2025, 0, 1, 12, 0),
+    ]);
+    expect(runs('10/25 10 * * *', from, 2)).toEqual([
+      new Date(2024, 2, 1, 10, 35),
+      new Date(2024, 2, 2, 10, 10),
+    ]);
+  });
+
+  it('should run on either restricted day of month or day of week', () => {
+    // The 5th, and every Monday
+    expect(runs('0 0 5 * 1', from)).toEqual([
+      new Date(2024, 2, 4, 0, 0),
+      new Date(2024, 2, 5, 0, 0),
+      new Date(2024, 2, 11, 0, 0),
+    ]);
+  });
+
+  it('should expand shorthands', () => {
+    expect(runs('@daily', from, 1)).toEqual([new Date(2024, 2, 2, 0, 0)]);
+    expect(runs('@monthly', from, 1)).toEqual([new Date(2024, 3, 1, 0, 0)]);
+    expect(runs('@weekly', from, 1)).toEqual([new Date(2024, 2, 3, 0, 0)]);
+  });
+
+  it('should find leap days', () => {
+    expect(runs('0 0 29 2 *', from, 1)).toEqual([new Date(2028, 1, 29, 0, 0)]);
+  });
+
+  it('should reject malformed expressions and schedules that never run', () => {
+    for (const expression of [
+      '* * * *',
+      '60 * * * *',
+      '* 24 * * *',
+      '0 0 0 * *',
+      '0 0 * 13 *',
+      '0 0 * * 8',
+      '5-1 * * * *',
+      '*/0 * * * *',
+      '0 0 * foo *',
+      '0 0 30 2 *',
+    ]) {
+      expect(() => new CronSchedule(expression), expression).toThrow(CronError);
+    }
+  });
+});
@@ -0,0 +1,347 @@
+/**
+ * Unit tests for the export job store and the scheduler that runs the jobs
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  ExportJob,
+  ExportJobStore,
+  exportJobStorePath,
+  RUN_HISTORY_PER_JOB,
+} from '../../src/scheduler/jobStore.js';
+import {
+  ExportScheduler,
+  renderFilenameTemplate,
+  unknownFilenameTokens,
+} from '../../src/scheduler/exportScheduler.js';
+import { handleExport } from '../../src/handlers/export/index.js';
+import { mockApiClient, getLoggerFunctions } from '../setup.js';
+
+vi.mock('../../src/handlers/export/index.js', async importOriginal => ({
+  ...(await importOriginal<typeof import('../../src/handlers/export/index.js')>()),
+  handleExport: vi.fn(),
+}));
+
+function exportResponse(data: Record<string, unknown>, isError = false) {
+  return { content: [{ type: 'text' as const, text: JSON.stringify(data) }], ...(isError && { isError }) };
+}
+
+function newJob(overrides: Partial<ExportJob> = {}): Omit<ExportJob, 'id'> {
+  return {
+    name: 'orders',
+    cron: '0 6 * * *',
+    export: { database_id: 1, query: 'SELECT * FROM orders', format: 'csv' },
+    filename_template: '{name}_{date}',
+    retention: { days: null, runs: null },
+    created_at: '2024-03-01T00:00:00.000Z',
+    next_run_at: '2024-03-01T06:00:00.000Z',
+    last_run_at: null,
+    ...overrides,
+  };
+}
+
+describe('Scheduled exports', () => {
+  let directory: string;
+  let exportDirectory: string;
+  let store: ExportJobStore;
+  let scheduler: ExportScheduler;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metabase-schedules-'));
+    exportDirectory = path.join(directory, 'exports');
+    fs.mkdirSync(exportDirectory);
+    store = new ExportJobStore(exportJobStorePath(path.join(directory, 'config'), 'http://localhost:3000'));
+    const [logDebug, logInfo, logWarn, logError] = getLoggerFunctions();
+    scheduler = new ExportScheduler(
+      store,
+      mockApiClient as any,
+      exportDirectory,
+      logDebug,
+      logInfo,
+      logWarn,
+      logError
+    );
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // An export that writes its data file and manifest like the export tool
+  function mockExportWritingFiles() {
+    vi.mocked(handleExport).mockImplementation(async request => {
+      const filename = (request.params.arguments as any).filename;
+      const filePath = path.join(exportDirectory, `${filename}.csv`);
+      const manifestPath = path.join(exportDirectory, `${filename}.manifest.json`);
+      fs.writeFileSync(filePath, 'id\n1\n');
+      fs.writeFileSync(manifestPath, '{}');
+      return exportResponse({
+        success: true,
+        file_path: filePath,
+        row_count: 1,
+        file_size_bytes: 5,
+        manifest_path: manifestPath,
+      });
+    });
+  }
+
+  describe('ExportJobStore', () => {
+    it('should keep jobs in a file only the current user can read', () => {
+      const job = store.addJob(newJob());
+
+      expect(job.id).toMatch(/^[0-9a-f]{8}$/);
+      expect(new ExportJobStore(store.file).read().jobs).toEqual([job]);
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(store.file).mode & 0o777).toBe(0o600);
+      }
+
+      expect(store.removeJob(job.id)).toEqual(job);
+      expect(store.removeJob(job.id)).toBeNull();
+      expect(store.read().jobs).toEqual([]);
+    });
+
+    it('should refuse to read a corrupt store instead of starting over', () => {
+      fs.mkdirSync(path.dirname(store.file), { recursive: true });
+      fs.writeFileSync(store.file, '{"jobs": [');
+
+      expect(() => store.read()).toThrow('not valid JSON');
+      expect(() => store.addJob(newJob())).toThrow('not valid JSON');
+      expect(fs.readFileSync(store.file, 'utf8')).toBe('{"jobs": [');
+    });
+
+    it('should wait for the update lock of another process instead of overwriting its change', () => {
+      fs.mkdirSync(path.dirname(store.file), { recursive: true });
+      fs.writeFileSync(store.updateLockFile, String(process.ppid));
+      let now = Date.now();
+      vi.spyOn(Date, 'now').mockImplementation(() => (now += 1000));
+
+      expect(() => store.addJob(newJob())).toThrow('Timed out waiting for another process');
+      expect(store.read().jobs).toEqual([]);
+      expect(fs.readFileSync(store.updateLockFile, 'utf8')).toBe(String(process.ppid));
+      vi.mocked(Date.now).mockRestore();
+    });
+
+    it('should replace an update lock left behind by a process that exited', () => {
+      fs.mkdirSync(path.dirname(store.file), { recursive: true });
+      fs.writeFileSync(store.updateLockFile, '2147483646');
+
+      const job = store.addJob(newJob());
+
+      expect(store.read().jobs).toEqual([job]);
+      expect(fs.existsSync(store.updateLockFile)).toBe(false);
+    });
+
+    it('should drop the oldest runs without files beyond the history limit', () => {
+      const job = store.addJob(newJob());
+      const run = (index: number, status: 'success' | 'failed') => ({
+        run_id: `run-${index}`,
+        job_id: job.id,
+        job_name: job.name,
+        started_at: new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString(),
+        finished_at: new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString(),
+        status,
+        files: status === 'success' ? [`/exports/${index}.csv`] : [],
+      });
+
+      store.recordRun(run(0, 'success'), '2024-03-02T06:00:00.000Z');
+      for (let index = 1; index <= RUN_HISTORY_PER_JOB + 5; index++) {
+        store.recordRun(run(index, 'failed'), '2024-03-02T06:00:00.000Z');
+      }
+
+      const { jobs, runs } = store.read();
+      expect(runs).toHaveLength(RUN_HISTORY_PER_JOB);
+      // The run whose file retention still manages is kept
+      expect(runs[0].run_id).toBe('run-0');
+      expect(runs[1].run_id).toBe('run-7');
+      expect(jobs[0]).toMatchObject({
+        last_run_at: run(RUN_HISTORY_PER_JOB + 5, 'failed').started_at,
+        next_run_at: '2024-03-02T06:00:00.000Z',
+      });
+    });
+  });
+
+  describe('filename templates', () => {
+    it('should fill in the name, job ID and local time', () => {
+      const date = new Date(2024, 2, 1, 6, 5);
+
+      expect(renderFilenameTemplate('{name}_{datetime}', date, { id: 'ab12', name: 'orders' })).toBe(
+        'orders_2024-03-01T06-05'
+      );
+      expect(
+        renderFilenameTemplate('{YYYY}/{MM}/{DD} {HH}{mm} {time} {job_id} {date}', date, {
+          id: 'ab12',
+          name: 'orders',
+        })
+      ).toBe('2024/03/01 0605 06-05 ab12 2024-03-01');
+    });
+
+    it('should report unknown tokens', () => {
+      expect(unknownFilenameTokens('{name}_{week}_{}')).toEqual(['week', '']);
+      expect(unknownFilenameTokens('report_{date}')).toEqual([]);
+    });
+  });
+
+  describe('ExportScheduler', () => {
+    it('should run due jobs through the export tool and record the runs', async () => {
+      mockExportWritingFiles();
+      const due = store.addJob(newJob());
+      const later = store.addJob(newJob({ name: 'later', next_run_at: '2099-01-01T00:00:00.000Z' }));
+
+      const runs = await scheduler.runDueJobs(new Date('2024-03-01T06:00:30.000Z'));
+
+      expect(handleExport).toHaveBeenCalledTimes(1);
+      const [request, , apiClient] = vi.mocked(handleExport).mock.calls[0];
+      expect(request.params).toEqual({
+        name: 'export',
+        arguments: {
+          database_id: 1,
+          query: 'SELECT * FROM orders',
+          format: 'csv',
+          filename: expect.stringMatching(/^orders_\d{4}-\d{2}-\d{2}$/),
+        },
+      });
+      expect(apiClient).toBe(mockApiClient);
+
+      expect(runs).toEqual([
+        expect.objectContaining({
+          job_id: due.id,
+          status: 'success',
+          row_count: 1,
+          files: [expect.stringMatching(/\.csv$/), expect.stringMatching(/\.manifest\.json$/)],
+        }),
+      ]);
+      const { jobs, runs: history } = store.read();
+      expect(history).toEqual(runs);
+      const updated = jobs.find(job => job.id === due.id)!;
+      expect(updated.last_run_at).toBe(runs[0].started_at);
+      expect(Date.parse(updated.next_run_at!)).toBeGreaterThan(Date.now());
+      expect(jobs.find(job => job.id === later.id)).toEqual(later);
+    });
+
+    it('should record empty and failed exports', async () => {
+      vi.mocked(handleExport)
+        .mockResolvedValueOnce(exportResponse({ success: false, row_count: 0 }))
+        .mockResolvedValueOnce(exportResponse({ success: false, error: 'Disk full' }, true))
+        .mockRejectedValueOnce(new Error('Card 7 not found'));
+      store.addJob(newJob({ name: 'empty' }));
+      store.addJob(newJob({ name: 'disk' }));
+      store.addJob(newJob({ name: 'missing', export: { card_id: 7 } }));
+
+      const runs = await scheduler.runDueJobs(new Date('2024-03-01T06:00:30.000Z'));
+
+      expect(runs.map(run => [run.job_name, run.status, run.error])).toEqual([
+        ['empty', 'empty', undefined],
+        ['disk', 'failed', 'Disk full'],
+        ['missing', 'failed', 'Card 7 not found'],
+      ]);
+    });
+
+    it('should not repeat a run whose result could not be stored', async () => {
+      mockExportWritingFiles();
+      store.addJob(newJob());
+      const recordRun = vi.spyOn(store, 'recordRun').mockImplementation(() => {
+        throw new Error('Failed to save export schedules');
+      });
+
+      await expect(scheduler.runDueJobs(new Date('2024-03-01T06:00:30.000Z'))).rejects.toThrow(
+        'Failed to save export schedules'
+      );
+      recordRun.mockRestore();
+      expect(await scheduler.runDueJobs(new Date('2024-03-01T06:01:30.000Z'))).toEqual([]);
+      expect(handleExport).toHaveBeenCalledTimes(1);
+    });
+
+    it('should remove the files of runs beyond the retention', async () => {
+      mockExportWritingFiles();
+      const job = store.addJob(newJob({ retention: { days: 7, runs: 2 } }));
+      const file = (name: string) => path.join(exportDirectory, name);
+      const outside = path.join(directory, 'elsewhere.csv');
+      for (const name of ['old.csv', 'first.csv', 'second.csv', 'shared.csv']) {
+        fs.writeFileSync(file(name), 'id\n');
+      }
+      fs.writeFileSync(outside, 'id\n');
+      const run = (id: string, daysAgo: number, files: string[]) => ({
+        run_id: id,
+        job_id: job.id,
+        job_name: job.name,
+        started_at: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString(),
+        finished_at: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString(),
+        status: 'success' as const,
+        files,
+      });
+      store.update(state => {
+        state.runs.push(
+          run('old', 10, [file('old.csv'), outside]),
+          run('first', 3, [file('first.csv'), file('shared.csv')]),
+          run('second', 2, [file('second.csv'), file('shared.csv')])
+        );
+      });
+
+      // The new run makes "first" the third most recent; "old" is past 7 days
+      await scheduler.runDueJobs(new Date('2024-03-01T06:00:30.000Z'));
+
+      expect(fs.existsSync(file('old.csv'))).toBe(false);
+      expect(fs.existsSync(file('first.csv'))).toBe(false);
+      expect(fs.existsSync(file('second.csv'))).toBe(true);
+      // Also written by a run that is kept
+      expect(fs.existsSync(file('shared.csv'))).toBe(true);
+      // Never outside the export directory
+      expect(fs.existsSync(outside)).toBe(true);
+
+      const pruned = store
+        .read()
+        .runs.filter(existing => existing.pruned_at)
+        .map(existing => existing.run_id);
+      expect(pruned.sort()).toEqual(['first', 'old']);
+    });
+
+    it('should not run jobs while another process holds the lock', async () => {
+      vi.useFakeTimers();
+      try {
+        fs.mkdirSync(path.dirname(scheduler.lockFile), { recursive: true });
+        // The parent process is alive for as long as the test runs
+        fs.writeFileSync(scheduler.lockFile, String(process.ppid));
+        store.addJob(newJob());
+
+        scheduler.start();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(scheduler.active).toBe(false);
+        expect(handleExport).not.toHaveBeenCalled();
+
+        // Takes over once the other process releases the lock
+        fs.rmSync(scheduler.lockFile);
+        mockExportWritingFiles();
+        await vi.advanceTimersByTimeAsync(60_000);
+        expect(scheduler.active).toBe(true);
+        expect(handleExport).toHaveBeenCalledTimes(1);
+
+        scheduler.stop();
+        expect(fs.existsSync(scheduler.lockFile)).toBe(false);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should replace a lock left behind by a process that exited', async () => {
+      vi.useFakeTimers();
+      try {
+        fs.mkdirSync(path.dirname(scheduler.lockFile), { recursive: true });
+        // PIDs are far below this on every supported platform
+        fs.writeFileSync(scheduler.lockFile, '99999999');
+
+        scheduler.start();
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(scheduler.active).toBe(true);
+        expect(fs.readFileSync(scheduler.lockFile, 'utf8')).toBe(String(process.pid));
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+});
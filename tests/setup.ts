@@ -10,6 +10,11 @@ process.env.METABASE_API_KEY = 'test-api-key';
 process.env.LOG_LEVEL = 'error'; // Reduce noise in tests
 process.env.NODE_ENV = 'test';
 
+// Result cache stand-in that always runs the query
+async function passThroughResult(_fingerprint: string, fetcher: () => Promise<any>) {
+  return { data: await fetcher(), source: 'api' as const, fetchTime: 0 };
+}
+
 // Mock API client with all methods
 export const mockApiClient = {
   // Individual item retrieval methods
@@ -21,6 +26,11 @@ export const mockApiClient = {
   getCollectionItems: vi.fn(),
   getField: vi.fn(),
 
+  // Parameter value methods
+  getCardParameterValues: vi.fn(),
+  getDashboardParameterValues: vi.fn(),
+  getFieldValues: vi.fn(),
+
   // List retrieval methods
   getCardsList: vi.fn(),
   getDashboardsList: vi.fn(),
@@ -28,8 +38,20 @@ export const mockApiClient = {
   getDatabasesList: vi.fn(),
   getCollectionsList: vi.fn(),
 
+  // Card write methods
+  createCard: vi.fn(),
+  updateCard: vi.fn(),
+  invalidateCard: vi.fn(),
+
+  // Dashboard write methods
+  createDashboard: vi.fn(),
+  updateDashboard: vi.fn(),
+  invalidateDashboard: vi.fn(),
+
   // Generic request method
   request: vi.fn(),
+  requestRaw: vi.fn(),
+  getAuthHeaders: vi.fn(),
 
   // Cache clearing methods - individual items
   clearCardsCache: vi.fn(),
@@ -38,6 +60,7 @@ export const mockApiClient = {
   clearDatabasesCache: vi.fn(),
   clearCollectionsCache: vi.fn(),
   clearFieldsCache: vi.fn(),
+  clearParameterValuesCache: vi.fn(),
 
   // Cache clearing methods - lists
   clearCardsListCache: vi.fn(),
@@ -47,9 +70,20 @@ export const mockApiClient = {
   clearCollectionsListCache: vi.fn(),
   clearListCaches: vi.fn(),
 
+  // Execute result caches, passing queries straight through as with an empty cache
+  getQueryResult: vi.fn(passThroughResult),
+  getCardResult: vi.fn(passThroughResult),
+  clearQueryResultsCache: vi.fn(),
+  clearCardResultsCache: vi.fn(),
+  clearResultCaches: vi.fn(),
+
   // Cache clearing methods - combined
   clearAllCache: vi.fn(),
 
+  // Cache statistics
+  getCacheStats: vi.fn(),
+  resetCacheStats: vi.fn(),
+
   // Session token property
   sessionToken: 'mock-session-token',
 };
@@ -221,4 +255,6 @@ export function resetAllMocks() {
       mock.mockReset();
     }
   });
+  mockApiClient.getQueryResult.mockImplementation(passThroughResult);
+  mockApiClient.getCardResult.mockImplementation(passThroughResult);
 }
@@ -0,0 +1,185 @@
+/**
+ * Unit tests for per-client authentication and API client pooling
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as fs from 'fs';
+import { timingSafeEqual } from 'crypto';
+import {
+  ApiClientPool,
+  ClientAuthError,
+  ClientAuthOptions,
+  DEFAULT_IDENTITY_ID,
+  loadClientTokens,
+  resolveClientIdentity,
+} from '../../src/transport/auth.js';
+import { MetabaseApiClient } from '../../src/api.js';
+
+vi.mock('fs');
+vi.mock('crypto', async importOriginal => {
+  const actual = await importOriginal<typeof import('crypto')>();
+  return { ...actual, timingSafeEqual: vi.fn(actual.timingSafeEqual) };
+});
+
+function createRequest(headers: Record<string, string> = {}) {
+  return { headers } as any;
+}
+
+function createOptions(overrides: Partial<ClientAuthOptions> = {}): ClientAuthOptions {
+  return {
+    tokens: new Map([['alice-token', { apiKey: 'mb_alice', name: 'alice' }]]),
+    allowSessionPassthrough: false,
+    requireClientAuth: false,
+    ...overrides,
+  };
+}
+
+describe('loadClientTokens', () => {
+  beforeEach(() => {
+    vi.mocked(fs.readFileSync).mockReset();
+  });
+
+  it('should return an empty map when no file is configured', () => {
+    expect(loadClientTokens(undefined).size).toBe(0);
+    expect(fs.readFileSync).not.toHaveBeenCalled();
+  });
+
+  it('should map bearer tokens to Metabase API keys', () => {
+    vi.mocked(fs.readFileSync).mockReturnValue(
+      JSON.stringify({ 'alice-token': { api_key: 'mb_alice', name: 'alice' } })
+    );
+
+    const tokens = loadClientTokens('/etc/metabase-mcp/tokens.json');
+    expect(tokens.get('alice-token')).toEqual({ apiKey: 'mb_alice', name: 'alice' });
+  });
+
+  it('should reject entries without an api_key', () => {
+    vi.mocked(fs.readFileSync).mockReturnValue(JSON.stringify({ 'alice-token': { name: 'a' } }));
+
+    expect(() => loadClientTokens('/tokens.json')).toThrow(/Invalid client token file/);
+  });
+});
+
+describe('resolveClientIdentity', () => {
+  it('should resolve a known bearer token to its API key without exposing the token', () => {
+    const identity = resolveClientIdentity(
+      createRequest({ authorization: 'Bearer alice-token' }),
+      createOptions()
+    );
+
+    expect(identity.label).toBe('alice');
+    expect(identity.credentials).toEqual({ apiKey: 'mb_alice' });
+    expect(identity.id).toMatch(/^token:[0-9a-f]{16}$/);
+    expect(identity.id).not.toContain('alice-token');
+  });
+
+  it('should reject unknown bearer tokens', () => {
+    expect(() =>
+      resolveClientIdentity(createRequest({ authorization: 'Bearer nope' }), createOptions())
+    ).toThrow(ClientAuthError);
+    // Prefixes and extensions of a valid token are not accepted either
+    expect(() =>
+      resolveClientIdentity(createRequest({ authorization: 'Bearer alice' }), createOptions())
+    ).toThrow('Unknown bearer token');
+    expect(() =>
+      resolveClientIdentity(
+        createRequest({ authorization: 'Bearer alice-token2' }),
+        createOptions()
+      )
+    ).toThrow('Unknown bearer token');
+  });
+
+  it('should compare bearer tokens in constant time against every configured token', () => {
+    vi.mocked(timingSafeEqual).mockClear();
+    const tokens = new Map([
+      ['alice-token', { apiKey: 'mb_alice', name: 'alice' }],
+      ['bob-token', { apiKey: 'mb_bob', name: 'bob' }],
+    ]);
+
+    const identity = resolveClientIdentity(
+      createRequest({ authorization: 'Bearer alice-token' }),
+      createOptions({ tokens })
+    );
+
+    expect(identity.label).toBe('alice');
+    expect(timingSafeEqual).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject non-bearer authorization schemes', () => {
+    expect(() =>
+      resolveClientIdentity(createRequest({ authorization: 'Basic abc' }), createOptions())
+    ).toThrow('Authorization header must use the Bearer scheme');
+  });
+
+  it('should forward Metabase sessions only when passthrough is enabled', () => {
+    const request = createRequest({ 'x-metabase-session': 'session-123' });
+
+    expect(() => resolveClientIdentity(request, createOptions())).toThrow(ClientAuthError);
+
+    const identity = resolveClientIdentity(
+      request,
+      createOptions({ allowSessionPassthrough: true })
+    );
+    expect(identity.credentials).toEqual({ sessionToken: 'session-123' });
+    expect(identity.id).toMatch(/^session:/);
+  });
+
+  it('should fall back to the default identity unless client auth is required', () => {
+    expect(resolveClientIdentity(createRequest(), createOptions())).toEqual({
+      id: DEFAULT_IDENTITY_ID,
+      label: DEFAULT_IDENTITY_ID,
+    });
+
+    expect(() =>
+      resolveClientIdentity(createRequest(), createOptions({ requireClientAuth: true }))
+    ).toThrow('Client authentication required');
+  });
+});
+
+describe('ApiClientPool', () => {
+  const defaultClient = {} as MetabaseApiClient;
+
+  it('should use the default client for identities without credentials', () => {
+    const pool = new ApiClientPool(defaultClient);
+    expect(pool.get({ id: DEFAULT_IDENTITY_ID, label: DEFAULT_IDENTITY_ID })).toBe(defaultClient);
+    expect(pool.size).toBe(0);
+  });
+
+  it('should keep one client per identity', () => {
+    const pool = new ApiClientPool(defaultClient);
+    const alice = { id: 'token:a', label: 'alice', credentials: { apiKey: 'mb_alice' } };
+    const bob = { id: 'token:b', label: 'bob', credentials: { apiKey: 'mb_bob' } };
+
+    const aliceClient = pool.get(alice);
+    expect(pool.get(alice)).toBe(aliceClient);
+    expect(pool.get(bob)).not.toBe(aliceClient);
+    expect(aliceClient.getAuthHeaders()['X-API-KEY']).toBe('mb_alice');
+    expect(pool.size).toBe(2);
+  });
+
+  it('should evict the least recently used client beyond the limit', () => {
+    const pool = new ApiClientPool(defaultClient, 2);
+    const identity = (id: string) => ({ id, label: id, credentials: { apiKey: id } });
+
+    const first = pool.get(identity('a'));
+    pool.get(identity('b'));
+    pool.get(identity('a'));
+    pool.get(identity('c'));
+
+    expect(pool.size).toBe(2);
+    expect(pool.get(identity('a'))).toBe(first);
+  });
+
+  it('should build session clients that forward the caller session', async () => {
+    const pool = new ApiClientPool(defaultClient);
+    const client = pool.get({
+      id: 'session:x',
+      label: 'session:x',
+      credentials: { sessionToken: 'forwarded' },
+    });
+
+    expect(client.getAuthHeaders()['X-Metabase-Session']).toBe('forwarded');
+    expect(client.getAuthHeaders()['X-API-KEY']).toBeUndefined();
+    await expect(client.getSessionToken()).resolves.toBe('forwarded');
+  });
+});
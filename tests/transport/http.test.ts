@@ -0,0 +1,190 @@
+/**
+ * Unit tests for the HTTP/SSE transport
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { HttpTransportServer } from '../../src/transport/http.js';
+import { ClientAuthError, ClientIdentity } from '../../src/transport/auth.js';
+import { mockLogger, resetAllMocks } from '../setup.js';
+
+function createTestServer() {
+  return new Server({ name: 'test-server', version: '1.0.0' }, { capabilities: { tools: {} } });
+}
+
+/**
+ * Open an SSE stream and resolve with the POST endpoint announced by the server
+ */
+async function openSession(
+  baseUrl: string,
+  controller: AbortController,
+  headers: Record<string, string> = {}
+): Promise<string> {
+  const response = await fetch(`${baseUrl}/sse`, { signal: controller.signal, headers });
+  expect(response.status).toBe(200);
+  expect(response.headers.get('content-type')).toBe('text/event-stream');
+
+  const reader = response.body!.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (!buffer.includes('\n\n')) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value);
+  }
+
+  const match = buffer.match(/event: endpoint\ndata: (.+)\n/);
+  expect(match).not.toBeNull();
+  return match![1];
+}
+
+describe('HttpTransportServer', () => {
+  let transport: HttpTransportServer;
+  let baseUrl: string;
+  const sessionFactory = vi.fn((_identity: ClientIdentity) => createTestServer());
+
+  // Accepts "Bearer alice" / "Bearer bob", anonymous requests map to the default identity
+  const authenticate = vi.fn((request: { headers: Record<string, any> }): ClientIdentity => {
+    const authorization = request.headers.authorization;
+    if (!authorization) {
+      return { id: 'default', label: 'default' };
+    }
+    const user = authorization.replace('Bearer ', '');
+    if (user !== 'alice' && user !== 'bob') {
+      throw new ClientAuthError('Unknown bearer token');
+    }
+    return { id: user, label: user, credentials: { apiKey: `${user}-key` } };
+  });
+
+  beforeEach(async () => {
+    resetAllMocks();
+    sessionFactory.mockClear();
+    transport = new HttpTransportServer(
+      authenticate as any,
+      sessionFactory,
+      { host: '127.0.0.1', port: 0 },
+      mockLogger.logInfo,
+      mockLogger.logWarn,
+      mockLogger.logError
+    );
+    await transport.start();
+    baseUrl = `http://127.0.0.1:${transport.port}`;
+  });
+
+  afterEach(async () => {
+    await transport.close();
+  });
+
+  it('should report health with the current session count', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ status: 'ok', sessions: 0 });
+  });
+
+  it('should return 404 for unknown routes', async () => {
+    const response = await fetch(`${baseUrl}/unknown`);
+    expect(response.status).toBe(404);
+  });
+
+  it('should reject messages without a sessionId', async () => {
+    const response = await fetch(`${baseUrl}/messages`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}',
+    });
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject messages for unknown sessions', async () => {
+    const response = await fetch(`${baseUrl}/messages?sessionId=missing`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}',
+    });
+    expect(response.status).toBe(404);
+    expect(mockLogger.logWarn).toHaveBeenCalledWith('Received message for unknown MCP session', {
+      sessionId: 'missing',
+    });
+  });
+
+  it('should create a dedicated server per SSE session and accept its messages', async () => {
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const firstEndpoint = await openSession(baseUrl, first);
+    const secondEndpoint = await openSession(baseUrl, second);
+
+    expect(firstEndpoint).toMatch(/^\/messages\?sessionId=/);
+    expect(firstEndpoint).not.toBe(secondEndpoint);
+    expect(sessionFactory).toHaveBeenCalledTimes(2);
+    expect(transport.sessionCount).toBe(2);
+
+    const response = await fetch(`${baseUrl}${firstEndpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+    });
+    expect(response.status).toBe(202);
+
+    first.abort();
+    second.abort();
+  });
+
+  it('should drop the session when its SSE stream closes', async () => {
+    const onSessionClose = vi.fn();
+    sessionFactory.mockImplementationOnce(() => {
+      const server = createTestServer();
+      server.onclose = onSessionClose;
+      return server;
+    });
+    const controller = new AbortController();
+    const endpoint = await openSession(baseUrl, controller);
+    expect(transport.sessionCount).toBe(1);
+
+    controller.abort();
+    await vi.waitFor(() => expect(transport.sessionCount).toBe(0));
+
+    expect(onSessionClose).toHaveBeenCalledTimes(1);
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+    });
+    expect(response.status).toBe(404);
+  });
+
+  it('should reject SSE connections with invalid credentials', async () => {
+    const response = await fetch(`${baseUrl}/sse`, {
+      headers: { Authorization: 'Bearer mallory' },
+    });
+    expect(response.status).toBe(401);
+    expect(response.headers.get('www-authenticate')).toBe('Bearer');
+    expect(sessionFactory).not.toHaveBeenCalled();
+  });
+
+  it('should bind each session to the identity that opened it', async () => {
+    const controller = new AbortController();
+    const endpoint = await openSession(baseUrl, controller, { Authorization: 'Bearer alice' });
+
+    expect(sessionFactory).toHaveBeenCalledWith(expect.objectContaining({ id: 'alice' }));
+
+    const message = JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    const hijack = await fetch(`${baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer bob' },
+      body: message,
+    });
+    expect(hijack.status).toBe(403);
+
+    const owner = await fetch(`${baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer alice' },
+      body: message,
+    });
+    expect(owner.status).toBe(202);
+
+    controller.abort();
+  });
+});
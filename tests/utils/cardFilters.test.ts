@@ -0,0 +1,191 @@
+/**
+ * Unit tests for resolving card filters into Metabase card parameters
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseDateFilter, resolveCardFilters } from '../../src/utils/cardFilters.js';
+import { McpError } from '../../src/types/core.js';
+
+// Native card with a variable of each type, two field filters and a legacy tag without a parameter
+const card = {
+  id: 7,
+  parameters: [
+    {
+      id: 'p-region',
+      slug: 'region',
+      name: 'Region',
+      type: 'category',
+      target: ['variable', ['template-tag', 'region']],
+    },
+    {
+      id: 'p-min',
+      slug: 'min_total',
+      name: 'Minimum total',
+      type: 'number/=',
+      target: ['variable', ['template-tag', 'min_total']],
+    },
+    {
+      id: 'p-day',
+      slug: 'day',
+      name: 'Day',
+      type: 'date/single',
+      target: ['variable', ['template-tag', 'day']],
+    },
+    {
+      id: 'p-created',
+      slug: 'created_at',
+      name: 'Created at',
+      type: 'date/all-options',
+      target: ['dimension', ['template-tag', 'created_at']],
+    },
+    {
+      id: 'p-amount',
+      slug: 'amount',
+      name: 'Amount',
+      type: 'number/between',
+      target: ['dimension', ['template-tag', 'amount']],
+    },
+  ],
+  dataset_query: {
+    type: 'native',
+    native: {
+      query: 'SELECT ...',
+      'template-tags': {
+        region: { id: 'p-region', name: 'region', 'display-name': 'Region', type: 'text' },
+        status: {
+          id: 't-status',
+          name: 'status',
+          'display-name': 'Order status',
+          type: 'dimension',
+          dimension: ['field', 12, null],
+          'widget-type': 'string/=',
+        },
+        source: { id: 't-card', name: '#5-orders', type: 'card', 'card-id': 5 },
+      },
+    },
+  },
+};
+
+const resolve = (filters: Record<string, any>) =>
+  resolveCardFilters(card, filters, new Date(2024, 2, 15, 9, 0));
+
+// Expected format reported to the agent for a rejected filter
+function rejection(resolveFilters: () => unknown): string {
+  try {
+    resolveFilters();
+  } catch (error) {
+    expect(error).toBeInstanceOf(McpError);
+    return (error as McpError).details.additionalContext?.expectedFormat as string;
+  }
+  throw new Error('Expected the filters to be rejected');
+}
+
+describe('parseDateFilter', () => {
+  it('should turn natural language and Metabase forms into date parameter values', () => {
+    expect(parseDateFilter('last 30 days')).toEqual({ kind: 'relative', value: 'past30days' });
+    expect(parseDateFilter('Previous month')).toEqual({ kind: 'relative', value: 'past1months' });
+    expect(parseDateFilter('next 2 weeks')).toEqual({ kind: 'relative', value: 'next2weeks' });
+    expect(parseDateFilter('this quarter')).toEqual({ kind: 'relative', value: 'thisquarter' });
+    expect(parseDateFilter('past7days')).toEqual({ kind: 'relative', value: 'past7days' });
+    expect(parseDateFilter('2024-01-01 to 2024-03-31')).toEqual({
+      kind: 'range',
+      value: '2024-01-01~2024-03-31',
+    });
+    expect(parseDateFilter('between 2024-01-01 and 2024-01-31')?.value).toBe(
+      '2024-01-01~2024-01-31'
+    );
+    expect(parseDateFilter('before 2024-01-01')).toEqual({ kind: 'before', value: '~2024-01-01' });
+    expect(parseDateFilter('since 2024-01-01')).toEqual({ kind: 'after', value: '2024-01-01~' });
+    expect(parseDateFilter('2024-03')).toEqual({ kind: 'month', value: '2024-03' });
+    expect(parseDateFilter('q2 2024')).toEqual({ kind: 'quarter', value: 'Q2-2024' });
+  });
+
+  it('should reject invalid dates, reversed ranges and other text', () => {
+    expect(parseDateFilter('2024-02-30')).toBeNull();
+    expect(parseDateFilter('2024-03-31 to 2024-01-01')).toBeNull();
+    expect(parseDateFilter('last 0 days')).toBeNull();
+    expect(parseDateFilter('recently')).toBeNull();
+  });
+});
+
+describe('resolveCardFilters', () => {
+  it('should build typed parameters for variables and field filters', () => {
+    expect(
+      resolve({
+        region: 'EU',
+        'Minimum total': '100',
+        created_at: 'last 30 days',
+        amount: '10 to 250',
+        status: ['paid', 'shipped'],
+      })
+    ).toEqual([
+      {
+        id: 'p-region',
+        slug: 'region',
+        type: 'category',
+        target: ['variable', ['template-tag', 'region']],
+        value: 'EU',
+      },
+      {
+        id: 'p-min',
+        slug: 'min_total',
+        type: 'number/=',
+        target: ['variable', ['template-tag', 'min_total']],
+        value: 100,
+      },
+      {
+        id: 'p-created',
+        slug: 'created_at',
+        type: 'date/all-options',
+        target: ['dimension', ['template-tag', 'created_at']],
+        value: 'past30days',
+      },
+      {
+        id: 'p-amount',
+        slug: 'amount',
+        type: 'number/between',
+        target: ['dimension', ['template-tag', 'amount']],
+        value: [10, 250],
+      },
+      {
+        id: 't-status',
+        slug: 'status',
+        type: 'string/=',
+        target: ['dimension', ['template-tag', 'status']],
+        value: ['paid', 'shipped'],
+      },
+    ]);
+  });
+
+  it('should give single-date variables a concrete date', () => {
+    expect(resolve({ day: 'yesterday' })[0].value).toBe('2024-03-14');
+    expect(resolve({ day: '2024-01-31' })[0].value).toBe('2024-01-31');
+    expect(rejection(() => resolve({ day: 'last 30 days' }))).toBe(
+      'a date such as "2024-01-31", "today" or "yesterday" for date/single parameter "day"'
+    );
+  });
+
+  it('should reject values that do not fit the parameter type', () => {
+    expect(() => resolve({ min_total: 'lots' })).toThrow('Invalid parameter: card_filters.min_total');
+    expect(rejection(() => resolve({ min_total: 'lots' }))).toBe(
+      'a number for number/= parameter "min_total"'
+    );
+    expect(rejection(() => resolve({ amount: [1, 2, 3] }))).toContain('a [min, max] pair');
+    expect(rejection(() => resolve({ region: ['EU', 'US'] }))).toBe(
+      'a single value for SQL variable "region"'
+    );
+    expect(rejection(() => resolve({ created_at: 'recently' }))).toContain('"last 30 days"');
+  });
+
+  it('should reject unknown and duplicate keys with suggestions', () => {
+    expect(rejection(() => resolve({ regoin: 'EU' }))).toBe(
+      'a parameter of this card (region, min_total, day, created_at, amount, status); did you mean "region"?'
+    );
+    expect(rejection(() => resolve({ region: 'EU', Region: 'US' }))).toContain(
+      '"region" is already set by another key'
+    );
+    expect(rejection(() => resolveCardFilters({ id: 1 }, { region: 'EU' }))).toBe(
+      'no filters - this card has no parameters'
+    );
+  });
+});
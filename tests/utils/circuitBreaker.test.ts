@@ -0,0 +1,80 @@
+/**
+ * Unit tests for the per-host circuit breaker
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CircuitBreaker, describeCircuit } from '../../src/utils/circuitBreaker.js';
+
+function createBreaker() {
+  const clock = { now: 0 };
+  const breaker = new CircuitBreaker(
+    'metabase.example.com',
+    { failureThreshold: 3, resetTimeoutMs: 1000 },
+    () => clock.now
+  );
+  return { breaker, clock };
+}
+
+describe('CircuitBreaker', () => {
+  it('should open after consecutive failures and fail fast until the reset timeout', () => {
+    const { breaker, clock } = createBreaker();
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.state).toBe('closed');
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.tryAcquire()).toBe(false);
+    clock.now = 400;
+    expect(breaker.retryAfterMs()).toBe(600);
+  });
+
+  it('should reset the failure count on success', () => {
+    const { breaker } = createBreaker();
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.snapshot().consecutive_failures).toBe(1);
+  });
+
+  it('should allow a single trial request when half-open', () => {
+    const { breaker, clock } = createBreaker();
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+
+    clock.now = 1000;
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  it('should reopen when the trial request fails', () => {
+    const { breaker, clock } = createBreaker();
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+
+    clock.now = 1500;
+    expect(breaker.tryAcquire()).toBe(true);
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.snapshot().retry_at).toBe(new Date(2500).toISOString());
+  });
+
+  it('should describe each state for agent guidance', () => {
+    const { breaker } = createBreaker();
+    expect(describeCircuit(breaker.snapshot())).toContain('is closed (0/3');
+
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+    expect(describeCircuit(breaker.snapshot())).toContain(
+      'is open after 3 consecutive failures; requests fail fast until 1970-01-01T00:00:01.000Z'
+    );
+  });
+});
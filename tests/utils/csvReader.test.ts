@@ -0,0 +1,87 @@
+/**
+ * Unit tests for the streaming CSV reader
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CsvReader, CsvReaderOptions } from '../../src/utils/csvReader.js';
+
+// Feed the text in chunks of `size` bytes so fields, line breaks and characters straddle them
+function readCsv(text: string, size = 3, options?: CsvReaderOptions): string[][] {
+  const reader = new CsvReader(options);
+  const bytes = new TextEncoder().encode(text);
+  const records: string[][] = [];
+  for (let offset = 0; offset < bytes.length; offset += size) {
+    records.push(...reader.push(bytes.slice(offset, offset + size)));
+  }
+  records.push(...reader.finish());
+  return records;
+}
+
+describe('CsvReader', () => {
+  it('should read quoted fields containing delimiters, quotes and line breaks', () => {
+    const csv = 'id,note\r\n1,"a, b"\r\n2,"say ""hi"""\r\n3,"line one\nline two"\r\n';
+
+    expect(readCsv(csv)).toEqual([
+      ['id', 'note'],
+      ['1', 'a, b'],
+      ['2', 'say "hi"'],
+      ['3', 'line one\nline two'],
+    ]);
+  });
+
+  it('should give the same records for every chunk size', () => {
+    const csv = 'name,city\n"Zoë ""Z""","São Paulo, BR"\r\n"multi\r\nline",\n';
+    const expected = readCsv(csv, csv.length);
+
+    expect(expected).toEqual([
+      ['name', 'city'],
+      ['Zoë "Z"', 'São Paulo, BR'],
+      ['multi\r\nline', ''],
+    ]);
+    for (const size of [1, 2, 5, 8]) {
+      expect(readCsv(csv, size)).toEqual(expected);
+    }
+  });
+
+  it('should drop a byte order mark and skip blank lines', () => {
+    expect(readCsv('\uFEFFid,name\n\n1,Ann\r\n\r\n2,Bob', 1)).toEqual([
+      ['id', 'name'],
+      ['1', 'Ann'],
+      ['2', 'Bob'],
+    ]);
+    expect(readCsv('\uFEFF"id"\n""\n')).toEqual([['id'], ['']]);
+  });
+
+  it('should end records on CR, LF and CRLF and keep trailing empty fields', () => {
+    expect(readCsv('a,b\rc,\nd,e\r\n,', 1)).toEqual([
+      ['a', 'b'],
+      ['c', ''],
+      ['d', 'e'],
+      ['', ''],
+    ]);
+  });
+
+  it('should use a configured delimiter', () => {
+    expect(readCsv('id;note\n1;"a;b, c"\n', 4, { delimiter: ';' })).toEqual([
+      ['id', 'note'],
+      ['1', 'a;b, c'],
+    ]);
+    expect(readCsv('id\tnote\n1\ta,b\n', 4, { delimiter: '\t' })).toEqual([
+      ['id', 'note'],
+      ['1', 'a,b'],
+    ]);
+  });
+
+  it('should reject delimiters that cannot separate fields', () => {
+    for (const delimiter of ['', ';;', '"', '\n']) {
+      expect(() => new CsvReader({ delimiter })).toThrow('Invalid CSV delimiter');
+    }
+  });
+
+  it('should keep malformed input as data instead of failing', () => {
+    expect(readCsv('a,b"c,"d"e\n"open')).toEqual([
+      ['a', 'b"c', 'de'],
+      ['open'],
+    ]);
+  });
+});
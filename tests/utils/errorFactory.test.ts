@@ -10,7 +10,7 @@ import {
   ExportErrorFactory,
   createErrorFromHttpResponse,
 } from '../../src/utils/errorFactory.js';
-import { validateMetabaseResponse } from '../../src/utils/errorHandling.js';
+import { handleApiError, validateMetabaseResponse } from '../../src/utils/errorHandling.js';
 import { ErrorCategory, RecoveryAction, McpError } from '../../src/types/core.js';
 
 describe('ErrorFactory', () => {
@@ -61,6 +61,15 @@ describe('ErrorFactory', () => {
       expect(error.details.category).toBe(ErrorCategory.AUTHORIZATION);
       expect(error.details.additionalContext).toEqual({ collectionId: 123 });
     });
+
+    it('should create write tools disabled error', () => {
+      const error = AuthorizationErrorFactory.writeToolsDisabled('create_card');
+
+      expect(error.message).toBe('Write tools are disabled: create_card is not available');
+      expect(error.details.category).toBe(ErrorCategory.AUTHORIZATION);
+      expect(error.details.recoveryAction).toBe(RecoveryAction.CONTACT_ADMIN);
+      expect(error.details.agentGuidance).toContain('WRITE_TOOLS_ENABLED');
+    });
   });
 
   describe('ResourceNotFoundErrorFactory', () => {
@@ -92,6 +101,29 @@ describe('ErrorFactory', () => {
       expect(error.details.retryable).toBe(false);
     });
 
+    it('should create invalid cursor error', () => {
+      const error = ValidationErrorFactory.invalidCursor();
+
+      expect(error.message).toBe('Invalid or expired cursor');
+      expect(error.details.category).toBe(ErrorCategory.VALIDATION);
+      expect(error.details.retryable).toBe(false);
+      expect(error.details.agentGuidance).toContain('without a cursor');
+    });
+
+    it('should create read-only violation error', () => {
+      const error = ValidationErrorFactory.readOnlyViolation(3, 'DROP', 'DROP is not allowed in read-only queries');
+
+      expect(error.message).toBe('Read-only SQL policy violation: DROP is not allowed in read-only queries');
+      expect(error.details.category).toBe(ErrorCategory.VALIDATION);
+      expect(error.details.recoveryAction).toBe(RecoveryAction.VALIDATE_INPUT);
+      expect(error.details.retryable).toBe(false);
+      expect(error.details.additionalContext).toEqual({
+        databaseId: 3,
+        keyword: 'DROP',
+        reason: 'DROP is not allowed in read-only queries',
+      });
+    });
+
     it('should create SQL syntax error', () => {
       const error = ValidationErrorFactory.sqlSyntaxError('SELECT * FROM', 'Missing table name');
       
@@ -158,6 +190,28 @@ describe('ErrorFactory', () => {
       expect(error.details.recoveryAction).toBe(RecoveryAction.WAIT_AND_RETRY);
       expect(error.details.retryable).toBe(true);
     });
+
+    it('should create circuit open error that survives handleApiError', () => {
+      const circuit = {
+        host: 'example.com',
+        state: 'open' as const,
+        consecutive_failures: 5,
+        failure_threshold: 5,
+        retry_at: '2024-01-01T00:00:30.000Z',
+      };
+      const error = NetworkErrorFactory.circuitOpen(circuit, 30000);
+
+      expect(error.message).toBe('Metabase server unavailable: requests to example.com are paused');
+      expect(error.details.recoveryAction).toBe(RecoveryAction.WAIT_AND_RETRY);
+      expect(error.details.retryAfterMs).toBe(30000);
+      expect(error.details.agentGuidance).toContain('fail fast until 2024-01-01T00:00:30.000Z');
+
+      const wrapped = handleApiError(error, { operation: 'Card retrieval' }, () => {});
+      expect(wrapped.message).toBe(
+        'Card retrieval failed: Metabase server unavailable: requests to example.com are paused'
+      );
+      expect(wrapped.details).toEqual(error.details);
+    });
   });
 
   describe('DatabaseErrorFactory', () => {
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the MBQL query-builder compiler
+ */
+
+import { describe, it, expect } from 'vitest';
+import { compileMbqlQuery, mbqlSpecSchema, MbqlSpec } from '../../src/utils/mbql.js';
+
+const ordersTable = {
+  id: 12,
+  db_id: 3,
+  name: 'ORDERS',
+  fields: [
+    { id: 100, name: 'ID', display_name: 'ID', base_type: 'type/BigInteger' },
+    { id: 101, name: 'TOTAL', display_name: 'Total', base_type: 'type/Float' },
+    { id: 102, name: 'STATUS', display_name: 'Status', base_type: 'type/Text' },
+    {
+      id: 103,
+      name: 'CREATED_AT',
+      display_name: 'Created At',
+      base_type: 'type/DateTimeWithLocalTZ',
+      effective_type: 'type/DateTimeWithLocalTZ',
+    },
+  ],
+};
+
+function compile(spec: Omit<MbqlSpec, 'source_table'>, maxRows?: number) {
+  return compileMbqlQuery(mbqlSpecSchema.parse({ source_table: 12, ...spec }), ordersTable, maxRows);
+}
+
+describe('compileMbqlQuery', () => {
+  it('should compile a raw table query with the row cap', () => {
+    expect(compile({}, 500)).toEqual({
+      type: 'query',
+      database: 3,
+      query: { 'source-table': 12, limit: 500 },
+    });
+    expect(compile({ limit: 10 }, 500).query.limit).toBe(10);
+    expect(compile({ limit: 1000 }, 500).query.limit).toBe(500);
+    expect(compile({}).query).not.toHaveProperty('limit');
+  });
+
+  it('should resolve fields by ID, name and display name', () => {
+    const { query } = compile({
+      aggregations: [{ type: 'sum', field: 'total' }, { type: 'count' }],
+      breakouts: [{ field: 'Created At', temporal_unit: 'month' }, 102],
+      order_by: [
+        { aggregation: 0, direction: 'desc' },
+        { field: 'created_at', direction: 'asc' },
+      ],
+    });
+
+    expect(query).toEqual({
+      'source-table': 12,
+      aggregation: [['sum', ['field', 101, null]], ['count']],
+      breakout: [
+        ['field', 103, { 'temporal-unit': 'month' }],
+        ['field', 102, null],
+      ],
+      'order-by': [
+        ['desc', ['aggregation', 0]],
+        ['asc', ['field', 103, { 'temporal-unit': 'month' }]],
+      ],
+    });
+  });
+
+  it('should compile filters and combine several with and', () => {
+    expect(compile({ filters: [{ field: 'STATUS', operator: 'not-null' }] }).query.filter).toEqual([
+      'not-null',
+      ['field', 102, null],
+    ]);
+
+    expect(
+      compile({
+        filters: [
+          { field: 'STATUS', operator: '=', value: ['paid', 'shipped'] },
+          { field: 'TOTAL', operator: 'between', value: [10, 100] },
+          { field: 'STATUS', operator: 'starts-with', value: 'pa' },
+          { field: 'CREATED_AT', operator: 'time-interval', value: -30, unit: 'day' },
+        ],
+      }).query.filter
+    ).toEqual([
+      'and',
+      ['=', ['field', 102, null], 'paid', 'shipped'],
+      ['between', ['field', 101, null], 10, 100],
+      ['starts-with', ['field', 102, null], 'pa', { 'case-sensitive': false }],
+      ['time-interval', ['field', 103, null], -30, 'day'],
+    ]);
+  });
+
+  it('should reject unknown fields with the available field names', () => {
+    expect(() => compile({ filters: [{ field: 'REGION', operator: '=', value: 'EU' }] })).toThrow(
+      'Invalid parameter: mbql.filters[0].field'
+    );
+    expect(() => compile({ breakouts: [999] })).toThrow('Invalid parameter: mbql.breakouts[0].field');
+  });
+
+  it('should check field types against the operation', () => {
+    expect(() => compile({ aggregations: [{ type: 'avg', field: 'STATUS' }] })).toThrow(
+      'Invalid parameter: mbql.aggregations[0].type'
+    );
+    expect(() => compile({ filters: [{ field: 'TOTAL', operator: 'contains', value: '1' }] })).toThrow(
+      'Invalid parameter: mbql.filters[0].operator'
+    );
+    expect(() => compile({ breakouts: [{ field: 'TOTAL', temporal_unit: 'month' }] })).toThrow(
+      'Invalid parameter: mbql.breakouts[0].temporal_unit'
+    );
+    expect(() =>
+      compile({ filters: [{ field: 'CREATED_AT', operator: 'time-interval', value: 'last week' }] })
+    ).toThrow('Invalid parameter: mbql.filters[0]');
+  });
+
+  it('should validate aggregation fields, filter values and order-by targets', () => {
+    expect(() => compile({ aggregations: [{ type: 'max' }] })).toThrow(
+      'Invalid parameter: mbql.aggregations[0].field'
+    );
+    expect(() => compile({ aggregations: [{ type: 'count', field: 'ID' }] })).toThrow(
+      'Invalid parameter: mbql.aggregations[0].field'
+    );
+    expect(() => compile({ filters: [{ field: 'TOTAL', operator: 'between', value: 10 }] })).toThrow(
+      'Invalid parameter: mbql.filters[0].value'
+    );
+    expect(() => compile({ order_by: [{ aggregation: 0, direction: 'asc' }] })).toThrow(
+      'Invalid parameter: mbql.order_by[0].aggregation'
+    );
+    expect(() =>
+      compile({
+        aggregations: [{ type: 'count' }],
+        breakouts: ['STATUS'],
+        order_by: [{ field: 'TOTAL', direction: 'asc' }],
+      })
+    ).toThrow('Invalid parameter: mbql.order_by[0].field');
+  });
+});
+
+describe('mbqlSpecSchema', () => {
+  it('should reject unknown keys and ambiguous order-by entries', () => {
+    expect(mbqlSpecSchema.safeParse({ source_table: 12, where: 'x' }).success).toBe(false);
+    expect(
+      mbqlSpecSchema.safeParse({ source_table: 12, order_by: [{ field: 'ID', aggregation: 0 }] })
+        .success
+    ).toBe(false);
+    expect(mbqlSpecSchema.safeParse({ aggregations: [] }).success).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for execute result cache fingerprints
+ */
+
+import { describe, it, expect } from 'vitest';
+import { normalizeSql, queryFingerprint } from '../../src/utils/queryFingerprint.js';
+
+describe('normalizeSql', () => {
+  it('should collapse whitespace and drop trailing semicolons', () => {
+    expect(normalizeSql('  SELECT *\n\tFROM   orders\nWHERE id = 1 ;; ')).toBe(
+      'SELECT * FROM orders WHERE id = 1'
+    );
+  });
+
+  it('should keep whitespace inside strings, identifiers and comments', () => {
+    expect(normalizeSql("SELECT 'a  b', \"x  y\" /* keep  this */ FROM t")).toBe(
+      "SELECT 'a  b', \"x  y\" /* keep  this */ FROM t"
+    );
+    expect(normalizeSql('SELECT 1 -- note\n  FROM t')).toBe('SELECT 1 -- note\nFROM t');
+    expect(normalizeSql('SELECT 1 -- note FROM t')).not.toBe(
+      normalizeSql('SELECT 1 -- note\nFROM t')
+    );
+  });
+
+  it('should tokenize strings for the database engine', () => {
+    // MySQL backslash escapes keep the string open past the escaped quote
+    expect(normalizeSql("SELECT 'it\\'s   here'", 'mysql')).toBe("SELECT 'it\\'s   here'");
+  });
+
+  it('should keep case, which can change results', () => {
+    expect(normalizeSql("select 'A' FROM T")).toBe("select 'A' FROM T");
+  });
+});
+
+describe('queryFingerprint', () => {
+  it('should ignore object key order and undefined values', () => {
+    expect(
+      queryFingerprint({ database_id: 1, parameters: [{ type: 'category', value: 'x' }] })
+    ).toBe(
+      queryFingerprint({
+        parameters: [{ value: 'x', type: 'category' }],
+        database_id: 1,
+        keyset_column: undefined,
+      })
+    );
+  });
+
+  it('should tell apart queries, parameters and row limits', () => {
+    const base = { mode: 'sql', database_id: 1, query: 'SELECT 1', parameters: [], row_limit: 10 };
+    const fingerprints = new Set([
+      queryFingerprint(base),
+      queryFingerprint({ ...base, database_id: 2 }),
+      queryFingerprint({ ...base, query: 'SELECT 2' }),
+      queryFingerprint({ ...base, parameters: [{ value: 1 }] }),
+      queryFingerprint({ ...base, row_limit: 20 }),
+      queryFingerprint({ ...base, mode: 'card' }),
+    ]);
+    expect(fingerprints.size).toBe(6);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit tests for request retry timing and MetabaseApiClient retries
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  computeBackoffDelay,
+  isIdempotentMethod,
+  parseRetryAfter,
+} from '../../src/utils/retry.js';
+import { resetCircuitBreakers } from '../../src/utils/circuitBreaker.js';
+import { MetabaseApiClient } from '../../src/api.js';
+import { config } from '../../src/config.js';
+import { McpError } from '../../src/types/core.js';
+
+function jsonResponse(status: number, body: unknown, headers: Record<string, string> = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+async function captureError(request: Promise<unknown>): Promise<McpError> {
+  try {
+    await request;
+  } catch (error) {
+    return error as McpError;
+  }
+  throw new Error('Expected the request to fail');
+}
+
+describe('Retry timing', () => {
+  it('should back off exponentially with full jitter up to the maximum delay', () => {
+    const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+    expect(computeBackoffDelay(0, options, () => 1)).toBe(100);
+    expect(computeBackoffDelay(2, options, () => 1)).toBe(400);
+    expect(computeBackoffDelay(2, options, () => 0.5)).toBe(200);
+    expect(computeBackoffDelay(10, options, () => 1)).toBe(1000);
+    expect(computeBackoffDelay(3, options, () => 0)).toBe(0);
+  });
+
+  it('should parse Retry-After seconds and HTTP dates', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+
+    expect(parseRetryAfter('5', now)).toBe(5000);
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Sun, 31 Dec 2023 23:00:00 GMT', now)).toBe(0);
+    expect(parseRetryAfter('soon', now)).toBeNull();
+    expect(parseRetryAfter(null, now)).toBeNull();
+  });
+
+  it('should only treat safe methods as idempotent', () => {
+    expect(isIdempotentMethod(undefined)).toBe(true);
+    expect(isIdempotentMethod('get')).toBe(true);
+    expect(isIdempotentMethod('POST')).toBe(false);
+    expect(isIdempotentMethod('PUT')).toBe(false);
+  });
+});
+
+describe('MetabaseApiClient request retries', () => {
+  const fetchMock = vi.fn();
+  let client: MetabaseApiClient;
+
+  beforeEach(() => {
+    resetCircuitBreakers();
+    fetchMock.mockReset();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    config.REQUEST_RETRY_BASE_DELAY_MS = 0;
+    client = new MetabaseApiClient();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    config.REQUEST_RETRY_BASE_DELAY_MS = 500;
+    config.CIRCUIT_BREAKER_FAILURE_THRESHOLD = 5;
+  });
+
+  it('should retry idempotent requests on 502, 503 and 504', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(502, {}))
+      .mockResolvedValueOnce(jsonResponse(504, {}))
+      .mockResolvedValueOnce(jsonResponse(200, { id: 1 }));
+
+    await expect(client.request('/api/card/1')).resolves.toEqual({ id: 1 });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('should retry connection errors for GET but not for POST', async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValueOnce(jsonResponse(200, []));
+    await expect(client.request('/api/database')).resolves.toEqual([]);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    fetchMock.mockReset();
+    fetchMock.mockRejectedValue(new TypeError('fetch failed'));
+    await expect(client.request('/api/dataset', { method: 'POST' })).rejects.toThrow(
+      'Cannot connect to Metabase server'
+    );
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry rejected POST requests and honour Retry-After', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(503, {}, { 'Retry-After': '0' }))
+      .mockResolvedValueOnce(jsonResponse(502, {}));
+
+    await expect(client.request('/api/dataset', { method: 'POST' })).rejects.toThrow(McpError);
+    // 503 means the request was never processed; 502 might have been, so it is not resent
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry when Retry-After exceeds the maximum delay', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(429, {}, { 'Retry-After': '60' }));
+
+    const error = await captureError(client.request('/api/card/1'));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(error.details.retryAfterMs).toBe(60000);
+  });
+
+  it('should not retry client errors', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(404, { message: 'Not found' }));
+
+    await expect(client.request('/api/card/9')).rejects.toThrow(McpError);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should open the circuit after repeated failures and fail fast', async () => {
+    config.CIRCUIT_BREAKER_FAILURE_THRESHOLD = 2;
+    fetchMock.mockRejectedValue(new TypeError('fetch failed'));
+
+    const error = await captureError(client.request('/api/card/1'));
+    expect(error.message).toContain('Metabase server unavailable');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(error.details.additionalContext?.circuitBreaker).toMatchObject({
+      host: 'localhost:3000',
+      state: 'open',
+      consecutive_failures: 2,
+    });
+    expect(error.details.retryAfterMs).toBeGreaterThan(0);
+
+    // Other clients for the same host share the breaker
+    await expect(new MetabaseApiClient().request('/api/database')).rejects.toThrow(
+      'Metabase server unavailable'
+    );
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should report circuit state in the guidance of connection errors', async () => {
+    fetchMock.mockRejectedValue(new TypeError('fetch failed'));
+
+    const error = await captureError(client.request('/api/dataset', { method: 'POST' }));
+    expect(error.details.agentGuidance).toContain('Failed after 1 attempt(s)');
+    expect(error.details.agentGuidance).toContain('Circuit breaker for localhost:3000 is closed');
+    expect(error.details.additionalContext).toMatchObject({ attempts: 1 });
+  });
+});
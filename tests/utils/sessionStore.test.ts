@@ -0,0 +1,179 @@
+/**
+ * Unit tests for session persistence and re-authentication of expired sessions
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { SessionStore, sessionStorePath } from '../../src/utils/sessionStore.js';
+import { resetCircuitBreakers } from '../../src/utils/circuitBreaker.js';
+import { MetabaseApiClient } from '../../src/api.js';
+import { config } from '../../src/config.js';
+
+const owner = { metabaseUrl: 'http://localhost:3000', username: 'analyst@example.com' };
+
+function jsonResponse(status: number, body: unknown) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+describe('SessionStore', () => {
+  let directory: string;
+  const logWarn = vi.fn();
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metabase-session-'));
+    logWarn.mockReset();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should store the token in a file only the current user can read', () => {
+    const file = sessionStorePath(path.join(directory, 'nested'), owner.metabaseUrl, owner.username);
+    const store = new SessionStore(file, owner, logWarn);
+
+    expect(store.load()).toBeNull();
+    store.save('session-1');
+
+    expect(new SessionStore(file, owner, logWarn).load()).toBe('session-1');
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+      expect(fs.statSync(path.dirname(file)).mode & 0o777).toBe(0o700);
+    }
+    expect(logWarn).not.toHaveBeenCalled();
+
+    store.clear();
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  it('should use a separate file per Metabase URL and user', () => {
+    expect(sessionStorePath(directory, owner.metabaseUrl, owner.username)).not.toBe(
+      sessionStorePath(directory, owner.metabaseUrl, 'admin@example.com')
+    );
+    expect(sessionStorePath(directory, owner.metabaseUrl, owner.username)).not.toBe(
+      sessionStorePath(directory, 'https://other.example.com', owner.username)
+    );
+  });
+
+  it('should ignore sessions for another user or with loosened permissions', () => {
+    const file = path.join(directory, 'session.json');
+    new SessionStore(file, owner, logWarn).save('session-1');
+
+    expect(new SessionStore(file, { ...owner, username: 'admin@example.com' }, logWarn).load()).toBeNull();
+
+    if (process.platform !== 'win32') {
+      fs.chmodSync(file, 0o644);
+      expect(new SessionStore(file, owner, logWarn).load()).toBeNull();
+      expect(logWarn).toHaveBeenLastCalledWith(expect.stringContaining('must be owned by the current user'));
+    }
+  });
+});
+
+describe('MetabaseApiClient session re-authentication', () => {
+  const fetchMock = vi.fn();
+  const sessionDirectory = config.SESSION_DIRECTORY;
+  let logins = 0;
+  let validSession: string;
+
+  beforeEach(() => {
+    resetCircuitBreakers();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    config.METABASE_API_KEY = undefined as any;
+    config.METABASE_USER_EMAIL = owner.username as any;
+    config.METABASE_PASSWORD = 'secret' as any;
+
+    logins = 0;
+    validSession = '';
+    fetchMock.mockReset();
+    fetchMock.mockImplementation(async (url: string, init: RequestInit) => {
+      const session = (init.headers as Record<string, string>)['X-Metabase-Session'];
+      if (url.endsWith('/api/session')) {
+        logins++;
+        validSession = `session-${logins}`;
+        return jsonResponse(200, { id: validSession });
+      }
+      if (session !== validSession) {
+        return jsonResponse(401, { message: 'Unauthenticated' });
+      }
+      return jsonResponse(200, { id: 1, session });
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    config.METABASE_API_KEY = 'test-api-key';
+    config.METABASE_USER_EMAIL = undefined;
+    config.METABASE_PASSWORD = undefined;
+    config.SESSION_PERSIST = false;
+    config.SESSION_DIRECTORY = sessionDirectory;
+  });
+
+  it('should log in again once and replay a request rejected with 401', async () => {
+    const client = new MetabaseApiClient();
+    client.sessionToken = 'expired';
+
+    await expect(client.request('/api/card/1')).resolves.toEqual({ id: 1, session: 'session-1' });
+    expect(logins).toBe(1);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(client.sessionToken).toBe('session-1');
+  });
+
+  it('should share one login between concurrent requests', async () => {
+    const client = new MetabaseApiClient();
+    client.sessionToken = 'expired';
+
+    const results = await Promise.all([
+      client.request('/api/card/1'),
+      client.request('/api/card/2'),
+      client.requestRaw('/api/card/3/query/csv', { method: 'POST' }),
+    ]);
+
+    expect(logins).toBe(1);
+    expect(results[2].status).toBe(200);
+  });
+
+  it('should not replay more than once when the new session is rejected too', async () => {
+    fetchMock.mockImplementation(async (url: string) =>
+      url.endsWith('/api/session')
+        ? jsonResponse(200, { id: `session-${++logins}` })
+        : jsonResponse(401, { message: 'Unauthenticated' })
+    );
+    const client = new MetabaseApiClient();
+    client.sessionToken = 'expired';
+
+    await expect(client.request('/api/card/1')).rejects.toThrow('Authentication failed');
+    expect(logins).toBe(1);
+  });
+
+  it('should not re-authenticate forwarded sessions', async () => {
+    const client = new MetabaseApiClient({ sessionToken: 'expired' });
+
+    await expect(client.request('/api/card/1')).rejects.toThrow('Authentication failed');
+    expect(logins).toBe(0);
+  });
+
+  it('should reuse a stored session and store the replacement', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metabase-session-'));
+    config.SESSION_PERSIST = true;
+    config.SESSION_DIRECTORY = directory;
+    try {
+      const file = sessionStorePath(directory, config.METABASE_URL, owner.username);
+      new SessionStore(file, { ...owner, metabaseUrl: config.METABASE_URL }, vi.fn()).save('expired');
+
+      const client = new MetabaseApiClient();
+      expect(await client.getSessionToken()).toBe('expired');
+
+      await client.request('/api/card/1');
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).token).toBe('session-1');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for the SQL tokenizer and read-only SQL guard
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  enforceReadOnlySql,
+  findReadOnlyViolation,
+  resolveSqlGuardPolicy,
+} from '../../src/utils/sqlGuard.js';
+import { splitSqlStatements, tokenizeSql } from '../../src/utils/sqlTokenizer.js';
+import { ErrorCategory, McpError } from '../../src/types/core.js';
+
+describe('tokenizeSql', () => {
+  it('should keep strings, identifiers, comments and template tags as single tokens', () => {
+    const tokens = tokenizeSql(
+      `SELECT "delete", 'drop table' FROM t -- update\nWHERE id = {{id}} /* insert */`
+    );
+    const types = tokens.filter(token => token.type !== 'whitespace').map(token => token.type);
+
+    expect(types).toEqual([
+      'word',
+      'quoted_identifier',
+      'punctuation',
+      'string',
+      'word',
+      'word',
+      'comment',
+      'word',
+      'word',
+      'operator',
+      'template',
+      'comment',
+    ]);
+  });
+
+  it('should record source offsets for every token', () => {
+    const sql = "SELECT 'a''b' AS x";
+    for (const token of tokenizeSql(sql)) {
+      expect(sql.slice(token.start, token.end)).toBe(token.value);
+    }
+  });
+
+  it('should apply dialect-specific string rules', () => {
+    const sql = "SELECT 'a\\'; DROP TABLE t; --'";
+
+    expect(splitSqlStatements(tokenizeSql(sql, 'ansi'))).toHaveLength(2);
+    expect(splitSqlStatements(tokenizeSql(sql, 'mysql'))).toHaveLength(1);
+    expect(tokenizeSql('SELECT $$;$$', 'postgres').map(token => token.value)).toContain('$$;$$');
+  });
+
+  it('should ignore empty statements when splitting', () => {
+    expect(splitSqlStatements(tokenizeSql('SELECT 1;;  ;'))).toHaveLength(1);
+  });
+});
+
+describe('findReadOnlyViolation', () => {
+  it.each([
+    'SELECT * FROM users',
+    'select id from orders;',
+    'WITH recent AS (SELECT * FROM orders) SELECT * FROM recent',
+    '(SELECT 1) UNION (SELECT 2)',
+    'EXPLAIN SELECT * FROM users',
+    'SHOW TABLES',
+    "SELECT * FROM logs WHERE message = 'DROP TABLE users'",
+    'SELECT "update", t.delete FROM audit t',
+    'SELECT created_at, updated_at FROM users -- delete later',
+    'SELECT * FROM users WHERE id = {{id}} [[AND name = {{name}}]]',
+  ])('should allow read-only query: %s', query => {
+    expect(findReadOnlyViolation(query)).toBeNull();
+  });
+
+  it.each([
+    ['INSERT INTO users VALUES (1)', 'INSERT'],
+    ['update users set name = 1', 'UPDATE'],
+    ['DELETE FROM users', 'DELETE'],
+    ['DROP TABLE users', 'DROP'],
+    ['ALTER TABLE users ADD COLUMN x int', 'ALTER'],
+    ['TRUNCATE users', 'TRUNCATE'],
+    ['GRANT ALL ON users TO bob', 'GRANT'],
+    ['/* harmless */ CALL purge_users()', 'CALL'],
+    ['WITH gone AS (DELETE FROM users RETURNING *) SELECT * FROM gone', 'DELETE'],
+    ['SELECT * INTO backup FROM users', 'INTO'],
+  ])('should block %s', (query, keyword) => {
+    expect(findReadOnlyViolation(query)).toMatchObject({ keyword });
+  });
+
+  it('should block multi-statement batches', () => {
+    expect(findReadOnlyViolation('SELECT 1; SELECT 2')).toMatchObject({
+      keyword: ';',
+      reason: expect.stringContaining('multi-statement'),
+    });
+  });
+
+  it('should block statements hidden by engine-specific string or comment rules', () => {
+    expect(findReadOnlyViolation("SELECT 'a\\''; DROP TABLE t; --'")).not.toBeNull();
+    expect(findReadOnlyViolation('SELECT 1 /*! ; DROP TABLE t */')).not.toBeNull();
+    expect(findReadOnlyViolation('SELECT 1 --1\n; DROP TABLE t')).not.toBeNull();
+  });
+
+  it('should honour the per-database allowlist', () => {
+    expect(findReadOnlyViolation('INSERT INTO t VALUES (1)', { allow: ['insert', 'into'] })).toBeNull();
+    expect(
+      findReadOnlyViolation('SELECT 1; SELECT 2', { allow_multiple_statements: true })
+    ).toBeNull();
+    expect(findReadOnlyViolation('DELETE FROM t', { allow: ['INSERT', 'INTO'] })).toMatchObject({
+      keyword: 'DELETE',
+    });
+  });
+});
+
+describe('resolveSqlGuardPolicy', () => {
+  const databases = { '2': { enabled: false }, '3': { allow: ['INSERT'] } };
+
+  it('should apply the global setting to unconfigured databases', () => {
+    expect(resolveSqlGuardPolicy(1, { enabled: true, databases })).toEqual({});
+    expect(resolveSqlGuardPolicy(1, { enabled: false, databases })).toBeNull();
+  });
+
+  it('should let per-database settings override the global setting', () => {
+    expect(resolveSqlGuardPolicy(2, { enabled: true, databases })).toBeNull();
+    expect(resolveSqlGuardPolicy(3, { enabled: true, databases })).toEqual({ allow: ['INSERT'] });
+    expect(
+      resolveSqlGuardPolicy(4, { enabled: false, databases: { '4': { enabled: true } } })
+    ).toEqual({ enabled: true });
+  });
+});
+
+describe('enforceReadOnlySql', () => {
+  const options = { enabled: true, databases: {} };
+
+  it('should throw a structured validation error for violations', () => {
+    const logWarn = vi.fn();
+
+    let thrown: unknown;
+    try {
+      enforceReadOnlySql('DROP TABLE users', 7, options, 'req-1', logWarn);
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown).toBeInstanceOf(McpError);
+    const error = thrown as McpError;
+    expect(error.details.category).toBe(ErrorCategory.VALIDATION);
+    expect(error.details.additionalContext).toMatchObject({ databaseId: 7, keyword: 'DROP' });
+    expect(logWarn).toHaveBeenCalledWith(
+      'SQL guard blocked a non read-only query',
+      expect.objectContaining({ requestId: 'req-1', databaseId: 7, keyword: 'DROP' })
+    );
+  });
+
+  it('should skip the check when the guard is disabled', () => {
+    const logWarn = vi.fn();
+    expect(() =>
+      enforceReadOnlySql('DROP TABLE users', 7, { enabled: false, databases: {} }, 'req-1', logWarn)
+    ).not.toThrow();
+    expect(logWarn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Unit tests for dialect-aware row limiting
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  applyRowLimit,
+  applyRowPage,
+  getRowLimitSyntax,
+  isValidKeysetColumn,
+} from '../../src/utils/sqlRowLimit.js';
+
+describe('getRowLimitSyntax', () => {
+  it('should map engines to their row limiting syntax', () => {
+    expect(getRowLimitSyntax('postgres')).toBe('limit');
+    expect(getRowLimitSyntax('bigquery-cloud-sdk')).toBe('limit');
+    expect(getRowLimitSyntax('sqlserver')).toBe('top');
+    expect(getRowLimitSyntax('oracle')).toBe('rownum');
+    expect(getRowLimitSyntax(undefined)).toBe('limit');
+  });
+});
+
+describe('applyRowLimit', () => {
+  describe('LIMIT engines', () => {
+    it('should append LIMIT to simple queries', () => {
+      expect(applyRowLimit('SELECT * FROM users', 100, 'postgres')).toEqual({
+        query: 'SELECT * FROM users LIMIT 100',
+        strategy: 'append_limit',
+        appliedLimit: 100,
+        detail: 'Appended LIMIT 100',
+      });
+    });
+
+    it('should insert LIMIT before trailing comments and semicolons', () => {
+      expect(applyRowLimit('SELECT * FROM users; -- all users', 100, 'mysql').query).toBe(
+        'SELECT * FROM users LIMIT 100; -- all users'
+      );
+      expect(applyRowLimit('SELECT * FROM users -- note', 100, 'postgres').query).toBe(
+        'SELECT * FROM users LIMIT 100 -- note'
+      );
+    });
+
+    it('should keep a more restrictive existing LIMIT', () => {
+      const result = applyRowLimit('SELECT * FROM users LIMIT 10 /* first page */', 100, 'postgres');
+      expect(result.strategy).toBe('existing_limit');
+      expect(result.appliedLimit).toBe(10);
+      expect(result.query).toBe('SELECT * FROM users LIMIT 10 /* first page */');
+    });
+
+    it('should lower a larger existing LIMIT in place, keeping OFFSET', () => {
+      expect(applyRowLimit('SELECT * FROM users LIMIT 1000 OFFSET 20', 100, 'postgres')).toMatchObject({
+        query: 'SELECT * FROM users LIMIT 100 OFFSET 20',
+        strategy: 'replace_limit',
+      });
+      expect(applyRowLimit('SELECT * FROM users LIMIT 20, 1000', 100, 'mysql').query).toBe(
+        'SELECT * FROM users LIMIT 20, 100'
+      );
+    });
+
+    it('should lower FETCH FIRST clauses', () => {
+      expect(
+        applyRowLimit('SELECT * FROM users ORDER BY id FETCH FIRST 500 ROWS ONLY', 50, 'postgres')
+          .query
+      ).toBe('SELECT * FROM users ORDER BY id FETCH FIRST 50 ROWS ONLY');
+    });
+
+    it('should ignore limits inside subqueries and CTEs', () => {
+      const query = 'WITH recent AS (SELECT * FROM orders LIMIT 5000) SELECT * FROM recent';
+      expect(applyRowLimit(query, 100, 'postgres')).toMatchObject({
+        query: `${query} LIMIT 100`,
+        strategy: 'append_limit',
+      });
+    });
+
+    it('should wrap queries whose limit cannot be rewritten safely', () => {
+      expect(applyRowLimit('SELECT * FROM users LIMIT {{page_size}}', 100, 'postgres')).toMatchObject(
+        {
+          query: 'SELECT * FROM (SELECT * FROM users LIMIT {{page_size}}) mb_row_limit LIMIT 100',
+          strategy: 'subquery',
+        }
+      );
+      expect(
+        applyRowLimit('SELECT * FROM users [[LIMIT {{n}}]]', 100, 'postgres').strategy
+      ).toBe('subquery');
+    });
+
+    it('should keep CTE definitions outside of the wrapping subquery', () => {
+      expect(
+        applyRowLimit('WITH a AS (SELECT 1 AS x) SELECT x FROM a OFFSET 5', 10, 'postgres').query
+      ).toBe('WITH a AS (SELECT 1 AS x) SELECT * FROM (SELECT x FROM a OFFSET 5) mb_row_limit LIMIT 10');
+    });
+
+    it('should not be fooled by LIMIT in strings or comments', () => {
+      expect(
+        applyRowLimit("SELECT 'LIMIT 5' AS label FROM t -- LIMIT 5", 100, 'postgres').query
+      ).toBe("SELECT 'LIMIT 5' AS label FROM t LIMIT 100 -- LIMIT 5");
+    });
+  });
+
+  describe('SQL Server', () => {
+    it('should insert TOP after SELECT and DISTINCT', () => {
+      expect(applyRowLimit('SELECT DISTINCT name FROM users', 100, 'sqlserver')).toMatchObject({
+        query: 'SELECT DISTINCT TOP 100 name FROM users',
+        strategy: 'top',
+      });
+    });
+
+    it('should lower an existing TOP', () => {
+      expect(applyRowLimit('SELECT TOP (1000) * FROM users', 100, 'sqlserver')).toMatchObject({
+        query: 'SELECT TOP (100) * FROM users',
+        strategy: 'replace_limit',
+      });
+    });
+
+    it('should use OFFSET/FETCH for ordered set operations', () => {
+      expect(
+        applyRowLimit('SELECT a FROM t UNION SELECT a FROM u ORDER BY a', 100, 'sqlserver')
+      ).toMatchObject({
+        query: 'SELECT a FROM t UNION SELECT a FROM u ORDER BY a OFFSET 0 ROWS FETCH NEXT 100 ROWS ONLY',
+        strategy: 'fetch_first',
+      });
+    });
+
+    it('should wrap unordered set operations with TOP', () => {
+      expect(applyRowLimit('SELECT a FROM t UNION SELECT a FROM u', 100, 'sqlserver').query).toBe(
+        'SELECT TOP 100 * FROM (SELECT a FROM t UNION SELECT a FROM u) mb_row_limit'
+      );
+    });
+
+    it('should limit the main query of a CTE', () => {
+      expect(
+        applyRowLimit('WITH a AS (SELECT TOP 5 x FROM t) SELECT x FROM a', 100, 'sqlserver').query
+      ).toBe('WITH a AS (SELECT TOP 5 x FROM t) SELECT TOP 100 x FROM a');
+    });
+  });
+
+  describe('Oracle', () => {
+    it('should wrap queries with a ROWNUM filter', () => {
+      expect(applyRowLimit('SELECT * FROM users WHERE ROWNUM <= 5000', 100, 'oracle')).toMatchObject({
+        query: 'SELECT * FROM (SELECT * FROM users WHERE ROWNUM <= 5000) mb_row_limit WHERE ROWNUM <= 100',
+        strategy: 'subquery',
+      });
+    });
+
+    it('should lower a FETCH FIRST clause instead of wrapping', () => {
+      expect(
+        applyRowLimit('SELECT * FROM users FETCH NEXT 10 ROWS ONLY', 100, 'oracle').strategy
+      ).toBe('existing_limit');
+    });
+  });
+
+  describe('Unlimitable statements', () => {
+    it('should leave non-query statements untouched', () => {
+      expect(applyRowLimit('SHOW TABLES', 100, 'mysql')).toMatchObject({
+        query: 'SHOW TABLES',
+        strategy: 'none',
+        appliedLimit: null,
+      });
+      expect(applyRowLimit('EXPLAIN SELECT 1', 100, 'postgres').strategy).toBe('none');
+    });
+
+    it('should leave multi-statement batches untouched', () => {
+      expect(applyRowLimit('SELECT 1; SELECT 2', 100, 'postgres')).toMatchObject({
+        strategy: 'none',
+        detail: expect.stringContaining('found 2'),
+      });
+    });
+  });
+});
+
+describe('applyRowPage', () => {
+  describe('OFFSET pagination', () => {
+    it('should append LIMIT/OFFSET when the query has no limit of its own', () => {
+      expect(applyRowPage('SELECT * FROM users ORDER BY id;', { pageSize: 100, offset: 200 }, 'postgres')).toEqual({
+        query: 'SELECT * FROM users ORDER BY id LIMIT 100 OFFSET 200;',
+        strategy: 'offset',
+        detail: 'Rows 201-300 using OFFSET 200',
+      });
+    });
+
+    it('should wrap queries that already limit their rows', () => {
+      expect(
+        applyRowPage('SELECT * FROM users LIMIT 5000', { pageSize: 100, offset: 100 }, 'mysql').query
+      ).toBe('SELECT * FROM (SELECT * FROM users LIMIT 5000) mb_row_limit LIMIT 100 OFFSET 100');
+    });
+
+    it('should use OFFSET/FETCH on SQL Server', () => {
+      expect(
+        applyRowPage('SELECT * FROM users ORDER BY id', { pageSize: 50, offset: 50 }, 'sqlserver').query
+      ).toBe('SELECT * FROM users ORDER BY id OFFSET 50 ROWS FETCH NEXT 50 ROWS ONLY');
+      expect(applyRowPage('SELECT * FROM users', { pageSize: 50, offset: 50 }, 'sqlserver').query).toBe(
+        'SELECT * FROM (SELECT * FROM users) mb_row_limit ORDER BY (SELECT NULL) OFFSET 50 ROWS FETCH NEXT 50 ROWS ONLY'
+      );
+    });
+
+    it('should use a ROWNUM window on Oracle', () => {
+      expect(applyRowPage('SELECT * FROM users', { pageSize: 10, offset: 20 }, 'oracle').query).toBe(
+        'SELECT * FROM (SELECT mb_row_limit.*, ROWNUM MB_ROW_NUMBER FROM (SELECT * FROM users) mb_row_limit WHERE ROWNUM <= 30) WHERE MB_ROW_NUMBER > 20'
+      );
+    });
+  });
+
+  describe('keyset pagination', () => {
+    it('should order by the key and continue after the last value', () => {
+      expect(
+        applyRowPage('SELECT * FROM users', { pageSize: 100, keyset: { column: 'id' } }, 'postgres')
+          .query
+      ).toBe('SELECT * FROM (SELECT * FROM users) mb_row_limit ORDER BY mb_row_limit.id LIMIT 100');
+      expect(
+        applyRowPage(
+          'WITH a AS (SELECT 1 AS id) SELECT id FROM a',
+          { pageSize: 100, keyset: { column: 'id', after: 42 } },
+          'postgres'
+        ).query
+      ).toBe(
+        'WITH a AS (SELECT 1 AS id) SELECT * FROM (SELECT id FROM a) mb_row_limit WHERE mb_row_limit.id > 42 ORDER BY mb_row_limit.id LIMIT 100'
+      );
+    });
+
+    it('should escape string keys for the engine', () => {
+      expect(
+        applyRowPage(
+          'SELECT * FROM users',
+          { pageSize: 10, keyset: { column: 'email', after: "o'neil\\x" } },
+          'mysql'
+        ).query
+      ).toContain("WHERE mb_row_limit.email > 'o''neil\\\\x'");
+      expect(
+        applyRowPage(
+          'SELECT * FROM users',
+          { pageSize: 10, keyset: { column: 'email', after: 'b' } },
+          'sqlserver'
+        ).query
+      ).toBe(
+        "SELECT TOP 10 * FROM (SELECT * FROM users) mb_row_limit WHERE mb_row_limit.email > 'b' ORDER BY mb_row_limit.email"
+      );
+    });
+
+    it('should keep an inner ORDER BY valid as a SQL Server derived table', () => {
+      expect(
+        applyRowPage(
+          'SELECT * FROM users ORDER BY id',
+          { pageSize: 10, keyset: { column: 'id', after: 5 } },
+          'sqlserver'
+        ).query
+      ).toBe(
+        'SELECT TOP 10 * FROM (SELECT * FROM users ORDER BY id OFFSET 0 ROWS) mb_row_limit WHERE mb_row_limit.id > 5 ORDER BY mb_row_limit.id'
+      );
+      expect(
+        applyRowPage(
+          'SELECT TOP 500 * FROM users ORDER BY id',
+          { pageSize: 10, keyset: { column: 'id' } },
+          'sqlserver'
+        ).query
+      ).toBe(
+        'SELECT TOP 10 * FROM (SELECT TOP 500 * FROM users ORDER BY id) mb_row_limit ORDER BY mb_row_limit.id'
+      );
+    });
+
+    it('should only accept plain column names', () => {
+      expect(isValidKeysetColumn('user_id')).toBe(true);
+      expect(isValidKeysetColumn('id; DROP TABLE users')).toBe(false);
+      expect(() =>
+        applyRowPage('SELECT 1', { pageSize: 1, keyset: { column: 'a b' } }, 'postgres')
+      ).toThrow('Invalid keyset column');
+    });
+  });
+
+  it('should not paginate statements that cannot be limited', () => {
+    expect(applyRowPage('SHOW TABLES', { pageSize: 10, offset: 10 }, 'mysql').strategy).toBe('none');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the schema-aware SQL pre-flight check
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  checkSqlTables,
+  findUnknownColumns,
+  suggestNames,
+  SqlSchemaTable,
+} from '../../src/utils/sqlSchemaCheck.js';
+
+const tables: SqlSchemaTable[] = [
+  { id: 1, name: 'orders', schema: 'public' },
+  { id: 2, name: 'customers', schema: 'public' },
+  { id: 3, name: 'products', schema: 'public' },
+  { id: 4, name: 'orders', schema: 'archive' },
+  { id: 5, name: 'events', schema: 'analytics' },
+];
+
+const unknownNames = (query: string, engine = 'postgres') =>
+  checkSqlTables(query, engine, tables).unknown.map(identifier => identifier.name);
+
+describe('suggestNames', () => {
+  it('should rank close names first and drop distant ones', () => {
+    expect(suggestNames('ordrs', ['orders', 'customers', 'order_items'])).toEqual(['orders']);
+    expect(suggestNames('CUSTOMER', ['customers', 'products'])).toEqual(['customers']);
+    expect(suggestNames('xyz', ['orders', 'customers'])).toEqual([]);
+  });
+});
+
+describe('checkSqlTables', () => {
+  it('should report unknown tables with suggestions', () => {
+    const { unknown } = checkSqlTables(
+      'SELECT * FROM ordrs o JOIN customer c ON c.id = o.customer_id',
+      'postgres',
+      tables
+    );
+    expect(unknown).toEqual([
+      { type: 'table', name: 'ordrs', suggestions: ['orders'] },
+      { type: 'table', name: 'customer', suggestions: ['customers'] },
+    ]);
+  });
+
+  it('should resolve tables case-insensitively, with schemas and quoting', () => {
+    expect(unknownNames('SELECT * FROM "public"."Orders", public.customers')).toEqual([]);
+    expect(unknownNames('SELECT * FROM `analytics`.`events`', 'mysql')).toEqual([]);
+    expect(unknownNames('SELECT * FROM analytics.orders')).toEqual(['analytics.orders']);
+    expect(checkSqlTables('SELECT * FROM archive.ordrs', 'postgres', tables).unknown).toEqual([
+      { type: 'table', name: 'archive.ordrs', suggestions: ['archive.orders'] },
+    ]);
+  });
+
+  it('should leave CTEs, subqueries, table functions and unsynced schemas alone', () => {
+    expect(
+      unknownNames(`
+        WITH recent (id) AS (SELECT id FROM orders), totals AS MATERIALIZED (SELECT 1)
+        SELECT * FROM recent
+        JOIN (SELECT * FROM customers) c ON true
+        CROSS JOIN LATERAL generate_series(1, 3) g
+        CROSS JOIN totals
+        JOIN information_schema.columns ic ON true
+        JOIN {{#42-model}} m ON true`)
+    ).toEqual([]);
+    expect(unknownNames("SELECT EXTRACT(YEAR FROM created_at), x FROM orders")).toEqual([]);
+    expect(unknownNames('SELECT 1 FROM dual', 'mysql')).toEqual([]);
+  });
+
+  it('should only check SELECT and WITH statements', () => {
+    expect(unknownNames('SHOW TABLES FROM nowhere')).toEqual([]);
+    expect(unknownNames('SELECT * FROM orders; SELECT * FROM ordrs')).toEqual(['ordrs']);
+  });
+
+  it('should leave tables unlike any synced table to the database', () => {
+    expect(unknownNames('SELECT * FROM pg_stat_activity JOIN tmp_import t ON true')).toEqual([]);
+    expect(unknownNames('SELECT * FROM analytics.pageviews_2024')).toEqual([]);
+  });
+
+  it('should collect qualified columns of resolved tables by alias or table name', () => {
+    const { columns } = checkSqlTables(
+      `SELECT o.totl, customers.name, x.y, count(*)
+       FROM public.orders AS o JOIN customers ON customers.id = o.customer_id
+       WHERE o.created_at > now() AND pg_catalog.now() IS NOT NULL`,
+      'postgres',
+      tables
+    );
+    expect(columns).toEqual([
+      {
+        table: tables[0],
+        references: [
+          { name: 'o.totl', column: 'totl' },
+          { name: 'o.customer_id', column: 'customer_id' },
+          { name: 'o.created_at', column: 'created_at' },
+        ],
+      },
+      {
+        table: tables[1],
+        references: [
+          { name: 'customers.name', column: 'name' },
+          { name: 'customers.id', column: 'id' },
+        ],
+      },
+    ]);
+  });
+
+  it('should not check columns of ambiguous tables or aliases', () => {
+    // "orders" exists in two schemas, "t" names different tables in different scopes
+    const { columns } = checkSqlTables(
+      `SELECT orders.foo FROM orders
+       UNION ALL SELECT t.bar FROM customers t WHERE t.id IN (SELECT t.id FROM products t)`,
+      'postgres',
+      tables
+    );
+    expect(columns).toEqual([]);
+  });
+});
+
+describe('findUnknownColumns', () => {
+  it('should report columns missing from table fields and skip tables without fields', () => {
+    const { columns } = checkSqlTables(
+      'SELECT o.totl, o.total, p.nme FROM public.orders o JOIN products p ON p.id = o.product_id',
+      'postgres',
+      tables
+    );
+    expect(
+      findUnknownColumns(columns, new Map([[1, ['id', 'total', 'product_id', 'created_at']]]))
+    ).toEqual([
+      { type: 'column', name: 'o.totl', table: 'public.orders', suggestions: ['total'] },
+    ]);
+  });
+});